@@ -0,0 +1,98 @@
+-- Database-backed portfolio vendor inventory replacing the hard-coded PORTFOLIO_VENDORS list.
+-- The seed below is a one-time copy of that list; manage vendors through /api/portfolio/vendors afterwards.
+
+CREATE TABLE IF NOT EXISTS portfolio_vendors (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  vendor_primary_hostname TEXT UNIQUE NOT NULL,
+  display_name TEXT,
+  business_owner TEXT,
+  contract_tier TEXT,
+  active INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_portfolio_vendors_active
+ON portfolio_vendors(active);
+
+INSERT OR IGNORE INTO portfolio_vendors (vendor_primary_hostname) VALUES
+  ('adobe.com'),
+  ('ambienttemp.com'),
+  ('apple.com'),
+  ('arcticwolf.com'),
+  ('avigilon.com'),
+  ('ayacht.com'),
+  ('beyondtrust.com'),
+  ('bdtonline.com'),
+  ('cai-tech.com'),
+  ('calltower.com'),
+  ('cisco.com'),
+  ('citrix.com'),
+  ('civicplus.com'),
+  ('cloudflare.com'),
+  ('comcast.com'),
+  ('datto.com'),
+  ('dell.com'),
+  ('ecisolutions.com'),
+  ('esri.com'),
+  ('extremenetworks.com'),
+  ('firstdue.com'),
+  ('fiserv.com'),
+  ('focustsi.com'),
+  ('fortinet.com'),
+  ('freshworks.com'),
+  ('genetec.com'),
+  ('hp.com'),
+  ('hubtech.com'),
+  ('harriscomputer.com'),
+  ('honeywell.com'),
+  ('howes.com'),
+  ('indragroup.com'),
+  ('intrasystems.com'),
+  ('intuit.com'),
+  ('invoicecloud.net'),
+  ('jamf.com'),
+  ('keepit.com'),
+  ('lynxlog.com'),
+  ('emiia.org'),
+  ('microsoft.com'),
+  ('mimecast.com'),
+  ('minsait.com'),
+  ('motorolasolutions.com'),
+  ('n-able.com'),
+  ('ninjaone.com'),
+  ('ockers.com'),
+  ('opengov.com'),
+  ('papercut.com'),
+  ('patrolpc.com'),
+  ('powerdms.com'),
+  ('powerschool.com'),
+  ('prioritydispatch.net'),
+  ('purestorage.com'),
+  ('rectec.com'),
+  ('redskytech.com'),
+  ('retrofit.com'),
+  ('rubrik.com'),
+  ('securewon.com'),
+  ('sentinelone.com'),
+  ('silverblaze.com'),
+  ('springbrooksoftware.com'),
+  ('stripe.com'),
+  ('tylertech.com'),
+  ('ui.com'),
+  ('vadarsystems.com'),
+  ('vmware.com'),
+  ('verizon.com'),
+  ('verkada.com'),
+  ('vertexone.net'),
+  ('ene.com'),
+  ('wasabi.com'),
+  ('wilson-controls.com'),
+  ('efax.com'),
+  ('eplus.com'),
+  ('employeeforward.com'),
+  ('enforth.com'),
+  ('futurapower.com'),
+  ('onec1.com'),
+  ('cogsdale.com'),
+  ('workeasysoftware.com');
@@ -0,0 +1,14 @@
+-- UpGuard portfolio membership change events recorded by the portfolio vendor sync job.
+
+CREATE TABLE IF NOT EXISTS portfolio_membership_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  portfolio_id TEXT,
+  vendor_primary_hostname TEXT NOT NULL,
+  event_type TEXT NOT NULL,
+  display_name TEXT,
+  raw_json TEXT,
+  captured_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_portfolio_membership_events_captured
+ON portfolio_membership_events(captured_at);
@@ -0,0 +1,42 @@
+-- Multiple UpGuard portfolios per deployment.
+-- Portfolio membership lives on portfolio_vendors, so a vendor can belong to several portfolios
+-- while its domain scans, active risks, risk events and snapshots are stored once and filtered
+-- by membership. Existing inventory rows belong to the original portfolio.
+
+CREATE TABLE IF NOT EXISTS portfolio_vendors_multi (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  portfolio TEXT NOT NULL,
+  vendor_primary_hostname TEXT NOT NULL,
+  display_name TEXT,
+  business_owner TEXT,
+  contract_tier TEXT,
+  active INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(portfolio, vendor_primary_hostname)
+);
+
+INSERT INTO portfolio_vendors_multi (
+  id, portfolio, vendor_primary_hostname, display_name, business_owner, contract_tier, active, created_at, updated_at
+)
+SELECT id, 'Commonwealth Common Vendors', vendor_primary_hostname, display_name, business_owner, contract_tier, active, created_at, updated_at
+FROM portfolio_vendors;
+
+DROP TABLE portfolio_vendors;
+
+ALTER TABLE portfolio_vendors_multi RENAME TO portfolio_vendors;
+
+CREATE INDEX IF NOT EXISTS idx_portfolio_vendors_active
+ON portfolio_vendors(active);
+
+CREATE INDEX IF NOT EXISTS idx_portfolio_vendors_portfolio
+ON portfolio_vendors(portfolio, active);
+
+CREATE INDEX IF NOT EXISTS idx_portfolio_vendors_hostname
+ON portfolio_vendors(vendor_primary_hostname);
+
+-- Category snapshots were portfolio-wide aggregates; record the vendor so they can be filtered.
+ALTER TABLE category_snapshots ADD COLUMN vendor_primary_hostname TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_portfolio_risk_profile_snapshots_portfolio
+ON portfolio_risk_profile_snapshots(portfolio_name);
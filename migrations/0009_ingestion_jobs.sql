@@ -0,0 +1,28 @@
+-- Scheduled ingestion pipeline state. Each cron invocation processes a bounded chunk of
+-- the current phase and stores its cursor so the next invocation resumes from there.
+-- vendors_json snapshots the active vendor list when a job starts so the offset cursor stays
+-- stable while the inventory changes mid-job. A step that throws is counted in attempt_count with
+-- its message in last_error; after PIPELINE_MAX_STEP_ATTEMPTS consecutive failures the job is
+-- marked 'failed' so the next due run starts a fresh job.
+
+CREATE TABLE IF NOT EXISTS ingestion_jobs (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  trigger TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'running',
+  phase TEXT,
+  cursor INTEGER NOT NULL DEFAULT 0,
+  vendor_count INTEGER NOT NULL DEFAULT 0,
+  vendors_json TEXT,
+  risk_diff_start_date TEXT,
+  risk_diff_end_date TEXT,
+  phases_json TEXT,
+  lease_expires_at TEXT,
+  attempt_count INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  started_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  completed_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_ingestion_jobs_status
+ON ingestion_jobs(status, id);
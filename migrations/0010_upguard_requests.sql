@@ -0,0 +1,38 @@
+-- One row per UpGuard API request made during ingestion, including retry attempts and the
+-- final outcome, so ingestion health can report retry and throttling rates.
+
+CREATE TABLE IF NOT EXISTS upguard_requests (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  trigger TEXT,
+  endpoint TEXT NOT NULL,
+  vendor_primary_hostname TEXT,
+  attempt_count INTEGER NOT NULL DEFAULT 0,
+  retry_count INTEGER NOT NULL DEFAULT 0,
+  status_code INTEGER,
+  outcome TEXT NOT NULL,
+  wait_ms INTEGER NOT NULL DEFAULT 0,
+  error_message TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_upguard_requests_created
+ON upguard_requests(created_at);
+
+CREATE INDEX IF NOT EXISTS idx_upguard_requests_vendor
+ON upguard_requests(vendor_primary_hostname, created_at);
+
+-- Attribute ingestion errors to a vendor. ingestion_errors.hostname holds whichever domain failed,
+-- so portfolio-scoped views need the vendor's primary hostname to match portfolio membership.
+-- Errors that belong to no vendor (pipeline, portfolio and cron failures) keep it NULL.
+
+ALTER TABLE ingestion_errors ADD COLUMN vendor_primary_hostname TEXT;
+
+UPDATE ingestion_errors
+SET vendor_primary_hostname = COALESCE(
+  (SELECT vd.vendor_primary_hostname FROM vendor_domains vd WHERE vd.hostname = ingestion_errors.hostname ORDER BY vd.id LIMIT 1),
+  (SELECT pv.vendor_primary_hostname FROM portfolio_vendors pv WHERE pv.vendor_primary_hostname = ingestion_errors.hostname LIMIT 1)
+)
+WHERE hostname IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_ingestion_errors_vendor
+ON ingestion_errors(vendor_primary_hostname, created_at);
@@ -0,0 +1,13 @@
+-- Recorded UpGuard API responses replayed when UPGUARD_TRANSPORT = "replay", so ingestion
+-- can run end to end without a live UpGuard key.
+
+CREATE TABLE IF NOT EXISTS upguard_fixtures (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  endpoint TEXT NOT NULL,
+  request_key TEXT NOT NULL,
+  status_code INTEGER NOT NULL DEFAULT 200,
+  content_type TEXT,
+  body TEXT NOT NULL,
+  recorded_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(endpoint, request_key)
+);
@@ -0,0 +1,36 @@
+-- Give every risk diff event a natural key so repeated ingestion of overlapping windows
+-- upserts instead of inserting duplicates, and remove the duplicates already stored.
+-- Keys only carry dates UpGuard reported for the event itself, read from raw_json, never the
+-- requested window, so the same event fetched through a resumed or shifted window keeps one key.
+-- The key expression must stay in sync with buildRiskEventKey in src/index.js.
+
+ALTER TABLE vendor_risk_events ADD COLUMN event_key TEXT;
+
+UPDATE vendor_risk_events
+SET event_key = vendor_primary_hostname
+  || '|' || COALESCE(event_type, '')
+  || '|' || COALESCE(risk_type, '')
+  || '|' || COALESCE(risk_subtype, '')
+  || '|' || COALESCE(finding, title, '')
+  || '|' || COALESCE(affected_hostnames_json, '[]')
+  || '|' || COALESCE(substr(COALESCE(
+       NULLIF(json_extract(raw_json, '$.event_start'), ''),
+       NULLIF(json_extract(raw_json, '$.eventStart'), ''),
+       NULLIF(json_extract(raw_json, '$.start_date'), ''),
+       NULLIF(json_extract(raw_json, '$.startDate'), '')
+     ), 1, 10), '')
+  || '|' || COALESCE(substr(COALESCE(
+       NULLIF(json_extract(raw_json, '$.event_end'), ''),
+       NULLIF(json_extract(raw_json, '$.eventEnd'), ''),
+       NULLIF(json_extract(raw_json, '$.end_date'), ''),
+       NULLIF(json_extract(raw_json, '$.endDate'), '')
+     ), 1, 10), '');
+
+-- Keep the first capture of each event so captured_at reflects when it was first seen.
+DELETE FROM vendor_risk_events
+WHERE id NOT IN (
+  SELECT MIN(id) FROM vendor_risk_events GROUP BY event_key
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vendor_risk_events_event_key
+ON vendor_risk_events(event_key);
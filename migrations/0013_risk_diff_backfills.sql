@@ -0,0 +1,41 @@
+-- Risk diff history backfills. UpGuard caps each diff request at a 30-day interval, so a
+-- backfill is split into one row per vendor and 30-day window; each window records its own
+-- status so a backfill interrupted by Worker limits or UpGuard throttling resumes where it stopped.
+-- since is clamped to UpGuard's two-year history; requested_since keeps the date as asked for, so
+-- a repeat request with the same input still resumes the backfill after the clamp has moved on.
+
+CREATE TABLE IF NOT EXISTS risk_diff_backfills (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  trigger TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'running',
+  portfolio_name TEXT,
+  since TEXT NOT NULL,
+  requested_since TEXT,
+  until TEXT NOT NULL,
+  vendor_count INTEGER NOT NULL DEFAULT 0,
+  window_count INTEGER NOT NULL DEFAULT 0,
+  lease_expires_at TEXT,
+  started_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  completed_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_risk_diff_backfills_status
+ON risk_diff_backfills(status, id);
+
+CREATE TABLE IF NOT EXISTS risk_diff_backfill_windows (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  backfill_id INTEGER NOT NULL,
+  vendor_primary_hostname TEXT NOT NULL,
+  window_start TEXT NOT NULL,
+  window_end TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending',
+  attempt_count INTEGER NOT NULL DEFAULT 0,
+  event_count INTEGER NOT NULL DEFAULT 0,
+  error_message TEXT,
+  updated_at TEXT,
+  UNIQUE(backfill_id, vendor_primary_hostname, window_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_risk_diff_backfill_windows_status
+ON risk_diff_backfill_windows(backfill_id, status, window_start);
@@ -0,0 +1,11 @@
+-- Domain discovery: every active domain UpGuard lists for a vendor is ingested, and domains
+-- that drop out of that list are kept for history but flagged inactive.
+
+ALTER TABLE vendor_domains ADD COLUMN active INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE vendor_domains ADD COLUMN last_seen_at TEXT;
+ALTER TABLE vendor_domains ADD COLUMN inactive_at TEXT;
+
+UPDATE vendor_domains SET last_seen_at = updated_at WHERE last_seen_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_vendor_domains_vendor_active
+ON vendor_domains(vendor_primary_hostname, active);
@@ -0,0 +1,9 @@
+-- Vendor-level UpGuard scores captured during portfolio vendor sync, shown alongside the
+-- roll-ups computed from each vendor's domain scores.
+
+CREATE TABLE IF NOT EXISTS vendor_upguard_scores (
+  vendor_primary_hostname TEXT PRIMARY KEY,
+  score INTEGER,
+  raw_json TEXT,
+  captured_at TEXT NOT NULL
+);
@@ -0,0 +1,30 @@
+-- Finding lifecycle transitions. A finding that is resolved and later seen again keeps its
+-- open status but records a 'reopened' transition and a reopen count, so the earlier
+-- resolution is not lost when resolved_at is cleared.
+
+ALTER TABLE risk_findings_history ADD COLUMN reopen_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE risk_findings_history ADD COLUMN last_reopened_at TEXT;
+
+CREATE TABLE IF NOT EXISTS risk_finding_transitions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  finding_key TEXT NOT NULL,
+  transition TEXT NOT NULL,
+  from_status TEXT,
+  to_status TEXT NOT NULL,
+  occurred_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_risk_finding_transitions_key
+ON risk_finding_transitions(finding_key, id);
+
+CREATE INDEX IF NOT EXISTS idx_risk_findings_history_last_seen
+ON risk_findings_history(last_seen_at, id);
+
+INSERT INTO risk_finding_transitions (finding_key, transition, from_status, to_status, occurred_at)
+SELECT finding_key, 'opened', NULL, 'open', COALESCE(first_seen_at, last_seen_at, CURRENT_TIMESTAMP)
+FROM risk_findings_history;
+
+INSERT INTO risk_finding_transitions (finding_key, transition, from_status, to_status, occurred_at)
+SELECT finding_key, 'resolved', 'open', 'resolved', resolved_at
+FROM risk_findings_history
+WHERE status = 'resolved' AND resolved_at IS NOT NULL;
@@ -0,0 +1,50 @@
+-- Remediation tickets. A ticket links to findings (by finding_key) and/or remediation
+-- campaigns (by campaign name) and moves through open -> in_progress -> vendor_responded ->
+-- verified -> closed; every status change is kept in remediation_ticket_events. portfolio scopes
+-- a vendor-less campaign ticket to the active vendors of that portfolio; NULL counts every vendor.
+
+CREATE TABLE IF NOT EXISTS remediation_tickets (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  title TEXT NOT NULL,
+  vendor_primary_hostname TEXT,
+  portfolio TEXT,
+  assignee TEXT,
+  status TEXT NOT NULL DEFAULT 'open',
+  due_date TEXT,
+  notes TEXT,
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  verified_at TEXT,
+  closed_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_remediation_tickets_status
+ON remediation_tickets(status, due_date);
+
+CREATE INDEX IF NOT EXISTS idx_remediation_tickets_vendor
+ON remediation_tickets(vendor_primary_hostname, status);
+
+CREATE TABLE IF NOT EXISTS remediation_ticket_links (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  ticket_id INTEGER NOT NULL,
+  link_type TEXT NOT NULL,
+  link_key TEXT NOT NULL,
+  UNIQUE(ticket_id, link_type, link_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_remediation_ticket_links_key
+ON remediation_ticket_links(link_type, link_key);
+
+CREATE TABLE IF NOT EXISTS remediation_ticket_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  ticket_id INTEGER NOT NULL,
+  event_type TEXT NOT NULL,
+  from_status TEXT,
+  to_status TEXT,
+  actor TEXT,
+  occurred_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_remediation_ticket_events_ticket
+ON remediation_ticket_events(ticket_id, id);
@@ -0,0 +1,24 @@
+-- Remediation SLA policies. A policy sets how many days an open finding may stay open; blank
+-- severity, category or vendor_tier columns match any value and the most specific active policy
+-- wins. Vendor tiers are matched against vendor_criticality.tier, and a vendor without a rating
+-- counts as moderate.
+
+CREATE TABLE IF NOT EXISTS sla_policies (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  severity INTEGER,
+  category TEXT,
+  vendor_tier TEXT,
+  remediation_days INTEGER NOT NULL,
+  at_risk_days INTEGER NOT NULL DEFAULT 7,
+  active INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_sla_policies_active
+ON sla_policies(active, severity);
+
+-- Municipal policy: critical vendor findings within 15 days, high within 30.
+INSERT INTO sla_policies (name, severity, remediation_days, at_risk_days)
+VALUES ('Critical findings', 5, 15, 5), ('High findings', 4, 30, 7);
@@ -0,0 +1,32 @@
+-- Locally recorded risk acceptances (waivers). An acceptance covers one finding (finding_key) or
+-- one vendor-level UpGuard risk (vendor_primary_hostname + risk_key) until it is revoked or
+-- expires; accepted risks drop out of the dashboard counts while the acceptance is active.
+
+CREATE TABLE IF NOT EXISTS risk_acceptances (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  finding_key TEXT,
+  risk_key TEXT,
+  vendor_primary_hostname TEXT NOT NULL,
+  title TEXT,
+  approver TEXT NOT NULL,
+  rationale TEXT NOT NULL,
+  compensating_controls TEXT,
+  status TEXT NOT NULL DEFAULT 'active',
+  expires_at TEXT NOT NULL,
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  revoked_at TEXT,
+  revoked_by TEXT,
+  revocation_reason TEXT,
+  expired_at TEXT,
+  CHECK (finding_key IS NOT NULL OR risk_key IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_risk_acceptances_finding
+ON risk_acceptances(finding_key, status);
+
+CREATE INDEX IF NOT EXISTS idx_risk_acceptances_risk
+ON risk_acceptances(vendor_primary_hostname, risk_key, status);
+
+CREATE INDEX IF NOT EXISTS idx_risk_acceptances_expiry
+ON risk_acceptances(status, expires_at);
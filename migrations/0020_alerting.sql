@@ -0,0 +1,62 @@
+-- Alerting. Rules are evaluated after each ingestion; every match is stored once in alerts
+-- (dedupe_key is unique per rule and underlying change) and sent to the rule's channels, with
+-- one alert_deliveries row per channel attempt.
+
+CREATE TABLE IF NOT EXISTS alert_channels (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  channel_type TEXT NOT NULL,
+  url TEXT NOT NULL,
+  config_json TEXT NOT NULL DEFAULT '{}',
+  active INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS alert_rules (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  rule_type TEXT NOT NULL,
+  params_json TEXT NOT NULL DEFAULT '{}',
+  channel_ids_json TEXT NOT NULL DEFAULT '[]',
+  active INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS alerts (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  rule_id INTEGER NOT NULL,
+  rule_type TEXT NOT NULL,
+  dedupe_key TEXT NOT NULL UNIQUE,
+  vendor_primary_hostname TEXT,
+  hostname TEXT,
+  severity INTEGER,
+  title TEXT NOT NULL,
+  message TEXT NOT NULL,
+  details_json TEXT NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'open',
+  delivery_status TEXT NOT NULL DEFAULT 'pending',
+  created_at TEXT NOT NULL,
+  acknowledged_at TEXT,
+  acknowledged_by TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_alerts_status
+ON alerts(status, id);
+
+CREATE INDEX IF NOT EXISTS idx_alerts_rule
+ON alerts(rule_id, id);
+
+CREATE TABLE IF NOT EXISTS alert_deliveries (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  alert_id INTEGER NOT NULL,
+  channel_id INTEGER NOT NULL,
+  status TEXT NOT NULL,
+  response_status INTEGER,
+  error_message TEXT,
+  attempted_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_deliveries_alert
+ON alert_deliveries(alert_id, id);
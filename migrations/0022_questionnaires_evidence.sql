@@ -0,0 +1,65 @@
+-- Inside-out vendor assessment. Questionnaire templates hold weighted questions; assigning one to
+-- a vendor copies the questions onto the assignment so later template edits do not rescore past
+-- answers. vendor_evidence records documents such as SOC 2 reports and insurance certificates.
+
+CREATE TABLE IF NOT EXISTS questionnaire_templates (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  framework TEXT,
+  description TEXT,
+  questions_json TEXT NOT NULL DEFAULT '[]',
+  active INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS questionnaire_assignments (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  template_id INTEGER NOT NULL,
+  vendor_primary_hostname TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'sent',
+  questions_json TEXT NOT NULL DEFAULT '[]',
+  question_count INTEGER NOT NULL DEFAULT 0,
+  answered_count INTEGER NOT NULL DEFAULT 0,
+  score REAL,
+  due_date TEXT,
+  notes TEXT,
+  assigned_by TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  submitted_at TEXT,
+  reviewed_at TEXT,
+  reviewed_by TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_questionnaire_assignments_vendor
+ON questionnaire_assignments(vendor_primary_hostname, status);
+
+CREATE TABLE IF NOT EXISTS questionnaire_answers (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  assignment_id INTEGER NOT NULL,
+  question_id TEXT NOT NULL,
+  answer TEXT NOT NULL,
+  comment TEXT,
+  answered_by TEXT,
+  answered_at TEXT NOT NULL,
+  UNIQUE (assignment_id, question_id)
+);
+
+CREATE TABLE IF NOT EXISTS vendor_evidence (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  vendor_primary_hostname TEXT NOT NULL,
+  evidence_type TEXT NOT NULL,
+  title TEXT NOT NULL,
+  issuer TEXT,
+  reference_url TEXT,
+  issued_at TEXT,
+  expires_at TEXT,
+  notes TEXT,
+  created_by TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_evidence_vendor
+ON vendor_evidence(vendor_primary_hostname, expires_at);
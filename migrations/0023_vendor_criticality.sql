@@ -0,0 +1,14 @@
+-- Vendor criticality. One row per vendor records its tier (critical, high, moderate, low) with
+-- the data sensitivity and service dependency behind it; together they set the vendor's inherent
+-- risk and the weight its findings carry in tier-weighted exposure. Unrated vendors count as moderate.
+
+CREATE TABLE IF NOT EXISTS vendor_criticality (
+  vendor_primary_hostname TEXT PRIMARY KEY,
+  tier TEXT NOT NULL,
+  data_sensitivity TEXT,
+  service_dependency TEXT,
+  rationale TEXT,
+  updated_by TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
@@ -0,0 +1,39 @@
+-- Composite vendor scores. score_models holds versioned component weights and parameters; a version
+-- is never edited once created, so every stored score can be explained by the model that produced
+-- it. One version is active at a time. vendor_composite_scores keeps a row per vendor per scoring run.
+
+CREATE TABLE IF NOT EXISTS score_models (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL,
+  description TEXT,
+  weights_json TEXT NOT NULL,
+  params_json TEXT NOT NULL,
+  active INTEGER NOT NULL DEFAULT 0,
+  created_by TEXT,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  activated_at TEXT
+);
+
+CREATE TABLE IF NOT EXISTS vendor_composite_scores (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  vendor_primary_hostname TEXT NOT NULL,
+  model_version INTEGER NOT NULL,
+  score REAL,
+  components_json TEXT NOT NULL DEFAULT '[]',
+  trigger TEXT,
+  computed_at TEXT NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_vendor_composite_scores_vendor
+ON vendor_composite_scores(vendor_primary_hostname, id);
+
+-- Baseline model: the outside-in score carries the most weight, the internal signals the rest.
+INSERT INTO score_models (name, description, weights_json, params_json, active, activated_at)
+VALUES (
+  'Baseline',
+  'UpGuard score blended with open critical and high checks, finding age, SLA breaches and vendor tier.',
+  '{"upguard_score":40,"open_critical_high":20,"finding_age":15,"sla_breaches":15,"vendor_tier":10}',
+  '{"critical_penalty":15,"high_penalty":5,"max_finding_age_days":180,"sla_breach_penalty":20,"tier_scores":{"critical":40,"high":60,"moderate":80,"low":100}}',
+  1,
+  CURRENT_TIMESTAMP
+);
@@ -0,0 +1,40 @@
+-- Remediation campaign definitions. Active definitions are tried in priority order (lowest first)
+-- and the first whose match rules hit a risk claims it; unmatched risks fall into "other
+-- remediation". match_rules_json maps category, risk_type, risk_subtype, check_id and title to
+-- case-insensitive regular expressions; title patterns also match the risk's finding text.
+-- The seed rows reproduce the keyword heuristics the dashboard used before definitions existed.
+
+CREATE TABLE IF NOT EXISTS campaign_definitions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE,
+  priority INTEGER NOT NULL DEFAULT 100,
+  match_rules_json TEXT NOT NULL DEFAULT '{}',
+  recommended_action TEXT,
+  owner TEXT,
+  active INTEGER NOT NULL DEFAULT 1,
+  created_at TEXT DEFAULT CURRENT_TIMESTAMP,
+  updated_at TEXT DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaign_definitions_active
+ON campaign_definitions(active, priority);
+
+INSERT INTO campaign_definitions (name, priority, match_rules_json, recommended_action) VALUES
+  ('DMARC/SPF/DKIM/email authentication', 10,
+   '{"title":["dmarc|spf|dkim|email"],"category":["dmarc|spf|dkim|email"],"risk_type":["dmarc|spf|dkim|email"],"risk_subtype":["dmarc|spf|dkim|email"]}',
+   'Publish or tighten SPF, DKIM, and DMARC records; move DMARC toward quarantine/reject after monitoring.'),
+  ('TLS/certificates', 20,
+   '{"title":["tls|ssl|certificate|cert"],"category":["tls|ssl|certificate|cert"],"risk_type":["tls|ssl|certificate|cert"],"risk_subtype":["tls|ssl|certificate|cert"]}',
+   'Renew certificates, remove weak protocols/ciphers, and verify complete certificate chains.'),
+  ('security headers', 30,
+   '{"title":["header|hsts|csp|x-frame|x-content"],"category":["header|hsts|csp|x-frame|x-content"],"risk_type":["header|hsts|csp|x-frame|x-content"],"risk_subtype":["header|hsts|csp|x-frame|x-content"]}',
+   'Deploy missing HTTP security headers such as HSTS, CSP, X-Frame-Options, and X-Content-Type-Options.'),
+  ('exposed services', 40,
+   '{"title":["port|service|rdp|ssh|ftp|exposed"],"category":["port|service|rdp|ssh|ftp|exposed"],"risk_type":["port|service|rdp|ssh|ftp|exposed"],"risk_subtype":["port|service|rdp|ssh|ftp|exposed"]}',
+   'Validate business need, restrict exposure with firewall/VPN controls, and disable unnecessary services.'),
+  ('verified vulnerabilities / CVEs', 50,
+   '{"title":["cve|vulnerab|patch|exploit"],"category":["cve|vulnerab|patch|exploit"],"risk_type":["cve|vulnerab|patch|exploit"],"risk_subtype":["cve|vulnerab|patch|exploit"]}',
+   'Patch affected assets, validate remediation, or document compensating controls with due dates.'),
+  ('malware/phishing/reputation', 60,
+   '{"title":["malware|phishing|reputation|blacklist"],"category":["malware|phishing|reputation|blacklist"],"risk_type":["malware|phishing|reputation|blacklist"],"risk_subtype":["malware|phishing|reputation|blacklist"]}',
+   'Investigate indicators, remove malicious content, request delisting, and confirm vendor incident response.');
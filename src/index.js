@@ -1,96 +1,17 @@
 // Cloudflare Worker UpGuard domain risk ingestion and D1-backed dashboard.
 
-const PORTFOLIO_NAME = "Commonwealth Common Vendors";
-
-const PORTFOLIO_VENDORS = [
-  "adobe.com",
-  "ambienttemp.com",
-  "apple.com",
-  "arcticwolf.com",
-  "avigilon.com",
-  "ayacht.com",
-  "beyondtrust.com",
-  "bdtonline.com",
-  "cai-tech.com",
-  "calltower.com",
-  "cisco.com",
-  "citrix.com",
-  "civicplus.com",
-  "cloudflare.com",
-  "comcast.com",
-  "datto.com",
-  "dell.com",
-  "ecisolutions.com",
-  "esri.com",
-  "extremenetworks.com",
-  "firstdue.com",
-  "fiserv.com",
-  "focustsi.com",
-  "fortinet.com",
-  "freshworks.com",
-  "genetec.com",
-  "hp.com",
-  "hubtech.com",
-  "harriscomputer.com",
-  "honeywell.com",
-  "howes.com",
-  "indragroup.com",
-  "intrasystems.com",
-  "intuit.com",
-  "invoicecloud.net",
-  "jamf.com",
-  "keepit.com",
-  "lynxlog.com",
-  "emiia.org",
-  "microsoft.com",
-  "mimecast.com",
-  "minsait.com",
-  "motorolasolutions.com",
-  "n-able.com",
-  "ninjaone.com",
-  "ockers.com",
-  "opengov.com",
-  "papercut.com",
-  "patrolpc.com",
-  "powerdms.com",
-  "powerschool.com",
-  "prioritydispatch.net",
-  "purestorage.com",
-  "rectec.com",
-  "redskytech.com",
-  "retrofit.com",
-  "rubrik.com",
-  "securewon.com",
-  "sentinelone.com",
-  "silverblaze.com",
-  "springbrooksoftware.com",
-  "stripe.com",
-  "tylertech.com",
-  "ui.com",
-  "vadarsystems.com",
-  "vmware.com",
-  "verizon.com",
-  "verkada.com",
-  "vertexone.net",
-  "ene.com",
-  "wasabi.com",
-  "wilson-controls.com",
-  "efax.com",
-  "eplus.com",
-  "employeeforward.com",
-  "enforth.com",
-  "futurapower.com",
-  "onec1.com",
-  "cogsdale.com",
-  "workeasysoftware.com",
-];
-
-const UPGUARD_DOMAIN_ENDPOINT = "https://cyber-risk.upguard.com/api/public/vendor/domain";
-const UPGUARD_PORTFOLIO_RISK_PROFILE_ENDPOINT = "https://cyber-risk.upguard.com/api/public/risks/vendors/all";
-const UPGUARD_VENDOR_RISKS_ENDPOINT = "https://cyber-risk.upguard.com/api/public/risks/vendors";
-const UPGUARD_RISK_DIFF_ENDPOINT = "https://cyber-risk.upguard.com/api/public/risks/vendors/diff";
+const DEFAULT_UPGUARD_BASE_URL = "https://cyber-risk.upguard.com/api/public";
+const UPGUARD_DOMAIN_PATH = "/vendor/domain";
+const UPGUARD_VENDOR_DOMAINS_PATH = "/vendor/domains";
+const UPGUARD_PORTFOLIO_RISK_PROFILE_PATH = "/risks/vendors/all";
+const UPGUARD_VENDOR_RISKS_PATH = "/risks/vendors";
+const UPGUARD_RISK_DIFF_PATH = "/risks/vendors/diff";
+const UPGUARD_VENDORS_PATH = "/vendors";
+const UPGUARD_TRANSPORT_MODES = ["live", "record", "replay"];
+const UPGUARD_FIXTURE_IGNORED_PARAMS = ["start_date", "end_date", "page_size"];
 const DEFAULT_BATCH_SIZE = 6;
 const MAX_BATCH_SIZE = 10;
+const DEFAULT_VENDOR_DOMAIN_LIMIT = 25;
 const CURRENT_D1_TABLES = [
   "vendor_domains",
   "domain_check_results",
@@ -105,8 +26,161 @@ const CURRENT_D1_TABLES = [
   "domain_risk_count_snapshots",
   "category_snapshots",
   "risk_findings_history",
+  "portfolio_vendors",
+  "portfolio_membership_events",
+  "ingestion_jobs",
+  "upguard_requests",
+  "upguard_fixtures",
+  "risk_diff_backfills",
+  "risk_diff_backfill_windows",
+  "vendor_upguard_scores",
+  "risk_finding_transitions",
+  "remediation_tickets",
+  "remediation_ticket_links",
+  "remediation_ticket_events",
+  "sla_policies",
+  "risk_acceptances",
+  "alert_rules",
+  "alert_channels",
+  "alerts",
+  "alert_deliveries",
+  "webhook_subscriptions",
+  "webhook_deliveries",
+  "questionnaire_templates",
+  "questionnaire_assignments",
+  "questionnaire_answers",
+  "vendor_evidence",
+  "vendor_criticality",
+  "score_models",
+  "vendor_composite_scores",
+  "campaign_definitions",
 ];
 const LEGACY_D1_TABLES = ["vendors", "check_results", "waived_check_results"];
+const ALL_PORTFOLIOS = "all";
+const VENDOR_SCORE_AGGREGATIONS = ["weighted_mean", "worst_domain", "upguard"];
+const PORTFOLIO_SCORE_AGGREGATIONS = [...VENDOR_SCORE_AGGREGATIONS, "domain"];
+const DEFAULT_SCORE_AGGREGATION = "weighted_mean";
+const SEVERITY_NAMES = { 5: "critical", 4: "high", 3: "medium", 2: "low", 1: "info" };
+const FINDING_STATUSES = ["open", "resolved", "reopened", "domain_removed"];
+// Sort expressions are whitelisted here and never built from the query string; NULLs are
+// coalesced so keyset cursors see a total order.
+const FINDING_SORT_COLUMNS = {
+  last_seen_at: "COALESCE(last_seen_at, '')",
+  first_seen_at: "COALESCE(first_seen_at, '')",
+  resolved_at: "COALESCE(resolved_at, '')",
+  severity: "COALESCE(severity, -1)",
+  title: "COALESCE(title, '')",
+};
+const FINDING_DATE_FILTERS = { first_seen: "first_seen_at", last_seen: "last_seen_at", resolved: "resolved_at" };
+const DEFAULT_FINDINGS_LIMIT = 50;
+const MAX_FINDINGS_LIMIT = 200;
+const RISK_ACCEPTANCE_STATUSES = ["active", "expired", "revoked"];
+// expires_at is stored as a toISOString() timestamp, which compares as text against this format.
+const ACTIVE_RISK_ACCEPTANCE_SQL = "ra.status = 'active' AND ra.expires_at > strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+const REMEDIATION_STATUSES = ["open", "in_progress", "vendor_responded", "verified", "closed"];
+// Tickets move one step forward or back at a time; closed tickets can only be reopened. Ingestion
+// may also jump any open, in_progress or vendor_responded ticket straight to verified.
+const REMEDIATION_TRANSITIONS = {
+  open: ["in_progress"],
+  in_progress: ["vendor_responded", "open"],
+  vendor_responded: ["verified", "in_progress"],
+  verified: ["closed", "in_progress"],
+  closed: ["open"],
+};
+const REMEDIATION_AUTO_VERIFY_STATUSES = ["open", "in_progress", "vendor_responded"];
+const FALLBACK_CAMPAIGN = "other remediation";
+const FALLBACK_CAMPAIGN_ACTION = "Review the affected vendors, confirm risk ownership, and track remediation evidence.";
+// Risk values each campaign match rule is tested against; title rules also see the finding text.
+const CAMPAIGN_MATCH_FIELDS = {
+  category: (risk) => [risk.category],
+  risk_type: (risk) => [risk.risk_type ?? risk.riskType],
+  risk_subtype: (risk) => [risk.risk_subtype ?? risk.riskSubtype],
+  check_id: (risk) => [risk.check_id ?? risk.checkId],
+  title: (risk) => [risk.title, risk.finding],
+};
+const MAX_CAMPAIGN_PATTERN_LENGTH = 200;
+const MAX_CAMPAIGN_PREVIEW_MOVES = 100;
+const VENDOR_TIERS = ["critical", "high", "moderate", "low"];
+// Multipliers applied to finding severity for tier-weighted exposure.
+const VENDOR_TIER_WEIGHTS = { critical: 4, high: 3, moderate: 2, low: 1 };
+const DEFAULT_VENDOR_TIER = "moderate";
+// Both scales run from least to most exposed; unrated attributes count as the second step.
+const DATA_SENSITIVITY_LEVELS = ["public", "internal", "confidential", "restricted"];
+const SERVICE_DEPENDENCY_LEVELS = ["low", "moderate", "high", "critical"];
+// Share of inherent risk that a perfect outside-in score and questionnaire can offset; the rest
+// stays as residual risk however strong the vendor's controls look.
+const RESIDUAL_CONTROL_CREDIT = 0.8;
+const RISK_SORTS = ["default", "exposure"];
+// Composite score components, each scored 0-100 (higher is better) and blended by the active model's weights.
+const COMPOSITE_SCORE_COMPONENTS = {
+  upguard_score: "UpGuard automated score",
+  open_critical_high: "Open critical and high checks",
+  finding_age: "Open finding age",
+  sla_breaches: "SLA breaches",
+  vendor_tier: "Vendor tier",
+};
+const DEFAULT_COMPOSITE_SCORE_PARAMS = {
+  critical_penalty: 15,
+  high_penalty: 5,
+  max_finding_age_days: 180,
+  sla_breach_penalty: 20,
+  tier_scores: { critical: 40, high: 60, moderate: 80, low: 100 },
+};
+const DEFAULT_SCORE_HISTORY_DAYS = 90;
+const QUESTIONNAIRE_STATUSES = ["sent", "in_progress", "submitted", "reviewed"];
+// Answer weights for scoring; not_applicable questions are left out of the score entirely.
+const QUESTIONNAIRE_ANSWER_SCORES = { yes: 1, partial: 0.5, no: 0, not_applicable: null };
+const EVIDENCE_TYPES = ["soc2_type1", "soc2_type2", "iso27001", "pen_test", "cyber_insurance", "policy", "other"];
+const EVIDENCE_STATUSES = ["current", "expiring", "expired", "no_expiry"];
+const EVIDENCE_EXPIRING_DAYS = 30;
+const ALERT_RULE_TYPES = ["new_risk_event", "score_drop", "category_failing"];
+const ALERT_CHANNEL_TYPES = ["webhook", "slack", "email_relay"];
+const ALERT_STATUSES = ["open", "acknowledged"];
+const DEFAULT_ALERT_LOOKBACK_HOURS = 24;
+const MAX_ALERTS_PER_RULE = 25;
+const WEBHOOK_EVENT_TYPES = ["ingestion.completed", "ingestion.failed", "risk.introduced", "risk.resolved", "score.changed", "finding.resolved"];
+// Minutes to wait after each failed attempt; a delivery gives up after the last one.
+const WEBHOOK_RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 720];
+const WEBHOOK_DELIVERY_BATCH_SIZE = 20;
+const WEBHOOK_CLAIM_MS = 5 * 60 * 1000;
+const OUTBOUND_REQUEST_TIMEOUT_MS = 5 * 1000;
+const EXPORT_CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+// Spreadsheet columns per exportable route, in order. Array values (affected hostnames, sources,
+// campaign risks) are flattened into one "; "-separated cell.
+const EXPORT_COLUMNS = {
+  vendors: ["vendor_primary_hostname", "hostname", "score", "scanned_at", "total_checks", "failed_checks", "waived_checks", "tier", "tier_weighted_exposure"],
+  "common-risks": ["title", "finding", "category", "risk_type", "risk_subtype", "severity", "severity_name", "affected_vendor_count", "affected_domain_count", "accepted_vendor_count", "critical_vendor_count", "tier_weighted_exposure", "source", "campaign", "recommended_action"],
+  changes: ["captured_at", "vendor_primary_hostname", "event_type", "title", "finding", "category", "risk_type", "risk_subtype", "severity", "severity_name", "affected_hostnames", "sources", "event_start", "event_end"],
+  "remediation-campaigns": ["campaign", "owner", "riskCount", "affectedVendorCount", "affectedDomainCount", "maxSeverity", "tierWeightedExposure", "risks"],
+  vendor: ["record_type", "vendor_primary_hostname", "hostname", "title", "finding", "category", "risk_type", "risk_subtype", "severity", "severity_name", "status", "affected_hostnames", "sources", "observed_at"],
+};
+const EXPORT_BATCH_ROWS = 200;
+const XLSX_MAX_CELL_LENGTH = 32767;
+const INGESTION_PIPELINE_PHASES = ["domains", "vendorRisks", "riskDiff", "portfolioRiskProfile"];
+const DEFAULT_PIPELINE_CHUNK_SIZE = 10;
+const DEFAULT_PIPELINE_INTERVAL_HOURS = 24;
+const PIPELINE_TIME_BUDGET_MS = 20 * 1000;
+const PIPELINE_LEASE_MS = 5 * 60 * 1000;
+const PIPELINE_MAX_STEP_ATTEMPTS = 3;
+const UPGUARD_MAX_RETRIES = 3;
+const UPGUARD_REQUEST_BUDGET = 1000;
+const UPGUARD_RETRY_BASE_DELAY_MS = 500;
+const UPGUARD_RETRY_MAX_DELAY_MS = 30 * 1000;
+const UPGUARD_RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+const UPGUARD_CIRCUIT_BREAKER_THRESHOLD = 5;
+const RISK_DIFF_WINDOW_DAYS = 30;
+const RISK_DIFF_HISTORY_DAYS = 2 * 365;
+const DEFAULT_BACKFILL_CHUNK_SIZE = 10;
+const MAX_BACKFILL_CHUNK_SIZE = 50;
+const BACKFILL_MAX_ATTEMPTS = 3;
+const ACCESS_CLOCK_SKEW_SECONDS = 60;
+const ACCESS_KEY_CACHE_MS = 10 * 60 * 1000;
+const ACCESS_KEY_MIN_REFRESH_MS = 60 * 1000;
+const accessKeyCache = new Map();
+const ACCESS_ROLES = ["viewer", "analyst", "admin"];
 
 export default {
   async fetch(request, env) {
@@ -114,47 +188,64 @@ export default {
     const pathname = url.pathname.replace(/\/+$/, "") || "/";
 
     if (request.method === "OPTIONS") return optionsResponse();
-    if (request.method === "GET" && (pathname === "/" || pathname === "/vendor")) return html(renderDashboardShell());
 
     try {
+      const principal = resolvePrincipal(env, await authenticateRequest(request, env));
+      authorizeRequest(request.method, pathname, principal);
+
+      if (request.method === "GET" && (pathname === "/" || pathname === "/vendor")) return html(renderDashboardShell(principal, getPortfolios(env)));
+      if (request.method === "GET" && pathname === "/api/auth/me") return json(getAuthIdentity(env, principal));
+
       if (request.method === "GET" && pathname === "/api/health") {
         assertDb(env);
-        return json({ ok: true, portfolioName: PORTFOLIO_NAME, vendorCount: PORTFOLIO_VENDORS.length, generatedAt: new Date().toISOString() });
+        await assertD1Schema(env, ["portfolio_vendors"]);
+        return json({ ok: true, portfolios: getPortfolios(env), vendorCount: await countActivePortfolioVendors(env.DB), generatedAt: new Date().toISOString() });
       }
 
       if (request.method === "GET" && pathname === "/api/debug/db") return json(await getDebugDb(env));
-      if (request.method === "GET" && pathname === "/api/debug/config") return json(getDebugConfig(env));
+      if (request.method === "GET" && pathname === "/api/debug/config") return json(await getDebugConfig(env));
       if (request.method === "GET" && pathname === "/api/debug/secret") return json(getDebugSecret(env));
       if (request.method === "GET" && (pathname === "/api/debug/upguard-domain" || pathname === "/api/debug/upguard")) return json(await getDebugUpGuardDomain(env, url));
-      if (request.method === "GET" && pathname === "/api/debug/upguard-risk-profile") return json(await getDebugUpGuardRiskProfile(env));
+      if (request.method === "GET" && pathname === "/api/debug/upguard-risk-profile") return json(await getDebugUpGuardRiskProfile(env, url));
       if (request.method === "GET" && pathname === "/api/debug/upguard-vendor-risks") return json(await getDebugUpGuardVendorRisks(env, url));
       if (request.method === "GET" && pathname === "/api/debug/upguard-risk-diff") return json(await getDebugUpGuardRiskDiff(env, url));
+      if (request.method === "GET" && pathname === "/api/debug/upguard-fixtures") return json(await listUpGuardFixtures(env, url));
+      if (request.method === "POST" && pathname === "/api/debug/upguard-fixtures") return json(await saveUpGuardFixtures(env, await readJsonBody(request)));
 
       if (request.method === "POST" && pathname === "/api/ingest") {
-        const options = getIngestionOptions(url, { defaultLimit: 5, defaultBatchSize: 2 });
+        const options = await getIngestionOptions(env, url, { defaultLimit: 5, defaultBatchSize: 2 });
         const result = await runIngestion(env, { trigger: "api", ...options });
         return json(result, result.failureCount > 0 ? 207 : 200);
       }
 
       if (request.method === "POST" && pathname === "/api/ingest/chunk") {
-        const options = getIngestionOptions(url, { defaultLimit: 5, defaultBatchSize: 2 });
+        const options = await getIngestionOptions(env, url, { defaultLimit: 5, defaultBatchSize: 2 });
         const result = await runIngestion(env, { trigger: "api_chunk", ...options });
         return json(result, result.failureCount > 0 ? 207 : 200);
       }
 
       if (request.method === "POST" && pathname === "/api/ingest/portfolio-risk-profile") {
-        const options = getIngestionOptions(url, { defaultLimit: 5, defaultBatchSize: 2 });
+        const options = await getIngestionOptions(env, url, { defaultLimit: 5, defaultBatchSize: 2 });
         return json(await ingestPortfolioRiskProfile(env, { trigger: "api_portfolio_risk_profile", ...options }));
       }
 
+      if (request.method === "POST" && pathname === "/api/ingest/portfolio-vendors") {
+        const result = await syncPortfolioVendors(env, {
+          trigger: "api_portfolio_vendors",
+          portfolio: getIngestionPortfolio(env, url),
+          dryRun: toBooleanInteger(url.searchParams.get("dry_run")) === 1,
+        });
+        return json(result, result.failureCount > 0 ? 207 : 200);
+      }
+
       if (request.method === "POST" && pathname === "/api/ingest/vendor-risks") {
-        const options = getIngestionOptions(url, { defaultLimit: 5, defaultBatchSize: 2 });
+        const options = await getIngestionOptions(env, url, { defaultLimit: 5, defaultBatchSize: 2 });
         const result = await runVendorRiskIngestion(env, { trigger: "api_vendor_risks", ...options });
         return json(result, result.failureCount > 0 ? 207 : 200);
       }
 
       if (request.method === "POST" && pathname === "/api/ingest/risk-diff") {
-        const options = getIngestionOptions(url, { defaultLimit: 5, defaultBatchSize: 2 });
+        const options = await getIngestionOptions(env, url, { defaultLimit: 5, defaultBatchSize: 2 });
         const result = await runRiskDiffIngestion(env, {
           trigger: "api_risk_diff",
           days: url.searchParams.get("days") || 30,
@@ -165,31 +256,164 @@ export default {
         return json(result, result.failureCount > 0 ? 207 : 200);
       }
 
+      if (request.method === "POST" && pathname === "/api/ingest/risk-diff/backfill") {
+        const result = await runRiskDiffBackfill(env, {
+          trigger: "api_risk_diff_backfill",
+          since: url.searchParams.get("since"),
+          until: url.searchParams.get("until"),
+          backfillId: url.searchParams.get("backfill_id"),
+          limit: url.searchParams.get("limit") ?? DEFAULT_BACKFILL_CHUNK_SIZE,
+          batchSize: url.searchParams.get("batchSize") ?? DEFAULT_BATCH_SIZE,
+          portfolio: getIngestionPortfolio(env, url),
+        });
+        return json(result, result.failureCount > 0 ? 207 : 200);
+      }
+
+      if (request.method === "GET" && pathname === "/api/ingest/risk-diff/backfill") return json(await getRiskDiffBackfillStatus(env, url));
+
+      if (request.method === "POST" && pathname === "/api/ingest/pipeline") {
+        return json(await runIngestionPipeline(env, { trigger: "api_pipeline", force: toBooleanInteger(url.searchParams.get("force")) === 1 }));
+      }
+
       if (request.method === "GET" && pathname === "/api/ingest/status") return json(await getIngestionStatus(env));
 
-      if (request.method === "GET" && pathname === "/api/vendors") return json(await listVendors(env));
+      if (request.method === "GET" && pathname === "/api/portfolios") return json(await listPortfolios(env));
+      if (request.method === "GET" && pathname === "/api/vendors") {
+        const portfolio = getPortfolioScope(env, url);
+        // The domain table grows with the inventory, so its spreadsheet export is paged out of D1.
+        if (getExportFormat(url)) return exportable(url, "vendors", { portfolioName: portfolioLabel(portfolio) }, await pageVendors(env, portfolio, { sort: getRiskSort(url) }));
+        return json(await listVendors(env, portfolio, { sort: getRiskSort(url) }));
+      }
+      if (request.method === "GET" && pathname === "/api/vendors/summary") return json(await getVendorSummary(env, getPortfolioScope(env, url), getScoreAggregation(url, VENDOR_SCORE_AGGREGATIONS), { sort: getRiskSort(url) }));
+      if (request.method === "GET" && pathname === "/api/vendors/criticality") return json(await listVendorCriticality(env, getPortfolioScope(env, url)));
+
+      if (request.method === "GET" && pathname === "/api/portfolio/vendors") return json(await listPortfolioVendors(env, url));
+      if (request.method === "POST" && pathname === "/api/portfolio/vendors") return json(await createPortfolioVendor(env, await readJsonBody(request)), 201);
+
+      const portfolioVendorMatch = pathname.match(/^\/api\/portfolio\/vendors\/([^/]+)$/);
+      if (request.method === "GET" && portfolioVendorMatch) return json(await getPortfolioVendor(env, getPortfolioScope(env, url, { allowAll: false }), decodeURIComponent(portfolioVendorMatch[1])));
+      if (request.method === "PATCH" && portfolioVendorMatch) return json(await updatePortfolioVendor(env, getPortfolioScope(env, url, { allowAll: false }), decodeURIComponent(portfolioVendorMatch[1]), await readJsonBody(request)));
+      if (request.method === "DELETE" && portfolioVendorMatch) return json(await deletePortfolioVendor(env, getPortfolioScope(env, url, { allowAll: false }), decodeURIComponent(portfolioVendorMatch[1])));
+
+      if (request.method === "GET" && pathname === "/api/findings") return json(await listFindings(env, url));
+      const findingMatch = pathname.match(/^\/api\/findings\/([^/]+)$/);
+      if (request.method === "GET" && findingMatch) return json(await getFinding(env, decodeURIComponent(findingMatch[1])));
+
+      if (request.method === "GET" && pathname === "/api/remediation") return json(await listRemediationTickets(env, url));
+      if (request.method === "POST" && pathname === "/api/remediation") return json(await createRemediationTicket(env, await readJsonBody(request), principal), 201);
+      const remediationMatch = pathname.match(/^\/api\/remediation\/([^/]+)$/);
+      if (request.method === "GET" && remediationMatch) return json(await getRemediationTicket(env, remediationMatch[1]));
+      if (request.method === "PATCH" && remediationMatch) return json(await updateRemediationTicket(env, remediationMatch[1], await readJsonBody(request), principal));
+      if (request.method === "DELETE" && remediationMatch) return json(await deleteRemediationTicket(env, remediationMatch[1]));
+
+      if (request.method === "GET" && pathname === "/api/campaigns/definitions") return json(await listCampaignDefinitions(env));
+      if (request.method === "POST" && pathname === "/api/campaigns/definitions") return json(await createCampaignDefinition(env, await readJsonBody(request)), 201);
+      if (request.method === "POST" && pathname === "/api/campaigns/definitions/preview") return json(await previewCampaignReclassification(env, url, await readJsonBody(request)));
+      const campaignDefinitionMatch = pathname.match(/^\/api\/campaigns\/definitions\/([^/]+)$/);
+      if (request.method === "PATCH" && campaignDefinitionMatch) return json(await updateCampaignDefinition(env, campaignDefinitionMatch[1], await readJsonBody(request)));
+      if (request.method === "DELETE" && campaignDefinitionMatch) return json(await deleteCampaignDefinition(env, campaignDefinitionMatch[1]));
+
+      if (request.method === "GET" && pathname === "/api/risk-acceptances") return json(await listRiskAcceptances(env, url));
+      if (request.method === "POST" && pathname === "/api/risk-acceptances") return json(await createRiskAcceptance(env, await readJsonBody(request), principal), 201);
+      const revokeAcceptanceMatch = pathname.match(/^\/api\/risk-acceptances\/([^/]+)\/revoke$/);
+      if (request.method === "POST" && revokeAcceptanceMatch) return json(await revokeRiskAcceptance(env, revokeAcceptanceMatch[1], await readJsonBody(request), principal));
+
+      if (request.method === "GET" && pathname === "/api/questionnaires/templates") return json(await listQuestionnaireTemplates(env));
+      if (request.method === "POST" && pathname === "/api/questionnaires/templates") return json(await createQuestionnaireTemplate(env, await readJsonBody(request)), 201);
+      const questionnaireTemplateMatch = pathname.match(/^\/api\/questionnaires\/templates\/([^/]+)$/);
+      if (request.method === "PATCH" && questionnaireTemplateMatch) return json(await updateQuestionnaireTemplate(env, questionnaireTemplateMatch[1], await readJsonBody(request)));
+      if (request.method === "DELETE" && questionnaireTemplateMatch) return json(await deleteQuestionnaireTemplate(env, questionnaireTemplateMatch[1]));
+      if (request.method === "GET" && pathname === "/api/questionnaires/assignments") return json(await listQuestionnaireAssignments(env, url));
+      if (request.method === "POST" && pathname === "/api/questionnaires/assignments") return json(await createQuestionnaireAssignment(env, await readJsonBody(request), principal), 201);
+      const questionnaireAssignmentMatch = pathname.match(/^\/api\/questionnaires\/assignments\/([^/]+)$/);
+      if (request.method === "GET" && questionnaireAssignmentMatch) return json(await getQuestionnaireAssignment(env, questionnaireAssignmentMatch[1]));
+      if (request.method === "PATCH" && questionnaireAssignmentMatch) return json(await updateQuestionnaireAssignment(env, questionnaireAssignmentMatch[1], await readJsonBody(request), principal));
+      if (request.method === "DELETE" && questionnaireAssignmentMatch) return json(await deleteQuestionnaireAssignment(env, questionnaireAssignmentMatch[1]));
+      const questionnaireAnswersMatch = pathname.match(/^\/api\/questionnaires\/assignments\/([^/]+)\/answers$/);
+      if (request.method === "POST" && questionnaireAnswersMatch) return json(await recordQuestionnaireAnswers(env, questionnaireAnswersMatch[1], await readJsonBody(request), principal));
+
+      if (request.method === "GET" && pathname === "/api/evidence") return json(await listVendorEvidence(env, url));
+      if (request.method === "POST" && pathname === "/api/evidence") return json(await createVendorEvidence(env, await readJsonBody(request), principal), 201);
+      const evidenceMatch = pathname.match(/^\/api\/evidence\/([^/]+)$/);
+      if (request.method === "PATCH" && evidenceMatch) return json(await updateVendorEvidence(env, evidenceMatch[1], await readJsonBody(request)));
+      if (request.method === "DELETE" && evidenceMatch) return json(await deleteVendorEvidence(env, evidenceMatch[1]));
+
+      if (request.method === "GET" && pathname === "/api/scoring/models") return json(await listScoreModels(env));
+      if (request.method === "POST" && pathname === "/api/scoring/models") return json(await createScoreModel(env, await readJsonBody(request), principal), 201);
+      const activateScoreModelMatch = pathname.match(/^\/api\/scoring\/models\/([^/]+)\/activate$/);
+      if (request.method === "POST" && activateScoreModelMatch) return json(await activateScoreModel(env, activateScoreModelMatch[1]));
+      if (request.method === "POST" && pathname === "/api/scoring/recompute") return json(await recomputeCompositeScores(env));
+
+      if (request.method === "GET" && pathname === "/api/sla/policies") return json(await listSlaPolicies(env));
+      if (request.method === "POST" && pathname === "/api/sla/policies") return json(await createSlaPolicy(env, await readJsonBody(request)), 201);
+      const slaPolicyMatch = pathname.match(/^\/api\/sla\/policies\/([^/]+)$/);
+      if (request.method === "PATCH" && slaPolicyMatch) return json(await updateSlaPolicy(env, slaPolicyMatch[1], await readJsonBody(request)));
+      if (request.method === "DELETE" && slaPolicyMatch) return json(await deleteSlaPolicy(env, slaPolicyMatch[1]));
+      if (request.method === "GET" && pathname === "/api/sla/breaches") return json(await getSlaBreaches(env, url));
+      if (request.method === "GET" && pathname === "/api/sla/compliance") return json(await getSlaCompliance(env, url));
+
+      if (request.method === "GET" && pathname === "/api/webhooks") return json(await listWebhookSubscriptions(env));
+      if (request.method === "POST" && pathname === "/api/webhooks") return json(await createWebhookSubscription(env, await readJsonBody(request)), 201);
+      if (request.method === "POST" && pathname === "/api/webhooks/retry") return json(await retryWebhookDeliveries(env));
+      const webhookMatch = pathname.match(/^\/api\/webhooks\/([^/]+)$/);
+      if (request.method === "PATCH" && webhookMatch) return json(await updateWebhookSubscription(env, webhookMatch[1], await readJsonBody(request)));
+      if (request.method === "DELETE" && webhookMatch) return json(await deleteWebhookSubscription(env, webhookMatch[1]));
+      const webhookDeliveriesMatch = pathname.match(/^\/api\/webhooks\/([^/]+)\/deliveries$/);
+      if (request.method === "GET" && webhookDeliveriesMatch) return json(await listWebhookDeliveries(env, webhookDeliveriesMatch[1], url));
+      const testWebhookMatch = pathname.match(/^\/api\/webhooks\/([^/]+)\/test$/);
+      if (request.method === "POST" && testWebhookMatch) return json(await testWebhookSubscription(env, testWebhookMatch[1]));
+
+      if (request.method === "GET" && pathname === "/api/alerts") return json(await listAlerts(env, url));
+      const acknowledgeAlertMatch = pathname.match(/^\/api\/alerts\/(\d+)\/acknowledge$/);
+      if (request.method === "POST" && acknowledgeAlertMatch) return json(await acknowledgeAlert(env, acknowledgeAlertMatch[1], principal));
+      if (request.method === "GET" && pathname === "/api/alerts/rules") return json(await listAlertRules(env));
+      if (request.method === "POST" && pathname === "/api/alerts/rules") return json(await createAlertRule(env, await readJsonBody(request)), 201);
+      const alertRuleMatch = pathname.match(/^\/api\/alerts\/rules\/([^/]+)$/);
+      if (request.method === "PATCH" && alertRuleMatch) return json(await updateAlertRule(env, alertRuleMatch[1], await readJsonBody(request)));
+      if (request.method === "DELETE" && alertRuleMatch) return json(await deleteAlertRule(env, alertRuleMatch[1]));
+      if (request.method === "GET" && pathname === "/api/alerts/channels") return json(await listAlertChannels(env));
+      if (request.method === "POST" && pathname === "/api/alerts/channels") return json(await createAlertChannel(env, await readJsonBody(request)), 201);
+      const alertChannelMatch = pathname.match(/^\/api\/alerts\/channels\/([^/]+)$/);
+      if (request.method === "PATCH" && alertChannelMatch) return json(await updateAlertChannel(env, alertChannelMatch[1], await readJsonBody(request)));
+      if (request.method === "DELETE" && alertChannelMatch) return json(await deleteAlertChannel(env, alertChannelMatch[1]));
+      const testAlertChannelMatch = pathname.match(/^\/api\/alerts\/channels\/([^/]+)\/test$/);
+      if (request.method === "POST" && testAlertChannelMatch) return json(await testAlertChannel(env, testAlertChannelMatch[1]));
 
       const vendorRisksMatch = pathname.match(/^\/api\/vendor\/([^/]+)\/risks$/);
       if (request.method === "GET" && vendorRisksMatch) return json(await getVendorRisks(env, decodeURIComponent(vendorRisksMatch[1])));
 
+      const vendorScoreExplanationMatch = pathname.match(/^\/api\/vendor\/([^/]+)\/score-explanation$/);
+      if (request.method === "GET" && vendorScoreExplanationMatch) return json(await getVendorScoreExplanation(env, decodeURIComponent(vendorScoreExplanationMatch[1]), url));
+
+      const vendorCriticalityMatch = pathname.match(/^\/api\/vendor\/([^/]+)\/criticality$/);
+      if (request.method === "PATCH" && vendorCriticalityMatch) return json(await updateVendorCriticality(env, decodeURIComponent(vendorCriticalityMatch[1]), await readJsonBody(request), principal));
+      if (request.method === "DELETE" && vendorCriticalityMatch) return json(await deleteVendorCriticality(env, decodeURIComponent(vendorCriticalityMatch[1])));
+
       const vendorMatch = pathname.match(/^\/api\/vendor\/([^/]+)$/);
-      if (request.method === "GET" && vendorMatch) return json(await getVendorDetail(env, decodeURIComponent(vendorMatch[1])));
-
-      if (request.method === "GET" && pathname === "/api/portfolio/risk-profile/latest") return json(await getLatestPortfolioRiskProfile(env));
-      if (request.method === "GET" && pathname === "/api/dashboard/changes") return json(await getDashboardChanges(env));
-      if (request.method === "GET" && pathname === "/api/dashboard/remediation-campaigns") return json(await getRemediationCampaigns(env));
-      if (request.method === "GET" && pathname === "/api/dashboard/overview") return json(await getDashboardOverview(env));
-      if (request.method === "GET" && pathname === "/api/dashboard/common-risks") return json(await getCommonRisks(env));
-      if (request.method === "GET" && pathname === "/api/dashboard/severity-breakdown") return json(await getSeverityBreakdown(env));
-      if (request.method === "GET" && pathname === "/api/dashboard/categories") return json(await getCategories(env));
+      if (request.method === "GET" && vendorMatch) return exportable(url, "vendor", await getVendorDetail(env, decodeURIComponent(vendorMatch[1])));
+
+      if (request.method === "GET" && pathname === "/api/portfolio/risk-profile/latest") return json(await getLatestPortfolioRiskProfile(env, getPortfolioScope(env, url)));
+      if (request.method === "GET" && pathname === "/api/dashboard/changes") return exportable(url, "changes", await getDashboardChanges(env, getPortfolioScope(env, url)));
+      if (request.method === "GET" && pathname === "/api/dashboard/remediation-campaigns") return exportable(url, "remediation-campaigns", await getRemediationCampaigns(env, getPortfolioScope(env, url), { includeAccepted: getIncludeAccepted(url), sort: getRiskSort(url) }));
+      if (request.method === "GET" && pathname === "/api/dashboard/overview") return json(await getDashboardOverview(env, getPortfolioScope(env, url), getScoreAggregation(url, PORTFOLIO_SCORE_AGGREGATIONS), { includeAccepted: getIncludeAccepted(url) }));
+      if (request.method === "GET" && pathname === "/api/dashboard/common-risks") return exportable(url, "common-risks", await getCommonRisks(env, getPortfolioScope(env, url), { includeAccepted: getIncludeAccepted(url), sort: getRiskSort(url) }));
+      if (request.method === "GET" && pathname === "/api/dashboard/severity-breakdown") return json(await getSeverityBreakdown(env, getPortfolioScope(env, url), { includeAccepted: getIncludeAccepted(url) }));
+      if (request.method === "GET" && pathname === "/api/dashboard/categories") return json(await getCategories(env, getPortfolioScope(env, url), { includeAccepted: getIncludeAccepted(url) }));
       if (request.method === "GET" && pathname === "/api/trends/score") return json(await getTrendScore(env, url));
       if (request.method === "GET" && pathname === "/api/trends/severity") return json(await getTrendSeverity(env, url));
       if (request.method === "GET" && pathname === "/api/trends/categories") return json(await getTrendCategories(env, url));
       if (request.method === "GET" && pathname === "/api/trends/vendor-movers") return json(await getTrendVendorMovers(env, url));
       if (request.method === "GET" && pathname === "/api/trends/risk-events") return json(await getTrendRiskEvents(env, url));
-      if (request.method === "GET" && pathname === "/api/trends/risk-aging") return json(await getTrendRiskAging(env));
+      if (request.method === "GET" && pathname === "/api/trends/risk-aging") return json(await getTrendRiskAging(env, url));
       if (request.method === "GET" && pathname === "/api/trends/ingestion-health") return json(await getTrendIngestionHealth(env, url));
+      if (request.method === "GET" && pathname === "/api/reports/executive") {
+        const report = await getExecutiveReport(env, url);
+        return url.searchParams.get("format") === "json" ? json(report) : html(renderExecutiveReport(report));
+      }
     } catch (error) {
+      if (error instanceof AuthenticationError) return json(error.toResponseBody(), error.status);
+      if (error instanceof AuthorizationError) return json(error.toResponseBody(), 403);
+      if (error instanceof RequestError) return json(error.toResponseBody(), error.status);
       if (error instanceof SchemaNotInitializedError) return json(error.toResponseBody(), 503);
       return json({ error: "worker_error", message: getErrorMessage(error) }, 500);
     }
@@ -197,55 +421,96 @@ export default {
     return json({ error: "not_found", message: "Route not found" }, 404);
   },
 
-  async scheduled(_event, _env, ctx) {
-    // TODO: Enable scheduled ingestion only after manual ingestion is stable.
-    ctx.waitUntil(Promise.resolve({ skipped: true, reason: "scheduled_ingestion_disabled" }));
+  async scheduled(_event, env, ctx) {
+    ctx.waitUntil(runIngestionPipeline(env, { trigger: "scheduled" }).catch((error) => recordScheduledFailure(env, "Scheduled ingestion pipeline", error)));
+    ctx.waitUntil(retryWebhookDeliveries(env).catch((error) => recordScheduledFailure(env, "Scheduled webhook retries", error)));
   },
 };
 
-async function runIngestion(env, { trigger = "manual", batchSize = DEFAULT_BATCH_SIZE, vendors = PORTFOLIO_VENDORS } = {}) {
+async function recordScheduledFailure(env, label, error) {
+  // Cron invocations have no caller to report to, so failures land in ingestion_errors where
+  // /api/ingest/status lists them. Without a usable DB there is nowhere left to record them.
+  if (!env.DB) return;
+  await logIngestionError(env.DB, {
+    hostname: null,
+    errorMessage: `${label} failed: ${getErrorMessage(error)}`,
+    statusCode: error.statusCode || null,
+    responseBody: error.responseBody || null,
+  }).catch(() => {});
+}
+
+// finalize: false leaves composite scoring, remediation verification and the ingestion webhooks to
+// the caller; the scheduled pipeline runs them once per job, after every phase has refreshed the
+// findings, instead of once per chunk.
+async function runIngestion(env, { trigger = "manual", batchSize = DEFAULT_BATCH_SIZE, vendors = null, portfolio = null, finalize = true } = {}) {
   assertDb(env);
   assertApiKey(env);
   await assertD1Schema(env);
+  env = withUpGuardClient(env, trigger);
 
-  const selectedVendors = normalizeVendorList(vendors);
+  const selectedVendors = normalizeVendorList(vendors ?? await listActiveVendorHostnames(env.DB, portfolio));
   const startedAt = new Date().toISOString();
   const startedMs = Date.now();
   const boundedBatchSize = clamp(batchSize, 1, MAX_BATCH_SIZE);
   const runInsert = await env.DB.prepare(
     `INSERT INTO ingestion_runs (started_at, vendor_count, success_count, failure_count, status, error_json)
      VALUES (?, ?, 0, 0, 'running', ?)`
-  ).bind(startedAt, selectedVendors.length, stringifyJson({ trigger, batchSize: boundedBatchSize, vendors: selectedVendors })).run();
+  ).bind(startedAt, selectedVendors.length, stringifyJson({ trigger, portfolio, batchSize: boundedBatchSize, vendors: selectedVendors })).run();
   const runId = runInsert.meta?.last_row_id;
 
+  const domainLimit = getVendorDomainLimit(env);
   const successes = [];
+  const failedVendors = [];
   const failures = [];
+  const domains = { discovered: 0, ingested: 0, failed: 0, deferred: 0, deactivated: [] };
 
   for (const batch of chunk(selectedVendors, boundedBatchSize)) {
-    const results = await Promise.all(batch.map((hostname) => ingestVendor(env, hostname, hostname)));
+    if (env.upguard.isCircuitOpen()) break;
+    const results = await Promise.all(batch.map((hostname) => ingestVendorDomains(env, hostname, { domainLimit })));
     for (const result of results) {
-      if (result.ok) successes.push(result.hostname);
-      else failures.push(result);
+      if (result.ok) successes.push(result.vendorPrimaryHostname);
+      else failedVendors.push(result.vendorPrimaryHostname);
+      failures.push(...result.failures);
+      domains.discovered += result.domainCount;
+      domains.ingested += result.domainsIngested;
+      domains.failed += result.failures.length;
+      domains.deferred += result.domainsDeferred;
+      domains.deactivated.push(...result.domainsDeactivated);
     }
   }
 
   const completedAt = new Date().toISOString();
-  const status = failures.length === 0 ? "completed" : successes.length === 0 ? "failed" : "completed_with_errors";
+  const expiredAcceptanceIds = await expireRiskAcceptances(env.DB, completedAt);
+  const compositeScores = finalize ? await runCompositeScoring(env, successes, trigger) : null;
+  const alerts = await runAlertEvaluation(env, successes);
+  const status = failedVendors.length === 0 ? "completed" : successes.length === 0 ? "failed" : "completed_with_errors";
   await env.DB.prepare(
     `UPDATE ingestion_runs
      SET completed_at = ?, success_count = ?, failure_count = ?, status = ?, error_json = ?
      WHERE id = ?`
-  ).bind(completedAt, successes.length, failures.length, status, stringifyJson(failures), runId).run();
+  ).bind(completedAt, successes.length, failedVendors.length, status, stringifyJson(failures), runId).run();
+  const remediation = finalize && successes.length ? await runRemediationVerification(env.DB, completedAt) : { verifiedTicketIds: [] };
+  const webhooks = finalize
+    ? await publishWebhookEvents(env, () => listIngestionWebhookEvents(env.DB, { runId, trigger, status, successCount: successes.length, failureCount: failedVendors.length, startedAt, completedAt }, successes))
+    : null;
 
   return {
-    portfolioName: PORTFOLIO_NAME,
+    portfolioName: portfolioLabel(portfolio),
     runId,
     trigger,
     selectedVendorCount: selectedVendors.length,
-    vendorsProcessed: selectedVendors.length,
+    vendorsProcessed: successes.length + failedVendors.length,
     successCount: successes.length,
-    failureCount: failures.length,
+    failureCount: failedVendors.length,
     failures,
+    domains,
+    remediation,
+    riskAcceptances: { expiredIds: expiredAcceptanceIds },
+    compositeScores,
+    alerts,
+    webhooks,
+    stoppedEarly: successes.length + failedVendors.length < selectedVendors.length,
+    upguard: env.upguard.stats,
     elapsedMs: Date.now() - startedMs,
     status,
     startedAt,
@@ -253,7 +518,7 @@ async function runIngestion(env, { trigger = "manual", batchSize = DEFAULT_BATCH
   };
 }
 
-function getIngestionOptions(url, { defaultLimit = PORTFOLIO_VENDORS.length, defaultBatchSize = DEFAULT_BATCH_SIZE } = {}) {
+async function getIngestionOptions(env, url, { defaultLimit = null, defaultBatchSize = DEFAULT_BATCH_SIZE } = {}) {
   const hasQueryParameters = Array.from(url.searchParams.keys()).length > 0;
   const hostname = normalizeHostname(url.searchParams.get("vendor_primary_hostname")) || normalizeHostname(url.searchParams.get("hostname"));
   const batchSize = url.searchParams.has("batchSize")
@@ -262,17 +527,27 @@ function getIngestionOptions(url, { defaultLimit = PORTFOLIO_VENDORS.length, def
       ? DEFAULT_BATCH_SIZE
       : clamp(defaultBatchSize, 1, MAX_BATCH_SIZE);
 
-  if (hostname) return { vendors: [hostname], batchSize, offset: 0, manualVendor: true };
+  const portfolio = getIngestionPortfolio(env, url);
+  if (hostname) return { vendors: [hostname], batchSize, offset: 0, portfolio, manualVendor: true };
 
-  const offset = url.searchParams.has("offset") ? clamp(url.searchParams.get("offset"), 0, PORTFOLIO_VENDORS.length) : 0;
-  const availableVendors = PORTFOLIO_VENDORS.slice(offset);
+  assertDb(env);
+  await assertD1Schema(env, ["portfolio_vendors"]);
+  const portfolioVendors = await listActiveVendorHostnames(env.DB, portfolio);
+  const offset = url.searchParams.has("offset") ? clamp(url.searchParams.get("offset"), 0, portfolioVendors.length) : 0;
+  const availableVendors = portfolioVendors.slice(offset);
   const limit = url.searchParams.has("limit")
     ? clamp(url.searchParams.get("limit"), 0, availableVendors.length)
     : hasQueryParameters
       ? availableVendors.length
-      : clamp(defaultLimit, 0, availableVendors.length);
+      : clamp(defaultLimit ?? portfolioVendors.length, 0, availableVendors.length);
+
+  return { vendors: availableVendors.slice(0, limit), batchSize, offset, portfolio, totalVendors: portfolioVendors.length };
+}
 
-  return { vendors: availableVendors.slice(0, limit), batchSize, offset };
+function getIngestionPortfolio(env, url) {
+  // Vendor-level ingestion is shared across portfolios, so without an explicit
+  // ?portfolio= every active vendor in every portfolio is selected.
+  return url.searchParams.get("portfolio") ? resolvePortfolio(env, url.searchParams.get("portfolio"), { allowAll: true }) : null;
 }
 
 function normalizeVendorList(vendors) {
@@ -283,26 +558,138 @@ function normalizeHostname(hostname) {
   return String(hostname || "").trim().toLowerCase();
 }
 
-async function ingestPortfolioRiskProfile(env, { trigger = "manual", vendors = PORTFOLIO_VENDORS, batchSize = DEFAULT_BATCH_SIZE, offset = 0 } = {}) {
+async function listActiveVendorHostnames(db, portfolio = null) {
+  const { results } = await db.prepare(
+    `SELECT vendor_primary_hostname FROM portfolio_vendors
+     WHERE active = 1 AND (? IS NULL OR portfolio = ?)
+     GROUP BY vendor_primary_hostname
+     ORDER BY MIN(id) ASC`
+  ).bind(portfolio, portfolio).all();
+  return (results || []).map((row) => row.vendor_primary_hostname);
+}
+
+async function countActivePortfolioVendors(db, portfolio = null) {
+  const row = await db.prepare(
+    "SELECT COUNT(DISTINCT vendor_primary_hostname) AS vendor_count FROM portfolio_vendors WHERE active = 1 AND (? IS NULL OR portfolio = ?)"
+  ).bind(portfolio, portfolio).first();
+  return row?.vendor_count || 0;
+}
+
+async function listPortfolioVendors(env, url) {
+  assertDb(env);
+  await assertD1Schema(env, ["portfolio_vendors"]);
+  const portfolio = getPortfolioScope(env, url);
+  const active = url.searchParams.get("active");
+  const filter = active == null || active === "" ? null : toBooleanInteger(active);
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM portfolio_vendors
+     WHERE (? IS NULL OR active = ?) AND (? IS NULL OR portfolio = ?)
+     ORDER BY id ASC`
+  ).bind(filter, filter, portfolio, portfolio).all();
+  const vendors = (results || []).map(hydratePortfolioVendor);
+  return { portfolioName: portfolioLabel(portfolio), vendorCount: vendors.length, activeVendorCount: vendors.filter((vendor) => vendor.active).length, vendors };
+}
+
+async function getPortfolioVendor(env, portfolio, hostname) {
+  assertDb(env);
+  await assertD1Schema(env, ["portfolio_vendors"]);
+  const vendor = await findPortfolioVendor(env.DB, portfolio, hostname);
+  return { portfolioName: portfolio, vendor };
+}
+
+async function createPortfolioVendor(env, body) {
+  assertDb(env);
+  await assertD1Schema(env, ["portfolio_vendors"]);
+  const portfolio = resolvePortfolio(env, body.portfolio, { allowAll: false });
+  if (!portfolio) throw new RequestError(400, "invalid_request", "portfolio is required when UPGUARD_PORTFOLIO_ID is not configured.");
+  const vendorPrimaryHostname = normalizeHostname(pickBodyField(body, "vendor_primary_hostname", "vendorPrimaryHostname") ?? body.hostname);
+  if (!vendorPrimaryHostname) throw new RequestError(400, "invalid_request", "vendor_primary_hostname is required.");
+  const fields = normalizePortfolioVendorFields(body);
+  const insert = await env.DB.prepare(
+    `INSERT INTO portfolio_vendors (portfolio, vendor_primary_hostname, display_name, business_owner, contract_tier, active)
+     VALUES (?, ?, ?, ?, ?, ?)
+     ON CONFLICT(portfolio, vendor_primary_hostname) DO NOTHING`
+  ).bind(
+    portfolio,
+    vendorPrimaryHostname,
+    fields.display_name ?? null,
+    fields.business_owner ?? null,
+    fields.contract_tier ?? null,
+    fields.active ?? 1
+  ).run();
+  if (!insert.meta?.changes) throw new RequestError(409, "vendor_exists", `${vendorPrimaryHostname} is already in the ${portfolio} inventory.`);
+  return { portfolioName: portfolio, vendor: await findPortfolioVendor(env.DB, portfolio, vendorPrimaryHostname) };
+}
+
+async function updatePortfolioVendor(env, portfolio, hostname, body) {
+  assertDb(env);
+  await assertD1Schema(env, ["portfolio_vendors"]);
+  const existing = await findPortfolioVendor(env.DB, portfolio, hostname);
+  const fields = Object.entries(normalizePortfolioVendorFields(body));
+  if (!fields.length) throw new RequestError(400, "invalid_request", "Provide at least one of display_name, business_owner, contract_tier or active.");
+  await env.DB.prepare(
+    `UPDATE portfolio_vendors
+     SET ${fields.map(([column]) => `${column} = ?`).join(", ")}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`
+  ).bind(...fields.map(([, value]) => value), existing.id).run();
+  return { portfolioName: portfolio, vendor: await findPortfolioVendor(env.DB, portfolio, existing.vendor_primary_hostname) };
+}
+
+async function deletePortfolioVendor(env, portfolio, hostname) {
+  assertDb(env);
+  await assertD1Schema(env, ["portfolio_vendors"]);
+  const existing = await findPortfolioVendor(env.DB, portfolio, hostname);
+  await env.DB.prepare("DELETE FROM portfolio_vendors WHERE id = ?").bind(existing.id).run();
+  return { portfolioName: portfolio, deleted: true, vendor: existing };
+}
+
+async function findPortfolioVendor(db, portfolio, hostname) {
+  const cleanHostname = normalizeHostname(hostname);
+  const vendor = await db.prepare(
+    "SELECT * FROM portfolio_vendors WHERE portfolio = ? AND vendor_primary_hostname = ?"
+  ).bind(portfolio, cleanHostname).first();
+  if (!vendor) throw new RequestError(404, "vendor_not_found", `${cleanHostname || "Vendor"} is not in the ${portfolio || "portfolio"} inventory.`);
+  return hydratePortfolioVendor(vendor);
+}
+
+function normalizePortfolioVendorFields(body) {
+  const fields = {};
+  const displayName = pickBodyField(body, "display_name", "displayName");
+  const businessOwner = pickBodyField(body, "business_owner", "businessOwner");
+  const contractTier = pickBodyField(body, "contract_tier", "contractTier");
+  const active = pickBodyField(body, "active");
+  if (displayName !== undefined) fields.display_name = stringOrNull(displayName);
+  if (businessOwner !== undefined) fields.business_owner = stringOrNull(businessOwner);
+  if (contractTier !== undefined) fields.contract_tier = stringOrNull(contractTier);
+  if (active !== undefined) {
+    fields.active = toBooleanInteger(active);
+    if (fields.active == null) throw new RequestError(400, "invalid_request", "active must be a boolean.");
+  }
+  return fields;
+}
+
+function hydratePortfolioVendor(vendor) {
+  return { ...vendor, active: Boolean(vendor.active) };
+}
+
+async function ingestPortfolioRiskProfile(env, { trigger = "manual", vendors = null, batchSize = DEFAULT_BATCH_SIZE, offset = 0, portfolio = null } = {}) {
   assertDb(env);
   assertApiKey(env);
-  await assertD1Schema(env, ["portfolio_risk_profile_snapshots", "portfolio_common_risks"]);
-  const selectedVendors = normalizeVendorList(vendors);
+  await assertD1Schema(env, ["portfolio_risk_profile_snapshots", "portfolio_common_risks", "portfolio_vendors", "upguard_requests"]);
+  env = withUpGuardClient(env, trigger);
+  const selectedVendors = normalizeVendorList(vendors ?? await listActiveVendorHostnames(env.DB, portfolio));
   const boundedBatchSize = clamp(batchSize, 1, MAX_BATCH_SIZE);
   const startedAt = new Date().toISOString();
   if (!selectedVendors.length || offset > 0) {
     return {
-      portfolioName: PORTFOLIO_NAME,
-      portfolioId: getPortfolioId(env),
+      portfolioName: portfolioLabel(portfolio),
       trigger,
       selectedVendorCount: 0,
       vendorsProcessed: 0,
       batchSize: boundedBatchSize,
-      snapshotId: null,
-      totalVendors: null,
+      portfolios: [],
       riskCount: 0,
       severityCounts: {},
-      topRisks: [],
       successCount: 0,
       failureCount: 0,
       failures: [],
@@ -314,51 +701,68 @@ async function ingestPortfolioRiskProfile(env, { trigger = "manual", vendors = P
   // UpGuard's portfolio risk profile endpoint is portfolio-scoped, so the server performs
   // the profile refresh once for the requested chunk while the browser still drives all
   // manual ingestion through limit=5, batchSize=2, offset-based calls.
-  const pages = await fetchPortfolioRiskProfilePages(env);
+  const portfolios = portfolio ? [portfolio] : getPortfolios(env);
+  if (!portfolios.length) assertPortfolioId(env);
+  const snapshots = [];
+  for (const portfolioName of portfolios) snapshots.push(await refreshPortfolioRiskProfile(env, portfolioName));
+  const riskCount = snapshots.reduce((total, snapshot) => total + snapshot.riskCount, 0);
+  const severityCounts = snapshots.reduce((counts, snapshot) => {
+    for (const [key, count] of Object.entries(snapshot.severityCounts)) counts[key] = (counts[key] || 0) + count;
+    return counts;
+  }, {});
+  return {
+    portfolioName: portfolioLabel(portfolio),
+    trigger,
+    selectedVendorCount: selectedVendors.length,
+    vendorsProcessed: selectedVendors.length,
+    batchSize: boundedBatchSize,
+    portfolios: snapshots,
+    riskCount,
+    severityCounts,
+    successCount: snapshots.length,
+    failureCount: 0,
+    failures: [],
+    upguard: env.upguard.stats,
+    hasMore: false,
+    startedAt,
+    completedAt: new Date().toISOString(),
+  };
+}
+
+async function refreshPortfolioRiskProfile(env, portfolio) {
+  const pages = await fetchPortfolioRiskProfilePages(env, portfolio);
   const allRisks = pages.flatMap(extractRiskRecords);
   const totalVendors = getFirstNumber(pages, ["total_vendors", "totalVendors", "vendor_count", "vendorCount", "total_count", "totalCount"]);
   const snapshotRaw = { pages, pageCount: pages.length };
   const insert = await env.DB.prepare(
     `INSERT INTO portfolio_risk_profile_snapshots (portfolio_name, portfolio_id, total_vendors, raw_json)
      VALUES (?, ?, ?, ?)`
-  ).bind(PORTFOLIO_NAME, getPortfolioId(env), totalVendors, stringifyJson(snapshotRaw)).run();
+  ).bind(portfolio, portfolio, totalVendors, stringifyJson(snapshotRaw)).run();
   const snapshotId = insert.meta?.last_row_id;
   const normalized = allRisks.map(normalizeCommonRisk).filter((risk) => risk.title || risk.finding || risk.riskType || risk.riskSubtype);
   for (const batch of chunk(normalized.map((risk) => insertCommonRiskStatement(env.DB, snapshotId, risk)), 50)) {
     if (batch.length) await env.DB.batch(batch);
   }
-  const severityCounts = countBySeverity(normalized);
   const topRisks = normalized
     .slice()
     .sort((a, b) => (b.affectedVendorCount || 0) - (a.affectedVendorCount || 0) || (b.severity || 0) - (a.severity || 0))
     .slice(0, 10);
   return {
-    portfolioName: PORTFOLIO_NAME,
-    portfolioId: getPortfolioId(env),
-    trigger,
-    selectedVendorCount: selectedVendors.length,
-    vendorsProcessed: selectedVendors.length,
-    batchSize: boundedBatchSize,
+    portfolioName: portfolio,
     snapshotId,
     totalVendors,
     riskCount: normalized.length,
-    severityCounts,
+    severityCounts: countBySeverity(normalized),
     topRisks,
-    successCount: 1,
-    failureCount: 0,
-    failures: [],
-    hasMore: false,
-    startedAt,
-    completedAt: new Date().toISOString(),
   };
 }
 
-async function fetchPortfolioRiskProfilePages(env) {
+async function fetchPortfolioRiskProfilePages(env, portfolio) {
   const pages = [];
   let pageToken = "";
   for (let page = 0; page < 50; page += 1) {
-    const response = await fetchPortfolioRiskProfileResponse(env, pageToken);
-    const data = await parseUpGuardResponse(response, "portfolio risk profile");
+    const response = await fetchPortfolioRiskProfileResponse(env, portfolio, pageToken);
+    const data = await parseUpGuardResponse(response, `portfolio risk profile for ${portfolio}`);
     pages.push(data);
     pageToken = getNextPageToken(data);
     if (!pageToken) break;
@@ -366,40 +770,185 @@ async function fetchPortfolioRiskProfilePages(env) {
   return pages;
 }
 
-function fetchPortfolioRiskProfileResponse(env, pageToken = "") {
-  assertPortfolioId(env);
-  const url = new URL(UPGUARD_PORTFOLIO_RISK_PROFILE_ENDPOINT);
-  url.searchParams.set("portfolios", getPortfolioId(env));
+async function syncPortfolioVendors(env, { trigger = "manual", portfolio = null, dryRun = false } = {}) {
+  assertDb(env);
+  assertApiKey(env);
+  await assertD1Schema(env, ["portfolio_vendors", "portfolio_membership_events", "upguard_requests"]);
+  env = withUpGuardClient(env, trigger);
+  const portfolios = portfolio ? [portfolio] : getPortfolios(env);
+  if (!portfolios.length) assertPortfolioId(env);
+  const startedAt = new Date().toISOString();
+  const results = [];
+  const failures = [];
+  for (const portfolioName of portfolios) {
+    try {
+      results.push(await syncPortfolioMembership(env, portfolioName, dryRun));
+    } catch (error) {
+      const failure = {
+        ok: false,
+        portfolioName,
+        hostname: null,
+        errorMessage: `Portfolio ${portfolioName}: ${getErrorMessage(error)}`,
+        statusCode: error.statusCode || null,
+        responseBody: error.responseBody || null,
+      };
+      await logIngestionError(env.DB, failure);
+      failures.push(failure);
+    }
+  }
+
+  return {
+    portfolioName: portfolioLabel(portfolio),
+    trigger,
+    dryRun,
+    portfolios: results,
+    addedCount: results.reduce((total, result) => total + result.addedCount, 0),
+    removedCount: results.reduce((total, result) => total + result.removedCount, 0),
+    selectedVendorCount: 0,
+    successCount: results.length,
+    failureCount: failures.length,
+    failures,
+    hasMore: false,
+    startedAt,
+    completedAt: new Date().toISOString(),
+  };
+}
+
+async function syncPortfolioMembership(env, portfolio, dryRun) {
+  const upstreamVendors = await fetchPortfolioVendors(env, portfolio);
+  // An empty upstream list almost always means a wrong portfolio name or a scoped API key,
+  // so refuse to deactivate the whole inventory on that basis.
+  if (!upstreamVendors.length) throw new Error(`UpGuard returned no vendors for portfolio ${portfolio}; inventory left unchanged.`);
+
+  const { results } = await env.DB.prepare("SELECT * FROM portfolio_vendors WHERE portfolio = ?").bind(portfolio).all();
+  const local = new Map((results || []).map((vendor) => [vendor.vendor_primary_hostname, vendor]));
+  const upstream = new Map(upstreamVendors.map((vendor) => [vendor.vendorPrimaryHostname, vendor]));
+  const added = upstreamVendors.filter((vendor) => !local.get(vendor.vendorPrimaryHostname)?.active);
+  const removed = [...local.values()]
+    .filter((vendor) => vendor.active && !upstream.has(vendor.vendor_primary_hostname))
+    .map((vendor) => ({ vendorPrimaryHostname: vendor.vendor_primary_hostname, displayName: vendor.display_name, rawJson: stringifyJson(vendor) }));
+
+  if (!dryRun) {
+    const statements = [
+      ...added.map((vendor) => env.DB.prepare(
+        `INSERT INTO portfolio_vendors (portfolio, vendor_primary_hostname, display_name, active)
+         VALUES (?, ?, ?, 1)
+         ON CONFLICT(portfolio, vendor_primary_hostname) DO UPDATE SET
+           active = 1,
+           display_name = COALESCE(portfolio_vendors.display_name, excluded.display_name),
+           updated_at = CURRENT_TIMESTAMP`
+      ).bind(portfolio, vendor.vendorPrimaryHostname, vendor.displayName)),
+      ...removed.map((vendor) => env.DB.prepare(
+        "UPDATE portfolio_vendors SET active = 0, updated_at = CURRENT_TIMESTAMP WHERE portfolio = ? AND vendor_primary_hostname = ?"
+      ).bind(portfolio, vendor.vendorPrimaryHostname)),
+      ...added.map((vendor) => insertMembershipEventStatement(env.DB, portfolio, "vendor_added", vendor)),
+      ...removed.map((vendor) => insertMembershipEventStatement(env.DB, portfolio, "vendor_removed", vendor)),
+      ...upstreamVendors.filter((vendor) => vendor.score != null).map((vendor) => env.DB.prepare(
+        `INSERT INTO vendor_upguard_scores (vendor_primary_hostname, score, raw_json, captured_at)
+         VALUES (?, ?, ?, ?)
+         ON CONFLICT(vendor_primary_hostname) DO UPDATE SET score = excluded.score, raw_json = excluded.raw_json, captured_at = excluded.captured_at`
+      ).bind(vendor.vendorPrimaryHostname, vendor.score, vendor.rawJson, new Date().toISOString())),
+    ];
+    for (const batch of chunk(statements, 50)) {
+      if (batch.length) await env.DB.batch(batch);
+    }
+  }
+
+  return {
+    portfolioName: portfolio,
+    upstreamVendorCount: upstreamVendors.length,
+    localActiveVendorCount: [...local.values()].filter((vendor) => vendor.active).length,
+    addedCount: added.length,
+    removedCount: removed.length,
+    added: added.map((vendor) => ({ vendor_primary_hostname: vendor.vendorPrimaryHostname, display_name: vendor.displayName })),
+    removed: removed.map((vendor) => ({ vendor_primary_hostname: vendor.vendorPrimaryHostname, display_name: vendor.displayName })),
+  };
+}
+
+async function fetchPortfolioVendors(env, portfolio) {
+  const vendors = new Map();
+  let pageToken = "";
+  for (let page = 0; page < 50; page += 1) {
+    const response = await fetchPortfolioVendorsResponse(env, portfolio, pageToken);
+    const data = await parseUpGuardResponse(response, `portfolio vendors for ${portfolio}`);
+    for (const vendor of extractVendorRecords(data).map(normalizePortfolioVendorRecord)) {
+      if (vendor.vendorPrimaryHostname) vendors.set(vendor.vendorPrimaryHostname, vendor);
+    }
+    pageToken = getNextPageToken(data);
+    if (!pageToken) break;
+  }
+  return [...vendors.values()];
+}
+
+function fetchPortfolioVendorsResponse(env, portfolio, pageToken = "") {
+  const url = buildUpGuardUrl(env, UPGUARD_VENDORS_PATH);
+  url.searchParams.set("portfolios", portfolio);
+  url.searchParams.set("page_size", "1000");
+  if (pageToken) url.searchParams.set("page_token", pageToken);
+  return fetchUpGuard(env, url);
+}
+
+function extractVendorRecords(data) {
+  if (Array.isArray(data?.vendors)) return data.vendors;
+  return extractRiskRecords(data);
+}
+
+function normalizePortfolioVendorRecord(vendor) {
+  const safeVendor = vendor && typeof vendor === "object" ? vendor : {};
+  return {
+    vendorPrimaryHostname: normalizeHostname(firstDefined(safeVendor.primary_hostname, safeVendor.primaryHostname, safeVendor.hostname, safeVendor.domain)),
+    displayName: stringOrNull(firstDefined(safeVendor.name, safeVendor.display_name, safeVendor.displayName)),
+    score: toNullableInteger(firstDefined(safeVendor.score, safeVendor.overallScore, safeVendor.overall_score)),
+    rawJson: stringifyJson(safeVendor),
+  };
+}
+
+function insertMembershipEventStatement(db, portfolioId, eventType, vendor) {
+  return db.prepare(
+    `INSERT INTO portfolio_membership_events (portfolio_id, vendor_primary_hostname, event_type, display_name, raw_json)
+     VALUES (?, ?, ?, ?, ?)`
+  ).bind(portfolioId, vendor.vendorPrimaryHostname, eventType, vendor.displayName, vendor.rawJson);
+}
+
+function fetchPortfolioRiskProfileResponse(env, portfolio, pageToken = "") {
+  const url = buildUpGuardUrl(env, UPGUARD_PORTFOLIO_RISK_PROFILE_PATH);
+  url.searchParams.set("portfolios", portfolio);
   url.searchParams.set("page_size", "2000");
   if (pageToken) url.searchParams.set("page_token", pageToken);
   return fetchUpGuard(env, url);
 }
 
-async function runVendorRiskIngestion(env, { trigger = "manual", batchSize = DEFAULT_BATCH_SIZE, vendors = PORTFOLIO_VENDORS, offset = 0, manualVendor = false } = {}) {
+async function runVendorRiskIngestion(env, { trigger = "manual", batchSize = DEFAULT_BATCH_SIZE, vendors = null, offset = 0, totalVendors = null, portfolio = null, manualVendor = false } = {}) {
   assertDb(env);
   assertApiKey(env);
-  await assertD1Schema(env, ["vendor_active_risks", "ingestion_errors"]);
-  const selectedVendors = normalizeVendorList(vendors);
+  await assertD1Schema(env, ["vendor_active_risks", "ingestion_errors", "portfolio_vendors", "upguard_requests"]);
+  env = withUpGuardClient(env, trigger);
+  const selectedVendors = normalizeVendorList(vendors ?? await listActiveVendorHostnames(env.DB, portfolio));
+  const portfolioVendorCount = totalVendors ?? await countActivePortfolioVendors(env.DB, portfolio);
   const boundedBatchSize = clamp(batchSize, 1, MAX_BATCH_SIZE);
   const startedAt = new Date().toISOString();
   const successes = [];
   const failures = [];
   for (const batch of chunk(selectedVendors, boundedBatchSize)) {
+    if (env.upguard.isCircuitOpen()) break;
     const results = await Promise.all(batch.map((vendorPrimaryHostname) => ingestVendorActiveRisks(env, vendorPrimaryHostname)));
     for (const result of results) result.ok ? successes.push(result.vendorPrimaryHostname) : failures.push(result);
   }
-  const nextOffset = offset + selectedVendors.length;
+  const vendorsProcessed = successes.length + failures.length;
+  const nextOffset = offset + vendorsProcessed;
   return {
-    portfolioName: PORTFOLIO_NAME,
+    portfolioName: portfolioLabel(portfolio),
     trigger,
     selectedVendorCount: selectedVendors.length,
-    vendorsProcessed: selectedVendors.length,
+    vendorsProcessed,
     offset,
     nextOffset,
-    hasMore: !manualVendor && nextOffset < PORTFOLIO_VENDORS.length && selectedVendors.length > 0,
+    hasMore: !manualVendor && nextOffset < portfolioVendorCount && vendorsProcessed > 0,
     successCount: successes.length,
     failureCount: failures.length,
     failures,
+    stoppedEarly: vendorsProcessed < selectedVendors.length,
+    upguard: env.upguard.stats,
     startedAt,
     completedAt: new Date().toISOString(),
   };
@@ -442,26 +991,38 @@ function fetchVendorActiveRisksResponse(env, vendorPrimaryHostname) {
     throw new Error("vendor_primary_hostname is required for UpGuard active risks.");
   }
 
-  const url = new URL(UPGUARD_VENDOR_RISKS_ENDPOINT);
+  const url = buildUpGuardUrl(env, UPGUARD_VENDOR_RISKS_PATH);
   url.searchParams.set("vendor_primary_hostname", cleanVendorPrimaryHostname);
 
   return fetchUpGuard(env, url);
 }
 
-async function runRiskDiffIngestion(env, { trigger = "manual", days = 30, startDate = null, endDate = null, batchSize = DEFAULT_BATCH_SIZE, vendors = PORTFOLIO_VENDORS } = {}) {
+async function runRiskDiffIngestion(env, { trigger = "manual", days = 30, startDate = null, endDate = null, batchSize = DEFAULT_BATCH_SIZE, vendors = null, portfolio = null } = {}) {
   assertDb(env);
   assertApiKey(env);
-  await assertD1Schema(env, ["vendor_risk_events", "ingestion_errors"]);
-  const selectedVendors = normalizeVendorList(vendors);
+  await assertD1Schema(env, ["vendor_risk_events", "ingestion_errors", "portfolio_vendors", "upguard_requests", "alert_rules", "alert_channels", "alerts", "alert_deliveries", "webhook_subscriptions", "webhook_deliveries"]);
+  env = withUpGuardClient(env, trigger);
+  const selectedVendors = normalizeVendorList(vendors ?? await listActiveVendorHostnames(env.DB, portfolio));
   const boundedBatchSize = clamp(batchSize, 1, MAX_BATCH_SIZE);
   const range = buildRiskDiffRange({ days, startDate, endDate });
   const successes = [];
   const failures = [];
+  const newEvents = [];
   for (const batch of chunk(selectedVendors, boundedBatchSize)) {
+    if (env.upguard.isCircuitOpen()) break;
     const results = await Promise.all(batch.map((vendorPrimaryHostname) => ingestRiskDiff(env, vendorPrimaryHostname, range)));
-    for (const result of results) result.ok ? successes.push(result.vendorPrimaryHostname) : failures.push(result);
+    for (const result of results) {
+      if (!result.ok) failures.push(result);
+      else {
+        successes.push(result.vendorPrimaryHostname);
+        newEvents.push(...result.newEvents);
+      }
+    }
   }
-  return { portfolioName: PORTFOLIO_NAME, trigger, days: range.days, startDate: range.startDate, endDate: range.endDate, selectedVendorCount: selectedVendors.length, vendorsProcessed: selectedVendors.length, successCount: successes.length, failureCount: failures.length, failures, completedAt: new Date().toISOString() };
+  const vendorsProcessed = successes.length + failures.length;
+  const alerts = await runAlertEvaluation(env, successes);
+  const webhooks = await publishWebhookEvents(env, async () => newEvents.map(riskEventWebhookEvent));
+  return { portfolioName: portfolioLabel(portfolio), trigger, days: range.days, startDate: range.startDate, endDate: range.endDate, selectedVendorCount: selectedVendors.length, vendorsProcessed, successCount: successes.length, failureCount: failures.length, failures, alerts, webhooks, stoppedEarly: vendorsProcessed < selectedVendors.length, upguard: env.upguard.stats, completedAt: new Date().toISOString() };
 }
 
 async function ingestRiskDiff(env, vendorPrimaryHostname, range) {
@@ -469,12 +1030,20 @@ async function ingestRiskDiff(env, vendorPrimaryHostname, range) {
   try {
     const data = await fetchRiskDiff(env, cleanVendorPrimaryHostname, range);
     const events = normalizeRiskDiffEvents(cleanVendorPrimaryHostname, data, range);
+    const knownKeys = new Set();
+    for (const batch of chunk(events.map((event) => event.eventKey), 50)) {
+      const { results } = await env.DB.prepare(
+        `SELECT event_key FROM vendor_risk_events WHERE event_key IN (${batch.map(() => "?").join(", ")})`
+      ).bind(...batch).all();
+      for (const row of results || []) knownKeys.add(row.event_key);
+    }
     for (const batch of chunk(events.map((event) => insertRiskEventStatement(env.DB, event)), 50)) {
       if (batch.length) await env.DB.batch(batch);
     }
-    return { ok: true, hostname: cleanVendorPrimaryHostname, vendorPrimaryHostname: cleanVendorPrimaryHostname, eventCount: events.length };
+    const newEvents = events.filter((event) => !knownKeys.has(event.eventKey));
+    return { ok: true, hostname: cleanVendorPrimaryHostname, vendorPrimaryHostname: cleanVendorPrimaryHostname, eventCount: events.length, newEvents };
   } catch (error) {
-    const failure = { ok: false, hostname: cleanVendorPrimaryHostname, vendorPrimaryHostname: cleanVendorPrimaryHostname, errorMessage: getErrorMessage(error), statusCode: error.statusCode || null, responseBody: error.responseBody || null };
+    const failure = { ok: false, hostname: cleanVendorPrimaryHostname, vendorPrimaryHostname: cleanVendorPrimaryHostname, errorMessage: getErrorMessage(error), errorCode: error.code || null, statusCode: error.statusCode || null, responseBody: error.responseBody || null };
     await logIngestionError(env.DB, failure);
     return failure;
   }
@@ -485,7 +1054,7 @@ async function fetchRiskDiff(env, vendorPrimaryHostname, { startDate, endDate })
   return parseUpGuardResponse(response, `risk diff for ${vendorPrimaryHostname}`);
 }
 
-function buildRiskDiffUrl(vendorPrimaryHostname, startDate, endDate, includeSources = true) {
+function buildRiskDiffUrl(env, vendorPrimaryHostname, startDate, endDate, includeSources = true) {
   const cleanVendorPrimaryHostname = normalizeHostname(vendorPrimaryHostname);
   if (!cleanVendorPrimaryHostname) {
     throw new Error("vendor_primary_hostname is required for UpGuard risk diff.");
@@ -494,7 +1063,7 @@ function buildRiskDiffUrl(vendorPrimaryHostname, startDate, endDate, includeSour
     throw new Error("start_date is required for UpGuard risk diff.");
   }
 
-  const url = new URL(UPGUARD_RISK_DIFF_ENDPOINT);
+  const url = buildUpGuardUrl(env, UPGUARD_RISK_DIFF_PATH);
   url.searchParams.set("vendor_primary_hostname", cleanVendorPrimaryHostname);
   url.searchParams.set("start_date", startDate);
   if (endDate) url.searchParams.set("end_date", endDate);
@@ -503,23 +1072,219 @@ function buildRiskDiffUrl(vendorPrimaryHostname, startDate, endDate, includeSour
 }
 
 function fetchRiskDiffResponse(env, vendorPrimaryHostname, startDate, endDate, includeSources = true) {
-  return fetchUpGuard(env, buildRiskDiffUrl(vendorPrimaryHostname, startDate, endDate, includeSources));
+  return fetchUpGuard(env, buildRiskDiffUrl(env, vendorPrimaryHostname, startDate, endDate, includeSources));
 }
 
 
 function buildRiskDiffRange({ days = 30, startDate = null, endDate = null } = {}) {
-  const boundedDays = clamp(days, 1, 30);
-  const maxStartDate = new Date(Date.now() - 2 * 365 * 24 * 60 * 60 * 1000);
+  const boundedDays = clamp(days, 1, RISK_DIFF_WINDOW_DAYS);
+  const maxStartDate = new Date(Date.now() - RISK_DIFF_HISTORY_DAYS * 24 * 60 * 60 * 1000);
   const end = endDate ? new Date(endDate) : new Date();
   if (Number.isNaN(end.getTime())) throw new Error("end_date must be a valid RFC3339 date for UpGuard risk diff.");
   let start = startDate ? new Date(startDate) : new Date(end.getTime() - boundedDays * 24 * 60 * 60 * 1000);
   if (Number.isNaN(start.getTime())) throw new Error("start_date must be a valid RFC3339 date for UpGuard risk diff.");
   if (start < maxStartDate) start = maxStartDate;
-  const minStartForInterval = new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+  const minStartForInterval = new Date(end.getTime() - RISK_DIFF_WINDOW_DAYS * 24 * 60 * 60 * 1000);
   if (start < minStartForInterval) start = minStartForInterval;
   return { days: boundedDays, startDate: start.toISOString(), endDate: end.toISOString() };
 }
 
+async function runRiskDiffBackfill(env, { trigger = "manual", since = null, until = null, backfillId = null, limit = DEFAULT_BACKFILL_CHUNK_SIZE, batchSize = DEFAULT_BATCH_SIZE, portfolio = null, timeBudgetMs = PIPELINE_TIME_BUDGET_MS } = {}) {
+  assertDb(env);
+  assertApiKey(env);
+  await assertD1Schema(env, ["vendor_risk_events", "ingestion_errors", "portfolio_vendors", "upguard_requests", "risk_diff_backfills", "risk_diff_backfill_windows"]);
+  env = withUpGuardClient(env, trigger);
+  const startedMs = Date.now();
+  let backfill = backfillId ? await getRiskDiffBackfill(env.DB, backfillId) : await getActiveRiskDiffBackfill(env.DB, portfolio);
+  if (backfillId && !backfill) throw new RequestError(404, "backfill_not_found", `Risk diff backfill ${backfillId} does not exist.`);
+  if (!backfill) {
+    if (!since) throw new RequestError(400, "invalid_request", "since is required to start a risk diff backfill.");
+    backfill = await createRiskDiffBackfill(env, { trigger, since, until, portfolio });
+  } else if (since && !backfillId && parseBackfillSince(since).slice(0, 10) !== (backfill.requested_since || backfill.since).slice(0, 10)) {
+    // Compared before clamping: a clamped since moves with the clock, the requested one does not.
+    const requested = (backfill.requested_since || backfill.since).slice(0, 10);
+    throw new RequestError(409, "backfill_in_progress", `Risk diff backfill #${backfill.id} for ${portfolioLabel(backfill.portfolio_name)} since ${requested} is still running. Resume it before starting another.`);
+  }
+
+  const result = { trigger, windowsProcessed: 0, successCount: 0, failureCount: 0, failures: [], eventCount: 0 };
+  if (backfill.status !== "running") return { ...result, skipped: true, reason: "backfill_finished", hasMore: false, backfill: await hydrateRiskDiffBackfill(env.DB, backfill) };
+  if (!(await acquireLease(env.DB, "risk_diff_backfills", backfill.id))) return { ...result, skipped: true, reason: "backfill_locked", hasMore: true, backfill: await hydrateRiskDiffBackfill(env.DB, backfill) };
+
+  try {
+    const windows = await listRetryableBackfillWindows(env.DB, backfill.id, clamp(limit, 1, MAX_BACKFILL_CHUNK_SIZE));
+    for (const batch of chunk(windows, clamp(batchSize, 1, MAX_BATCH_SIZE))) {
+      if (env.upguard.isCircuitOpen() || Date.now() - startedMs >= timeBudgetMs) break;
+      const results = await Promise.all(batch.map((window) => ingestRiskDiff(env, window.vendor_primary_hostname, { startDate: window.window_start, endDate: window.window_end })));
+      const now = new Date().toISOString();
+      const statements = [];
+      results.forEach((windowResult, index) => {
+        // Requests the client refused locally never reached UpGuard, so the window stays pending
+        // without spending one of its attempts.
+        if (!windowResult.ok && (windowResult.errorCode === "circuit_open" || windowResult.errorCode === "budget_exhausted")) return;
+        result.windowsProcessed += 1;
+        if (windowResult.ok) {
+          result.successCount += 1;
+          result.eventCount += windowResult.eventCount;
+        } else {
+          result.failureCount += 1;
+          result.failures.push({ ...windowResult, windowStart: batch[index].window_start, windowEnd: batch[index].window_end });
+        }
+        statements.push(updateBackfillWindowStatement(env.DB, batch[index].id, windowResult, now));
+      });
+      if (statements.length) await env.DB.batch(statements);
+    }
+    backfill = await finishRiskDiffBackfillIfDone(env.DB, backfill.id);
+  } finally {
+    await env.DB.prepare("UPDATE risk_diff_backfills SET lease_expires_at = NULL WHERE id = ?").bind(backfill.id).run();
+  }
+
+  const hydrated = await hydrateRiskDiffBackfill(env.DB, backfill);
+  return { ...result, skipped: false, hasMore: backfill.status === "running", stoppedEarly: env.upguard.isCircuitOpen(), backfill: hydrated, upguard: env.upguard.stats, elapsedMs: Date.now() - startedMs };
+}
+
+function parseBackfillSince(since) {
+  const start = new Date(since);
+  if (Number.isNaN(start.getTime())) throw new RequestError(400, "invalid_request", "since must be a valid date such as 2025-01-01.");
+  return start.toISOString();
+}
+
+function buildRiskDiffBackfillWindows({ since, until = null, now = new Date() } = {}) {
+  const end = until ? new Date(until) : new Date(now);
+  if (Number.isNaN(end.getTime())) throw new RequestError(400, "invalid_request", "until must be a valid date.");
+  if (end > now) end.setTime(now.getTime());
+  let start = new Date(parseBackfillSince(since));
+  // UpGuard keeps two years of risk diff history; older windows would be rejected.
+  const floor = new Date(now.getTime() - RISK_DIFF_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+  const clamped = start < floor;
+  if (clamped) start = floor;
+  if (start >= end) throw new RequestError(400, "invalid_request", "since must be earlier than until.");
+
+  const windows = [];
+  for (let cursor = start; cursor < end;) {
+    const windowEnd = new Date(Math.min(cursor.getTime() + RISK_DIFF_WINDOW_DAYS * 24 * 60 * 60 * 1000, end.getTime()));
+    windows.push({ startDate: cursor.toISOString(), endDate: windowEnd.toISOString() });
+    cursor = windowEnd;
+  }
+  return { since: start.toISOString(), until: end.toISOString(), clamped, windows };
+}
+
+async function createRiskDiffBackfill(env, { trigger, since, until, portfolio }) {
+  const plan = buildRiskDiffBackfillWindows({ since, until });
+  const vendors = await listActiveVendorHostnames(env.DB, portfolio);
+  if (!vendors.length) throw new RequestError(400, "invalid_request", `No active vendors in ${portfolioLabel(portfolio)} to backfill.`);
+  const now = new Date().toISOString();
+  const insert = await env.DB.prepare(
+    `INSERT INTO risk_diff_backfills (trigger, status, portfolio_name, since, requested_since, until, vendor_count, window_count, started_at, updated_at)
+     VALUES (?, 'running', ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).bind(trigger, portfolio, plan.since, parseBackfillSince(since), plan.until, vendors.length, vendors.length * plan.windows.length, now, now).run();
+  const backfillId = insert.meta?.last_row_id;
+  const statements = vendors.flatMap((vendorPrimaryHostname) => plan.windows.map((window) => env.DB.prepare(
+    `INSERT INTO risk_diff_backfill_windows (backfill_id, vendor_primary_hostname, window_start, window_end, updated_at)
+     VALUES (?, ?, ?, ?, ?)`
+  ).bind(backfillId, vendorPrimaryHostname, window.startDate, window.endDate, now)));
+  for (const batch of chunk(statements, 50)) await env.DB.batch(batch);
+  return getRiskDiffBackfill(env.DB, backfillId);
+}
+
+function listRetryableBackfillWindows(db, backfillId, limit) {
+  return db.prepare(
+    `SELECT id, vendor_primary_hostname, window_start, window_end, attempt_count
+     FROM risk_diff_backfill_windows
+     WHERE backfill_id = ? AND (status = 'pending' OR (status = 'failed' AND attempt_count < ?))
+     ORDER BY attempt_count, window_start, vendor_primary_hostname
+     LIMIT ?`
+  ).bind(backfillId, BACKFILL_MAX_ATTEMPTS, limit).all().then(({ results }) => results || []);
+}
+
+function updateBackfillWindowStatement(db, windowId, result, now) {
+  return db.prepare(
+    `UPDATE risk_diff_backfill_windows
+     SET status = ?, attempt_count = attempt_count + 1, event_count = ?, error_message = ?, updated_at = ?
+     WHERE id = ?`
+  ).bind(result.ok ? "completed" : "failed", result.ok ? result.eventCount : 0, result.ok ? null : result.errorMessage, now, windowId);
+}
+
+async function finishRiskDiffBackfillIfDone(db, backfillId) {
+  const now = new Date().toISOString();
+  const remaining = await db.prepare(
+    `SELECT
+       SUM(CASE WHEN status = 'pending' OR (status = 'failed' AND attempt_count < ?) THEN 1 ELSE 0 END) AS retryable,
+       SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) AS failed
+     FROM risk_diff_backfill_windows
+     WHERE backfill_id = ?`
+  ).bind(BACKFILL_MAX_ATTEMPTS, backfillId).first();
+  const status = remaining?.retryable ? "running" : remaining?.failed ? "completed_with_errors" : "completed";
+  await db.prepare(
+    `UPDATE risk_diff_backfills
+     SET status = ?, updated_at = ?, completed_at = ?
+     WHERE id = ?`
+  ).bind(status, now, status === "running" ? null : now, backfillId).run();
+  return getRiskDiffBackfill(db, backfillId);
+}
+
+function getRiskDiffBackfill(db, backfillId) {
+  return db.prepare("SELECT * FROM risk_diff_backfills WHERE id = ?").bind(toNullableInteger(backfillId)).first();
+}
+
+// Each portfolio (or all of them, as null) runs its own backfill; a request for one never resumes
+// another's.
+function getActiveRiskDiffBackfill(db, portfolio) {
+  return db.prepare("SELECT * FROM risk_diff_backfills WHERE status = 'running' AND portfolio_name IS ? ORDER BY id DESC LIMIT 1").bind(portfolio ?? null).first();
+}
+
+function getCurrentRiskDiffBackfill(db) {
+  return db.prepare("SELECT * FROM risk_diff_backfills ORDER BY status = 'running' DESC, id DESC LIMIT 1").first();
+}
+
+async function hydrateRiskDiffBackfill(db, backfill) {
+  if (!backfill) return null;
+  const counts = await db.prepare(
+    `SELECT
+       SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) AS completed,
+       SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) AS failed,
+       SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) AS pending,
+       COALESCE(SUM(event_count), 0) AS event_count
+     FROM risk_diff_backfill_windows
+     WHERE backfill_id = ?`
+  ).bind(backfill.id).first();
+  const { lease_expires_at: _lease, ...rest } = backfill;
+  const completedWindows = counts?.completed || 0;
+  const failedWindows = counts?.failed || 0;
+  return {
+    ...rest,
+    completedWindows,
+    failedWindows,
+    pendingWindows: counts?.pending || 0,
+    eventCount: counts?.event_count || 0,
+    progress: backfill.window_count ? Math.round(((completedWindows + (backfill.status === "running" ? 0 : failedWindows)) / backfill.window_count) * 100) : 100,
+  };
+}
+
+async function getRiskDiffBackfillStatus(env, url) {
+  assertDb(env);
+  await assertD1Schema(env, ["risk_diff_backfills", "risk_diff_backfill_windows"]);
+  const backfillId = url.searchParams.get("backfill_id");
+  const backfill = backfillId
+    ? await getRiskDiffBackfill(env.DB, backfillId)
+    : await getCurrentRiskDiffBackfill(env.DB);
+  if (backfillId && !backfill) throw new RequestError(404, "backfill_not_found", `Risk diff backfill ${backfillId} does not exist.`);
+  if (!backfill) return { backfill: null, vendors: [] };
+  const { results } = await env.DB.prepare(
+    `SELECT
+       vendor_primary_hostname,
+       COUNT(*) AS window_count,
+       SUM(CASE WHEN status = 'completed' THEN 1 ELSE 0 END) AS completed_windows,
+       SUM(CASE WHEN status = 'failed' THEN 1 ELSE 0 END) AS failed_windows,
+       SUM(event_count) AS event_count,
+       MIN(CASE WHEN status <> 'completed' THEN window_start END) AS next_window_start
+     FROM risk_diff_backfill_windows
+     WHERE backfill_id = ?
+     GROUP BY vendor_primary_hostname
+     ORDER BY vendor_primary_hostname`
+  ).bind(backfill.id).all();
+  return { backfill: await hydrateRiskDiffBackfill(env.DB, backfill), vendors: results || [] };
+}
+
 async function parseUpGuardResponse(response, label) {
   const body = await response.text();
   const contentType = response.headers.get("content-type") || "";
@@ -534,56 +1299,544 @@ async function parseUpGuardResponse(response, label) {
 }
 
 function fetchUpGuard(env, url) {
-  return fetch(url.toString(), { headers: { "Authorization": env.UPGUARD_API_KEY, "Accept": "application/json" } });
+  return (env.upguard || createUpGuardClient(env)).request(url);
 }
 
-function getPortfolioId(env) {
-  return String(env.UPGUARD_PORTFOLIO_ID || "").trim();
+function withUpGuardClient(env, trigger) {
+  // Runs share one client so the request budget and circuit breaker span the whole run,
+  // including the nested runners the scheduled pipeline calls.
+  return env.upguard ? env : { ...env, upguard: createUpGuardClient(env, { trigger, record: true }) };
 }
 
-function assertPortfolioId(env) {
-  if (!getPortfolioId(env)) throw new Error("UPGUARD_PORTFOLIO_ID is not configured.");
+function createUpGuardClient(env, { trigger = null, record = false, transport = getUpGuardTransport(env), sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms)) } = {}) {
+  const maxRetries = clamp(env.UPGUARD_MAX_RETRIES ?? UPGUARD_MAX_RETRIES, 0, 10);
+  const stats = {
+    requestBudget: clamp(env.UPGUARD_REQUEST_BUDGET ?? UPGUARD_REQUEST_BUDGET, 1, 100000),
+    requestCount: 0,
+    attemptCount: 0,
+    retryCount: 0,
+    retriedRequestCount: 0,
+    failureCount: 0,
+    consecutiveFailures: 0,
+    circuitOpen: false,
+    budgetExhausted: false,
+  };
+
+  async function request(url) {
+    const target = new URL(url.toString());
+    const outcome = { attempts: 0, retries: 0, waitMs: 0, statusCode: null, outcome: "success", errorMessage: null };
+    stats.requestCount += 1;
+    try {
+      if (stats.circuitOpen) throw upGuardClientError("circuit_open", `UpGuard circuit breaker is open after ${stats.consecutiveFailures} consecutive failures; skipping remaining requests this run.`);
+      for (;;) {
+        if (stats.attemptCount >= stats.requestBudget) {
+          stats.budgetExhausted = true;
+          throw upGuardClientError("budget_exhausted", `UpGuard request budget of ${stats.requestBudget} attempts is exhausted for this run.`);
+        }
+        stats.attemptCount += 1;
+        outcome.attempts += 1;
+        let response = null;
+        let networkError = null;
+        try {
+          response = await transport(target, { headers: { "Authorization": env.UPGUARD_API_KEY, "Accept": "application/json" } });
+        } catch (error) {
+          networkError = error;
+        }
+        outcome.statusCode = response?.status ?? null;
+        const retryable = networkError || UPGUARD_RETRYABLE_STATUSES.includes(response.status);
+        if (!retryable) {
+          outcome.outcome = response.ok ? "success" : "http_error";
+          recordResult(!response.ok && response.status >= 500);
+          return response;
+        }
+        const delayMs = getUpGuardRetryDelay(response, outcome.retries);
+        if (outcome.retries >= maxRetries || delayMs == null) {
+          if (networkError) throw networkError;
+          outcome.outcome = response.status === 429 ? "throttled" : "http_error";
+          recordResult(true);
+          return response;
+        }
+        outcome.retries += 1;
+        outcome.waitMs += delayMs;
+        stats.retryCount += 1;
+        if (outcome.retries === 1) stats.retriedRequestCount += 1;
+        await response?.body?.cancel();
+        await sleep(delayMs);
+      }
+    } catch (error) {
+      const skipped = error.code === "circuit_open" || error.code === "budget_exhausted";
+      outcome.outcome = skipped ? error.code : "network_error";
+      outcome.errorMessage = getErrorMessage(error);
+      if (skipped) stats.failureCount += 1;
+      else recordResult(true);
+      throw error;
+    } finally {
+      // The request log is best effort: a failed write must not replace the UpGuard response or
+      // the error that ended the request.
+      if (record && env.DB) await logUpGuardRequest(env.DB, trigger, target, outcome).catch(() => {});
+    }
+  }
+
+  function recordResult(failed) {
+    if (!failed) {
+      stats.consecutiveFailures = 0;
+      return;
+    }
+    stats.failureCount += 1;
+    stats.consecutiveFailures += 1;
+    if (stats.consecutiveFailures >= UPGUARD_CIRCUIT_BREAKER_THRESHOLD) stats.circuitOpen = true;
+  }
+
+  return { request, stats, isCircuitOpen: () => stats.circuitOpen || stats.budgetExhausted };
 }
 
-async function getDebugUpGuardDomain(env, url) {
-  assertApiKey(env);
-  const hostname = normalizeHostname(url.searchParams.get("hostname") || "adobe.com");
-  const response = await fetchVendorDomainResponse(env, hostname, hostname);
-  const contentType = response.headers.get("content-type") || "";
-  const body = await response.text();
-  const data = body && contentType.toLowerCase().includes("application/json") ? parseJson(body, null) : null;
-  const checkResults = Array.isArray(data?.check_results) ? data.check_results : [];
-  const waivedCheckResults = Array.isArray(data?.waived_check_results) ? data.waived_check_results : [];
-  const result = {
-    requestedHostname: hostname,
-    requested_hostname: hostname,
-    status: response.status,
-    ok: response.ok,
-    contentType,
-    topLevelKeys: data && typeof data === "object" && !Array.isArray(data) ? Object.keys(data) : [],
-    hostname: data?.hostname || null,
-    automated_score: data?.automated_score ?? null,
-    scanned_at: data?.scanned_at || null,
-    a_records_count: Array.isArray(data?.a_records) ? data.a_records.length : 0,
-    labels_count: Array.isArray(data?.labels) ? data.labels.length : 0,
-    check_results_count: checkResults.length,
-    waived_check_results_count: waivedCheckResults.length,
-    first_check_sample: checkResults[0] || null,
-  };
+function getUpGuardRetryDelay(response, retryIndex) {
+  const retryAfter = response?.headers.get("retry-after");
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    const delayMs = Number.isFinite(seconds) ? seconds * 1000 : new Date(retryAfter).getTime() - Date.now();
+    if (Number.isFinite(delayMs)) return delayMs > UPGUARD_RETRY_MAX_DELAY_MS ? null : Math.max(0, delayMs);
+  }
+  // Full jitter: a random delay up to the exponential ceiling spreads concurrent batch retries.
+  const ceiling = Math.min(UPGUARD_RETRY_MAX_DELAY_MS, UPGUARD_RETRY_BASE_DELAY_MS * 2 ** retryIndex);
+  return Math.round(Math.random() * ceiling);
+}
 
-  if (!response.ok) result.errorBody = body.slice(0, 2000);
-  return result;
+function upGuardClientError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
 }
 
-async function getIngestionStatus(env) {
+function getUpGuardBaseUrl(env) {
+  return String(env.UPGUARD_BASE_URL || DEFAULT_UPGUARD_BASE_URL).trim().replace(/\/+$/, "");
+}
+
+function buildUpGuardUrl(env, path) {
+  return new URL(getUpGuardBaseUrl(env) + path);
+}
+
+function getUpGuardTransportMode(env) {
+  // Tests and local harnesses may bind a transport function directly instead of a mode name.
+  if (typeof env.UPGUARD_TRANSPORT === "function") return "custom";
+  const mode = String(env.UPGUARD_TRANSPORT || "live").trim().toLowerCase();
+  if (!UPGUARD_TRANSPORT_MODES.includes(mode)) throw new Error(`UPGUARD_TRANSPORT must be one of ${UPGUARD_TRANSPORT_MODES.join(", ")}.`);
+  return mode;
+}
+
+function getUpGuardTransport(env) {
+  const mode = getUpGuardTransportMode(env);
+  if (mode === "custom") return env.UPGUARD_TRANSPORT;
+  if (mode === "replay") return (url) => replayUpGuardFixture(env, url);
+  if (mode === "record") return (url, init) => recordUpGuardFixture(env, url, init);
+  return (url, init) => fetch(url.toString(), init);
+}
+
+async function replayUpGuardFixture(env, url) {
   assertDb(env);
-  await assertD1Schema(env, [
+  const { endpoint, requestKey } = getUpGuardFixtureKey(env, url);
+  const fixture = await env.DB.prepare(
+    "SELECT status_code, content_type, body FROM upguard_fixtures WHERE endpoint = ? AND request_key = ?"
+  ).bind(endpoint, requestKey).first();
+  if (!fixture) {
+    return new Response(JSON.stringify({ error: "fixture_not_found", message: `No recorded UpGuard fixture for ${endpoint}?${requestKey}.` }), {
+      status: 404,
+      headers: { "content-type": "application/json" },
+    });
+  }
+  return new Response(fixture.body, { status: fixture.status_code, headers: { "content-type": fixture.content_type || "application/json" } });
+}
+
+async function recordUpGuardFixture(env, url, init) {
+  const response = await fetch(url.toString(), init);
+  if (!response.ok) return response;
+  const body = await response.text();
+  const contentType = response.headers.get("content-type") || "application/json";
+  await upsertUpGuardFixtureStatement(env.DB, { ...getUpGuardFixtureKey(env, url), statusCode: response.status, contentType, body }).run();
+  return new Response(body, { status: response.status, headers: response.headers });
+}
+
+function getUpGuardFixtureKey(env, url) {
+  const target = new URL(url.toString());
+  const basePath = new URL(getUpGuardBaseUrl(env)).pathname.replace(/\/+$/, "");
+  const endpoint = basePath && target.pathname.startsWith(basePath) ? target.pathname.slice(basePath.length) : target.pathname;
+  // Date windows and page sizes change between runs, so they are left out of the replay key.
+  const params = Array.from(target.searchParams.entries())
+    .filter(([key]) => !UPGUARD_FIXTURE_IGNORED_PARAMS.includes(key))
+    .sort(([a], [b]) => a.localeCompare(b));
+  return { endpoint, requestKey: new URLSearchParams(params).toString() };
+}
+
+function upsertUpGuardFixtureStatement(db, fixture) {
+  return db.prepare(
+    `INSERT INTO upguard_fixtures (endpoint, request_key, status_code, content_type, body, recorded_at)
+     VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+     ON CONFLICT(endpoint, request_key) DO UPDATE SET
+       status_code = excluded.status_code,
+       content_type = excluded.content_type,
+       body = excluded.body,
+       recorded_at = excluded.recorded_at`
+  ).bind(fixture.endpoint, fixture.requestKey, fixture.statusCode, fixture.contentType, fixture.body);
+}
+
+async function listUpGuardFixtures(env, url) {
+  assertDb(env);
+  await assertD1Schema(env, ["upguard_fixtures"]);
+  const includeBody = toBooleanInteger(url.searchParams.get("include_body")) === 1;
+  const { results } = await env.DB.prepare(
+    `SELECT endpoint, request_key, status_code, content_type, LENGTH(body) AS body_length, recorded_at${includeBody ? ", body" : ""}
+     FROM upguard_fixtures
+     WHERE ? IS NULL OR endpoint = ?
+     ORDER BY endpoint ASC, request_key ASC`
+  ).bind(url.searchParams.get("endpoint"), url.searchParams.get("endpoint")).all();
+  return {
+    transport: getUpGuardTransportMode(env),
+    fixtureCount: (results || []).length,
+    fixtures: (results || []).map((fixture) => includeBody ? { ...fixture, body: parseJson(fixture.body, fixture.body) } : fixture),
+  };
+}
+
+async function saveUpGuardFixtures(env, body) {
+  assertDb(env);
+  await assertD1Schema(env, ["upguard_fixtures"]);
+  const fixtures = (Array.isArray(body.fixtures) ? body.fixtures : [body]).map((fixture) => normalizeUpGuardFixture(env, fixture));
+  for (const batch of chunk(fixtures.map((fixture) => upsertUpGuardFixtureStatement(env.DB, fixture)), 50)) {
+    if (batch.length) await env.DB.batch(batch);
+  }
+  return { savedCount: fixtures.length, fixtures: fixtures.map(({ endpoint, requestKey, statusCode }) => ({ endpoint, requestKey, statusCode })) };
+}
+
+function normalizeUpGuardFixture(env, fixture) {
+  const safeFixture = fixture && typeof fixture === "object" ? fixture : {};
+  const endpoint = stringOrNull(safeFixture.endpoint);
+  if (!endpoint || !endpoint.startsWith("/")) throw new RequestError(400, "invalid_request", "Each fixture needs an endpoint path such as /risks/vendors.");
+  if (safeFixture.body === undefined) throw new RequestError(400, "invalid_request", `Fixture for ${endpoint} is missing a body.`);
+  const url = buildUpGuardUrl(env, endpoint);
+  const params = safeFixture.params ?? pickBodyField(safeFixture, "request_key", "requestKey") ?? {};
+  for (const [key, value] of new URLSearchParams(typeof params === "string" ? params : Object.entries(params).map(([key, value]) => [key, String(value)]))) {
+    url.searchParams.append(key, value);
+  }
+  return {
+    ...getUpGuardFixtureKey(env, url),
+    statusCode: clamp(pickBodyField(safeFixture, "status_code", "statusCode", "status") ?? 200, 100, 599),
+    contentType: stringOrNull(pickBodyField(safeFixture, "content_type", "contentType")) || "application/json",
+    body: typeof safeFixture.body === "string" ? safeFixture.body : stringifyJson(safeFixture.body),
+  };
+}
+
+function getPortfolioId(env) {
+  return String(env.UPGUARD_PORTFOLIO_ID || "").trim();
+}
+
+function getPortfolios(env) {
+  // UPGUARD_PORTFOLIO_ID stays the default portfolio; UPGUARD_PORTFOLIOS adds the others,
+  // either as a JSON array or a comma-separated list of UpGuard portfolio names.
+  const configured = parseJson(env.UPGUARD_PORTFOLIOS, null);
+  const extra = Array.isArray(configured) ? configured : String(env.UPGUARD_PORTFOLIOS || "").split(",");
+  return [...new Set([getPortfolioId(env), ...extra.map((portfolio) => String(portfolio || "").trim())].filter(Boolean))];
+}
+
+function resolvePortfolio(env, value, { allowAll = true } = {}) {
+  const requested = String(value ?? "").trim();
+  if (!requested) return getPortfolios(env)[0] || null;
+  if (allowAll && requested.toLowerCase() === ALL_PORTFOLIOS) return null;
+  const portfolio = getPortfolios(env).find((candidate) => candidate.toLowerCase() === requested.toLowerCase());
+  if (!portfolio) throw new RequestError(400, "unknown_portfolio", `${requested} is not a configured UpGuard portfolio. Add it to UPGUARD_PORTFOLIOS.`);
+  return portfolio;
+}
+
+function getPortfolioScope(env, url, options) {
+  return resolvePortfolio(env, url.searchParams.get("portfolio"), options);
+}
+
+function portfolioLabel(portfolio) {
+  return portfolio || "All portfolios";
+}
+
+function portfolioMembershipClause(column = "vendor_primary_hostname") {
+  return `(? IS NULL OR ${column} IN (SELECT vendor_primary_hostname FROM portfolio_vendors WHERE active = 1 AND portfolio = ?))`;
+}
+
+async function listPortfolios(env) {
+  assertDb(env);
+  await assertD1Schema(env, ["portfolio_vendors"]);
+  const { results } = await env.DB.prepare(
+    `SELECT portfolio, COUNT(*) AS vendor_count, COALESCE(SUM(active), 0) AS active_vendor_count
+     FROM portfolio_vendors
+     GROUP BY portfolio`
+  ).all();
+  const counts = new Map((results || []).map((row) => [row.portfolio, row]));
+  return {
+    defaultPortfolio: getPortfolios(env)[0] || null,
+    portfolios: getPortfolios(env).map((portfolio) => ({
+      portfolio,
+      vendorCount: counts.get(portfolio)?.vendor_count || 0,
+      activeVendorCount: counts.get(portfolio)?.active_vendor_count || 0,
+    })),
+  };
+}
+
+function assertPortfolioId(env) {
+  if (!getPortfolioId(env)) throw new Error("UPGUARD_PORTFOLIO_ID is not configured.");
+}
+
+async function getDebugUpGuardDomain(env, url) {
+  assertApiKey(env);
+  const hostname = normalizeHostname(url.searchParams.get("hostname") || "adobe.com");
+  const response = await fetchVendorDomainResponse(env, hostname, hostname);
+  const contentType = response.headers.get("content-type") || "";
+  const body = await response.text();
+  const data = body && contentType.toLowerCase().includes("application/json") ? parseJson(body, null) : null;
+  const checkResults = Array.isArray(data?.check_results) ? data.check_results : [];
+  const waivedCheckResults = Array.isArray(data?.waived_check_results) ? data.waived_check_results : [];
+  const result = {
+    requestedHostname: hostname,
+    requested_hostname: hostname,
+    status: response.status,
+    ok: response.ok,
+    contentType,
+    topLevelKeys: data && typeof data === "object" && !Array.isArray(data) ? Object.keys(data) : [],
+    hostname: data?.hostname || null,
+    automated_score: data?.automated_score ?? null,
+    scanned_at: data?.scanned_at || null,
+    a_records_count: Array.isArray(data?.a_records) ? data.a_records.length : 0,
+    labels_count: Array.isArray(data?.labels) ? data.labels.length : 0,
+    check_results_count: checkResults.length,
+    waived_check_results_count: waivedCheckResults.length,
+    first_check_sample: checkResults[0] || null,
+  };
+
+  if (!response.ok) result.errorBody = body.slice(0, 2000);
+  return result;
+}
+
+async function runIngestionPipeline(env, { trigger = "scheduled", force = false, timeBudgetMs = PIPELINE_TIME_BUDGET_MS } = {}) {
+  assertDb(env);
+  assertApiKey(env);
+  await assertD1Schema(env);
+  env = withUpGuardClient(env, trigger);
+  const startedMs = Date.now();
+  let job = await getActivePipelineJob(env.DB);
+  if (!job) {
+    const latestJob = await getLatestPipelineJob(env.DB);
+    if (!force && !isPipelineDue(env, latestJob)) return { skipped: true, reason: "not_due", job: hydratePipelineJob(latestJob), nextRunAfter: getPipelineNextRunAfter(env, latestJob) };
+    job = await createPipelineJob(env, trigger, latestJob);
+  }
+  const jobId = job.id;
+  if (!(await acquireLease(env.DB, "ingestion_jobs", jobId))) return { skipped: true, reason: "job_locked", job: hydratePipelineJob(job) };
+
+  const steps = [];
+  try {
+    // Each step is one bounded chunk; the cursor is persisted after every step so an
+    // invocation cut short by Worker limits loses at most the chunk in flight.
+    while (job.status === "running" && Date.now() - startedMs < timeBudgetMs && !env.upguard.isCircuitOpen()) {
+      let step;
+      try {
+        step = await runPipelineStep(env, job);
+      } catch (error) {
+        job = await recordPipelineStepFailure(env.DB, job, error);
+        steps.push({ jobId, phase: job.phase, cursor: job.cursor, error: getErrorMessage(error), attemptCount: job.attempt_count });
+        break;
+      }
+      steps.push(step);
+      job = await advancePipelineJob(env.DB, job, step);
+      if (!job) break;
+    }
+  } finally {
+    await env.DB.prepare("UPDATE ingestion_jobs SET lease_expires_at = NULL WHERE id = ?").bind(jobId).run();
+  }
+
+  // advancePipelineJob and recordPipelineStepFailure only move a job out of 'running' once, so
+  // exactly one invocation sees the transition and finalizes the job.
+  const finalized = job && job.status !== "running" ? await finalizePipelineJob(env, job) : null;
+  return { skipped: false, job: hydratePipelineJob(job), steps, finalized, upguard: env.upguard.stats, elapsedMs: Date.now() - startedMs };
+}
+
+async function finalizePipelineJob(env, job) {
+  // Work that needs every phase's data runs once the job is done. A failed job stopped partway,
+  // so its findings are not complete enough to score vendors or verify tickets against.
+  const completedAt = job.completed_at || new Date().toISOString();
+  const vendors = await listPipelineJobVendors(env.DB, job);
+  const compositeScores = job.status === "failed" ? null : await runCompositeScoring(env, vendors, job.trigger);
+  const remediation = job.status === "failed" ? { verifiedTicketIds: [] } : await runRemediationVerification(env.DB, completedAt);
+  const phases = Object.values(parseJson(job.phases_json, {}));
+  const run = {
+    jobId: job.id,
+    trigger: job.trigger,
+    status: job.status,
+    successCount: phases.reduce((total, phase) => total + (phase.successCount || 0), 0),
+    failureCount: phases.reduce((total, phase) => total + (phase.failureCount || 0), 0),
+    startedAt: job.started_at,
+    completedAt,
+  };
+  const webhooks = await publishWebhookEvents(env, () => listIngestionWebhookEvents(env.DB, run, vendors));
+  return { compositeScores, remediation, webhooks };
+}
+
+async function runPipelineStep(env, job) {
+  const step = { jobId: job.id, phase: job.phase, cursor: job.cursor, nextCursor: job.cursor, vendorsProcessed: 0, successCount: 0, failureCount: 0, failures: [], done: false };
+  if (job.phase === "portfolioRiskProfile") {
+    try {
+      const result = await ingestPortfolioRiskProfile(env, { trigger: `${job.trigger}_pipeline` });
+      step.successCount = result.successCount;
+    } catch (error) {
+      step.failureCount = 1;
+      step.failures = [{ ok: false, errorMessage: getErrorMessage(error), statusCode: error.statusCode || null }];
+    }
+    return { ...step, done: true };
+  }
+
+  const vendors = await listPipelineJobVendors(env.DB, job);
+  const selectedVendors = vendors.slice(job.cursor, job.cursor + getPipelineChunkSize(env));
+  let result = { vendorsProcessed: 0, successCount: 0, failureCount: 0, failures: [] };
+  if (selectedVendors.length && job.phase === "domains") {
+    result = await runIngestion(env, { trigger: `${job.trigger}_pipeline`, vendors: selectedVendors, finalize: false });
+  } else if (selectedVendors.length && job.phase === "vendorRisks") {
+    result = await runVendorRiskIngestion(env, { trigger: `${job.trigger}_pipeline`, vendors: selectedVendors, offset: job.cursor, totalVendors: vendors.length });
+  } else if (selectedVendors.length && job.phase === "riskDiff") {
+    result = await runRiskDiffIngestion(env, { trigger: `${job.trigger}_pipeline`, vendors: selectedVendors, startDate: job.risk_diff_start_date, endDate: job.risk_diff_end_date });
+  }
+  // Vendors skipped because the circuit breaker opened stay ahead of the cursor for the next invocation.
+  const nextCursor = job.cursor + result.vendorsProcessed;
+  return {
+    ...step,
+    nextCursor,
+    vendorsProcessed: result.vendorsProcessed,
+    successCount: result.successCount,
+    failureCount: result.failureCount,
+    failures: result.failures,
+    done: nextCursor >= vendors.length,
+  };
+}
+
+async function advancePipelineJob(db, job, step) {
+  const now = new Date().toISOString();
+  const phases = parseJson(job.phases_json, {});
+  const phase = phases[job.phase] || { vendorsProcessed: 0, successCount: 0, failureCount: 0, startedAt: now, completedAt: null };
+  phase.vendorsProcessed += step.vendorsProcessed;
+  phase.successCount += step.successCount;
+  phase.failureCount += step.failureCount;
+  if (step.failures.length) phase.lastFailures = step.failures.slice(0, 10);
+  if (step.done) phase.completedAt = now;
+  phases[job.phase] = phase;
+
+  const nextPhase = step.done ? INGESTION_PIPELINE_PHASES[INGESTION_PIPELINE_PHASES.indexOf(job.phase) + 1] || null : job.phase;
+  const failureCount = Object.values(phases).reduce((total, entry) => total + entry.failureCount, 0);
+  const status = nextPhase ? "running" : failureCount ? "completed_with_errors" : "completed";
+  const update = await db.prepare(
+    `UPDATE ingestion_jobs
+     SET phase = ?, cursor = ?, status = ?, phases_json = ?, attempt_count = 0, last_error = NULL, updated_at = ?, completed_at = ?
+     WHERE id = ? AND phase = ? AND cursor = ?`
+  ).bind(nextPhase, nextPhase === job.phase ? step.nextCursor : 0, status, stringifyJson(phases), now, nextPhase ? null : now, job.id, job.phase, job.cursor).run();
+  // Another invocation advanced the cursor underneath this one; stop rather than double-process.
+  if (!update.meta?.changes) return null;
+  return db.prepare("SELECT * FROM ingestion_jobs WHERE id = ?").bind(job.id).first();
+}
+
+async function recordPipelineStepFailure(db, job, error) {
+  // The cursor stays where it was so the chunk is retried on the next invocation, but a chunk
+  // that keeps throwing fails the job instead of blocking every later scheduled run.
+  const now = new Date().toISOString();
+  const attemptCount = (Number(job.attempt_count) || 0) + 1;
+  const failed = attemptCount >= PIPELINE_MAX_STEP_ATTEMPTS;
+  const errorMessage = `Pipeline ${job.phase} step at cursor ${job.cursor} failed: ${getErrorMessage(error)}`;
+  await db.prepare(
+    `UPDATE ingestion_jobs
+     SET attempt_count = ?, last_error = ?, status = ?, updated_at = ?, completed_at = ?
+     WHERE id = ?`
+  ).bind(attemptCount, errorMessage, failed ? "failed" : "running", now, failed ? now : null, job.id).run();
+  await logIngestionError(db, { hostname: null, errorMessage, statusCode: error.statusCode || null, responseBody: error.responseBody || null });
+  return db.prepare("SELECT * FROM ingestion_jobs WHERE id = ?").bind(job.id).first();
+}
+
+async function listPipelineJobVendors(db, job) {
+  const snapshot = parseJson(job.vendors_json, null);
+  return Array.isArray(snapshot) ? snapshot : listActiveVendorHostnames(db);
+}
+
+async function createPipelineJob(env, trigger, latestJob) {
+  const now = new Date().toISOString();
+  // Resume the risk diff window where the previous completed job stopped so consecutive
+  // scheduled runs neither skip nor re-request days.
+  const range = buildRiskDiffRange({ days: 30, startDate: latestJob?.completed_at ? latestJob.risk_diff_end_date : null, endDate: now });
+  const vendors = await listActiveVendorHostnames(env.DB);
+  const insert = await env.DB.prepare(
+    `INSERT INTO ingestion_jobs (trigger, status, phase, cursor, vendor_count, vendors_json, risk_diff_start_date, risk_diff_end_date, phases_json, started_at, updated_at)
+     VALUES (?, 'running', ?, 0, ?, ?, ?, ?, '{}', ?, ?)`
+  ).bind(trigger, INGESTION_PIPELINE_PHASES[0], vendors.length, stringifyJson(vendors), range.startDate, range.endDate, now, now).run();
+  return env.DB.prepare("SELECT * FROM ingestion_jobs WHERE id = ?").bind(insert.meta?.last_row_id).first();
+}
+
+async function acquireLease(db, tableName, jobId) {
+  const now = new Date();
+  const update = await db.prepare(
+    `UPDATE ${tableName}
+     SET lease_expires_at = ?
+     WHERE id = ? AND (lease_expires_at IS NULL OR lease_expires_at < ?)`
+  ).bind(new Date(now.getTime() + PIPELINE_LEASE_MS).toISOString(), jobId, now.toISOString()).run();
+  return Boolean(update.meta?.changes);
+}
+
+function getActivePipelineJob(db) {
+  return db.prepare("SELECT * FROM ingestion_jobs WHERE status = 'running' ORDER BY id DESC LIMIT 1").first();
+}
+
+function getLatestPipelineJob(db) {
+  return db.prepare("SELECT * FROM ingestion_jobs ORDER BY id DESC LIMIT 1").first();
+}
+
+function isPipelineDue(env, latestJob) {
+  const nextRunAfter = getPipelineNextRunAfter(env, latestJob);
+  return !nextRunAfter || new Date(nextRunAfter) <= new Date();
+}
+
+function getPipelineNextRunAfter(env, latestJob) {
+  if (!latestJob?.started_at) return null;
+  const intervalHours = clamp(env.PIPELINE_INTERVAL_HOURS ?? DEFAULT_PIPELINE_INTERVAL_HOURS, 1, 24 * 7);
+  return new Date(new Date(latestJob.started_at).getTime() + intervalHours * 60 * 60 * 1000).toISOString();
+}
+
+function getPipelineChunkSize(env) {
+  return clamp(env.PIPELINE_CHUNK_SIZE ?? DEFAULT_PIPELINE_CHUNK_SIZE, 1, 50);
+}
+
+async function getPipelineStatus(env) {
+  const job = await getActivePipelineJob(env.DB) || await getLatestPipelineJob(env.DB);
+  return {
+    phases: INGESTION_PIPELINE_PHASES,
+    chunkSize: getPipelineChunkSize(env),
+    job: hydratePipelineJob(job),
+    nextRunAfter: job?.status === "running" ? null : getPipelineNextRunAfter(env, job),
+  };
+}
+
+function hydratePipelineJob(job) {
+  if (!job) return null;
+  const { phases_json: phasesJson, vendors_json: _vendorsJson, ...rest } = job;
+  const phaseIndex = job.phase ? INGESTION_PIPELINE_PHASES.indexOf(job.phase) : INGESTION_PIPELINE_PHASES.length;
+  return {
+    ...rest,
+    phases: parseJson(phasesJson, {}),
+    phaseIndex,
+    progress: job.status === "running"
+      ? Math.round(((phaseIndex + (job.vendor_count ? Math.min(job.cursor / job.vendor_count, 1) : 0)) / INGESTION_PIPELINE_PHASES.length) * 100)
+      : 100,
+  };
+}
+
+async function getIngestionStatus(env) {
+  assertDb(env);
+  await assertD1Schema(env, [
     "vendor_domains",
     "vendor_active_risks",
     "portfolio_risk_profile_snapshots",
     "vendor_risk_events",
     "ingestion_runs",
     "ingestion_errors",
+    "portfolio_vendors",
+    "ingestion_jobs",
+    "risk_diff_backfills",
+    "risk_diff_backfill_windows",
   ]);
 
   const counts = await env.DB.prepare(
@@ -619,8 +1872,8 @@ async function getIngestionStatus(env) {
   const lastIngestionRun = latestRun ? { ...latestRun, errors: parseJson(latestRun.error_json, []) } : null;
 
   return {
-    portfolioName: PORTFOLIO_NAME,
-    vendorCount: PORTFOLIO_VENDORS.length,
+    portfolios: getPortfolios(env),
+    vendorCount: await countActivePortfolioVendors(env.DB),
     domainRows,
     activeRiskRows,
     portfolioRiskRows,
@@ -629,12 +1882,113 @@ async function getIngestionStatus(env) {
     lastErrors: recentErrors.results || [],
     hasCachedData: Boolean(domainRows || activeRiskRows || portfolioRiskRows || riskEventRows),
     latestRun: lastIngestionRun,
+    pipeline: await getPipelineStatus(env),
+    riskDiffBackfill: await hydrateRiskDiffBackfill(env.DB, await getCurrentRiskDiffBackfill(env.DB)),
     recentRuns: recentRuns.results || [],
     recentErrors: recentErrors.results || [],
     generatedAt: new Date().toISOString(),
   };
 }
 
+async function ingestVendorDomains(env, vendorPrimaryHostname, { domainLimit = DEFAULT_VENDOR_DOMAIN_LIMIT } = {}) {
+  const cleanVendorPrimaryHostname = normalizeHostname(vendorPrimaryHostname);
+  const discovery = await discoverVendorDomains(env, cleanVendorPrimaryHostname);
+  const hostnames = await selectVendorDomainsForIngestion(env.DB, cleanVendorPrimaryHostname, discovery.hostnames, domainLimit);
+  const results = [];
+  for (const hostname of hostnames) {
+    if (env.upguard?.isCircuitOpen()) break;
+    results.push(await ingestVendor(env, cleanVendorPrimaryHostname, hostname));
+  }
+  // Only a complete UpGuard domain list can prove a domain is gone; the primary-hostname
+  // fallback leaves every stored domain as it was.
+  const domainsDeactivated = discovery.complete ? await deactivateMissingVendorDomains(env.DB, cleanVendorPrimaryHostname, discovery.hostnames) : [];
+  const failures = results.filter((result) => !result.ok);
+  return {
+    ok: failures.length === 0 && results.length === hostnames.length,
+    vendorPrimaryHostname: cleanVendorPrimaryHostname,
+    hostname: cleanVendorPrimaryHostname,
+    discoverySource: discovery.source,
+    domainCount: discovery.hostnames.length,
+    domainsIngested: results.length - failures.length,
+    domainsDeferred: discovery.hostnames.length - results.length,
+    domainsDeactivated,
+    failures,
+  };
+}
+
+async function discoverVendorDomains(env, vendorPrimaryHostname) {
+  const hostnames = new Set();
+  try {
+    let pageToken = "";
+    for (let page = 0; page < 50; page += 1) {
+      const response = await fetchVendorDomainsResponse(env, vendorPrimaryHostname, pageToken);
+      const data = await parseUpGuardResponse(response, `domains for ${vendorPrimaryHostname}`);
+      for (const domain of extractDomainRecords(data)) {
+        const hostname = normalizeHostname(typeof domain === "string" ? domain : firstDefined(domain.hostname, domain.domain, domain.name));
+        if (hostname && domain.active !== false) hostnames.add(hostname);
+      }
+      pageToken = getNextPageToken(data);
+      if (!pageToken) break;
+    }
+  } catch (error) {
+    // The request outcome is already logged in upguard_requests; fall back to the primary
+    // hostname so domain ingestion still runs without domain-list access.
+    return { source: "primary_hostname", complete: false, hostnames: [vendorPrimaryHostname], errorMessage: getErrorMessage(error) };
+  }
+  if (!hostnames.size) return { source: "primary_hostname", complete: false, hostnames: [vendorPrimaryHostname] };
+  return { source: "upguard", complete: true, hostnames: [...hostnames] };
+}
+
+function fetchVendorDomainsResponse(env, vendorPrimaryHostname, pageToken = "") {
+  const url = buildUpGuardUrl(env, UPGUARD_VENDOR_DOMAINS_PATH);
+  url.searchParams.set("vendor_primary_hostname", vendorPrimaryHostname);
+  url.searchParams.set("page_size", "1000");
+  if (pageToken) url.searchParams.set("page_token", pageToken);
+  return fetchUpGuard(env, url);
+}
+
+function extractDomainRecords(data) {
+  if (Array.isArray(data?.domains)) return data.domains;
+  if (Array.isArray(data?.hostnames)) return data.hostnames;
+  return extractRiskRecords(data);
+}
+
+async function selectVendorDomainsForIngestion(db, vendorPrimaryHostname, hostnames, limit) {
+  const { results } = await db.prepare(
+    "SELECT hostname, updated_at FROM vendor_domains WHERE vendor_primary_hostname = ?"
+  ).bind(vendorPrimaryHostname).all();
+  const lastIngestedAt = new Map((results || []).map((row) => [row.hostname, row.updated_at || ""]));
+  // The primary hostname always goes first, then the domains ingested least recently, so a
+  // vendor with more domains than the limit is covered across consecutive runs.
+  return [...hostnames]
+    .sort((a, b) => Number(b === vendorPrimaryHostname) - Number(a === vendorPrimaryHostname)
+      || (lastIngestedAt.get(a) ?? "").localeCompare(lastIngestedAt.get(b) ?? "")
+      || a.localeCompare(b))
+    .slice(0, limit);
+}
+
+async function deactivateMissingVendorDomains(db, vendorPrimaryHostname, hostnames) {
+  const { results } = await db.prepare(
+    "SELECT hostname FROM vendor_domains WHERE vendor_primary_hostname = ? AND active = 1"
+  ).bind(vendorPrimaryHostname).all();
+  const current = new Set(hostnames);
+  const missing = (results || []).map((row) => row.hostname).filter((hostname) => !current.has(hostname));
+  const now = new Date().toISOString();
+  for (const hostname of missing) {
+    await db.batch([
+      db.prepare("UPDATE vendor_domains SET active = 0, inactive_at = ? WHERE vendor_primary_hostname = ? AND hostname = ?").bind(now, vendorPrimaryHostname, hostname),
+      db.prepare("DELETE FROM domain_check_results WHERE vendor_primary_hostname = ? AND hostname = ?").bind(vendorPrimaryHostname, hostname),
+      db.prepare("DELETE FROM domain_waived_check_results WHERE vendor_primary_hostname = ? AND hostname = ?").bind(vendorPrimaryHostname, hostname),
+    ]);
+    await markRemovedDomainFindings(db, vendorPrimaryHostname, hostname, now);
+  }
+  return missing.map((hostname) => ({ vendorPrimaryHostname, hostname }));
+}
+
+function getVendorDomainLimit(env) {
+  return clamp(env.VENDOR_DOMAIN_LIMIT ?? DEFAULT_VENDOR_DOMAIN_LIMIT, 1, 500);
+}
+
 async function ingestVendor(env, vendorPrimaryHostname, hostname) {
   try {
     const data = await fetchVendorDomain(env, vendorPrimaryHostname, hostname);
@@ -672,15 +2026,10 @@ async function fetchVendorDomain(env, vendorPrimaryHostname, hostname) {
 }
 
 function fetchVendorDomainResponse(env, vendorPrimaryHostname, hostname) {
-  const url = new URL(UPGUARD_DOMAIN_ENDPOINT);
+  const url = buildUpGuardUrl(env, UPGUARD_DOMAIN_PATH);
   url.searchParams.set("vendor_primary_hostname", vendorPrimaryHostname);
   url.searchParams.set("hostname", hostname);
-  return fetch(url.toString(), {
-    headers: {
-      "Authorization": env.UPGUARD_API_KEY,
-      "Accept": "application/json",
-    },
-  });
+  return fetchUpGuard(env, url);
 }
 
 function normalizeVendorResponse(data, requestedVendorPrimaryHostname, requestedHostname) {
@@ -726,14 +2075,17 @@ async function persistVendorDomain(db, vendor) {
   await db.batch([
     db.prepare(
       `INSERT INTO vendor_domains (
-        vendor_primary_hostname, hostname, automated_score, scanned_at, labels_json, a_records_json, raw_json, updated_at
-       ) VALUES (?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+        vendor_primary_hostname, hostname, automated_score, scanned_at, labels_json, a_records_json, raw_json, active, last_seen_at, updated_at
+       ) VALUES (?, ?, ?, ?, ?, ?, ?, 1, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
        ON CONFLICT(vendor_primary_hostname, hostname) DO UPDATE SET
          automated_score = excluded.automated_score,
          scanned_at = excluded.scanned_at,
          labels_json = excluded.labels_json,
          a_records_json = excluded.a_records_json,
          raw_json = excluded.raw_json,
+         active = 1,
+         last_seen_at = CURRENT_TIMESTAMP,
+         inactive_at = NULL,
          updated_at = CURRENT_TIMESTAMP`
     ).bind(vendor.vendorPrimaryHostname, vendor.hostname, vendor.automatedScore, vendor.scannedAt, vendor.labelsJson, vendor.aRecordsJson, vendor.rawJson),
     db.prepare("DELETE FROM domain_check_results WHERE vendor_primary_hostname = ? AND hostname = ?").bind(vendor.vendorPrimaryHostname, vendor.hostname),
@@ -796,16 +2148,24 @@ async function persistDomainTrendSnapshots(db, vendor) {
     categories.set(category, entry);
   }
   for (const batch of chunk(Array.from(categories.entries()).map(([category, entry]) => db.prepare(
-    `INSERT INTO category_snapshots (category, failed_check_count, affected_vendor_count, captured_at)
-     VALUES (?, ?, ?, ?)`
-  ).bind(category, entry.failedCheckCount, entry.vendors.size, now)), 50)) {
+    `INSERT INTO category_snapshots (category, vendor_primary_hostname, failed_check_count, affected_vendor_count, captured_at)
+     VALUES (?, ?, ?, ?, ?)`
+  ).bind(category, vendor.vendorPrimaryHostname, entry.failedCheckCount, entry.vendors.size, now)), 50)) {
     if (batch.length) await db.batch(batch);
   }
 
+  const existing = await db.prepare(
+    "SELECT finding_key, status FROM risk_findings_history WHERE vendor_primary_hostname = ? AND hostname = ?"
+  ).bind(vendor.vendorPrimaryHostname, vendor.hostname).all();
+  const previousStatus = new Map((existing.results || []).map((row) => [row.finding_key, row.status]));
   const seenKeys = [];
+  const transitions = [];
   for (const batch of chunk(failedChecks.map((check) => {
     const findingKey = buildFindingKey(vendor.vendorPrimaryHostname, vendor.hostname, check);
     seenKeys.push(findingKey);
+    if (!previousStatus.has(findingKey)) transitions.push(insertFindingTransitionStatement(db, findingKey, "opened", null, "open", now));
+    else if (previousStatus.get(findingKey) === "resolved") transitions.push(insertFindingTransitionStatement(db, findingKey, "reopened", "resolved", "open", now));
+    else if (previousStatus.get(findingKey) === "domain_removed") transitions.push(insertFindingTransitionStatement(db, findingKey, "domain_restored", "domain_removed", "open", now));
     return db.prepare(
       `INSERT INTO risk_findings_history (
          finding_key, vendor_primary_hostname, hostname, check_id, title, category, risk_type, risk_subtype,
@@ -820,6 +2180,8 @@ async function persistDomainTrendSnapshots(db, vendor) {
          severity = excluded.severity,
          severity_name = excluded.severity_name,
          last_seen_at = excluded.last_seen_at,
+         reopen_count = reopen_count + CASE WHEN status = 'resolved' THEN 1 ELSE 0 END,
+         last_reopened_at = CASE WHEN status = 'resolved' THEN excluded.last_seen_at ELSE last_reopened_at END,
          resolved_at = NULL,
          status = 'open',
          raw_json = excluded.raw_json`
@@ -841,6 +2203,7 @@ async function persistDomainTrendSnapshots(db, vendor) {
   }), 50)) {
     if (batch.length) await db.batch(batch);
   }
+  for (const batch of chunk(transitions, 50)) await db.batch(batch);
 
   await markResolvedFindings(db, vendor.vendorPrimaryHostname, vendor.hostname, seenKeys, now);
 }
@@ -857,13 +2220,37 @@ async function markResolvedFindings(db, vendorPrimaryHostname, hostname, seenKey
   ).bind(vendorPrimaryHostname, hostname).all();
   const seen = new Set(seenKeys);
   const resolvedKeys = (open.results || []).map((row) => row.finding_key).filter((key) => !seen.has(key));
-  for (const batch of chunk(resolvedKeys.map((findingKey) => db.prepare(
-    `UPDATE risk_findings_history SET status = 'resolved', resolved_at = ? WHERE finding_key = ?`
-  ).bind(resolvedAt, findingKey)), 50)) {
+  for (const batch of chunk(resolvedKeys.flatMap((findingKey) => [
+    db.prepare(`UPDATE risk_findings_history SET status = 'resolved', resolved_at = ? WHERE finding_key = ?`).bind(resolvedAt, findingKey),
+    insertFindingTransitionStatement(db, findingKey, "resolved", "open", "resolved", resolvedAt),
+  ]), 50)) {
+    if (batch.length) await db.batch(batch);
+  }
+}
+
+// A domain that drops out of UpGuard's list takes its open findings with it, but nothing was fixed:
+// they close as domain_removed, without a resolved_at, so SLA outcomes, remediation verification
+// and finding.resolved webhooks never count them as resolved.
+async function markRemovedDomainFindings(db, vendorPrimaryHostname, hostname, removedAt) {
+  const open = await db.prepare(
+    `SELECT finding_key FROM risk_findings_history
+     WHERE vendor_primary_hostname = ? AND hostname = ? AND status = 'open'`
+  ).bind(vendorPrimaryHostname, hostname).all();
+  for (const batch of chunk((open.results || []).flatMap((row) => [
+    db.prepare("UPDATE risk_findings_history SET status = 'domain_removed' WHERE finding_key = ?").bind(row.finding_key),
+    insertFindingTransitionStatement(db, row.finding_key, "domain_removed", "open", "domain_removed", removedAt),
+  ]), 50)) {
     if (batch.length) await db.batch(batch);
   }
 }
 
+function insertFindingTransitionStatement(db, findingKey, transition, fromStatus, toStatus, occurredAt) {
+  return db.prepare(
+    `INSERT INTO risk_finding_transitions (finding_key, transition, from_status, to_status, occurred_at)
+     VALUES (?, ?, ?, ?, ?)`
+  ).bind(findingKey, transition, fromStatus, toStatus, occurredAt);
+}
+
 function insertCheckStatement(db, tableName, check) {
   if (!["domain_check_results", "domain_waived_check_results"].includes(tableName)) throw new Error("Invalid check result table name.");
   return db.prepare(
@@ -891,17 +2278,53 @@ function insertCheckStatement(db, tableName, check) {
   );
 }
 
+async function logUpGuardRequest(db, trigger, target, outcome) {
+  await db.prepare(
+    `INSERT INTO upguard_requests (trigger, endpoint, vendor_primary_hostname, attempt_count, retry_count, status_code, outcome, wait_ms, error_message)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).bind(
+    trigger,
+    target.pathname,
+    normalizeHostname(target.searchParams.get("vendor_primary_hostname")) || null,
+    outcome.attempts,
+    outcome.retries,
+    outcome.statusCode,
+    outcome.outcome,
+    outcome.waitMs,
+    outcome.errorMessage
+  ).run();
+}
+
 async function logIngestionError(db, failure) {
   await db.prepare(
-    `INSERT INTO ingestion_errors (hostname, error_message, status_code, response_body)
-     VALUES (?, ?, ?, ?)`
-  ).bind(failure.hostname, failure.errorMessage, failure.statusCode, failure.responseBody).run();
+    `INSERT INTO ingestion_errors (hostname, vendor_primary_hostname, error_message, status_code, response_body)
+     VALUES (?, ?, ?, ?, ?)`
+  ).bind(failure.hostname, failure.vendorPrimaryHostname || null, failure.errorMessage, failure.statusCode, failure.responseBody).run();
 }
 
-async function listVendors(env) {
+async function listVendors(env, portfolio = null, { sort = "default" } = {}) {
   assertDb(env);
   await assertD1Schema(env);
-  const { results } = await env.DB.prepare(
+  const { results } = await prepareVendorList(env.DB, portfolio, sort).all();
+  return { portfolioName: portfolioLabel(portfolio), sort, vendors: results || [] };
+}
+
+async function pageVendors(env, portfolio = null, { sort = "default" } = {}) {
+  assertDb(env);
+  await assertD1Schema(env);
+  return (async function* () {
+    for (let offset = 0; ; offset += EXPORT_BATCH_ROWS) {
+      const { results } = await prepareVendorList(env.DB, portfolio, sort, { limit: EXPORT_BATCH_ROWS, offset }).all();
+      if (results?.length) yield results;
+      if (!results || results.length < EXPORT_BATCH_ROWS) return;
+    }
+  })();
+}
+
+function prepareVendorList(db, portfolio, sort, { limit = -1, offset = 0 } = {}) {
+  // Tier weights are applied in SQL so the exposure sort holds across pages.
+  const tierWeight = `CASE COALESCE(vc.tier, '${DEFAULT_VENDOR_TIER}') ${Object.entries(VENDOR_TIER_WEIGHTS).map(([tier, weight]) => `WHEN '${tier}' THEN ${weight}`).join(" ")} ELSE ${VENDOR_TIER_WEIGHTS[DEFAULT_VENDOR_TIER]} END`;
+  return db.prepare(
     `SELECT
        v.vendor_primary_hostname,
        v.hostname,
@@ -909,13 +2332,18 @@ async function listVendors(env) {
        v.scanned_at,
        COUNT(cr.id) AS total_checks,
        COALESCE(SUM(CASE WHEN cr.passed = 0 THEN 1 ELSE 0 END), 0) AS failed_checks,
-       (SELECT COUNT(*) FROM domain_waived_check_results wcr WHERE wcr.vendor_primary_hostname = v.vendor_primary_hostname AND wcr.hostname = v.hostname) AS waived_checks
+       COALESCE(SUM(CASE WHEN cr.passed = 0 THEN cr.severity ELSE 0 END), 0) AS failed_severity_total,
+       (SELECT COUNT(*) FROM domain_waived_check_results wcr WHERE wcr.vendor_primary_hostname = v.vendor_primary_hostname AND wcr.hostname = v.hostname) AS waived_checks,
+       COALESCE(vc.tier, '${DEFAULT_VENDOR_TIER}') AS tier,
+       ${tierWeight} * COALESCE(SUM(CASE WHEN cr.passed = 0 THEN cr.severity ELSE 0 END), 0) AS tier_weighted_exposure
      FROM vendor_domains v
      LEFT JOIN domain_check_results cr ON cr.vendor_primary_hostname = v.vendor_primary_hostname AND cr.hostname = v.hostname
-     GROUP BY v.vendor_primary_hostname, v.hostname, v.automated_score, v.scanned_at
-     ORDER BY failed_checks DESC, v.automated_score ASC, v.hostname ASC`
-  ).all();
-  return { portfolioName: PORTFOLIO_NAME, vendors: results || [] };
+     LEFT JOIN vendor_criticality vc ON vc.vendor_primary_hostname = v.vendor_primary_hostname
+     WHERE v.active = 1 AND ${portfolioMembershipClause("v.vendor_primary_hostname")}
+     GROUP BY v.vendor_primary_hostname, v.hostname, v.automated_score, v.scanned_at, vc.tier
+     ORDER BY ${sort === "exposure" ? "tier_weighted_exposure DESC, " : ""}failed_checks DESC, v.automated_score ASC, v.hostname ASC
+     LIMIT ? OFFSET ?`
+  ).bind(portfolio, portfolio, limit, offset);
 }
 
 async function getVendorDetail(env, hostname) {
@@ -942,9 +2370,15 @@ async function getVendorDetail(env, hostname) {
     "SELECT * FROM vendor_risk_events WHERE vendor_primary_hostname = ? ORDER BY captured_at DESC, id DESC LIMIT 50"
   ).bind(vendor.vendor_primary_hostname).all();
 
+  const memberships = await env.DB.prepare(
+    "SELECT portfolio FROM portfolio_vendors WHERE vendor_primary_hostname = ? AND active = 1 ORDER BY portfolio ASC"
+  ).bind(vendor.vendor_primary_hostname).all();
+
   return {
-    portfolioName: PORTFOLIO_NAME,
+    portfolios: (memberships.results || []).map((row) => row.portfolio),
     vendor: hydrateVendor(vendor),
+    ...await getVendorPosture(env.DB, vendor.vendor_primary_hostname, vendor.automated_score),
+    domains: await listVendorDomainDetails(env.DB, vendor.vendor_primary_hostname),
     checkResults: (checkResults.results || []).map(hydrateCheck),
     waivedCheckResults: (waivedCheckResults.results || []).map(hydrateCheck),
     activeRisks: (activeRisks.results || []).map(hydrateStoredRisk),
@@ -952,62 +2386,220 @@ async function getVendorDetail(env, hostname) {
   };
 }
 
-async function getDashboardOverview(env) {
+async function getVendorSummary(env, portfolio = null, aggregation = DEFAULT_SCORE_AGGREGATION, { sort = "default" } = {}) {
+  assertDb(env);
+  await assertD1Schema(env);
+  const criticality = await loadVendorCriticality(env.DB);
+  const questionnaireScores = await loadQuestionnaireScores(env.DB);
+  const compositeScores = await loadLatestCompositeScores(env.DB);
+  const vendors = (await listVendorSummaries(env.DB, portfolio))
+    .map((vendor) => {
+      const assessment = assessVendorRisk(criticality.get(vendor.vendorPrimaryHostname), {
+        outsideInScore: vendor.scores[aggregation],
+        questionnaireScore: questionnaireScores.get(vendor.vendorPrimaryHostname),
+      });
+      return {
+        ...vendor,
+        score: vendor.scores[aggregation],
+        compositeScore: compositeScores.get(vendor.vendorPrimaryHostname)?.score ?? null,
+        ...assessment,
+        tierWeightedExposure: assessment.tierWeight * vendor.openSeverityTotal,
+      };
+    })
+    .sort((a, b) => (a.score ?? Infinity) - (b.score ?? Infinity) || b.failedChecks - a.failedChecks || a.vendorPrimaryHostname.localeCompare(b.vendorPrimaryHostname));
+  return { portfolioName: portfolioLabel(portfolio), aggregation, aggregations: VENDOR_SCORE_AGGREGATIONS, sort, vendors: sortByExposure(vendors, sort, (vendor) => vendor.tierWeightedExposure) };
+}
+
+async function listVendorSummaries(db, portfolio = null) {
+  const vendors = await db.prepare(
+    `SELECT vendor_primary_hostname, MAX(display_name) AS display_name, MAX(contract_tier) AS contract_tier
+     FROM portfolio_vendors
+     WHERE active = 1 AND (? IS NULL OR portfolio = ?)
+     GROUP BY vendor_primary_hostname`
+  ).bind(portfolio, portfolio).all();
+  const domains = await db.prepare(
+    `SELECT
+       v.vendor_primary_hostname,
+       v.hostname,
+       v.automated_score,
+       v.scanned_at,
+       COUNT(cr.id) AS total_checks,
+       COALESCE(SUM(CASE WHEN cr.passed = 0 THEN 1 ELSE 0 END), 0) AS failed_checks,
+       COALESCE(SUM(CASE WHEN cr.passed = 0 THEN cr.severity ELSE 0 END), 0) AS failed_severity_total,
+       MAX(CASE WHEN cr.passed = 0 THEN cr.severity END) AS max_failed_severity
+     FROM vendor_domains v
+     LEFT JOIN domain_check_results cr ON cr.vendor_primary_hostname = v.vendor_primary_hostname AND cr.hostname = v.hostname
+     WHERE v.active = 1 AND ${portfolioMembershipClause("v.vendor_primary_hostname")}
+     GROUP BY v.vendor_primary_hostname, v.hostname, v.automated_score, v.scanned_at`
+  ).bind(portfolio, portfolio).all();
+  const risks = await db.prepare(
+    `SELECT vendor_primary_hostname, COUNT(*) AS open_risk_count, COALESCE(SUM(severity), 0) AS open_risk_severity_total, MAX(severity) AS max_severity
+     FROM vendor_active_risks
+     WHERE ${portfolioMembershipClause()}
+     GROUP BY vendor_primary_hostname`
+  ).bind(portfolio, portfolio).all();
+  const upguardScores = await db.prepare(
+    `SELECT vendor_primary_hostname, score, captured_at
+     FROM vendor_upguard_scores
+     WHERE ${portfolioMembershipClause()}`
+  ).bind(portfolio, portfolio).all();
+
+  const domainsByVendor = new Map();
+  for (const domain of domains.results || []) {
+    if (!domainsByVendor.has(domain.vendor_primary_hostname)) domainsByVendor.set(domain.vendor_primary_hostname, []);
+    domainsByVendor.get(domain.vendor_primary_hostname).push(domain);
+  }
+  const risksByVendor = new Map((risks.results || []).map((row) => [row.vendor_primary_hostname, row]));
+  const scoresByVendor = new Map((upguardScores.results || []).map((row) => [row.vendor_primary_hostname, row]));
+  return (vendors.results || []).map((vendor) => rollUpVendor({
+    vendorPrimaryHostname: vendor.vendor_primary_hostname,
+    displayName: vendor.display_name,
+    contractTier: vendor.contract_tier,
+    domains: domainsByVendor.get(vendor.vendor_primary_hostname) || [],
+    activeRisks: risksByVendor.get(vendor.vendor_primary_hostname) || null,
+    upguardScore: scoresByVendor.get(vendor.vendor_primary_hostname) || null,
+  }));
+}
+
+function rollUpVendor({ vendorPrimaryHostname, displayName = null, contractTier = null, domains = [], activeRisks = null, upguardScore = null }) {
+  const scored = domains.filter((domain) => Number.isFinite(domain.automated_score));
+  // Domains are weighted by how many checks UpGuard ran against them, so a parked domain with
+  // a handful of checks moves the vendor score less than the vendor's main web presence.
+  const weights = scored.map((domain) => Math.max(Number(domain.total_checks) || 0, 1));
+  const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+  const highestSeverity = Math.max(0, ...domains.map((domain) => Number(domain.max_failed_severity) || 0), Number(activeRisks?.max_severity) || 0);
+  return {
+    vendorPrimaryHostname,
+    displayName,
+    contractTier,
+    domainCount: domains.length,
+    scoredDomainCount: scored.length,
+    scores: {
+      weighted_mean: totalWeight ? roundScore(scored.reduce((sum, domain, index) => sum + domain.automated_score * weights[index], 0) / totalWeight) : null,
+      worst_domain: scored.length ? Math.min(...scored.map((domain) => domain.automated_score)) : null,
+      upguard: upguardScore?.score ?? null,
+    },
+    upguardScoreCapturedAt: upguardScore?.captured_at ?? null,
+    totalChecks: domains.reduce((sum, domain) => sum + (Number(domain.total_checks) || 0), 0),
+    failedChecks: domains.reduce((sum, domain) => sum + (Number(domain.failed_checks) || 0), 0),
+    openRiskCount: Number(activeRisks?.open_risk_count) || 0,
+    openSeverityTotal: domains.reduce((sum, domain) => sum + (Number(domain.failed_severity_total) || 0), 0) + (Number(activeRisks?.open_risk_severity_total) || 0),
+    highestOpenSeverity: highestSeverity || null,
+    highestOpenSeverityName: SEVERITY_NAMES[Math.min(highestSeverity, 5)] || null,
+    lastScannedAt: domains.map((domain) => domain.scanned_at).filter(Boolean).sort().pop() || null,
+  };
+}
+
+function getScoreAggregation(url, allowed) {
+  const aggregation = url.searchParams.get("aggregation") || DEFAULT_SCORE_AGGREGATION;
+  if (!allowed.includes(aggregation)) throw new RequestError(400, "invalid_request", `aggregation must be one of ${allowed.join(", ")}.`);
+  return aggregation;
+}
+
+function averageOf(values) {
+  const numbers = values.filter(Number.isFinite);
+  return numbers.length ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+}
+
+function roundScore(value) {
+  return value == null ? null : Math.round(value * 100) / 100;
+}
+
+async function listVendorDomainDetails(db, vendorPrimaryHostname) {
+  const domains = await db.prepare(
+    `SELECT * FROM vendor_domains
+     WHERE vendor_primary_hostname = ?
+     ORDER BY active DESC, hostname = vendor_primary_hostname DESC, automated_score ASC, hostname ASC`
+  ).bind(vendorPrimaryHostname).all();
+  const checks = await db.prepare(
+    "SELECT * FROM domain_check_results WHERE vendor_primary_hostname = ? ORDER BY severity DESC, title ASC"
+  ).bind(vendorPrimaryHostname).all();
+  const checksByHostname = new Map();
+  for (const check of checks.results || []) {
+    if (!checksByHostname.has(check.hostname)) checksByHostname.set(check.hostname, []);
+    checksByHostname.get(check.hostname).push(hydrateCheck(check));
+  }
+  return (domains.results || []).map((domain) => {
+    const checkResults = checksByHostname.get(domain.hostname) || [];
+    return {
+      ...hydrateVendor(domain),
+      active: domain.active === 1,
+      totalChecks: checkResults.length,
+      failedChecks: checkResults.filter((check) => check.passed === false).length,
+      checkResults,
+    };
+  });
+}
+
+async function getDashboardOverview(env, portfolio = null, aggregation = DEFAULT_SCORE_AGGREGATION, { includeAccepted = false } = {}) {
   assertDb(env);
   await assertD1Schema(env);
   const totals = await env.DB.prepare(
-    `SELECT COUNT(DISTINCT vendor_primary_hostname) AS total_vendors, COUNT(*) AS total_domains, ROUND(AVG(automated_score), 2) AS average_score FROM vendor_domains`
-  ).first();
+    `SELECT COUNT(DISTINCT vendor_primary_hostname) AS total_vendors, COUNT(*) AS total_domains, ROUND(AVG(automated_score), 2) AS average_score
+     FROM vendor_domains
+     WHERE active = 1 AND ${portfolioMembershipClause()}`
+  ).bind(portfolio, portfolio).first();
+  const vendorSummaries = await listVendorSummaries(env.DB, portfolio);
+  // "domain" keeps the per-domain average; the vendor-level aggregations count each vendor
+  // once however many domains it has.
+  const averageScores = { domain: totals?.average_score ?? null };
+  for (const key of VENDOR_SCORE_AGGREGATIONS) averageScores[key] = roundScore(averageOf(vendorSummaries.map((vendor) => vendor.scores[key])));
   const findings = await env.DB.prepare(
     `SELECT
        COALESCE(SUM(CASE WHEN LOWER(COALESCE(severity_name, '')) = 'critical' OR severity >= 5 THEN 1 ELSE 0 END), 0) AS critical_active_risk_count,
        COALESCE(SUM(CASE WHEN LOWER(COALESCE(severity_name, '')) = 'high' OR severity = 4 THEN 1 ELSE 0 END), 0) AS high_active_risk_count
-     FROM vendor_active_risks`
-  ).first();
+     FROM vendor_active_risks
+     WHERE ${portfolioMembershipClause()}${acceptedRiskFilter("vendor_active_risks", includeAccepted)}`
+  ).bind(portfolio, portfolio).first();
   const changes = await env.DB.prepare(
     `SELECT
        COALESCE(SUM(CASE WHEN LOWER(COALESCE(event_type, '')) IN ('introduced', 'new') THEN 1 ELSE 0 END), 0) AS new_risk_count,
        COALESCE(SUM(CASE WHEN LOWER(COALESCE(event_type, '')) = 'resolved' THEN 1 ELSE 0 END), 0) AS resolved_risk_count
      FROM vendor_risk_events
-     WHERE captured_at >= datetime('now', '-30 days')`
-  ).first();
+     WHERE captured_at >= datetime('now', '-30 days')
+       AND ${portfolioMembershipClause()}`
+  ).bind(portfolio, portfolio).first();
   const ingestion = await env.DB.prepare(
     `SELECT
-       (SELECT MAX(updated_at) FROM vendor_domains) AS last_domain_ingestion_at,
-       (SELECT MAX(captured_at) FROM vendor_active_risks) AS last_vendor_risk_ingestion_at,
-       (SELECT MAX(captured_at) FROM vendor_risk_events) AS last_risk_diff_ingestion_at,
-       (SELECT MAX(captured_at) FROM portfolio_risk_profile_snapshots) AS last_portfolio_risk_profile_ingestion_at`
-  ).first();
+       (SELECT MAX(updated_at) FROM vendor_domains WHERE ${portfolioMembershipClause()}) AS last_domain_ingestion_at,
+       (SELECT MAX(captured_at) FROM vendor_active_risks WHERE ${portfolioMembershipClause()}) AS last_vendor_risk_ingestion_at,
+       (SELECT MAX(captured_at) FROM vendor_risk_events WHERE ${portfolioMembershipClause()}) AS last_risk_diff_ingestion_at,
+       (SELECT MAX(captured_at) FROM portfolio_risk_profile_snapshots WHERE ? IS NULL OR portfolio_name = ?) AS last_portfolio_risk_profile_ingestion_at`
+  ).bind(portfolio, portfolio, portfolio, portfolio, portfolio, portfolio, portfolio, portfolio).first();
   const topCommon = await env.DB.prepare(
     `SELECT pcr.title, pcr.finding, pcr.category, pcr.risk_type, pcr.risk_subtype, pcr.severity, pcr.severity_name,
             pcr.affected_vendor_count, pcr.affected_domain_count
      FROM portfolio_common_risks pcr
-     WHERE pcr.snapshot_id = (SELECT id FROM portfolio_risk_profile_snapshots ORDER BY id DESC LIMIT 1)
+     WHERE pcr.snapshot_id = (SELECT id FROM portfolio_risk_profile_snapshots WHERE ? IS NULL OR portfolio_name = ? ORDER BY id DESC LIMIT 1)
      ORDER BY pcr.severity DESC, pcr.affected_vendor_count DESC, pcr.title ASC
      LIMIT 10`
-  ).all();
+  ).bind(portfolio, portfolio).all();
   const categories = await env.DB.prepare(
     `SELECT category, COUNT(*) AS count
      FROM domain_check_results
      WHERE passed = 0 AND category IS NOT NULL
+       AND ${portfolioMembershipClause()}${acceptedRiskFilter("domain_check_results", includeAccepted)}
      GROUP BY category
      ORDER BY count DESC, category ASC
      LIMIT 10`
-  ).all();
+  ).bind(portfolio, portfolio).all();
   const riskTypes = await env.DB.prepare(
     `SELECT risk_type, COUNT(*) AS count
      FROM domain_check_results
      WHERE passed = 0 AND risk_type IS NOT NULL
+       AND ${portfolioMembershipClause()}${acceptedRiskFilter("domain_check_results", includeAccepted)}
      GROUP BY risk_type
      ORDER BY count DESC, risk_type ASC
      LIMIT 10`
-  ).all();
+  ).bind(portfolio, portfolio).all();
 
   return {
-    portfolioName: PORTFOLIO_NAME,
+    portfolioName: portfolioLabel(portfolio),
     totalVendors: totals?.total_vendors || 0,
     totalDomains: totals?.total_domains || 0,
-    averageScore: totals?.average_score || null,
+    averageScore: averageScores[aggregation],
+    scoreAggregation: aggregation,
+    averageScores,
     criticalFindingCount: findings?.critical_active_risk_count || 0,
     highFindingCount: findings?.high_active_risk_count || 0,
     criticalActiveRiskCount: findings?.critical_active_risk_count || 0,
@@ -1018,13 +2610,18 @@ async function getDashboardOverview(env) {
     topCommonRisks: topCommon.results || [],
     mostCommonCategories: categories.results || [],
     mostCommonRiskTypes: riskTypes.results || [],
+    includeAccepted,
+    acceptedRiskCount: await countActiveRiskAcceptances(env.DB, portfolio),
   };
 }
 
-async function getCommonRisks(env) {
+async function getCommonRisks(env, portfolio = null, { includeAccepted = false, sort = "default" } = {}) {
   assertDb(env);
   await assertD1Schema(env);
-  const latestSnapshot = await env.DB.prepare(`SELECT id FROM portfolio_risk_profile_snapshots ORDER BY id DESC LIMIT 1`).first();
+  const definitions = await loadCampaignDefinitions(env.DB);
+  const latestSnapshot = await env.DB.prepare(
+    `SELECT id FROM portfolio_risk_profile_snapshots WHERE ? IS NULL OR portfolio_name = ? ORDER BY id DESC LIMIT 1`
+  ).bind(portfolio, portfolio).first();
   if (latestSnapshot) {
     const { results } = await env.DB.prepare(
       `SELECT title, finding, category, risk_type, risk_subtype, severity, severity_name,
@@ -1034,7 +2631,15 @@ async function getCommonRisks(env) {
        WHERE snapshot_id = ?
        ORDER BY severity DESC, affected_vendor_count DESC, title ASC`
     ).bind(latestSnapshot.id).all();
-    return { portfolioName: PORTFOLIO_NAME, source: "upguard_portfolio_risk_profile", risks: (results || []).map((risk) => ({ ...risk, recommended_action: recommendedActionForRisk(risk) })) };
+    const accepted = includeAccepted ? new Map() : await countAcceptedVendorsByTitle(env.DB, portfolio);
+    const risks = (results || [])
+      .map((risk) => {
+        const acceptedVendorCount = Math.min(accepted.get(risk.title) || 0, Number(risk.affected_vendor_count || 0));
+        return { ...risk, affected_vendor_count: risk.affected_vendor_count == null ? null : risk.affected_vendor_count - acceptedVendorCount, accepted_vendor_count: acceptedVendorCount };
+      })
+      .filter((risk) => !risk.accepted_vendor_count || risk.affected_vendor_count > 0);
+    const weighted = await withTierWeightedExposure(env.DB, portfolio, risks, { includeAccepted });
+    return { portfolioName: portfolioLabel(portfolio), source: "upguard_portfolio_risk_profile", includeAccepted, sort, risks: sortByExposure(weighted, sort, (risk) => risk.tier_weighted_exposure).map((risk) => withCampaign(risk, definitions)) };
   }
   const { results } = await env.DB.prepare(
     `SELECT
@@ -1050,59 +2655,88 @@ async function getCommonRisks(env) {
        'domain_check_results' AS source
      FROM domain_check_results
      WHERE passed = 0
+       AND ${portfolioMembershipClause()}${acceptedRiskFilter("domain_check_results", includeAccepted)}
      GROUP BY title, description, category, severity, severity_name, risk_type, risk_subtype
      ORDER BY severity DESC, affected_vendor_count DESC, title ASC`
-  ).all();
-  return { portfolioName: PORTFOLIO_NAME, source: "domain_check_results", risks: (results || []).map((risk) => ({ ...risk, recommended_action: recommendedActionForRisk(risk) })) };
+  ).bind(portfolio, portfolio).all();
+  const weighted = await withTierWeightedExposure(env.DB, portfolio, results || [], { includeAccepted });
+  return { portfolioName: portfolioLabel(portfolio), source: "domain_check_results", includeAccepted, sort, risks: sortByExposure(weighted, sort, (risk) => risk.tier_weighted_exposure).map((risk) => withCampaign(risk, definitions)) };
+}
+
+function withCampaign(risk, definitions) {
+  const definition = matchCampaignDefinition(risk, definitions);
+  return { ...risk, campaign: definition?.name ?? FALLBACK_CAMPAIGN, recommended_action: recommendedActionForRisk(risk, definition) };
 }
 
-function recommendedActionForRisk(risk) {
-  const campaign = classifyCampaign(risk);
-  const actions = {
-    "DMARC/SPF/DKIM/email authentication": "Publish or tighten SPF, DKIM, and DMARC records; move DMARC toward quarantine/reject after monitoring.",
-    "TLS/certificates": "Renew certificates, remove weak protocols/ciphers, and verify complete certificate chains.",
-    "security headers": "Deploy missing HTTP security headers such as HSTS, CSP, X-Frame-Options, and X-Content-Type-Options.",
-    "exposed services": "Validate business need, restrict exposure with firewall/VPN controls, and disable unnecessary services.",
-    "verified vulnerabilities / CVEs": "Patch affected assets, validate remediation, or document compensating controls with due dates.",
-    "malware/phishing/reputation": "Investigate indicators, remove malicious content, request delisting, and confirm vendor incident response.",
+function recommendedActionForRisk(risk, definition) {
+  if (!definition?.recommended_action) return FALLBACK_CAMPAIGN_ACTION;
+  const values = {
+    campaign: definition.name,
+    owner: definition.owner,
+    title: risk.title,
+    category: risk.category,
+    risk_type: risk.risk_type ?? risk.riskType,
+    risk_subtype: risk.risk_subtype ?? risk.riskSubtype,
+    severity_name: risk.severity_name ?? risk.severityName,
   };
-  return actions[campaign] || "Review the affected vendors, confirm risk ownership, and track remediation evidence.";
+  // Unknown placeholders stay in the text so a typo in a template shows up instead of vanishing.
+  return definition.recommended_action.replace(/\{(\w+)\}/g, (placeholder, key) => key in values ? String(values[key] ?? "") : placeholder);
 }
 
-async function getSeverityBreakdown(env) {
+async function getSeverityBreakdown(env, portfolio = null, { includeAccepted = false } = {}) {
   assertDb(env);
   await assertD1Schema(env);
   const { results } = await env.DB.prepare(
     `SELECT COALESCE(severity_name, 'Unknown') AS severity_name, COUNT(*) AS count
      FROM domain_check_results
      WHERE passed = 0
+       AND ${portfolioMembershipClause()}${acceptedRiskFilter("domain_check_results", includeAccepted)}
      GROUP BY COALESCE(severity_name, 'Unknown')
      ORDER BY MAX(severity) DESC, severity_name ASC`
-  ).all();
-  return { portfolioName: PORTFOLIO_NAME, severities: results || [] };
+  ).bind(portfolio, portfolio).all();
+  return { portfolioName: portfolioLabel(portfolio), includeAccepted, severities: results || [] };
 }
 
-async function getCategories(env) {
+async function getCategories(env, portfolio = null, { includeAccepted = false } = {}) {
   assertDb(env);
   await assertD1Schema(env);
   const { results } = await env.DB.prepare(
     `SELECT COALESCE(category, 'Uncategorized') AS category, COUNT(*) AS count
      FROM domain_check_results
      WHERE passed = 0
+       AND ${portfolioMembershipClause()}${acceptedRiskFilter("domain_check_results", includeAccepted)}
      GROUP BY COALESCE(category, 'Uncategorized')
      ORDER BY count DESC, category ASC`
-  ).all();
-  return { portfolioName: PORTFOLIO_NAME, categories: results || [] };
+  ).bind(portfolio, portfolio).all();
+  return { portfolioName: portfolioLabel(portfolio), includeAccepted, categories: results || [] };
 }
 
 function getTrendDays(url, defaultDays, maxDays = 365) {
   return clamp(url.searchParams.get("days") || defaultDays, 1, maxDays);
 }
 
+function getTrendWindow(url, defaultDays, maxDays = 365) {
+  // ?period=YYYY-MM pins the window to a calendar month; otherwise it is the last `days` days.
+  const period = url.searchParams.get("period");
+  if (period) return parseReportPeriod(period);
+  const days = getTrendDays(url, defaultDays, maxDays);
+  const now = Date.now();
+  return { period: null, days, since: new Date(now - days * 24 * 60 * 60 * 1000).toISOString(), until: new Date(now + 24 * 60 * 60 * 1000).toISOString() };
+}
+
+function parseReportPeriod(value) {
+  const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(String(value ?? "").trim());
+  if (!match) throw new RequestError(400, "invalid_request", "period must be a month in YYYY-MM form.");
+  const since = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, 1));
+  const until = new Date(Date.UTC(Number(match[1]), Number(match[2]), 1));
+  return { period: match[0], days: Math.round((until - since) / (24 * 60 * 60 * 1000)), since: since.toISOString(), until: until.toISOString() };
+}
+
 async function getTrendScore(env, url) {
   assertDb(env);
-  await assertD1Schema(env, ["domain_score_snapshots"]);
-  const days = getTrendDays(url, 90);
+  await assertD1Schema(env, ["domain_score_snapshots", "portfolio_vendors"]);
+  const window = getTrendWindow(url, 90);
+  const portfolio = getPortfolioScope(env, url);
   const { results } = await env.DB.prepare(
     `SELECT date(captured_at) AS date,
             ROUND(AVG(automated_score), 2) AS average_score,
@@ -1110,18 +2744,20 @@ async function getTrendScore(env, url) {
             MAX(automated_score) AS max_score,
             COUNT(DISTINCT vendor_primary_hostname) AS vendor_count
      FROM domain_score_snapshots
-     WHERE captured_at >= datetime('now', ?)
+     WHERE captured_at >= datetime(?) AND captured_at < datetime(?)
        AND automated_score IS NOT NULL
+       AND ${portfolioMembershipClause()}
      GROUP BY date(captured_at)
      ORDER BY date ASC`
-  ).bind(`-${days} days`).all();
+  ).bind(window.since, window.until, portfolio, portfolio).all();
   return results || [];
 }
 
 async function getTrendSeverity(env, url) {
   assertDb(env);
-  await assertD1Schema(env, ["domain_risk_count_snapshots"]);
-  const days = getTrendDays(url, 90);
+  await assertD1Schema(env, ["domain_risk_count_snapshots", "portfolio_vendors"]);
+  const window = getTrendWindow(url, 90);
+  const portfolio = getPortfolioScope(env, url);
   const { results } = await env.DB.prepare(
     `SELECT date(captured_at) AS date,
             COALESCE(SUM(critical_count), 0) AS critical_count,
@@ -1130,22 +2766,28 @@ async function getTrendSeverity(env, url) {
             COALESCE(SUM(low_count), 0) AS low_count,
             COALESCE(SUM(failed_check_count), 0) AS failed_check_count
      FROM domain_risk_count_snapshots
-     WHERE captured_at >= datetime('now', ?)
+     WHERE captured_at >= datetime(?) AND captured_at < datetime(?)
+       AND ${portfolioMembershipClause()}
      GROUP BY date(captured_at)
      ORDER BY date ASC`
-  ).bind(`-${days} days`).all();
+  ).bind(window.since, window.until, portfolio, portfolio).all();
   return results || [];
 }
 
 async function getTrendCategories(env, url) {
   assertDb(env);
-  await assertD1Schema(env, ["category_snapshots"]);
-  const days = getTrendDays(url, 90);
+  await assertD1Schema(env, ["category_snapshots", "portfolio_vendors"]);
+  const window = getTrendWindow(url, 90);
+  const portfolio = getPortfolioScope(env, url);
   const { results } = await env.DB.prepare(
-    `WITH top_categories AS (
-       SELECT category
+    `WITH scoped AS (
+       SELECT *
        FROM category_snapshots
-       WHERE captured_at >= datetime('now', ?)
+       WHERE captured_at >= datetime(?) AND captured_at < datetime(?)
+         AND ${portfolioMembershipClause()}
+     ), top_categories AS (
+       SELECT category
+       FROM scoped
        GROUP BY category
        ORDER BY SUM(failed_check_count) DESC, category ASC
        LIMIT 8
@@ -1154,25 +2796,26 @@ async function getTrendCategories(env, url) {
             category,
             COALESCE(SUM(failed_check_count), 0) AS failed_check_count,
             COALESCE(SUM(affected_vendor_count), 0) AS affected_vendor_count
-     FROM category_snapshots
-     WHERE captured_at >= datetime('now', ?)
-       AND category IN (SELECT category FROM top_categories)
+     FROM scoped
+     WHERE category IN (SELECT category FROM top_categories)
      GROUP BY date(captured_at), category
      ORDER BY date ASC, failed_check_count DESC, category ASC`
-  ).bind(`-${days} days`, `-${days} days`).all();
+  ).bind(window.since, window.until, portfolio, portfolio).all();
   return results || [];
 }
 
 async function getTrendVendorMovers(env, url) {
   assertDb(env);
-  await assertD1Schema(env, ["domain_score_snapshots"]);
-  const days = getTrendDays(url, 30);
+  await assertD1Schema(env, ["domain_score_snapshots", "portfolio_vendors"]);
+  const window = getTrendWindow(url, 30);
+  const portfolio = getPortfolioScope(env, url);
   const { results } = await env.DB.prepare(
     `WITH ranged AS (
        SELECT vendor_primary_hostname, hostname, automated_score, captured_at
        FROM domain_score_snapshots
-       WHERE captured_at >= datetime('now', ?)
+       WHERE captured_at >= datetime(?) AND captured_at < datetime(?)
          AND automated_score IS NOT NULL
+         AND ${portfolioMembershipClause()}
      ), starts AS (
        SELECT r.vendor_primary_hostname, r.hostname, r.automated_score AS start_score
        FROM ranged r
@@ -1195,7 +2838,7 @@ async function getTrendVendorMovers(env, url) {
      JOIN starts s ON s.vendor_primary_hostname = e.vendor_primary_hostname AND s.hostname = e.hostname
      WHERE e.end_score != s.start_score
      ORDER BY ABS(e.end_score - s.start_score) DESC, e.hostname ASC`
-  ).bind(`-${days} days`).all();
+  ).bind(window.since, window.until, portfolio, portfolio).all();
   const rows = results || [];
   return {
     improved: rows.filter((row) => row.delta > 0).sort((a, b) => b.delta - a.delta).slice(0, 10),
@@ -1205,24 +2848,27 @@ async function getTrendVendorMovers(env, url) {
 
 async function getTrendRiskEvents(env, url) {
   assertDb(env);
-  await assertD1Schema(env, ["vendor_risk_events"]);
-  const days = getTrendDays(url, 30);
+  await assertD1Schema(env, ["vendor_risk_events", "portfolio_vendors"]);
+  const window = getTrendWindow(url, 30);
+  const portfolio = getPortfolioScope(env, url);
   const { results } = await env.DB.prepare(
     `SELECT date(COALESCE(event_start, captured_at)) AS date,
             COALESCE(SUM(CASE WHEN LOWER(COALESCE(event_type, '')) IN ('introduced', 'new') THEN 1 ELSE 0 END), 0) AS introduced,
             COALESCE(SUM(CASE WHEN LOWER(COALESCE(event_type, '')) = 'resolved' THEN 1 ELSE 0 END), 0) AS resolved,
             COALESCE(SUM(CASE WHEN LOWER(COALESCE(event_type, '')) IN ('introduced', 'new') THEN 1 WHEN LOWER(COALESCE(event_type, '')) = 'resolved' THEN -1 ELSE 0 END), 0) AS net
      FROM vendor_risk_events
-     WHERE COALESCE(event_start, captured_at) >= datetime('now', ?)
+     WHERE COALESCE(event_start, captured_at) >= datetime(?) AND COALESCE(event_start, captured_at) < datetime(?)
+       AND ${portfolioMembershipClause()}
      GROUP BY date(COALESCE(event_start, captured_at))
      ORDER BY date ASC`
-  ).bind(`-${days} days`).all();
+  ).bind(window.since, window.until, portfolio, portfolio).all();
   return results || [];
 }
 
-async function getTrendRiskAging(env) {
+async function getTrendRiskAging(env, url) {
   assertDb(env);
-  await assertD1Schema(env, ["risk_findings_history"]);
+  await assertD1Schema(env, ["risk_findings_history", "portfolio_vendors"]);
+  const portfolio = getPortfolioScope(env, url);
   const { results } = await env.DB.prepare(
     `SELECT CASE
               WHEN julianday('now') - julianday(first_seen_at) <= 7 THEN '0-7 days'
@@ -1237,8 +2883,9 @@ async function getTrendRiskAging(env) {
             COUNT(*) AS total
      FROM risk_findings_history
      WHERE status = 'open'
+       AND ${portfolioMembershipClause()}
      GROUP BY bucket`
-  ).all();
+  ).bind(portfolio, portfolio).all();
   const defaults = ["0-7 days", "8-30 days", "31-90 days", "90+ days"].map((bucket) => ({ bucket, critical: 0, high: 0, medium: 0, low: 0, total: 0 }));
   const byBucket = new Map(defaults.map((row) => [row.bucket, row]));
   for (const row of results || []) byBucket.set(row.bucket, { ...byBucket.get(row.bucket), ...row });
@@ -1247,8 +2894,13 @@ async function getTrendRiskAging(env) {
 
 async function getTrendIngestionHealth(env, url) {
   assertDb(env);
-  await assertD1Schema(env, ["ingestion_runs", "ingestion_errors"]);
+  await assertD1Schema(env, ["ingestion_runs", "ingestion_errors", "portfolio_vendors", "upguard_requests"]);
   const days = getTrendDays(url, 30);
+  const portfolio = getPortfolioScope(env, url);
+  // Errors outside any vendor (pipeline, portfolio sync and cron failures) belong to every view
+  // that was not narrowed to a portfolio explicitly.
+  const includeUnattributed = portfolio === null || !url.searchParams.get("portfolio") ? 1 : 0;
+  const errorScope = `(${portfolioMembershipClause()} OR (vendor_primary_hostname IS NULL AND ? = 1))`;
   const runs = await env.DB.prepare(
     `SELECT date(started_at) AS date,
             COUNT(*) AS run_count,
@@ -1266,35 +2918,278 @@ async function getTrendIngestionHealth(env, url) {
     `SELECT COALESCE(CAST(status_code AS TEXT), 'unknown') AS status_code, COUNT(*) AS count
      FROM ingestion_errors
      WHERE created_at >= datetime('now', ?)
+       AND ${errorScope}
      GROUP BY COALESCE(CAST(status_code AS TEXT), 'unknown')
      ORDER BY count DESC, status_code ASC`
-  ).bind(`-${days} days`).all();
+  ).bind(`-${days} days`, portfolio, portfolio, includeUnattributed).all();
   const topFailingHostnames = await env.DB.prepare(
     `SELECT COALESCE(hostname, 'unknown') AS hostname, COUNT(*) AS count
      FROM ingestion_errors
      WHERE created_at >= datetime('now', ?)
+       AND ${errorScope}
      GROUP BY COALESCE(hostname, 'unknown')
      ORDER BY count DESC, hostname ASC
      LIMIT 10`
-  ).bind(`-${days} days`).all();
+  ).bind(`-${days} days`, portfolio, portfolio, includeUnattributed).all();
+  const retriesByDay = await env.DB.prepare(
+    `SELECT date(created_at) AS date,
+            COUNT(*) AS request_count,
+            COALESCE(SUM(attempt_count), 0) AS attempt_count,
+            COALESCE(SUM(retry_count), 0) AS retry_count,
+            COALESCE(SUM(CASE WHEN retry_count > 0 THEN 1 ELSE 0 END), 0) AS retried_request_count,
+            COALESCE(SUM(CASE WHEN outcome = 'success' THEN 1 ELSE 0 END), 0) AS success_count,
+            COALESCE(SUM(CASE WHEN outcome = 'throttled' THEN 1 ELSE 0 END), 0) AS throttled_count,
+            ROUND(CAST(SUM(CASE WHEN retry_count > 0 THEN 1 ELSE 0 END) AS REAL) / COUNT(*), 4) AS retry_rate
+     FROM upguard_requests
+     WHERE created_at >= datetime('now', ?)
+       AND ${portfolioMembershipClause()}
+     GROUP BY date(created_at)
+     ORDER BY date ASC`
+  ).bind(`-${days} days`, portfolio, portfolio).all();
+  const requestOutcomes = await env.DB.prepare(
+    `SELECT outcome, COUNT(*) AS count, COALESCE(SUM(retry_count), 0) AS retry_count
+     FROM upguard_requests
+     WHERE created_at >= datetime('now', ?)
+       AND ${portfolioMembershipClause()}
+     GROUP BY outcome
+     ORDER BY count DESC, outcome ASC`
+  ).bind(`-${days} days`, portfolio, portfolio).all();
+  const requestTotals = (retriesByDay.results || []).reduce((totals, row) => ({
+    requestCount: totals.requestCount + row.request_count,
+    retriedRequestCount: totals.retriedRequestCount + row.retried_request_count,
+    retryCount: totals.retryCount + row.retry_count,
+  }), { requestCount: 0, retriedRequestCount: 0, retryCount: 0 });
   return {
     runsByDay: runs.results || [],
     errorsByStatusCode: errorsByStatusCode.results || [],
     topFailingHostnames: topFailingHostnames.results || [],
+    retriesByDay: retriesByDay.results || [],
+    requestOutcomes: requestOutcomes.results || [],
+    retryRate: requestTotals.requestCount ? Math.round((requestTotals.retriedRequestCount / requestTotals.requestCount) * 10000) / 10000 : null,
+    ...requestTotals,
+  };
+}
+
+async function getExecutiveReport(env, url) {
+  assertDb(env);
+  await assertD1Schema(env, ["domain_score_snapshots", "domain_risk_count_snapshots", "vendor_risk_events", "risk_findings_history", "sla_policies", "portfolio_common_risks", "portfolio_risk_profile_snapshots", "vendor_active_risks", "portfolio_vendors"]);
+  // Without a period the report covers the last full calendar month.
+  const lastMonth = new Date();
+  lastMonth.setUTCDate(1);
+  lastMonth.setUTCMonth(lastMonth.getUTCMonth() - 1);
+  const reportUrl = new URL(url);
+  reportUrl.searchParams.set("period", url.searchParams.get("period") || lastMonth.toISOString().slice(0, 7));
+  const window = getTrendWindow(reportUrl, 30);
+  const portfolio = getPortfolioScope(env, url);
+
+  const score = await getTrendScore(env, reportUrl);
+  const severity = await getTrendSeverity(env, reportUrl);
+  const movers = await getTrendVendorMovers(env, reportUrl);
+  const riskEvents = await getTrendRiskEvents(env, reportUrl);
+  const sla = await getSlaCompliance(env, reportUrl);
+  const { campaigns } = await getRemediationCampaigns(env, portfolio);
+  const findings = await env.DB.prepare(
+    `SELECT COALESCE(SUM(CASE WHEN first_seen_at >= ? AND first_seen_at < ? THEN 1 ELSE 0 END), 0) AS opened,
+            COALESCE(SUM(CASE WHEN resolved_at >= ? AND resolved_at < ? THEN 1 ELSE 0 END), 0) AS resolved
+     FROM risk_findings_history
+     WHERE ${portfolioMembershipClause()}`
+  ).bind(window.since, window.until, window.since, window.until, portfolio, portfolio).first();
+
+  const report = {
+    portfolioName: portfolioLabel(portfolio),
+    period: window.period,
+    periodLabel: new Date(window.since).toLocaleString("en-US", { month: "long", year: "numeric", timeZone: "UTC" }),
+    generatedAt: new Date().toISOString(),
+    score,
+    severity,
+    movers,
+    counts: {
+      risksIntroduced: riskEvents.reduce((total, row) => total + Number(row.introduced || 0), 0),
+      risksResolved: riskEvents.reduce((total, row) => total + Number(row.resolved || 0), 0),
+      findingsOpened: Number(findings?.opened || 0),
+      findingsResolved: Number(findings?.resolved || 0),
+    },
+    sla,
+    campaigns: campaigns.slice(0, 5),
   };
+  return { ...report, summary: summarizeExecutiveReport(report) };
+}
+
+function summarizeExecutiveReport(report) {
+  const sentences = [];
+  const first = report.score[0];
+  const last = report.score[report.score.length - 1];
+  if (!first) sentences.push(`No domain scores were captured for ${report.portfolioName} in ${report.periodLabel}.`);
+  else if (first === last) sentences.push(`The average domain score for ${report.portfolioName} was ${roundScore(last.average_score)} in ${report.periodLabel}, from a single day of scans.`);
+  else {
+    const delta = roundScore(last.average_score - first.average_score);
+    const direction = delta > 0 ? `improved by ${delta} points` : delta < 0 ? `fell by ${-delta} points` : "held steady";
+    sentences.push(`The average domain score for ${report.portfolioName} ${direction} in ${report.periodLabel}, from ${roundScore(first.average_score)} to ${roundScore(last.average_score)}.`);
+  }
+  const { risksIntroduced, risksResolved, findingsOpened, findingsResolved } = report.counts;
+  sentences.push(`UpGuard reported ${risksIntroduced} new and ${risksResolved} resolved vendor risks; our own scans opened ${findingsOpened} findings and closed ${findingsResolved}.`);
+  const severityStart = report.severity[0];
+  const severityEnd = report.severity[report.severity.length - 1];
+  if (severityEnd) {
+    const urgent = (row) => Number(row.critical_count || 0) + Number(row.high_count || 0);
+    sentences.push(`Critical and high failed checks ${severityStart === severityEnd ? "stood at" : `went from ${urgent(severityStart)} to`} ${urgent(severityEnd)}.`);
+  }
+  const worst = report.movers.declined[0];
+  if (worst) sentences.push(`The largest score decline was ${worst.hostname} (${worst.start_score} to ${worst.end_score}).`);
+  if (report.sla.complianceRate != null) sentences.push(`${report.sla.complianceRate}% of remediation deadlines due this month were met (${report.sla.metCount} of ${report.sla.dueCount}).`);
+  if (report.sla.breached) sentences.push(`${report.sla.breached} open findings are currently past their SLA.`);
+  const campaign = report.campaigns[0];
+  if (campaign) sentences.push(`The top remediation campaign is ${campaign.campaign}, affecting ${campaign.affectedVendorCount} vendors.`);
+  return sentences;
 }
 
-async function getLatestPortfolioRiskProfile(env) {
+async function getLatestPortfolioRiskProfile(env, portfolio = null) {
   assertDb(env);
   await assertD1Schema(env, ["portfolio_risk_profile_snapshots", "portfolio_common_risks"]);
   const snapshot = await env.DB.prepare(
-    `SELECT * FROM portfolio_risk_profile_snapshots ORDER BY id DESC LIMIT 1`
-  ).first();
-  if (!snapshot) return { portfolioName: PORTFOLIO_NAME, snapshot: null, risks: [] };
+    `SELECT * FROM portfolio_risk_profile_snapshots WHERE ? IS NULL OR portfolio_name = ? ORDER BY id DESC LIMIT 1`
+  ).bind(portfolio, portfolio).first();
+  if (!snapshot) return { portfolioName: portfolioLabel(portfolio), snapshot: null, risks: [] };
   const { results } = await env.DB.prepare(
     `SELECT * FROM portfolio_common_risks WHERE snapshot_id = ? ORDER BY severity DESC, affected_vendor_count DESC, title ASC`
   ).bind(snapshot.id).all();
-  return { portfolioName: PORTFOLIO_NAME, snapshot: { ...snapshot, raw: parseJson(snapshot.raw_json, {}) }, risks: (results || []).map(hydrateStoredRisk) };
+  return { portfolioName: portfolioLabel(portfolio), snapshot: { ...snapshot, raw: parseJson(snapshot.raw_json, {}) }, risks: (results || []).map(hydrateStoredRisk) };
+}
+
+async function listFindings(env, url) {
+  assertDb(env);
+  await assertD1Schema(env, ["risk_findings_history", "portfolio_vendors", "sla_policies", "vendor_criticality"]);
+  const portfolio = getPortfolioScope(env, url);
+  const sort = url.searchParams.get("sort") || "last_seen_at";
+  const order = (url.searchParams.get("order") || "desc").toLowerCase();
+  if (!FINDING_SORT_COLUMNS[sort]) throw new RequestError(400, "invalid_request", `sort must be one of ${Object.keys(FINDING_SORT_COLUMNS).join(", ")}.`);
+  if (!["asc", "desc"].includes(order)) throw new RequestError(400, "invalid_request", "order must be asc or desc.");
+  const limit = clamp(url.searchParams.get("limit") || DEFAULT_FINDINGS_LIMIT, 1, MAX_FINDINGS_LIMIT);
+  const { clauses, params } = buildFindingFilters(url, portfolio);
+
+  const total = await env.DB.prepare(
+    `SELECT COUNT(*) AS count FROM risk_findings_history WHERE ${clauses.join(" AND ")}`
+  ).bind(...params).first();
+
+  const sortExpression = FINDING_SORT_COLUMNS[sort];
+  const comparison = order === "asc" ? ">" : "<";
+  const pageClauses = [...clauses];
+  const pageParams = [...params];
+  const cursor = url.searchParams.get("cursor");
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (position.sort !== sort || position.order !== order) throw new RequestError(400, "invalid_cursor", "cursor belongs to a different sort; restart pagination without it.");
+    pageClauses.push(`(${sortExpression} ${comparison} ? OR (${sortExpression} = ? AND id ${comparison} ?))`);
+    pageParams.push(position.value, position.value, position.id);
+  }
+  const { results } = await env.DB.prepare(
+    `SELECT id, finding_key, vendor_primary_hostname, hostname, check_id, title, category, risk_type, risk_subtype,
+            severity, severity_name, first_seen_at, last_seen_at, resolved_at, status, reopen_count, last_reopened_at,
+            ${sortExpression} AS sort_value
+     FROM risk_findings_history
+     WHERE ${pageClauses.join(" AND ")}
+     ORDER BY ${sortExpression} ${order.toUpperCase()}, id ${order.toUpperCase()}
+     LIMIT ?`
+  ).bind(...pageParams, limit + 1).all();
+  const rows = results || [];
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  const slaContext = await loadSlaContext(env.DB);
+  return {
+    portfolioName: portfolioLabel(portfolio),
+    total: total?.count || 0,
+    sort,
+    order,
+    limit,
+    findings: page.map(({ sort_value: _sortValue, ...finding }) => ({ ...hydrateFinding(finding), sla: assessFindingSla(finding, slaContext) })),
+    nextCursor: rows.length > limit ? encodeCursor({ sort, order, value: last.sort_value, id: last.id }) : null,
+  };
+}
+
+function buildFindingFilters(url, portfolio) {
+  const clauses = [portfolioMembershipClause()];
+  const params = [portfolio, portfolio];
+  const vendor = normalizeHostname(url.searchParams.get("vendor") || url.searchParams.get("vendor_primary_hostname"));
+  if (vendor) {
+    clauses.push("vendor_primary_hostname = ?");
+    params.push(vendor);
+  }
+  const hostname = normalizeHostname(url.searchParams.get("hostname"));
+  if (hostname) {
+    clauses.push("hostname = ?");
+    params.push(hostname);
+  }
+  const status = url.searchParams.get("status");
+  if (status) {
+    if (!FINDING_STATUSES.includes(status)) throw new RequestError(400, "invalid_request", `status must be one of ${FINDING_STATUSES.join(", ")}.`);
+    // Reopened findings are open again; the filter narrows to those with a prior resolution.
+    clauses.push(status === "reopened" ? "status = 'open' AND reopen_count > 0" : "status = ?");
+    if (status !== "reopened") params.push(status);
+  }
+  const severities = (url.searchParams.get("severity") || "").split(",").map((value) => value.trim().toLowerCase()).filter(Boolean);
+  if (severities.length) {
+    const levels = Object.fromEntries(Object.entries(SEVERITY_NAMES).map(([level, name]) => [name, Number(level)]));
+    const unknown = severities.filter((severity) => !levels[severity]);
+    if (unknown.length) throw new RequestError(400, "invalid_request", `Unknown severity ${unknown.join(", ")}; use ${Object.values(SEVERITY_NAMES).join(", ")}.`);
+    clauses.push(`(${severities.map(() => "(LOWER(COALESCE(severity_name, '')) = ? OR severity = ?)").join(" OR ")})`);
+    for (const severity of severities) params.push(severity, levels[severity]);
+  }
+  const category = stringOrNull(url.searchParams.get("category"));
+  if (category) {
+    clauses.push("LOWER(category) = LOWER(?)");
+    params.push(category);
+  }
+  // <field>_after is inclusive and <field>_before exclusive, so consecutive ranges never overlap.
+  for (const [prefix, column] of Object.entries(FINDING_DATE_FILTERS)) {
+    for (const [suffix, operator] of [["after", ">="], ["before", "<"]]) {
+      const value = url.searchParams.get(`${prefix}_${suffix}`);
+      if (!value) continue;
+      const date = new Date(value);
+      if (Number.isNaN(date.getTime())) throw new RequestError(400, "invalid_request", `${prefix}_${suffix} must be a valid date.`);
+      clauses.push(`${column} ${operator} ?`);
+      params.push(date.toISOString());
+    }
+  }
+  return { clauses, params };
+}
+
+async function getFinding(env, findingKey) {
+  assertDb(env);
+  await assertD1Schema(env, ["risk_findings_history", "risk_finding_transitions", "sla_policies", "portfolio_vendors", "risk_acceptances", "vendor_criticality"]);
+  const finding = await env.DB.prepare("SELECT * FROM risk_findings_history WHERE finding_key = ?").bind(findingKey).first();
+  if (!finding) throw new RequestError(404, "finding_not_found", `No finding with key ${findingKey}.`);
+  const transitions = await env.DB.prepare(
+    "SELECT transition, from_status, to_status, occurred_at FROM risk_finding_transitions WHERE finding_key = ? ORDER BY occurred_at ASC, id ASC"
+  ).bind(findingKey).all();
+  const { raw_json: rawJson, ...rest } = finding;
+  const acceptance = await env.DB.prepare(
+    `SELECT * FROM risk_acceptances ra WHERE ra.finding_key = ? AND ${ACTIVE_RISK_ACCEPTANCE_SQL} ORDER BY ra.id DESC LIMIT 1`
+  ).bind(findingKey).first();
+  return {
+    finding: { ...hydrateFinding(rest), sla: assessFindingSla(rest, await loadSlaContext(env.DB)), raw: parseJson(rawJson, {}) },
+    acceptance: acceptance || null,
+    transitions: transitions.results || [],
+  };
+}
+
+function hydrateFinding(finding) {
+  return { ...finding, reopened: Number(finding.reopen_count) > 0 };
+}
+
+function encodeCursor(position) {
+  return btoa(JSON.stringify(position)).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function decodeCursor(cursor) {
+  let position = null;
+  try {
+    position = parseJson(new TextDecoder().decode(base64UrlToBytes(cursor)), null);
+  } catch (_error) {
+    position = null;
+  }
+  const validValue = position && (position.value === null || ["string", "number"].includes(typeof position.value));
+  if (!position || typeof position !== "object" || !Number.isInteger(position.id) || !validValue) throw new RequestError(400, "invalid_cursor", "cursor is not a valid pagination cursor.");
+  return position;
 }
 
 async function getVendorRisks(env, hostname) {
@@ -1304,44 +3199,2657 @@ async function getVendorRisks(env, hostname) {
   const { results } = await env.DB.prepare(
     `SELECT * FROM vendor_active_risks WHERE vendor_primary_hostname = ? ORDER BY severity DESC, title ASC`
   ).bind(cleanHostname).all();
-  return { portfolioName: PORTFOLIO_NAME, hostname: cleanHostname, risks: (results || []).map(hydrateStoredRisk) };
+  return { hostname: cleanHostname, risks: (results || []).map(hydrateStoredRisk) };
+}
+
+async function getDashboardChanges(env, portfolio = null) {
+  assertDb(env);
+  await assertD1Schema(env, ["vendor_risk_events", "portfolio_membership_events", "portfolio_vendors"]);
+  const { results } = await env.DB.prepare(
+    `SELECT vendor_primary_hostname, event_type, title, finding, category, risk_type, risk_subtype, severity,
+            severity_name, affected_hostnames_json, sources_json, event_start, event_end, captured_at
+     FROM vendor_risk_events
+     WHERE ${portfolioMembershipClause()}
+     UNION ALL
+     SELECT vendor_primary_hostname, event_type,
+            CASE event_type WHEN 'vendor_added' THEN 'Vendor added to UpGuard portfolio' ELSE 'Vendor removed from UpGuard portfolio' END,
+            display_name, 'Portfolio membership', NULL, NULL, NULL, NULL, '[]', '[]', NULL, NULL, captured_at
+     FROM portfolio_membership_events
+     WHERE ? IS NULL OR portfolio_id = ?
+     ORDER BY captured_at DESC, severity DESC
+     LIMIT 200`
+  ).bind(portfolio, portfolio, portfolio, portfolio).all();
+  const changes = (results || []).map(hydrateStoredRiskEvent);
+  return { portfolioName: portfolioLabel(portfolio), changes };
+}
+
+async function getRemediationCampaigns(env, portfolio = null, { includeAccepted = false, sort = "default" } = {}) {
+  assertDb(env);
+  await assertD1Schema(env, ["portfolio_common_risks", "portfolio_risk_profile_snapshots", "vendor_active_risks", "portfolio_vendors", "vendor_criticality", "campaign_definitions", "risk_acceptances"]);
+  const combined = await withTierWeightedExposure(env.DB, portfolio, await listCampaignRisks(env, portfolio, includeAccepted), { includeAccepted });
+  const campaigns = sortByExposure(buildRemediationCampaigns(combined, await loadCampaignDefinitions(env.DB)), sort, (campaign) => campaign.tierWeightedExposure);
+  return { portfolioName: portfolioLabel(portfolio), includeAccepted, sort, campaigns };
+}
+
+// The risks campaigns are built from: the portfolio risk profile plus each vendor's active risks.
+async function listCampaignRisks(env, portfolio, includeAccepted = false) {
+  const profile = await getLatestPortfolioRiskProfile(env, portfolio);
+  const active = await env.DB.prepare(
+    `SELECT title, finding, category, risk_type, risk_subtype, severity, severity_name,
+            COUNT(DISTINCT vendor_primary_hostname) AS affected_vendor_count,
+            COUNT(*) AS affected_domain_count
+     FROM vendor_active_risks
+     WHERE ${portfolioMembershipClause()}${acceptedRiskFilter("vendor_active_risks", includeAccepted)}
+     GROUP BY title, finding, category, risk_type, risk_subtype, severity, severity_name
+     ORDER BY severity DESC, affected_vendor_count DESC
+     LIMIT 200`
+  ).bind(portfolio, portfolio).all();
+  return [...(profile.risks || []), ...(active.results || [])];
+}
+
+async function listCampaignDefinitions(env) {
+  assertDb(env);
+  await assertD1Schema(env, ["campaign_definitions"]);
+  return { matchFields: Object.keys(CAMPAIGN_MATCH_FIELDS), fallbackCampaign: FALLBACK_CAMPAIGN, definitions: await listCampaignDefinitionRows(env.DB) };
+}
+
+async function createCampaignDefinition(env, body) {
+  assertDb(env);
+  await assertD1Schema(env, ["campaign_definitions"]);
+  const fields = normalizeNewCampaignDefinition(body);
+  await assertCampaignNameAvailable(env.DB, fields.name);
+  const insert = await env.DB.prepare(
+    `INSERT INTO campaign_definitions (name, priority, match_rules_json, recommended_action, owner, active)
+     VALUES (?, ?, ?, ?, ?, ?)`
+  ).bind(fields.name, fields.priority, stringifyJson(fields.match_rules), fields.recommended_action, fields.owner, fields.active).run();
+  return { definition: await findCampaignDefinition(env.DB, insert.meta?.last_row_id) };
+}
+
+async function updateCampaignDefinition(env, id, body) {
+  assertDb(env);
+  await assertD1Schema(env, ["campaign_definitions", "remediation_ticket_links"]);
+  const existing = await findCampaignDefinition(env.DB, id);
+  const fields = normalizeCampaignDefinitionFields(body);
+  if (!Object.keys(fields).length) throw new RequestError(400, "invalid_request", "Provide at least one of name, priority, match_rules, recommended_action, owner or active.");
+  if (fields.match_rules && !Object.keys(fields.match_rules).length) throw new RequestError(400, "invalid_request", "match_rules needs at least one pattern.");
+  const renamed = fields.name !== undefined && fields.name !== existing.name;
+  if (renamed) await assertCampaignNameAvailable(env.DB, fields.name, existing.id);
+  const columns = Object.entries(fields).map(([column, value]) => column === "match_rules" ? ["match_rules_json", stringifyJson(value)] : [column, value]);
+  const statements = [env.DB.prepare(
+    `UPDATE campaign_definitions
+     SET ${columns.map(([column]) => `${column} = ?`).join(", ")}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`
+  ).bind(...columns.map(([, value]) => value), existing.id)];
+  // Remediation tickets link campaigns by name, so a rename carries their links along.
+  if (renamed) statements.push(env.DB.prepare("UPDATE remediation_ticket_links SET link_key = ? WHERE link_type = 'campaign' AND link_key = ?").bind(fields.name, existing.name));
+  await env.DB.batch(statements);
+  return { definition: await findCampaignDefinition(env.DB, existing.id) };
+}
+
+async function deleteCampaignDefinition(env, id) {
+  assertDb(env);
+  await assertD1Schema(env, ["campaign_definitions", "remediation_ticket_links"]);
+  const existing = await findCampaignDefinition(env.DB, id);
+  const linked = await env.DB.prepare("SELECT COUNT(*) AS count FROM remediation_ticket_links WHERE link_type = 'campaign' AND link_key = ?").bind(existing.name).first();
+  if (linked?.count) throw new RequestError(409, "campaign_in_use", `Campaign definition ${existing.id} is linked from ${linked.count} remediation ticket(s); set active to false instead.`);
+  await env.DB.prepare("DELETE FROM campaign_definitions WHERE id = ?").bind(existing.id).run();
+  return { deleted: true, definition: existing };
+}
+
+// Shows how the current risks would regroup if the proposed definition were saved: a new
+// definition without an id, changes to definition `id`, or its removal with `delete: true`.
+async function previewCampaignReclassification(env, url, body) {
+  assertDb(env);
+  await assertD1Schema(env, ["campaign_definitions", "portfolio_common_risks", "portfolio_risk_profile_snapshots", "vendor_active_risks", "portfolio_vendors"]);
+  const portfolio = getPortfolioScope(env, url);
+  const current = await listCampaignDefinitionRows(env.DB);
+  const id = pickBodyField(body, "id");
+  let proposed;
+  if (id == null) {
+    const fields = normalizeNewCampaignDefinition(body);
+    await assertCampaignNameAvailable(env.DB, fields.name);
+    proposed = [...current, { id: null, ...fields }];
+  } else {
+    const existing = await findCampaignDefinition(env.DB, id);
+    if (toBooleanInteger(pickBodyField(body, "delete")) === 1) proposed = current.filter((definition) => definition.id !== existing.id);
+    else {
+      const fields = normalizeCampaignDefinitionFields(body);
+      if (fields.match_rules && !Object.keys(fields.match_rules).length) throw new RequestError(400, "invalid_request", "match_rules needs at least one pattern.");
+      if (fields.name !== undefined && fields.name !== existing.name) await assertCampaignNameAvailable(env.DB, fields.name, existing.id);
+      proposed = current.map((definition) => definition.id === existing.id ? { ...definition, ...fields } : definition);
+    }
+  }
+  const before = compileCampaignDefinitions(current);
+  const after = compileCampaignDefinitions(proposed);
+  const risks = await listCampaignRisks(env, portfolio);
+  const counts = new Map();
+  const moved = [];
+  for (const risk of risks) {
+    const from = classifyCampaign(risk, before);
+    const to = classifyCampaign(risk, after);
+    for (const [campaign, key] of [[from, "before"], [to, "after"]]) {
+      const entry = counts.get(campaign) || { campaign, before: 0, after: 0 };
+      entry[key] += 1;
+      counts.set(campaign, entry);
+    }
+    if (from !== to) moved.push({ title: risk.title, category: risk.category ?? null, risk_type: risk.risk_type ?? null, severity: risk.severity ?? null, from, to });
+  }
+  return {
+    portfolioName: portfolioLabel(portfolio),
+    riskCount: risks.length,
+    movedCount: moved.length,
+    campaigns: [...counts.values()]
+      .map((entry) => ({ ...entry, delta: entry.after - entry.before }))
+      .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || a.campaign.localeCompare(b.campaign)),
+    moved: moved.slice(0, MAX_CAMPAIGN_PREVIEW_MOVES),
+  };
+}
+
+async function findCampaignDefinition(db, id) {
+  const definitionId = Number(id);
+  const definition = Number.isInteger(definitionId) ? await db.prepare("SELECT * FROM campaign_definitions WHERE id = ?").bind(definitionId).first() : null;
+  if (!definition) throw new RequestError(404, "campaign_definition_not_found", `Campaign definition ${id} does not exist.`);
+  return hydrateCampaignDefinition(definition);
+}
+
+async function assertCampaignNameAvailable(db, name, exceptId = null) {
+  const existing = await db.prepare("SELECT id FROM campaign_definitions WHERE LOWER(name) = LOWER(?) AND id IS NOT ?").bind(name, exceptId).first();
+  if (existing) throw new RequestError(409, "campaign_exists", `A campaign named ${name} already exists.`);
+}
+
+async function listCampaignDefinitionRows(db) {
+  const { results } = await db.prepare("SELECT * FROM campaign_definitions ORDER BY active DESC, priority ASC, id ASC").all();
+  return (results || []).map(hydrateCampaignDefinition);
+}
+
+async function loadCampaignDefinitions(db) {
+  return compileCampaignDefinitions(await listCampaignDefinitionRows(db));
+}
+
+// Active definitions in evaluation order, with their patterns compiled once per request.
+function compileCampaignDefinitions(definitions) {
+  return definitions
+    .filter((definition) => definition.active)
+    .sort((a, b) => a.priority - b.priority || (a.id ?? Infinity) - (b.id ?? Infinity))
+    .map((definition) => ({
+      ...definition,
+      rules: Object.entries(definition.match_rules || {})
+        .filter(([field]) => field in CAMPAIGN_MATCH_FIELDS)
+        .map(([field, patterns]) => [field, [].concat(patterns).map((pattern) => new RegExp(pattern, "i"))]),
+    }));
+}
+
+function normalizeNewCampaignDefinition(body) {
+  const fields = normalizeCampaignDefinitionFields(body);
+  if (!fields.name) throw new RequestError(400, "invalid_request", "name is required.");
+  if (!Object.keys(fields.match_rules || {}).length) throw new RequestError(400, "invalid_request", "match_rules needs at least one pattern.");
+  return { priority: 100, recommended_action: null, owner: null, active: 1, ...fields };
+}
+
+function normalizeCampaignDefinitionFields(body) {
+  const fields = {};
+  const name = pickBodyField(body, "name");
+  const priority = pickBodyField(body, "priority");
+  const matchRules = pickBodyField(body, "match_rules", "matchRules");
+  const recommendedAction = pickBodyField(body, "recommended_action", "recommendedAction");
+  const owner = pickBodyField(body, "owner");
+  const active = pickBodyField(body, "active");
+  if (name !== undefined) {
+    fields.name = stringOrNull(String(name ?? "").trim());
+    if (!fields.name) throw new RequestError(400, "invalid_request", "name cannot be empty.");
+    if (fields.name.toLowerCase() === FALLBACK_CAMPAIGN) throw new RequestError(400, "invalid_request", `"${FALLBACK_CAMPAIGN}" is reserved for risks no campaign matches.`);
+  }
+  if (priority !== undefined) {
+    const number = Number(priority);
+    if (!Number.isInteger(number) || number < 0 || number > 10000) throw new RequestError(400, "invalid_request", "priority must be a whole number between 0 and 10000.");
+    fields.priority = number;
+  }
+  if (matchRules !== undefined) fields.match_rules = normalizeCampaignMatchRules(matchRules);
+  if (recommendedAction !== undefined) fields.recommended_action = stringOrNull(recommendedAction);
+  if (owner !== undefined) fields.owner = stringOrNull(owner);
+  if (active !== undefined) {
+    fields.active = toBooleanInteger(active);
+    if (fields.active == null) throw new RequestError(400, "invalid_request", "active must be a boolean.");
+  }
+  return fields;
+}
+
+function normalizeCampaignMatchRules(rules) {
+  if (!rules || typeof rules !== "object" || Array.isArray(rules)) throw new RequestError(400, "invalid_request", "match_rules must be an object keyed by field.");
+  const normalized = {};
+  for (const [field, value] of Object.entries(rules)) {
+    if (!(field in CAMPAIGN_MATCH_FIELDS)) throw new RequestError(400, "invalid_request", `match_rules keys must be ${Object.keys(CAMPAIGN_MATCH_FIELDS).join(", ")}.`);
+    const patterns = [].concat(value ?? []).map((pattern) => String(pattern ?? "").trim()).filter(Boolean);
+    for (const pattern of patterns) {
+      if (pattern.length > MAX_CAMPAIGN_PATTERN_LENGTH) throw new RequestError(400, "invalid_request", `match_rules.${field} patterns must be at most ${MAX_CAMPAIGN_PATTERN_LENGTH} characters.`);
+      try {
+        new RegExp(pattern, "i");
+      } catch {
+        throw new RequestError(400, "invalid_request", `match_rules.${field} pattern ${pattern} is not a valid regular expression.`);
+      }
+      if (hasBacktrackingRepeat(pattern)) throw new RequestError(400, "invalid_request", `match_rules.${field} pattern ${pattern} repeats a group that itself repeats or alternates; simplify it so matching cannot backtrack without bound.`);
+    }
+    if (patterns.length) normalized[field] = patterns;
+  }
+  return normalized;
+}
+
+// True when a repeated group contains another repeat or an alternation, as in (a+)+, (\w+\s?)* or
+// (a|ab)*. Such patterns can backtrack exponentially on a title that almost matches, and they run
+// on every risk.
+function hasBacktrackingRepeat(pattern) {
+  const groups = [{ repeats: false, alternates: false }];
+  for (let index = 0; index < pattern.length; index += 1) {
+    const char = pattern[index];
+    if (char === "\\") {
+      index += 1;
+    } else if (char === "[") {
+      for (index += 1; index < pattern.length && pattern[index] !== "]"; index += 1) {
+        if (pattern[index] === "\\") index += 1;
+      }
+    } else if (char === "(") {
+      groups.push({ repeats: false, alternates: false });
+    } else if (char === ")" && groups.length > 1) {
+      const group = groups.pop();
+      const parent = groups[groups.length - 1];
+      const repeated = "*+{".includes(pattern[index + 1] || " ");
+      if (repeated && (group.repeats || group.alternates)) return true;
+      if (repeated || group.repeats) parent.repeats = true;
+      if (group.alternates) parent.alternates = true;
+    } else if (char === "|") {
+      groups[groups.length - 1].alternates = true;
+    } else if ("*+{".includes(char)) {
+      groups[groups.length - 1].repeats = true;
+    }
+  }
+  return false;
+}
+
+function hydrateCampaignDefinition(definition) {
+  const { match_rules_json: matchRulesJson, ...rest } = definition;
+  return { ...rest, match_rules: parseJson(matchRulesJson, {}), active: Boolean(definition.active) };
+}
+
+async function listRemediationTickets(env, url) {
+  assertDb(env);
+  await assertD1Schema(env, ["remediation_tickets", "remediation_ticket_links", "risk_findings_history", "portfolio_vendors", "campaign_definitions"]);
+  const portfolio = getPortfolioScope(env, url);
+  // Tickets without a vendor are campaign-wide work, listed in their own portfolio or, without
+  // one, in every portfolio.
+  const clauses = [`(${portfolioMembershipClause()} OR (vendor_primary_hostname IS NULL AND (? IS NULL OR portfolio IS NULL OR portfolio = ?)))`];
+  const params = [portfolio, portfolio, portfolio, portfolio];
+  const status = url.searchParams.get("status");
+  if (status) {
+    if (!REMEDIATION_STATUSES.includes(status)) throw new RequestError(400, "invalid_request", `status must be one of ${REMEDIATION_STATUSES.join(", ")}.`);
+    clauses.push("status = ?");
+    params.push(status);
+  }
+  const assignee = stringOrNull(url.searchParams.get("assignee"));
+  if (assignee) {
+    clauses.push("LOWER(assignee) = LOWER(?)");
+    params.push(assignee);
+  }
+  const vendor = normalizeHostname(url.searchParams.get("vendor"));
+  if (vendor) {
+    clauses.push("vendor_primary_hostname = ?");
+    params.push(vendor);
+  }
+  if (toBooleanInteger(url.searchParams.get("overdue")) === 1) {
+    clauses.push("due_date < ? AND status NOT IN ('verified', 'closed')");
+    params.push(new Date().toISOString().slice(0, 10));
+  }
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM remediation_tickets
+     WHERE ${clauses.join(" AND ")}
+     ORDER BY CASE WHEN status = 'closed' THEN 1 ELSE 0 END, COALESCE(due_date, '9999-12-31') ASC, id DESC`
+  ).bind(...params).all();
+  const tickets = await hydrateRemediationTickets(env.DB, results || []);
+  return {
+    portfolioName: portfolioLabel(portfolio),
+    ticketCount: tickets.length,
+    statusCounts: Object.fromEntries(REMEDIATION_STATUSES.map((value) => [value, tickets.filter((ticket) => ticket.status === value).length])),
+    tickets,
+  };
+}
+
+async function getRemediationTicket(env, id) {
+  assertDb(env);
+  await assertD1Schema(env, ["remediation_tickets", "remediation_ticket_links", "remediation_ticket_events", "risk_findings_history", "portfolio_vendors", "campaign_definitions"]);
+  const [ticket] = await hydrateRemediationTickets(env.DB, [await findRemediationTicket(env.DB, id)]);
+  const events = await env.DB.prepare(
+    "SELECT event_type, from_status, to_status, actor, occurred_at FROM remediation_ticket_events WHERE ticket_id = ? ORDER BY id ASC"
+  ).bind(ticket.id).all();
+  return { ticket, events: events.results || [] };
+}
+
+async function createRemediationTicket(env, body, principal = null) {
+  assertDb(env);
+  await assertD1Schema(env, ["remediation_tickets", "remediation_ticket_links", "remediation_ticket_events", "risk_findings_history", "portfolio_vendors", "campaign_definitions"]);
+  const fields = normalizeRemediationFields(body);
+  if (!fields.title) throw new RequestError(400, "invalid_request", "title is required.");
+  const links = normalizeRemediationLinks(body);
+  if (!links?.length) throw new RequestError(400, "invalid_request", "Link at least one finding (finding_keys) or campaign (campaigns).");
+  const findings = await findLinkedFindings(env.DB, links);
+  if (fields.vendor_primary_hostname === undefined) {
+    const vendors = [...new Set(findings.map((finding) => finding.vendor_primary_hostname))];
+    fields.vendor_primary_hostname = vendors.length === 1 ? vendors[0] : null;
+  }
+  // Vendor-less tickets default to the default portfolio; "all" opts into every portfolio.
+  const portfolio = pickBodyField(body, "portfolio");
+  fields.portfolio = portfolio !== undefined ? resolvePortfolio(env, portfolio) : fields.vendor_primary_hostname ? null : resolvePortfolio(env, "");
+  const now = new Date().toISOString();
+  const actor = principal?.identity?.email || null;
+  const insert = await env.DB.prepare(
+    `INSERT INTO remediation_tickets (title, vendor_primary_hostname, portfolio, assignee, status, due_date, notes, created_by, created_at, updated_at)
+     VALUES (?, ?, ?, ?, 'open', ?, ?, ?, ?, ?)`
+  ).bind(fields.title, fields.vendor_primary_hostname, fields.portfolio, fields.assignee ?? null, fields.due_date ?? null, fields.notes ?? null, actor, now, now).run();
+  const ticketId = insert.meta?.last_row_id;
+  await env.DB.batch([
+    ...insertRemediationLinkStatements(env.DB, ticketId, links),
+    insertRemediationEventStatement(env.DB, ticketId, "created", null, "open", actor, now),
+  ]);
+  return getRemediationTicket(env, ticketId);
+}
+
+async function updateRemediationTicket(env, id, body, principal = null) {
+  assertDb(env);
+  await assertD1Schema(env, ["remediation_tickets", "remediation_ticket_links", "remediation_ticket_events", "risk_findings_history", "portfolio_vendors", "campaign_definitions"]);
+  const existing = await findRemediationTicket(env.DB, id);
+  const fields = normalizeRemediationFields(body);
+  const links = normalizeRemediationLinks(body);
+  const status = pickBodyField(body, "status");
+  const portfolio = pickBodyField(body, "portfolio");
+  if (portfolio !== undefined) fields.portfolio = resolvePortfolio(env, portfolio);
+  if (!Object.keys(fields).length && links === undefined && status === undefined) {
+    throw new RequestError(400, "invalid_request", "Provide at least one of title, vendor_primary_hostname, portfolio, assignee, status, due_date, notes, finding_keys or campaigns.");
+  }
+  const now = new Date().toISOString();
+  const actor = principal?.identity?.email || null;
+  const statements = [];
+  if (status !== undefined && status !== existing.status) {
+    if (!REMEDIATION_STATUSES.includes(status)) throw new RequestError(400, "invalid_request", `status must be one of ${REMEDIATION_STATUSES.join(", ")}.`);
+    const allowed = REMEDIATION_TRANSITIONS[existing.status] || [];
+    if (!allowed.includes(status)) throw new RequestError(409, "invalid_transition", `Ticket #${existing.id} cannot move from ${existing.status} to ${status}; next allowed: ${allowed.join(", ")}.`);
+    fields.status = status;
+    if (status === "verified") fields.verified_at = now;
+    if (status === "closed") fields.closed_at = now;
+    if (status === "open" || status === "in_progress") Object.assign(fields, { verified_at: null, closed_at: null });
+    statements.push(insertRemediationEventStatement(env.DB, existing.id, "status_changed", existing.status, status, actor, now));
+  }
+  if (links !== undefined) {
+    if (!links.length) throw new RequestError(400, "invalid_request", "A ticket needs at least one linked finding or campaign.");
+    await findLinkedFindings(env.DB, links);
+    statements.push(env.DB.prepare("DELETE FROM remediation_ticket_links WHERE ticket_id = ?").bind(existing.id), ...insertRemediationLinkStatements(env.DB, existing.id, links));
+  }
+  const entries = Object.entries(fields);
+  statements.unshift(env.DB.prepare(
+    `UPDATE remediation_tickets
+     SET ${entries.map(([column]) => `${column} = ?, `).join("")}updated_at = ?
+     WHERE id = ?`
+  ).bind(...entries.map(([, value]) => value), now, existing.id));
+  await env.DB.batch(statements);
+  return getRemediationTicket(env, existing.id);
+}
+
+async function deleteRemediationTicket(env, id) {
+  assertDb(env);
+  await assertD1Schema(env, ["remediation_tickets", "remediation_ticket_links", "remediation_ticket_events"]);
+  const existing = await findRemediationTicket(env.DB, id);
+  await env.DB.batch([
+    env.DB.prepare("DELETE FROM remediation_ticket_links WHERE ticket_id = ?").bind(existing.id),
+    env.DB.prepare("DELETE FROM remediation_ticket_events WHERE ticket_id = ?").bind(existing.id),
+    env.DB.prepare("DELETE FROM remediation_tickets WHERE id = ?").bind(existing.id),
+  ]);
+  return { deleted: true, ticket: existing };
+}
+
+async function findRemediationTicket(db, id) {
+  const ticketId = Number(id);
+  const ticket = Number.isInteger(ticketId) ? await db.prepare("SELECT * FROM remediation_tickets WHERE id = ?").bind(ticketId).first() : null;
+  if (!ticket) throw new RequestError(404, "ticket_not_found", `Remediation ticket ${id} does not exist.`);
+  return ticket;
+}
+
+function normalizeRemediationFields(body) {
+  const fields = {};
+  const title = pickBodyField(body, "title");
+  const vendorPrimaryHostname = pickBodyField(body, "vendor_primary_hostname", "vendorPrimaryHostname");
+  const assignee = pickBodyField(body, "assignee");
+  const dueDate = pickBodyField(body, "due_date", "dueDate");
+  const notes = pickBodyField(body, "notes");
+  if (title !== undefined) {
+    fields.title = stringOrNull(String(title ?? "").trim());
+    if (!fields.title) throw new RequestError(400, "invalid_request", "title cannot be empty.");
+  }
+  if (vendorPrimaryHostname !== undefined) fields.vendor_primary_hostname = normalizeHostname(vendorPrimaryHostname) || null;
+  if (assignee !== undefined) fields.assignee = stringOrNull(String(assignee ?? "").trim());
+  if (notes !== undefined) fields.notes = stringOrNull(notes);
+  if (dueDate !== undefined) {
+    const date = dueDate == null || dueDate === "" ? null : new Date(dueDate);
+    if (date && Number.isNaN(date.getTime())) throw new RequestError(400, "invalid_request", "due_date must be a date such as 2025-06-30.");
+    fields.due_date = date ? date.toISOString().slice(0, 10) : null;
+  }
+  return fields;
+}
+
+function normalizeRemediationLinks(body) {
+  const findingKeys = pickBodyField(body, "finding_keys", "findingKeys");
+  const campaigns = pickBodyField(body, "campaigns");
+  if (findingKeys === undefined && campaigns === undefined) return undefined;
+  for (const [name, value] of [["finding_keys", findingKeys], ["campaigns", campaigns]]) {
+    if (value != null && !Array.isArray(value)) throw new RequestError(400, "invalid_request", `${name} must be an array.`);
+  }
+  const links = new Map();
+  for (const [type, values] of [["finding", findingKeys], ["campaign", campaigns]]) {
+    for (const value of values || []) {
+      const key = stringOrNull(String(value ?? "").trim());
+      if (key) links.set(`${type}|${key}`, { type, key });
+    }
+  }
+  return [...links.values()];
+}
+
+async function findLinkedFindings(db, links) {
+  const keys = links.filter((link) => link.type === "finding").map((link) => link.key);
+  const findings = [];
+  for (const batch of chunk(keys, 50)) {
+    const { results } = await db.prepare(
+      `SELECT finding_key, vendor_primary_hostname FROM risk_findings_history WHERE finding_key IN (${batch.map(() => "?").join(", ")})`
+    ).bind(...batch).all();
+    findings.push(...(results || []));
+  }
+  const found = new Set(findings.map((finding) => finding.finding_key));
+  const unknown = keys.filter((key) => !found.has(key));
+  if (unknown.length) throw new RequestError(400, "invalid_request", `Unknown finding key ${unknown.join(", ")}.`);
+  return findings;
+}
+
+function insertRemediationLinkStatements(db, ticketId, links) {
+  return links.map((link) => db.prepare(
+    "INSERT INTO remediation_ticket_links (ticket_id, link_type, link_key) VALUES (?, ?, ?)"
+  ).bind(ticketId, link.type, link.key));
+}
+
+function insertRemediationEventStatement(db, ticketId, eventType, fromStatus, toStatus, actor, occurredAt) {
+  return db.prepare(
+    `INSERT INTO remediation_ticket_events (ticket_id, event_type, from_status, to_status, actor, occurred_at)
+     VALUES (?, ?, ?, ?, ?, ?)`
+  ).bind(ticketId, eventType, fromStatus, toStatus, actor, occurredAt);
+}
+
+async function hydrateRemediationTickets(db, tickets) {
+  const links = [];
+  for (const batch of chunk(tickets.map((ticket) => ticket.id), 50)) {
+    const { results } = await db.prepare(
+      `SELECT ticket_id, link_type, link_key FROM remediation_ticket_links WHERE ticket_id IN (${batch.map(() => "?").join(", ")}) ORDER BY id ASC`
+    ).bind(...batch).all();
+    links.push(...(results || []));
+  }
+  const states = await getRemediationLinkStates(db, links);
+  const today = new Date().toISOString().slice(0, 10);
+  return tickets.map((ticket) => {
+    const ticketLinks = links.filter((link) => link.ticket_id === ticket.id).map((link) => describeRemediationLink(ticket, link, states));
+    return {
+      ...ticket,
+      links: ticketLinks,
+      resolvedLinkCount: ticketLinks.filter((link) => link.status === "resolved").length,
+      overdue: Boolean(ticket.due_date && ticket.due_date < today && !["verified", "closed"].includes(ticket.status)),
+    };
+  });
+}
+
+async function getRemediationLinkStates(db, links) {
+  const findingKeys = [...new Set(links.filter((link) => link.link_type === "finding").map((link) => link.link_key))];
+  const findings = new Map();
+  for (const batch of chunk(findingKeys, 50)) {
+    const { results } = await db.prepare(
+      `SELECT finding_key, vendor_primary_hostname, hostname, title, severity_name, status
+       FROM risk_findings_history WHERE finding_key IN (${batch.map(() => "?").join(", ")})`
+    ).bind(...batch).all();
+    for (const row of results || []) findings.set(row.finding_key, row);
+  }
+  const campaigns = new Map();
+  const knownCampaigns = new Set();
+  if (links.some((link) => link.link_type === "campaign")) {
+    // Grouping by the classified columns first keeps the campaign matching to one pass per distinct risk.
+    const definitions = await loadCampaignDefinitions(db);
+    for (const name of [...definitions.map((definition) => definition.name), FALLBACK_CAMPAIGN]) knownCampaigns.add(name);
+    const { results } = await db.prepare(
+      `SELECT vendor_primary_hostname, title, check_id, category, risk_type, risk_subtype,
+              COUNT(*) AS finding_count, SUM(CASE WHEN status = 'open' THEN 1 ELSE 0 END) AS open_count
+       FROM risk_findings_history
+       WHERE status <> 'domain_removed'
+       GROUP BY vendor_primary_hostname, title, check_id, category, risk_type, risk_subtype`
+    ).all();
+    const memberships = await db.prepare("SELECT DISTINCT portfolio, vendor_primary_hostname FROM portfolio_vendors WHERE active = 1").all();
+    const vendorPortfolios = new Map();
+    for (const row of memberships.results || []) vendorPortfolios.set(row.vendor_primary_hostname, [...(vendorPortfolios.get(row.vendor_primary_hostname) || []), row.portfolio]);
+    for (const row of results || []) {
+      const campaign = classifyCampaign(row, definitions);
+      const scopes = [
+        campaignScopeKey(campaign, {}),
+        campaignScopeKey(campaign, { vendor: row.vendor_primary_hostname }),
+        ...(vendorPortfolios.get(row.vendor_primary_hostname) || []).map((portfolio) => campaignScopeKey(campaign, { portfolio })),
+      ];
+      for (const scope of scopes) {
+        const counts = campaigns.get(scope) || { findingCount: 0, openCount: 0 };
+        counts.findingCount += Number(row.finding_count || 0);
+        counts.openCount += Number(row.open_count || 0);
+        campaigns.set(scope, counts);
+      }
+    }
+  }
+  return { findings, campaigns, knownCampaigns };
+}
+
+function campaignScopeKey(campaign, { vendor = null, portfolio = null }) {
+  if (vendor) return `${campaign}|vendor|${vendor}`;
+  return portfolio ? `${campaign}|portfolio|${portfolio}` : `${campaign}|*`;
+}
+
+function describeRemediationLink(ticket, link, states) {
+  if (link.link_type === "finding") {
+    const finding = states.findings.get(link.link_key);
+    return {
+      type: "finding",
+      key: link.link_key,
+      status: finding ? (["resolved", "domain_removed"].includes(finding.status) ? finding.status : "open") : "unknown",
+      title: finding?.title ?? null,
+      hostname: finding?.hostname ?? null,
+      severityName: finding?.severity_name ?? null,
+    };
+  }
+  // A campaign counts as resolved once it has findings in scope (the ticket's vendor, else the
+  // active vendors of the ticket's portfolio, else every vendor) and none are still open. One with
+  // no findings in scope is "empty": nothing was seen fixed, so it never auto-verifies a ticket. A
+  // campaign no active definition names is "unknown".
+  const scope = campaignScopeKey(link.link_key, { vendor: ticket.vendor_primary_hostname, portfolio: ticket.portfolio });
+  const counts = states.campaigns.get(scope) || { findingCount: 0, openCount: 0 };
+  return {
+    type: "campaign",
+    key: link.link_key,
+    status: !states.knownCampaigns.has(link.link_key) ? "unknown" : counts.openCount ? "open" : counts.findingCount ? "resolved" : "empty",
+    findingCount: counts.findingCount,
+    openCount: counts.openCount,
+  };
+}
+
+async function runRemediationVerification(db, verifiedAt) {
+  // Verification never fails the ingestion that triggered it; the error is kept in
+  // ingestion_errors for /api/ingest/status.
+  try {
+    return { verifiedTicketIds: await verifyRemediationTickets(db, verifiedAt) };
+  } catch (error) {
+    const errorMessage = `Remediation verification failed: ${getErrorMessage(error)}`;
+    await logIngestionError(db, { hostname: null, errorMessage, statusCode: null, responseBody: null }).catch(() => {});
+    return { verifiedTicketIds: [], error: errorMessage };
+  }
+}
+
+async function verifyRemediationTickets(db, verifiedAt) {
+  const { results } = await db.prepare(
+    `SELECT * FROM remediation_tickets WHERE status IN (${REMEDIATION_AUTO_VERIFY_STATUSES.map(() => "?").join(", ")})`
+  ).bind(...REMEDIATION_AUTO_VERIFY_STATUSES).all();
+  const tickets = await hydrateRemediationTickets(db, results || []);
+  const verified = tickets.filter((ticket) => ticket.links.length && ticket.links.every((link) => link.status === "resolved"));
+  for (const batch of chunk(verified.flatMap((ticket) => [
+    db.prepare("UPDATE remediation_tickets SET status = 'verified', verified_at = ?, updated_at = ? WHERE id = ? AND status = ?").bind(verifiedAt, verifiedAt, ticket.id, ticket.status),
+    insertRemediationEventStatement(db, ticket.id, "auto_verified", ticket.status, "verified", null, verifiedAt),
+  ]), 50)) {
+    await db.batch(batch);
+  }
+  return verified.map((ticket) => ticket.id);
+}
+
+async function listSlaPolicies(env) {
+  assertDb(env);
+  await assertD1Schema(env, ["sla_policies"]);
+  const { results } = await env.DB.prepare(
+    "SELECT * FROM sla_policies ORDER BY active DESC, COALESCE(severity, 0) DESC, remediation_days ASC, id ASC"
+  ).all();
+  return { policies: (results || []).map(hydrateSlaPolicy) };
+}
+
+async function createSlaPolicy(env, body) {
+  assertDb(env);
+  await assertD1Schema(env, ["sla_policies"]);
+  const fields = normalizeSlaPolicyFields(body);
+  if (!fields.name) throw new RequestError(400, "invalid_request", "name is required.");
+  if (fields.remediation_days == null) throw new RequestError(400, "invalid_request", "remediation_days is required.");
+  const insert = await env.DB.prepare(
+    `INSERT INTO sla_policies (name, severity, category, vendor_tier, remediation_days, at_risk_days, active)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`
+  ).bind(
+    fields.name,
+    fields.severity ?? null,
+    fields.category ?? null,
+    fields.vendor_tier ?? null,
+    fields.remediation_days,
+    fields.at_risk_days ?? 7,
+    fields.active ?? 1
+  ).run();
+  return { policy: await findSlaPolicy(env.DB, insert.meta?.last_row_id) };
+}
+
+async function updateSlaPolicy(env, id, body) {
+  assertDb(env);
+  await assertD1Schema(env, ["sla_policies"]);
+  const existing = await findSlaPolicy(env.DB, id);
+  const fields = Object.entries(normalizeSlaPolicyFields(body));
+  if (!fields.length) throw new RequestError(400, "invalid_request", "Provide at least one of name, severity, category, vendor_tier, remediation_days, at_risk_days or active.");
+  await env.DB.prepare(
+    `UPDATE sla_policies
+     SET ${fields.map(([column]) => `${column} = ?`).join(", ")}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`
+  ).bind(...fields.map(([, value]) => value), existing.id).run();
+  return { policy: await findSlaPolicy(env.DB, existing.id) };
+}
+
+async function deleteSlaPolicy(env, id) {
+  assertDb(env);
+  await assertD1Schema(env, ["sla_policies"]);
+  const existing = await findSlaPolicy(env.DB, id);
+  await env.DB.prepare("DELETE FROM sla_policies WHERE id = ?").bind(existing.id).run();
+  return { deleted: true, policy: existing };
+}
+
+async function findSlaPolicy(db, id) {
+  const policyId = Number(id);
+  const policy = Number.isInteger(policyId) ? await db.prepare("SELECT * FROM sla_policies WHERE id = ?").bind(policyId).first() : null;
+  if (!policy) throw new RequestError(404, "sla_policy_not_found", `SLA policy ${id} does not exist.`);
+  return hydrateSlaPolicy(policy);
+}
+
+function normalizeSlaPolicyFields(body) {
+  const fields = {};
+  const name = pickBodyField(body, "name");
+  const severity = pickBodyField(body, "severity");
+  const category = pickBodyField(body, "category");
+  const vendorTier = pickBodyField(body, "vendor_tier", "vendorTier");
+  const remediationDays = pickBodyField(body, "remediation_days", "remediationDays");
+  const atRiskDays = pickBodyField(body, "at_risk_days", "atRiskDays");
+  const active = pickBodyField(body, "active");
+  if (name !== undefined) {
+    fields.name = stringOrNull(String(name ?? "").trim());
+    if (!fields.name) throw new RequestError(400, "invalid_request", "name cannot be empty.");
+  }
+  if (severity !== undefined) {
+    fields.severity = severity == null || severity === "" ? null : severityLevel(severity);
+    if (fields.severity === undefined) throw new RequestError(400, "invalid_request", `severity must be one of ${Object.values(SEVERITY_NAMES).join(", ")} or 1-5.`);
+  }
+  if (category !== undefined) fields.category = stringOrNull(category);
+  if (vendorTier !== undefined) {
+    fields.vendor_tier = stringOrNull(String(vendorTier ?? "").trim().toLowerCase());
+    if (fields.vendor_tier && !VENDOR_TIERS.includes(fields.vendor_tier)) throw new RequestError(400, "invalid_request", `vendor_tier must be one of ${VENDOR_TIERS.join(", ")}.`);
+  }
+  for (const [column, value, min] of [["remediation_days", remediationDays, 1], ["at_risk_days", atRiskDays, 0]]) {
+    if (value === undefined) continue;
+    const days = Number(value);
+    if (!Number.isInteger(days) || days < min || days > 3650) throw new RequestError(400, "invalid_request", `${column} must be a whole number of days between ${min} and 3650.`);
+    fields[column] = days;
+  }
+  if (active !== undefined) {
+    fields.active = toBooleanInteger(active);
+    if (fields.active == null) throw new RequestError(400, "invalid_request", "active must be a boolean.");
+  }
+  return fields;
+}
+
+function severityLevel(value) {
+  const number = Number(value);
+  if (Number.isInteger(number) && SEVERITY_NAMES[number]) return number;
+  const entry = Object.entries(SEVERITY_NAMES).find(([, name]) => name === String(value ?? "").trim().toLowerCase());
+  return entry ? Number(entry[0]) : undefined;
+}
+
+function hydrateSlaPolicy(policy) {
+  return { ...policy, severity_name: SEVERITY_NAMES[policy.severity] ?? null, active: Boolean(policy.active) };
+}
+
+async function loadSlaContext(db) {
+  const policies = await db.prepare("SELECT * FROM sla_policies WHERE active = 1").all();
+  // Policy tiers are criticality tiers, read from the same vendor_criticality ratings that weight
+  // exposure and composite scores; unrated vendors fall under the default tier there too.
+  return { policies: policies.results || [], criticality: await loadVendorCriticality(db) };
+}
+
+function matchSlaPolicy(finding, context) {
+  const severity = Number(finding.severity) || severityLevel(finding.severity_name);
+  const category = String(finding.category || "").toLowerCase();
+  const tier = context.criticality.get(finding.vendor_primary_hostname)?.tier || DEFAULT_VENDOR_TIER;
+  const specificity = (policy) => [policy.severity, policy.category, policy.vendor_tier].filter((value) => value != null).length;
+  // The most specific matching policy wins; between equally specific ones the shorter deadline applies.
+  return context.policies
+    .filter((policy) => (policy.severity == null || Number(policy.severity) === severity) &&
+      (policy.category == null || policy.category.toLowerCase() === category) &&
+      (policy.vendor_tier == null || policy.vendor_tier.toLowerCase() === tier))
+    .sort((a, b) => specificity(b) - specificity(a) || a.remediation_days - b.remediation_days)[0] || null;
+}
+
+function assessFindingSla(finding, context, now = new Date()) {
+  // A finding whose domain was removed was neither fixed nor left open, so it has no SLA outcome.
+  if (finding.status === "domain_removed") return null;
+  const policy = matchSlaPolicy(finding, context);
+  if (!policy) return null;
+  // A reopened finding restarts its clock: the earlier resolution met or missed its own deadline.
+  const startedAt = finding.last_reopened_at || finding.first_seen_at;
+  const started = new Date(startedAt);
+  if (!startedAt || Number.isNaN(started.getTime())) return null;
+  const dueAt = new Date(started.getTime() + policy.remediation_days * 24 * 60 * 60 * 1000);
+  const resolvedAt = finding.status === "resolved" && finding.resolved_at ? new Date(finding.resolved_at) : null;
+  const msRemaining = dueAt.getTime() - now.getTime();
+  const status = resolvedAt
+    ? resolvedAt <= dueAt ? "met" : "missed"
+    : msRemaining < 0 ? "breached" : msRemaining <= policy.at_risk_days * 24 * 60 * 60 * 1000 ? "at_risk" : "on_time";
+  return {
+    policyId: policy.id,
+    policyName: policy.name,
+    remediationDays: policy.remediation_days,
+    startedAt,
+    dueAt: dueAt.toISOString(),
+    status,
+    daysRemaining: resolvedAt ? null : Math.ceil(msRemaining / (24 * 60 * 60 * 1000)),
+  };
+}
+
+async function getSlaBreaches(env, url) {
+  assertDb(env);
+  await assertD1Schema(env, ["risk_findings_history", "sla_policies", "portfolio_vendors", "risk_acceptances", "vendor_criticality"]);
+  const portfolio = getPortfolioScope(env, url);
+  const status = url.searchParams.get("status") || "breached";
+  if (!["breached", "at_risk"].includes(status)) throw new RequestError(400, "invalid_request", "status must be breached or at_risk.");
+  const limit = clamp(url.searchParams.get("limit") || DEFAULT_FINDINGS_LIMIT, 1, MAX_FINDINGS_LIMIT);
+  const vendor = normalizeHostname(url.searchParams.get("vendor")) || null;
+  const { results } = await env.DB.prepare(
+    `SELECT finding_key, vendor_primary_hostname, hostname, check_id, title, category, severity, severity_name,
+            first_seen_at, last_seen_at, last_reopened_at, reopen_count, status
+     FROM risk_findings_history
+     WHERE status = 'open' AND (? IS NULL OR vendor_primary_hostname = ?) AND ${portfolioMembershipClause()}${acceptedRiskFilter("risk_findings_history", getIncludeAccepted(url))}`
+  ).bind(vendor, vendor, portfolio, portfolio).all();
+  const context = await loadSlaContext(env.DB);
+  const now = new Date();
+  const findings = (results || [])
+    .map((finding) => ({ ...finding, sla: assessFindingSla(finding, context, now) }))
+    .filter((finding) => finding.sla?.status === status)
+    .sort((a, b) => a.sla.dueAt.localeCompare(b.sla.dueAt) || Number(b.severity || 0) - Number(a.severity || 0));
+  return { portfolioName: portfolioLabel(portfolio), status, total: findings.length, generatedAt: now.toISOString(), findings: findings.slice(0, limit) };
+}
+
+async function getSlaCompliance(env, url) {
+  assertDb(env);
+  await assertD1Schema(env, ["risk_findings_history", "sla_policies", "portfolio_vendors", "risk_acceptances", "vendor_criticality"]);
+  const portfolio = getPortfolioScope(env, url);
+  const { days, ...window } = getTrendWindow(url, 90);
+  // Open findings are assessed as of today; the compliance trend stops at the end of the window.
+  const generatedAt = new Date();
+  const now = new Date(Math.min(generatedAt.getTime(), Date.parse(window.until)));
+  const since = new Date(window.since);
+  const context = await loadSlaContext(env.DB);
+  // Resolved findings only matter when their deadline can fall inside the trend window.
+  const longestPolicyDays = Math.max(0, ...context.policies.map((policy) => Number(policy.remediation_days)));
+  const { results } = await env.DB.prepare(
+    `SELECT vendor_primary_hostname, category, severity, severity_name, first_seen_at, last_reopened_at, resolved_at, status
+     FROM risk_findings_history
+     WHERE (status = 'open' OR COALESCE(last_reopened_at, first_seen_at) >= ?) AND ${portfolioMembershipClause()}${acceptedRiskFilter("risk_findings_history", getIncludeAccepted(url))}`
+  ).bind(new Date(since.getTime() - longestPolicyDays * 24 * 60 * 60 * 1000).toISOString(), portfolio, portfolio).all();
+
+  const counts = { onTime: 0, atRisk: 0, breached: 0, noSla: 0 };
+  const weeks = Math.ceil(days / 7);
+  const trend = Array.from({ length: weeks }, (_, index) => ({
+    date: new Date(now.getTime() - (weeks - index) * 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10),
+    due_count: 0,
+    met_count: 0,
+    compliance_rate: null,
+  }));
+  for (const finding of results || []) {
+    const sla = assessFindingSla(finding, context, generatedAt);
+    if (finding.status === "open") {
+      if (!sla) counts.noSla += 1;
+      else counts[{ on_time: "onTime", at_risk: "atRisk", breached: "breached" }[sla.status]] += 1;
+    }
+    // Each week counts the findings whose deadline fell in it; a deadline is met only by resolving in time.
+    const dueAt = sla ? new Date(sla.dueAt) : null;
+    if (!dueAt || dueAt > now || dueAt < since) continue;
+    const week = trend[Math.min(weeks - 1, Math.max(0, weeks - 1 - Math.floor((now.getTime() - dueAt.getTime()) / (7 * 24 * 60 * 60 * 1000))))];
+    week.due_count += 1;
+    if (sla.status === "met") week.met_count += 1;
+  }
+  for (const week of trend) week.compliance_rate = week.due_count ? roundScore((week.met_count / week.due_count) * 100) : null;
+  const dueCount = trend.reduce((total, week) => total + week.due_count, 0);
+  const metCount = trend.reduce((total, week) => total + week.met_count, 0);
+  return {
+    portfolioName: portfolioLabel(portfolio),
+    days,
+    period: window.period,
+    generatedAt: generatedAt.toISOString(),
+    ...counts,
+    complianceRate: dueCount ? roundScore((metCount / dueCount) * 100) : null,
+    dueCount,
+    metCount,
+    trend,
+  };
+}
+
+async function listRiskAcceptances(env, url) {
+  assertDb(env);
+  await assertD1Schema(env, ["risk_acceptances", "risk_finding_transitions", "portfolio_vendors"]);
+  await expireRiskAcceptances(env.DB);
+  const portfolio = getPortfolioScope(env, url);
+  const status = url.searchParams.get("status") || null;
+  if (status && !RISK_ACCEPTANCE_STATUSES.includes(status)) throw new RequestError(400, "invalid_request", `status must be one of ${RISK_ACCEPTANCE_STATUSES.join(", ")}.`);
+  const vendor = normalizeHostname(url.searchParams.get("vendor")) || null;
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM risk_acceptances
+     WHERE (? IS NULL OR status = ?) AND (? IS NULL OR vendor_primary_hostname = ?) AND ${portfolioMembershipClause()}
+     ORDER BY CASE WHEN status = 'active' THEN 0 ELSE 1 END, expires_at ASC, id DESC`
+  ).bind(status, status, vendor, vendor, portfolio, portfolio).all();
+  const acceptances = results || [];
+  return { portfolioName: portfolioLabel(portfolio), acceptanceCount: acceptances.length, acceptances };
+}
+
+async function createRiskAcceptance(env, body, principal = null) {
+  assertDb(env);
+  await assertD1Schema(env, ["risk_acceptances", "risk_finding_transitions", "risk_findings_history", "vendor_active_risks"]);
+  const findingKey = stringOrNull(pickBodyField(body, "finding_key", "findingKey"));
+  const riskKey = stringOrNull(pickBodyField(body, "risk_key", "riskKey"));
+  if (Boolean(findingKey) === Boolean(riskKey)) throw new RequestError(400, "invalid_request", "Provide exactly one of finding_key or risk_key.");
+  const approver = stringOrNull(String(pickBodyField(body, "approver") ?? "").trim());
+  const rationale = stringOrNull(String(pickBodyField(body, "rationale") ?? "").trim());
+  const compensatingControls = stringOrNull(pickBodyField(body, "compensating_controls", "compensatingControls"));
+  if (!approver) throw new RequestError(400, "invalid_request", "approver is required.");
+  if (!rationale) throw new RequestError(400, "invalid_request", "rationale is required.");
+  const now = new Date().toISOString();
+  const expiresAt = new Date(pickBodyField(body, "expires_at", "expiresAt") ?? "");
+  if (Number.isNaN(expiresAt.getTime()) || expiresAt.toISOString() <= now) throw new RequestError(400, "invalid_request", "expires_at must be a future date.");
+
+  let subject;
+  if (findingKey) {
+    subject = await env.DB.prepare("SELECT vendor_primary_hostname, title, status FROM risk_findings_history WHERE finding_key = ?").bind(findingKey).first();
+    if (!subject) throw new RequestError(404, "finding_not_found", `No finding with key ${findingKey}.`);
+  } else {
+    const vendorPrimaryHostname = normalizeHostname(pickBodyField(body, "vendor_primary_hostname", "vendorPrimaryHostname"));
+    if (!vendorPrimaryHostname) throw new RequestError(400, "invalid_request", "vendor_primary_hostname is required with risk_key.");
+    subject = await env.DB.prepare(
+      "SELECT vendor_primary_hostname, title FROM vendor_active_risks WHERE vendor_primary_hostname = ? AND risk_key = ? LIMIT 1"
+    ).bind(vendorPrimaryHostname, riskKey).first();
+    if (!subject) throw new RequestError(404, "risk_not_found", `${vendorPrimaryHostname} has no active risk ${riskKey}.`);
+  }
+
+  await expireRiskAcceptances(env.DB, now);
+  const existing = await env.DB.prepare(
+    `SELECT id FROM risk_acceptances
+     WHERE status = 'active' AND (finding_key = ? OR (risk_key = ? AND vendor_primary_hostname = ?))`
+  ).bind(findingKey, riskKey, subject.vendor_primary_hostname).first();
+  if (existing) throw new RequestError(409, "acceptance_exists", `Risk acceptance #${existing.id} already covers this risk; revoke it before recording a new one.`);
+
+  const insert = await env.DB.prepare(
+    `INSERT INTO risk_acceptances (
+      finding_key, risk_key, vendor_primary_hostname, title, approver, rationale, compensating_controls, status, expires_at, created_by, created_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, 'active', ?, ?, ?)`
+  ).bind(findingKey, riskKey, subject.vendor_primary_hostname, subject.title, approver, rationale, compensatingControls, expiresAt.toISOString(), principal?.identity?.email || null, now).run();
+  if (findingKey) await insertFindingTransitionStatement(env.DB, findingKey, "accepted", subject.status, "accepted", now).run();
+  return { acceptance: await findRiskAcceptance(env.DB, insert.meta?.last_row_id) };
+}
+
+async function revokeRiskAcceptance(env, id, body, principal = null) {
+  assertDb(env);
+  await assertD1Schema(env, ["risk_acceptances", "risk_finding_transitions"]);
+  await expireRiskAcceptances(env.DB);
+  const existing = await findRiskAcceptance(env.DB, id);
+  if (existing.status !== "active") throw new RequestError(409, "acceptance_not_active", `Risk acceptance #${existing.id} is already ${existing.status}.`);
+  const reason = stringOrNull(String(pickBodyField(body, "reason") ?? "").trim());
+  if (!reason) throw new RequestError(400, "invalid_request", "reason is required to revoke a risk acceptance.");
+  const now = new Date().toISOString();
+  await env.DB.batch([
+    env.DB.prepare(
+      "UPDATE risk_acceptances SET status = 'revoked', revoked_at = ?, revoked_by = ?, revocation_reason = ? WHERE id = ?"
+    ).bind(now, principal?.identity?.email || null, reason, existing.id),
+    ...(existing.finding_key ? [insertFindingTransitionStatement(env.DB, existing.finding_key, "acceptance_revoked", "accepted", "open", now)] : []),
+  ]);
+  return { acceptance: await findRiskAcceptance(env.DB, existing.id) };
+}
+
+async function findRiskAcceptance(db, id) {
+  const acceptanceId = Number(id);
+  const acceptance = Number.isInteger(acceptanceId) ? await db.prepare("SELECT * FROM risk_acceptances WHERE id = ?").bind(acceptanceId).first() : null;
+  if (!acceptance) throw new RequestError(404, "acceptance_not_found", `Risk acceptance ${id} does not exist.`);
+  return acceptance;
+}
+
+async function expireRiskAcceptances(db, now = new Date().toISOString()) {
+  const { results } = await db.prepare(
+    "SELECT id, finding_key FROM risk_acceptances WHERE status = 'active' AND expires_at <= ?"
+  ).bind(now).all();
+  const expired = results || [];
+  // Expiry hands the finding back to the open counts and records it in the finding's lifecycle.
+  for (const batch of chunk(expired.flatMap((acceptance) => [
+    db.prepare("UPDATE risk_acceptances SET status = 'expired', expired_at = ? WHERE id = ? AND status = 'active'").bind(now, acceptance.id),
+    ...(acceptance.finding_key ? [insertFindingTransitionStatement(db, acceptance.finding_key, "acceptance_expired", "accepted", "open", now)] : []),
+  ]), 50)) {
+    await db.batch(batch);
+  }
+  return expired.map((acceptance) => acceptance.id);
+}
+
+function getIncludeAccepted(url) {
+  return toBooleanInteger(url.searchParams.get("include_accepted")) === 1;
+}
+
+function acceptedRiskFilter(tableName, includeAccepted = false) {
+  if (includeAccepted) return "";
+  if (tableName === "vendor_active_risks") {
+    return ` AND NOT EXISTS (
+      SELECT 1 FROM risk_acceptances ra
+      WHERE ${ACTIVE_RISK_ACCEPTANCE_SQL}
+        AND ra.vendor_primary_hostname = vendor_active_risks.vendor_primary_hostname
+        AND ra.risk_key = vendor_active_risks.risk_key)`;
+  }
+  if (tableName === "risk_findings_history") {
+    return ` AND NOT EXISTS (
+      SELECT 1 FROM risk_acceptances ra
+      WHERE ${ACTIVE_RISK_ACCEPTANCE_SQL} AND ra.finding_key = risk_findings_history.finding_key)`;
+  }
+  if (tableName === "domain_check_results") {
+    // The CASE mirrors buildFindingKey so a finding acceptance also hides the check rows behind it.
+    return ` AND NOT EXISTS (
+      SELECT 1 FROM risk_acceptances ra
+      WHERE ${ACTIVE_RISK_ACCEPTANCE_SQL}
+        AND (ra.finding_key = CASE WHEN COALESCE(domain_check_results.check_id, '') <> ''
+               THEN domain_check_results.vendor_primary_hostname || '|' || domain_check_results.hostname || '|' || domain_check_results.check_id
+               ELSE domain_check_results.vendor_primary_hostname || '|' || domain_check_results.hostname || '|' || COALESCE(domain_check_results.title, '') || '|' ||
+                    COALESCE(domain_check_results.category, '') || '|' || COALESCE(domain_check_results.risk_type, '') || '|' || COALESCE(domain_check_results.risk_subtype, '')
+             END
+          OR (ra.vendor_primary_hostname = domain_check_results.vendor_primary_hostname AND ra.risk_key = domain_check_results.check_id)))`;
+  }
+  throw new Error("Invalid acceptance filter table name.");
+}
+
+async function countAcceptedVendorsByTitle(db, portfolio) {
+  const counts = new Map();
+  for (const row of await listAcceptedVendorTitles(db, portfolio)) counts.set(row.title, (counts.get(row.title) || 0) + 1);
+  return counts;
+}
+
+async function listAcceptedVendorTitles(db, portfolio) {
+  // Portfolio common risks only carry vendor counts, so a vendor is taken off a risk once every
+  // open finding it has with that title is accepted, or its vendor-level UpGuard risk is.
+  const { results } = await db.prepare(
+    `SELECT rfh.title, rfh.vendor_primary_hostname
+     FROM risk_findings_history rfh
+     WHERE rfh.status = 'open'
+       AND rfh.title IN (SELECT accepted.title FROM risk_acceptances ra JOIN risk_findings_history accepted ON accepted.finding_key = ra.finding_key WHERE ${ACTIVE_RISK_ACCEPTANCE_SQL})
+       AND ${portfolioMembershipClause("rfh.vendor_primary_hostname")}
+     GROUP BY rfh.title, rfh.vendor_primary_hostname
+     HAVING SUM(CASE WHEN EXISTS (SELECT 1 FROM risk_acceptances ra WHERE ${ACTIVE_RISK_ACCEPTANCE_SQL} AND ra.finding_key = rfh.finding_key) THEN 0 ELSE 1 END) = 0
+     UNION
+     SELECT var.title, var.vendor_primary_hostname
+     FROM vendor_active_risks var
+     JOIN risk_acceptances ra ON ra.vendor_primary_hostname = var.vendor_primary_hostname AND ra.risk_key = var.risk_key
+     WHERE ${ACTIVE_RISK_ACCEPTANCE_SQL} AND ${portfolioMembershipClause("var.vendor_primary_hostname")}`
+  ).bind(portfolio, portfolio, portfolio, portfolio).all();
+  return results || [];
+}
+
+async function countActiveRiskAcceptances(db, portfolio) {
+  const row = await db.prepare(
+    `SELECT COUNT(*) AS count FROM risk_acceptances ra WHERE ${ACTIVE_RISK_ACCEPTANCE_SQL} AND ${portfolioMembershipClause("ra.vendor_primary_hostname")}`
+  ).bind(portfolio, portfolio).first();
+  return row?.count || 0;
+}
+
+async function listVendorCriticality(env, portfolio = null) {
+  assertDb(env);
+  await assertD1Schema(env, ["vendor_criticality", "portfolio_vendors"]);
+  const { results } = await env.DB.prepare(
+    `SELECT pv.vendor_primary_hostname, MAX(pv.display_name) AS display_name,
+            vc.tier, vc.data_sensitivity, vc.service_dependency, vc.rationale, vc.updated_by, vc.updated_at
+     FROM portfolio_vendors pv
+     LEFT JOIN vendor_criticality vc ON vc.vendor_primary_hostname = pv.vendor_primary_hostname
+     WHERE pv.active = 1 AND (? IS NULL OR pv.portfolio = ?)
+     GROUP BY pv.vendor_primary_hostname
+     ORDER BY pv.vendor_primary_hostname ASC`
+  ).bind(portfolio, portfolio).all();
+  const vendors = (results || []).map((row) => ({ ...row, rated: row.tier != null, ...assessVendorRisk(row) }));
+  return {
+    portfolioName: portfolioLabel(portfolio),
+    tiers: VENDOR_TIERS,
+    tierCounts: Object.fromEntries(VENDOR_TIERS.map((tier) => [tier, vendors.filter((vendor) => vendor.rated && vendor.tier === tier).length])),
+    unratedCount: vendors.filter((vendor) => !vendor.rated).length,
+    vendors,
+  };
+}
+
+async function updateVendorCriticality(env, hostname, body, principal = null) {
+  assertDb(env);
+  await assertD1Schema(env, ["vendor_criticality", "portfolio_vendors"]);
+  const vendorPrimaryHostname = await findKnownVendor(env.DB, hostname);
+  const existing = await env.DB.prepare("SELECT * FROM vendor_criticality WHERE vendor_primary_hostname = ?").bind(vendorPrimaryHostname).first();
+  const fields = normalizeVendorCriticalityFields(body);
+  if (!Object.keys(fields).length) throw new RequestError(400, "invalid_request", "Provide at least one of tier, data_sensitivity, service_dependency or rationale.");
+  const next = { tier: null, data_sensitivity: null, service_dependency: null, rationale: null, ...existing, ...fields };
+  if (!next.tier) throw new RequestError(400, "invalid_request", `tier is required (${VENDOR_TIERS.join(", ")}).`);
+  const now = new Date().toISOString();
+  await env.DB.prepare(
+    `INSERT INTO vendor_criticality (vendor_primary_hostname, tier, data_sensitivity, service_dependency, rationale, updated_by, created_at, updated_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     ON CONFLICT (vendor_primary_hostname) DO UPDATE SET
+       tier = excluded.tier, data_sensitivity = excluded.data_sensitivity, service_dependency = excluded.service_dependency,
+       rationale = excluded.rationale, updated_by = excluded.updated_by, updated_at = excluded.updated_at`
+  ).bind(vendorPrimaryHostname, next.tier, next.data_sensitivity, next.service_dependency, next.rationale, principal?.identity?.email || null, now, now).run();
+  const criticality = await env.DB.prepare("SELECT * FROM vendor_criticality WHERE vendor_primary_hostname = ?").bind(vendorPrimaryHostname).first();
+  return { criticality: { ...criticality, ...assessVendorRisk(criticality) } };
+}
+
+async function deleteVendorCriticality(env, hostname) {
+  assertDb(env);
+  await assertD1Schema(env, ["vendor_criticality"]);
+  const vendorPrimaryHostname = normalizeHostname(hostname);
+  const existing = await env.DB.prepare("SELECT * FROM vendor_criticality WHERE vendor_primary_hostname = ?").bind(vendorPrimaryHostname).first();
+  if (!existing) throw new RequestError(404, "criticality_not_found", `${vendorPrimaryHostname || "Vendor"} has no criticality rating.`);
+  await env.DB.prepare("DELETE FROM vendor_criticality WHERE vendor_primary_hostname = ?").bind(vendorPrimaryHostname).run();
+  return { deleted: true, criticality: existing };
+}
+
+function normalizeVendorCriticalityFields(body) {
+  const fields = {};
+  const tier = pickBodyField(body, "tier");
+  const dataSensitivity = pickBodyField(body, "data_sensitivity", "dataSensitivity");
+  const serviceDependency = pickBodyField(body, "service_dependency", "serviceDependency");
+  const rationale = pickBodyField(body, "rationale");
+  if (tier !== undefined) {
+    if (!VENDOR_TIERS.includes(tier)) throw new RequestError(400, "invalid_request", `tier must be one of ${VENDOR_TIERS.join(", ")}.`);
+    fields.tier = tier;
+  }
+  for (const [column, value, levels] of [["data_sensitivity", dataSensitivity, DATA_SENSITIVITY_LEVELS], ["service_dependency", serviceDependency, SERVICE_DEPENDENCY_LEVELS]]) {
+    if (value === undefined) continue;
+    if (value != null && !levels.includes(value)) throw new RequestError(400, "invalid_request", `${column} must be one of ${levels.join(", ")}.`);
+    fields[column] = value ?? null;
+  }
+  if (rationale !== undefined) fields.rationale = stringOrNull(rationale);
+  return fields;
+}
+
+async function loadVendorCriticality(db) {
+  const { results } = await db.prepare("SELECT * FROM vendor_criticality").all();
+  return new Map((results || []).map((row) => [row.vendor_primary_hostname, row]));
+}
+
+async function loadQuestionnaireScores(db) {
+  const { results } = await db.prepare(
+    `SELECT vendor_primary_hostname, score
+     FROM questionnaire_assignments
+     WHERE status = 'reviewed' AND score IS NOT NULL
+     ORDER BY reviewed_at ASC, id ASC`
+  ).all();
+  // Later rows overwrite earlier ones, so each vendor keeps its most recently reviewed score.
+  return new Map((results || []).map((row) => [row.vendor_primary_hostname, row.score]));
+}
+
+// Inherent risk (0-100) comes from the criticality attributes alone. Residual risk discounts it
+// by the vendor's control strength: the mean of its outside-in score (out of 950) and latest
+// reviewed questionnaire score (out of 100), whichever are known. With neither, residual equals inherent.
+function assessVendorRisk(criticality, { outsideInScore = null, questionnaireScore = null } = {}) {
+  const tier = criticality?.tier || DEFAULT_VENDOR_TIER;
+  const steps = [
+    VENDOR_TIERS.length - VENDOR_TIERS.indexOf(tier),
+    DATA_SENSITIVITY_LEVELS.indexOf(criticality?.data_sensitivity || DATA_SENSITIVITY_LEVELS[1]) + 1,
+    SERVICE_DEPENDENCY_LEVELS.indexOf(criticality?.service_dependency || SERVICE_DEPENDENCY_LEVELS[1]) + 1,
+  ];
+  const inherentRisk = roundScore((steps.reduce((sum, step) => sum + step, 0) / (steps.length * 4)) * 100);
+  const controlStrength = averageOf([
+    outsideInScore == null ? null : Math.min(Math.max(outsideInScore / 950, 0), 1),
+    questionnaireScore == null ? null : questionnaireScore / 100,
+  ]);
+  return {
+    tier,
+    tierWeight: VENDOR_TIER_WEIGHTS[tier],
+    inherentRisk,
+    controlStrength: controlStrength == null ? null : roundScore(controlStrength),
+    residualRisk: roundScore(inherentRisk * (1 - (controlStrength ?? 0) * RESIDUAL_CONTROL_CREDIT)),
+  };
+}
+
+// Tier-weighted exposure is severity times the summed tier weights of the vendors that carry the
+// risk. Vendors are matched by title across active risks and failing checks; a risk with no
+// matching vendors falls back to its affected_vendor_count at the default tier weight.
+async function withTierWeightedExposure(db, portfolio, risks, { includeAccepted = false } = {}) {
+  const { results } = await db.prepare(
+    `SELECT title, vendor_primary_hostname FROM vendor_active_risks WHERE ${portfolioMembershipClause()}
+     UNION
+     SELECT title, vendor_primary_hostname FROM domain_check_results WHERE passed = 0 AND ${portfolioMembershipClause()}`
+  ).bind(portfolio, portfolio, portfolio, portfolio).all();
+  // A vendor taken off a risk by an acceptance no longer adds its tier weight to it either.
+  const accepted = new Set(includeAccepted ? [] : (await listAcceptedVendorTitles(db, portfolio)).map((row) => `${row.title}|${row.vendor_primary_hostname}`));
+  const vendorsByTitle = new Map();
+  for (const row of results || []) {
+    if (!vendorsByTitle.has(row.title)) vendorsByTitle.set(row.title, []);
+    vendorsByTitle.get(row.title).push(row.vendor_primary_hostname);
+  }
+  const criticality = await loadVendorCriticality(db);
+  return risks.map((risk) => {
+    const vendors = vendorsByTitle.get(risk.title) || [];
+    const tiers = vendors
+      .filter((vendor) => !accepted.has(`${risk.title}|${vendor}`))
+      .map((vendor) => criticality.get(vendor)?.tier || DEFAULT_VENDOR_TIER);
+    const tierWeight = vendors.length
+      ? tiers.reduce((sum, tier) => sum + VENDOR_TIER_WEIGHTS[tier], 0)
+      : Number(risk.affected_vendor_count ?? risk.affectedVendorCount ?? 0) * VENDOR_TIER_WEIGHTS[DEFAULT_VENDOR_TIER];
+    return {
+      ...risk,
+      critical_vendor_count: tiers.filter((tier) => tier === "critical").length,
+      tier_weighted_exposure: Number(risk.severity || 0) * tierWeight,
+    };
+  });
+}
+
+function getRiskSort(url) {
+  const sort = url.searchParams.get("sort") || "default";
+  if (!RISK_SORTS.includes(sort)) throw new RequestError(400, "invalid_request", `sort must be one of ${RISK_SORTS.join(", ")}.`);
+  return sort;
+}
+
+// Array.prototype.sort is stable, so ties keep the endpoint's default order.
+function sortByExposure(rows, sort, exposure) {
+  return sort === "exposure" ? [...rows].sort((a, b) => exposure(b) - exposure(a)) : rows;
+}
+
+async function listScoreModels(env) {
+  assertDb(env);
+  await assertD1Schema(env, ["score_models"]);
+  const { results } = await env.DB.prepare("SELECT * FROM score_models ORDER BY id DESC").all();
+  const models = (results || []).map(hydrateScoreModel);
+  return { components: COMPOSITE_SCORE_COMPONENTS, activeVersion: models.find((model) => model.active)?.version ?? null, models };
+}
+
+async function createScoreModel(env, body, principal = null) {
+  assertDb(env);
+  await assertD1Schema(env, ["score_models", "vendor_composite_scores"]);
+  const fields = normalizeScoreModelFields(body);
+  const activateField = pickBodyField(body, "activate");
+  const activate = activateField === undefined ? 1 : toBooleanInteger(activateField);
+  if (activate == null) throw new RequestError(400, "invalid_request", "activate must be a boolean.");
+  const insert = await env.DB.prepare(
+    `INSERT INTO score_models (name, description, weights_json, params_json, active, created_by, created_at)
+     VALUES (?, ?, ?, ?, 0, ?, ?)`
+  ).bind(fields.name, fields.description, stringifyJson(fields.weights), stringifyJson(fields.params), principal?.identity?.email || null, new Date().toISOString()).run();
+  const version = insert.meta?.last_row_id;
+  if (activate) return activateScoreModel(env, version);
+  return { model: await findScoreModel(env.DB, version), recomputed: null };
+}
+
+// Activating a version rescores every vendor so the current scores all come from one model; the
+// rows scored by the previous version stay in the history.
+async function activateScoreModel(env, id) {
+  assertDb(env);
+  await assertD1Schema(env, ["score_models", "vendor_composite_scores"]);
+  const model = await findScoreModel(env.DB, id);
+  await env.DB.batch([
+    env.DB.prepare("UPDATE score_models SET active = 0 WHERE active = 1 AND id != ?").bind(model.version),
+    env.DB.prepare("UPDATE score_models SET active = 1, activated_at = ? WHERE id = ?").bind(new Date().toISOString(), model.version),
+  ]);
+  const recomputed = await recordCompositeScores(env.DB, { trigger: "model_activated" });
+  return { model: await findScoreModel(env.DB, model.version), recomputed };
+}
+
+async function recomputeCompositeScores(env) {
+  assertDb(env);
+  await assertD1Schema(env);
+  return recordCompositeScores(env.DB, { trigger: "api_recompute" });
+}
+
+async function findScoreModel(db, id) {
+  const version = Number(id);
+  const model = Number.isInteger(version) ? await db.prepare("SELECT * FROM score_models WHERE id = ?").bind(version).first() : null;
+  if (!model) throw new RequestError(404, "score_model_not_found", `Score model version ${id} does not exist.`);
+  return hydrateScoreModel(model);
+}
+
+async function getActiveScoreModel(db) {
+  const model = await db.prepare("SELECT * FROM score_models WHERE active = 1 ORDER BY id DESC LIMIT 1").first();
+  return model ? hydrateScoreModel(model) : null;
+}
+
+function normalizeScoreModelFields(body) {
+  const name = stringOrNull(String(pickBodyField(body, "name") ?? "").trim());
+  if (!name) throw new RequestError(400, "invalid_request", "name is required.");
+  const weights = pickBodyField(body, "weights");
+  if (!weights || typeof weights !== "object" || Array.isArray(weights)) throw new RequestError(400, "invalid_request", "weights must be an object keyed by component.");
+  const components = Object.keys(COMPOSITE_SCORE_COMPONENTS);
+  const unknown = Object.keys(weights).filter((key) => !components.includes(key));
+  if (unknown.length) throw new RequestError(400, "invalid_request", `Unknown score components: ${unknown.join(", ")}. Use ${components.join(", ")}.`);
+  const normalizedWeights = {};
+  for (const component of components) {
+    const weight = Number(weights[component] ?? 0);
+    if (!Number.isFinite(weight) || weight < 0 || weight > 100) throw new RequestError(400, "invalid_request", `weights.${component} must be a number between 0 and 100.`);
+    normalizedWeights[component] = weight;
+  }
+  if (!Object.values(normalizedWeights).some((weight) => weight > 0)) throw new RequestError(400, "invalid_request", "At least one component needs a weight above 0.");
+  return { name, description: stringOrNull(pickBodyField(body, "description")), weights: normalizedWeights, params: normalizeScoreModelParams(pickBodyField(body, "params") ?? {}) };
+}
+
+function normalizeScoreModelParams(params) {
+  if (typeof params !== "object" || Array.isArray(params)) throw new RequestError(400, "invalid_request", "params must be an object.");
+  const normalized = { ...DEFAULT_COMPOSITE_SCORE_PARAMS, tier_scores: { ...DEFAULT_COMPOSITE_SCORE_PARAMS.tier_scores } };
+  for (const [key, value] of Object.entries(params)) {
+    if (key === "tier_scores") {
+      if (!value || typeof value !== "object" || Array.isArray(value)) throw new RequestError(400, "invalid_request", "params.tier_scores must be an object keyed by tier.");
+      for (const [tier, score] of Object.entries(value)) {
+        if (!VENDOR_TIERS.includes(tier)) throw new RequestError(400, "invalid_request", `params.tier_scores keys must be ${VENDOR_TIERS.join(", ")}.`);
+        if (!Number.isFinite(Number(score)) || Number(score) < 0 || Number(score) > 100) throw new RequestError(400, "invalid_request", `params.tier_scores.${tier} must be between 0 and 100.`);
+        normalized.tier_scores[tier] = Number(score);
+      }
+      continue;
+    }
+    if (!(key in DEFAULT_COMPOSITE_SCORE_PARAMS)) throw new RequestError(400, "invalid_request", `Unknown score parameter ${key}.`);
+    const number = Number(value);
+    const [min, max] = key === "max_finding_age_days" ? [1, 3650] : [0, 100];
+    if (!Number.isFinite(number) || number < min || number > max) throw new RequestError(400, "invalid_request", `params.${key} must be a number between ${min} and ${max}.`);
+    normalized[key] = number;
+  }
+  return normalized;
+}
+
+function hydrateScoreModel(model) {
+  const { id, weights_json: weightsJson, params_json: paramsJson, ...rest } = model;
+  return { version: id, ...rest, active: Boolean(model.active), weights: parseJson(weightsJson, {}), params: { ...DEFAULT_COMPOSITE_SCORE_PARAMS, ...parseJson(paramsJson, {}) } };
+}
+
+async function runCompositeScoring(env, vendors, trigger) {
+  // Like alerting, scoring never fails the ingestion run; a failure keeps the previous scores current.
+  if (!vendors.length) return { modelVersion: null, scoredCount: 0 };
+  try {
+    return await recordCompositeScores(env.DB, { vendors, trigger });
+  } catch (error) {
+    const errorMessage = `Composite scoring failed: ${getErrorMessage(error)}`;
+    await logIngestionError(env.DB, { hostname: null, errorMessage, statusCode: null, responseBody: null }).catch(() => {});
+    return { error: errorMessage };
+  }
+}
+
+async function recordCompositeScores(db, { vendors = null, trigger = "manual", now = new Date() } = {}) {
+  const model = await getActiveScoreModel(db);
+  if (!model) return { modelVersion: null, scoredCount: 0, skipped: "no_active_model" };
+  const scores = await computeCompositeScores(db, model, vendors, now);
+  const computedAt = now.toISOString();
+  // History only grows when a vendor's score moves or a new model version scores it.
+  const latest = await loadLatestCompositeScores(db);
+  const changed = scores.filter((entry) => {
+    const previous = latest.get(entry.vendorPrimaryHostname);
+    return !previous || previous.score !== entry.score || previous.model_version !== model.version;
+  });
+  for (const batch of chunk(changed.map((entry) => db.prepare(
+    `INSERT INTO vendor_composite_scores (vendor_primary_hostname, model_version, score, components_json, trigger, computed_at)
+     VALUES (?, ?, ?, ?, ?, ?)`
+  ).bind(entry.vendorPrimaryHostname, model.version, entry.score, stringifyJson(entry.components), trigger, computedAt)), 50)) {
+    if (batch.length) await db.batch(batch);
+  }
+  return { modelVersion: model.version, scoredCount: scores.length, changedCount: changed.length, computedAt };
+}
+
+async function computeCompositeScores(db, model, vendors = null, now = new Date()) {
+  const selected = vendors ? new Set(vendors) : null;
+  const summaries = (await listVendorSummaries(db)).filter((vendor) => !selected || selected.has(vendor.vendorPrimaryHostname));
+  // Critical and high counts come from each active domain's most recent risk count snapshot.
+  const counts = await db.prepare(
+    `SELECT s.vendor_primary_hostname, COALESCE(SUM(s.critical_count), 0) AS critical_count, COALESCE(SUM(s.high_count), 0) AS high_count
+     FROM domain_risk_count_snapshots s
+     JOIN (SELECT MAX(id) AS id FROM domain_risk_count_snapshots GROUP BY vendor_primary_hostname, hostname) latest ON latest.id = s.id
+     JOIN vendor_domains v ON v.vendor_primary_hostname = s.vendor_primary_hostname AND v.hostname = s.hostname AND v.active = 1
+     GROUP BY s.vendor_primary_hostname`
+  ).all();
+  const findings = await db.prepare(
+    `SELECT vendor_primary_hostname, category, severity, severity_name, first_seen_at, last_reopened_at, resolved_at, status
+     FROM risk_findings_history
+     WHERE status = 'open'${acceptedRiskFilter("risk_findings_history")}`
+  ).all();
+  const countsByVendor = new Map((counts.results || []).map((row) => [row.vendor_primary_hostname, row]));
+  const findingsByVendor = new Map();
+  for (const finding of findings.results || []) {
+    if (selected && !selected.has(finding.vendor_primary_hostname)) continue;
+    if (!findingsByVendor.has(finding.vendor_primary_hostname)) findingsByVendor.set(finding.vendor_primary_hostname, []);
+    findingsByVendor.get(finding.vendor_primary_hostname).push(finding);
+  }
+  const slaContext = await loadSlaContext(db);
+  const criticality = await loadVendorCriticality(db);
+  return summaries.map((vendor) => {
+    const open = findingsByVendor.get(vendor.vendorPrimaryHostname) || [];
+    const ages = open.map((finding) => (now.getTime() - Date.parse(finding.last_reopened_at || finding.first_seen_at)) / (24 * 60 * 60 * 1000)).filter(Number.isFinite);
+    const sla = open.map((finding) => assessFindingSla(finding, slaContext, now)?.status);
+    const rating = criticality.get(vendor.vendorPrimaryHostname);
+    return {
+      vendorPrimaryHostname: vendor.vendorPrimaryHostname,
+      ...explainCompositeScore(model, {
+        ingested: vendor.domainCount > 0,
+        upguardScore: vendor.scores.weighted_mean ?? vendor.scores.upguard,
+        criticalCount: Number(countsByVendor.get(vendor.vendorPrimaryHostname)?.critical_count) || 0,
+        highCount: Number(countsByVendor.get(vendor.vendorPrimaryHostname)?.high_count) || 0,
+        openFindingCount: open.length,
+        averageFindingAgeDays: averageOf(ages) ?? 0,
+        breachedSlaCount: sla.filter((status) => status === "breached").length,
+        atRiskSlaCount: sla.filter((status) => status === "at_risk").length,
+        tier: rating?.tier || DEFAULT_VENDOR_TIER,
+        rated: Boolean(rating),
+      }),
+    };
+  });
+}
+
+// Each component scores 0-100. Components without data (a vendor never ingested, or with no UpGuard
+// score) drop out and the remaining weights are rescaled, so effectiveWeight always sums to 1 and
+// the composite score is the sum of the contributions.
+function explainCompositeScore(model, input) {
+  const { params, weights } = model;
+  const ratings = {
+    upguard_score: input.upguardScore == null ? null : { score: (input.upguardScore / 950) * 100, detail: `${input.upguardScore} of 950` },
+    open_critical_high: !input.ingested ? null : {
+      score: 100 - input.criticalCount * params.critical_penalty - input.highCount * params.high_penalty,
+      detail: `${input.criticalCount} critical and ${input.highCount} high failing checks`,
+    },
+    finding_age: !input.ingested ? null : {
+      score: 100 * (1 - Math.min(input.averageFindingAgeDays, params.max_finding_age_days) / params.max_finding_age_days),
+      detail: input.openFindingCount ? `${input.openFindingCount} open findings, ${Math.round(input.averageFindingAgeDays)} days old on average` : "No open findings",
+    },
+    sla_breaches: !input.ingested ? null : {
+      score: 100 - input.breachedSlaCount * params.sla_breach_penalty,
+      detail: `${input.breachedSlaCount} breached and ${input.atRiskSlaCount} at risk`,
+    },
+    vendor_tier: { score: params.tier_scores[input.tier], detail: input.rated ? `Rated ${input.tier}` : `Unrated, scored as ${input.tier}` },
+  };
+  const totalWeight = Object.keys(COMPOSITE_SCORE_COMPONENTS).reduce((sum, component) => sum + (ratings[component] ? Number(weights[component]) || 0 : 0), 0);
+  let score = 0;
+  const components = Object.entries(COMPOSITE_SCORE_COMPONENTS).map(([component, label]) => {
+    const rating = ratings[component];
+    const componentScore = rating ? Math.min(Math.max(rating.score, 0), 100) : null;
+    const share = rating && totalWeight ? (Number(weights[component]) || 0) / totalWeight : 0;
+    score += (componentScore ?? 0) * share;
+    return {
+      component,
+      label,
+      available: Boolean(rating),
+      detail: rating?.detail ?? "No data yet",
+      score: roundScore(componentScore),
+      weight: Number(weights[component]) || 0,
+      effectiveWeight: roundScore(share),
+      contribution: roundScore((componentScore ?? 0) * share),
+    };
+  });
+  return { score: totalWeight ? roundScore(score) : null, components };
+}
+
+async function loadLatestCompositeScores(db) {
+  const { results } = await db.prepare(
+    `SELECT cs.vendor_primary_hostname, cs.score, cs.model_version, cs.computed_at
+     FROM vendor_composite_scores cs
+     JOIN (SELECT MAX(id) AS id FROM vendor_composite_scores GROUP BY vendor_primary_hostname) latest ON latest.id = cs.id`
+  ).all();
+  return new Map((results || []).map((row) => [row.vendor_primary_hostname, row]));
+}
+
+async function getVendorScoreExplanation(env, hostname, url) {
+  assertDb(env);
+  await assertD1Schema(env);
+  // Any of a vendor's domains resolves to it, as on the vendor detail page.
+  const domain = await env.DB.prepare(
+    "SELECT vendor_primary_hostname FROM vendor_domains WHERE hostname = ? OR vendor_primary_hostname = ? ORDER BY hostname = ? DESC LIMIT 1"
+  ).bind(normalizeHostname(hostname), normalizeHostname(hostname), normalizeHostname(hostname)).first();
+  const vendorPrimaryHostname = domain?.vendor_primary_hostname || await findKnownVendor(env.DB, hostname);
+  const days = getTrendDays(url, DEFAULT_SCORE_HISTORY_DAYS);
+  const activeModel = await getActiveScoreModel(env.DB);
+  const latest = await env.DB.prepare(
+    "SELECT * FROM vendor_composite_scores WHERE vendor_primary_hostname = ? ORDER BY id DESC LIMIT 1"
+  ).bind(vendorPrimaryHostname).first();
+  // A vendor added since the last scoring run is explained live from the active model, unsaved.
+  let current = latest && { score: latest.score, model: await findScoreModel(env.DB, latest.model_version), components: parseJson(latest.components_json, []), trigger: latest.trigger, computedAt: latest.computed_at, persisted: true };
+  if (!current && activeModel) {
+    const [computed] = await computeCompositeScores(env.DB, activeModel, [vendorPrimaryHostname]);
+    if (computed) current = { score: computed.score, model: activeModel, components: computed.components, trigger: null, computedAt: new Date().toISOString(), persisted: false };
+  }
+  if (!current) throw new RequestError(404, "score_not_found", `No composite score has been computed for ${vendorPrimaryHostname} yet.`);
+  const history = await env.DB.prepare(
+    `SELECT score, model_version, trigger, computed_at
+     FROM vendor_composite_scores
+     WHERE vendor_primary_hostname = ? AND computed_at >= ?
+     ORDER BY id ASC`
+  ).bind(vendorPrimaryHostname, new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString()).all();
+  const { model, ...score } = current;
+  return {
+    vendorPrimaryHostname,
+    ...score,
+    modelVersion: model.version,
+    activeModelVersion: activeModel?.version ?? null,
+    model: { version: model.version, name: model.name, weights: model.weights, params: model.params },
+    historyDays: days,
+    history: history.results || [],
+  };
+}
+
+async function listQuestionnaireTemplates(env) {
+  assertDb(env);
+  await assertD1Schema(env, ["questionnaire_templates"]);
+  const { results } = await env.DB.prepare("SELECT * FROM questionnaire_templates ORDER BY active DESC, name ASC, id ASC").all();
+  return { templates: (results || []).map(hydrateQuestionnaireTemplate) };
+}
+
+async function createQuestionnaireTemplate(env, body) {
+  assertDb(env);
+  await assertD1Schema(env, ["questionnaire_templates"]);
+  const fields = normalizeQuestionnaireTemplateFields(body);
+  if (!fields.name) throw new RequestError(400, "invalid_request", "name is required.");
+  if (!fields.questions_json) throw new RequestError(400, "invalid_request", "questions is required.");
+  const insert = await env.DB.prepare(
+    "INSERT INTO questionnaire_templates (name, framework, description, questions_json, active) VALUES (?, ?, ?, ?, ?)"
+  ).bind(fields.name, fields.framework ?? null, fields.description ?? null, fields.questions_json, fields.active ?? 1).run();
+  return { template: await findQuestionnaireTemplate(env.DB, insert.meta?.last_row_id) };
+}
+
+async function updateQuestionnaireTemplate(env, id, body) {
+  assertDb(env);
+  await assertD1Schema(env, ["questionnaire_templates"]);
+  const existing = await findQuestionnaireTemplate(env.DB, id);
+  const fields = Object.entries(normalizeQuestionnaireTemplateFields(body));
+  if (!fields.length) throw new RequestError(400, "invalid_request", "Provide at least one of name, framework, description, questions or active.");
+  await env.DB.prepare(
+    `UPDATE questionnaire_templates
+     SET ${fields.map(([column]) => `${column} = ?`).join(", ")}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`
+  ).bind(...fields.map(([, value]) => value), existing.id).run();
+  return { template: await findQuestionnaireTemplate(env.DB, existing.id) };
+}
+
+async function deleteQuestionnaireTemplate(env, id) {
+  assertDb(env);
+  await assertD1Schema(env, ["questionnaire_templates", "questionnaire_assignments"]);
+  const existing = await findQuestionnaireTemplate(env.DB, id);
+  const assigned = await env.DB.prepare("SELECT COUNT(*) AS count FROM questionnaire_assignments WHERE template_id = ?").bind(existing.id).first();
+  if (assigned?.count) throw new RequestError(409, "template_in_use", `Questionnaire template ${existing.id} has ${assigned.count} assignment(s); set active to false instead.`);
+  await env.DB.prepare("DELETE FROM questionnaire_templates WHERE id = ?").bind(existing.id).run();
+  return { deleted: true, template: existing };
+}
+
+async function findQuestionnaireTemplate(db, id) {
+  const templateId = Number(id);
+  const template = Number.isInteger(templateId) ? await db.prepare("SELECT * FROM questionnaire_templates WHERE id = ?").bind(templateId).first() : null;
+  if (!template) throw new RequestError(404, "questionnaire_template_not_found", `Questionnaire template ${id} does not exist.`);
+  return hydrateQuestionnaireTemplate(template);
+}
+
+function normalizeQuestionnaireTemplateFields(body) {
+  const fields = {};
+  const name = pickBodyField(body, "name");
+  const framework = pickBodyField(body, "framework");
+  const description = pickBodyField(body, "description");
+  const questions = pickBodyField(body, "questions");
+  const active = pickBodyField(body, "active");
+  if (name !== undefined) {
+    fields.name = stringOrNull(String(name ?? "").trim());
+    if (!fields.name) throw new RequestError(400, "invalid_request", "name cannot be empty.");
+  }
+  if (framework !== undefined) fields.framework = stringOrNull(framework);
+  if (description !== undefined) fields.description = stringOrNull(description);
+  if (questions !== undefined) fields.questions_json = stringifyJson(normalizeQuestionnaireQuestions(questions));
+  if (active !== undefined) {
+    fields.active = toBooleanInteger(active);
+    if (fields.active == null) throw new RequestError(400, "invalid_request", "active must be a boolean.");
+  }
+  return fields;
+}
+
+function normalizeQuestionnaireQuestions(questions) {
+  if (!Array.isArray(questions) || !questions.length) throw new RequestError(400, "invalid_request", "questions must be a non-empty array.");
+  const normalized = questions.map((value, index) => {
+    const question = typeof value === "string" ? { text: value } : value;
+    if (!question || typeof question !== "object") throw new RequestError(400, "invalid_request", `questions[${index}] must be an object or a string.`);
+    const text = stringOrNull(String(question.text ?? "").trim());
+    if (!text) throw new RequestError(400, "invalid_request", `questions[${index}].text is required.`);
+    const weight = Number(question.weight ?? 1);
+    if (!Number.isFinite(weight) || weight <= 0 || weight > 100) throw new RequestError(400, "invalid_request", `questions[${index}].weight must be a number between 0 and 100.`);
+    return { id: stringOrNull(String(question.id ?? "").trim()) || `q${index + 1}`, section: stringOrNull(question.section), text, weight };
+  });
+  if (new Set(normalized.map((question) => question.id)).size !== normalized.length) throw new RequestError(400, "invalid_request", "Question ids must be unique.");
+  return normalized;
+}
+
+function hydrateQuestionnaireTemplate(template) {
+  const questions = parseJson(template.questions_json, []);
+  return { ...template, questions, question_count: questions.length, active: Boolean(template.active) };
+}
+
+async function listQuestionnaireAssignments(env, url) {
+  assertDb(env);
+  await assertD1Schema(env, ["questionnaire_assignments", "questionnaire_templates", "portfolio_vendors"]);
+  const portfolio = getPortfolioScope(env, url);
+  const status = url.searchParams.get("status") || null;
+  if (status && !QUESTIONNAIRE_STATUSES.includes(status)) throw new RequestError(400, "invalid_request", `status must be one of ${QUESTIONNAIRE_STATUSES.join(", ")}.`);
+  const vendor = normalizeHostname(url.searchParams.get("vendor")) || null;
+  const { results } = await env.DB.prepare(
+    `SELECT qa.*, qt.name AS template_name, qt.framework
+     FROM questionnaire_assignments qa
+     LEFT JOIN questionnaire_templates qt ON qt.id = qa.template_id
+     WHERE (? IS NULL OR qa.status = ?) AND (? IS NULL OR qa.vendor_primary_hostname = ?) AND ${portfolioMembershipClause("qa.vendor_primary_hostname")}
+     ORDER BY CASE WHEN qa.status = 'reviewed' THEN 1 ELSE 0 END, COALESCE(qa.due_date, '9999-12-31') ASC, qa.id DESC`
+  ).bind(status, status, vendor, vendor, portfolio, portfolio).all();
+  const assignments = (results || []).map(hydrateQuestionnaireAssignment);
+  return { portfolioName: portfolioLabel(portfolio), assignmentCount: assignments.length, assignments };
+}
+
+async function getQuestionnaireAssignment(env, id) {
+  assertDb(env);
+  await assertD1Schema(env, ["questionnaire_assignments", "questionnaire_templates", "questionnaire_answers"]);
+  const assignment = await findQuestionnaireAssignment(env.DB, id);
+  const { results } = await env.DB.prepare(
+    "SELECT question_id, answer, comment, answered_by, answered_at FROM questionnaire_answers WHERE assignment_id = ?"
+  ).bind(assignment.id).all();
+  const answers = new Map((results || []).map((answer) => [answer.question_id, answer]));
+  return {
+    assignment,
+    questions: assignment.questions.map((question) => ({ ...question, answer: null, comment: null, answered_by: null, answered_at: null, ...answers.get(question.id) })),
+  };
+}
+
+async function createQuestionnaireAssignment(env, body, principal = null) {
+  assertDb(env);
+  await assertD1Schema(env, ["questionnaire_assignments", "questionnaire_templates", "portfolio_vendors"]);
+  const template = await findQuestionnaireTemplate(env.DB, pickBodyField(body, "template_id", "templateId"));
+  if (!template.active) throw new RequestError(409, "template_inactive", `Questionnaire template ${template.id} is inactive.`);
+  const vendorPrimaryHostname = await findKnownVendor(env.DB, pickBodyField(body, "vendor_primary_hostname", "vendorPrimaryHostname"));
+  const fields = normalizeQuestionnaireAssignmentFields(body);
+  if (fields.status !== undefined) throw new RequestError(400, "invalid_request", "New assignments always start as sent; update status afterwards.");
+  const now = new Date().toISOString();
+  const insert = await env.DB.prepare(
+    `INSERT INTO questionnaire_assignments (
+      template_id, vendor_primary_hostname, status, questions_json, question_count, answered_count, due_date, notes, assigned_by, created_at, updated_at
+    ) VALUES (?, ?, 'sent', ?, ?, 0, ?, ?, ?, ?, ?)`
+  ).bind(
+    template.id,
+    vendorPrimaryHostname,
+    stringifyJson(template.questions),
+    template.questions.length,
+    fields.due_date ?? null,
+    fields.notes ?? null,
+    principal?.identity?.email || null,
+    now,
+    now
+  ).run();
+  return getQuestionnaireAssignment(env, insert.meta?.last_row_id);
+}
+
+async function updateQuestionnaireAssignment(env, id, body, principal = null) {
+  assertDb(env);
+  await assertD1Schema(env, ["questionnaire_assignments", "questionnaire_templates", "questionnaire_answers"]);
+  const existing = await findQuestionnaireAssignment(env.DB, id);
+  const fields = normalizeQuestionnaireAssignmentFields(body);
+  if (!Object.keys(fields).length) throw new RequestError(400, "invalid_request", "Provide at least one of status, due_date or notes.");
+  const now = new Date().toISOString();
+  if (fields.status === "submitted" && existing.status !== "submitted") {
+    if (existing.answered_count < existing.question_count) {
+      throw new RequestError(409, "questionnaire_incomplete", `${existing.question_count - existing.answered_count} of ${existing.question_count} questions are unanswered.`);
+    }
+    fields.submitted_at = now;
+  }
+  if (fields.status === "reviewed" && existing.status !== "reviewed") {
+    if (existing.status !== "submitted") throw new RequestError(409, "questionnaire_not_submitted", `Questionnaire ${existing.id} is ${existing.status}; only submitted questionnaires can be reviewed.`);
+    fields.reviewed_at = now;
+    fields.reviewed_by = principal?.identity?.email || null;
+  }
+  // A questionnaire sent back from review is no longer reviewed, so its sign-off is cleared.
+  if (fields.status && fields.status !== "reviewed" && existing.status === "reviewed") {
+    fields.reviewed_at = null;
+    fields.reviewed_by = null;
+  }
+  const entries = Object.entries(fields);
+  await env.DB.prepare(
+    `UPDATE questionnaire_assignments
+     SET ${entries.map(([column]) => `${column} = ?`).join(", ")}, updated_at = ?
+     WHERE id = ?`
+  ).bind(...entries.map(([, value]) => value), now, existing.id).run();
+  return getQuestionnaireAssignment(env, existing.id);
+}
+
+async function deleteQuestionnaireAssignment(env, id) {
+  assertDb(env);
+  await assertD1Schema(env, ["questionnaire_assignments", "questionnaire_templates", "questionnaire_answers"]);
+  const existing = await findQuestionnaireAssignment(env.DB, id);
+  await env.DB.batch([
+    env.DB.prepare("DELETE FROM questionnaire_answers WHERE assignment_id = ?").bind(existing.id),
+    env.DB.prepare("DELETE FROM questionnaire_assignments WHERE id = ?").bind(existing.id),
+  ]);
+  return { deleted: true, assignment: existing };
+}
+
+async function recordQuestionnaireAnswers(env, id, body, principal = null) {
+  assertDb(env);
+  await assertD1Schema(env, ["questionnaire_assignments", "questionnaire_templates", "questionnaire_answers"]);
+  const existing = await findQuestionnaireAssignment(env.DB, id);
+  if (["submitted", "reviewed"].includes(existing.status)) {
+    throw new RequestError(409, "questionnaire_locked", `Questionnaire ${existing.id} is ${existing.status}; set status to in_progress before changing answers.`);
+  }
+  const answers = pickBodyField(body, "answers");
+  if (!Array.isArray(answers) || !answers.length) throw new RequestError(400, "invalid_request", "answers must be a non-empty array.");
+  const questionIds = new Set(existing.questions.map((question) => question.id));
+  const now = new Date().toISOString();
+  const statements = answers.map((entry, index) => {
+    const questionId = stringOrNull(entry?.question_id ?? entry?.questionId);
+    if (!questionIds.has(questionId)) throw new RequestError(400, "invalid_request", `answers[${index}].question_id must be one of this questionnaire's question ids.`);
+    if (!Object.hasOwn(QUESTIONNAIRE_ANSWER_SCORES, entry.answer)) throw new RequestError(400, "invalid_request", `answers[${index}].answer must be one of ${Object.keys(QUESTIONNAIRE_ANSWER_SCORES).join(", ")}.`);
+    return env.DB.prepare(
+      `INSERT INTO questionnaire_answers (assignment_id, question_id, answer, comment, answered_by, answered_at)
+       VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT (assignment_id, question_id) DO UPDATE SET
+         answer = excluded.answer, comment = excluded.comment, answered_by = excluded.answered_by, answered_at = excluded.answered_at`
+    ).bind(existing.id, questionId, entry.answer, stringOrNull(entry.comment), principal?.identity?.email || null, now);
+  });
+  for (const batch of chunk(statements, 50)) await env.DB.batch(batch);
+
+  const stored = await env.DB.prepare("SELECT question_id, answer FROM questionnaire_answers WHERE assignment_id = ?").bind(existing.id).all();
+  const { score, answeredCount } = scoreQuestionnaire(existing.questions, stored.results || []);
+  await env.DB.prepare(
+    `UPDATE questionnaire_assignments
+     SET score = ?, answered_count = ?, status = CASE WHEN status = 'sent' THEN 'in_progress' ELSE status END, updated_at = ?
+     WHERE id = ?`
+  ).bind(score, answeredCount, now, existing.id).run();
+  return getQuestionnaireAssignment(env, existing.id);
+}
+
+// The score is the weighted share of applicable answers that are "yes" (partial counts half),
+// on a 0-100 scale; it stays null until at least one applicable question is answered.
+function scoreQuestionnaire(questions, answers) {
+  const answerById = new Map(answers.map((answer) => [answer.question_id, answer.answer]));
+  let possible = 0;
+  let earned = 0;
+  let answeredCount = 0;
+  for (const question of questions) {
+    if (!answerById.has(question.id)) continue;
+    answeredCount += 1;
+    const value = QUESTIONNAIRE_ANSWER_SCORES[answerById.get(question.id)];
+    if (value == null) continue;
+    possible += question.weight;
+    earned += question.weight * value;
+  }
+  return { score: possible ? roundScore((earned / possible) * 100) : null, answeredCount };
+}
+
+async function findQuestionnaireAssignment(db, id) {
+  const assignmentId = Number(id);
+  const assignment = Number.isInteger(assignmentId)
+    ? await db.prepare(
+      `SELECT qa.*, qt.name AS template_name, qt.framework
+       FROM questionnaire_assignments qa
+       LEFT JOIN questionnaire_templates qt ON qt.id = qa.template_id
+       WHERE qa.id = ?`
+    ).bind(assignmentId).first()
+    : null;
+  if (!assignment) throw new RequestError(404, "questionnaire_not_found", `Questionnaire assignment ${id} does not exist.`);
+  return hydrateQuestionnaireAssignment(assignment);
+}
+
+function normalizeQuestionnaireAssignmentFields(body) {
+  const fields = {};
+  const status = pickBodyField(body, "status");
+  const dueDate = pickBodyField(body, "due_date", "dueDate");
+  const notes = pickBodyField(body, "notes");
+  if (status !== undefined) {
+    if (!QUESTIONNAIRE_STATUSES.includes(status)) throw new RequestError(400, "invalid_request", `status must be one of ${QUESTIONNAIRE_STATUSES.join(", ")}.`);
+    fields.status = status;
+  }
+  if (dueDate !== undefined) fields.due_date = normalizeDateOnly(dueDate, "due_date");
+  if (notes !== undefined) fields.notes = stringOrNull(notes);
+  return fields;
+}
+
+function hydrateQuestionnaireAssignment(assignment) {
+  const today = new Date().toISOString().slice(0, 10);
+  return {
+    ...assignment,
+    questions: parseJson(assignment.questions_json, []),
+    overdue: Boolean(assignment.due_date && assignment.due_date < today && ["sent", "in_progress"].includes(assignment.status)),
+  };
+}
+
+async function listVendorEvidence(env, url) {
+  assertDb(env);
+  await assertD1Schema(env, ["vendor_evidence", "portfolio_vendors"]);
+  const portfolio = getPortfolioScope(env, url);
+  const status = url.searchParams.get("status") || null;
+  if (status && !EVIDENCE_STATUSES.includes(status)) throw new RequestError(400, "invalid_request", `status must be one of ${EVIDENCE_STATUSES.join(", ")}.`);
+  const evidenceType = url.searchParams.get("evidence_type") || null;
+  if (evidenceType && !EVIDENCE_TYPES.includes(evidenceType)) throw new RequestError(400, "invalid_request", `evidence_type must be one of ${EVIDENCE_TYPES.join(", ")}.`);
+  const vendor = normalizeHostname(url.searchParams.get("vendor")) || null;
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM vendor_evidence
+     WHERE (? IS NULL OR evidence_type = ?) AND (? IS NULL OR vendor_primary_hostname = ?) AND ${portfolioMembershipClause()}
+     ORDER BY COALESCE(expires_at, '9999-12-31') ASC, id DESC`
+  ).bind(evidenceType, evidenceType, vendor, vendor, portfolio, portfolio).all();
+  const evidence = (results || []).map(hydrateVendorEvidence).filter((item) => !status || item.status === status);
+  return { portfolioName: portfolioLabel(portfolio), evidenceCount: evidence.length, evidence };
+}
+
+async function createVendorEvidence(env, body, principal = null) {
+  assertDb(env);
+  await assertD1Schema(env, ["vendor_evidence", "portfolio_vendors"]);
+  const vendorPrimaryHostname = await findKnownVendor(env.DB, pickBodyField(body, "vendor_primary_hostname", "vendorPrimaryHostname"));
+  const fields = normalizeVendorEvidenceFields(body);
+  if (!fields.evidence_type) throw new RequestError(400, "invalid_request", `evidence_type is required (${EVIDENCE_TYPES.join(", ")}).`);
+  if (!fields.title) throw new RequestError(400, "invalid_request", "title is required.");
+  const now = new Date().toISOString();
+  const insert = await env.DB.prepare(
+    `INSERT INTO vendor_evidence (
+      vendor_primary_hostname, evidence_type, title, issuer, reference_url, issued_at, expires_at, notes, created_by, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  ).bind(
+    vendorPrimaryHostname,
+    fields.evidence_type,
+    fields.title,
+    fields.issuer ?? null,
+    fields.reference_url ?? null,
+    fields.issued_at ?? null,
+    fields.expires_at ?? null,
+    fields.notes ?? null,
+    principal?.identity?.email || null,
+    now,
+    now
+  ).run();
+  return { evidence: await findVendorEvidence(env.DB, insert.meta?.last_row_id) };
+}
+
+async function updateVendorEvidence(env, id, body) {
+  assertDb(env);
+  await assertD1Schema(env, ["vendor_evidence"]);
+  const existing = await findVendorEvidence(env.DB, id);
+  const fields = normalizeVendorEvidenceFields(body, existing);
+  const entries = Object.entries(fields);
+  if (!entries.length) throw new RequestError(400, "invalid_request", "Provide at least one of evidence_type, title, issuer, reference_url, issued_at, expires_at or notes.");
+  await env.DB.prepare(
+    `UPDATE vendor_evidence
+     SET ${entries.map(([column]) => `${column} = ?`).join(", ")}, updated_at = ?
+     WHERE id = ?`
+  ).bind(...entries.map(([, value]) => value), new Date().toISOString(), existing.id).run();
+  return { evidence: await findVendorEvidence(env.DB, existing.id) };
+}
+
+async function deleteVendorEvidence(env, id) {
+  assertDb(env);
+  await assertD1Schema(env, ["vendor_evidence"]);
+  const existing = await findVendorEvidence(env.DB, id);
+  await env.DB.prepare("DELETE FROM vendor_evidence WHERE id = ?").bind(existing.id).run();
+  return { deleted: true, evidence: existing };
+}
+
+async function findVendorEvidence(db, id) {
+  const evidenceId = Number(id);
+  const evidence = Number.isInteger(evidenceId) ? await db.prepare("SELECT * FROM vendor_evidence WHERE id = ?").bind(evidenceId).first() : null;
+  if (!evidence) throw new RequestError(404, "evidence_not_found", `Evidence ${id} does not exist.`);
+  return hydrateVendorEvidence(evidence);
+}
+
+function normalizeVendorEvidenceFields(body, existing = null) {
+  const fields = {};
+  const evidenceType = pickBodyField(body, "evidence_type", "evidenceType");
+  const title = pickBodyField(body, "title");
+  const issuer = pickBodyField(body, "issuer");
+  const referenceUrl = pickBodyField(body, "reference_url", "referenceUrl");
+  const issuedAt = pickBodyField(body, "issued_at", "issuedAt");
+  const expiresAt = pickBodyField(body, "expires_at", "expiresAt");
+  const notes = pickBodyField(body, "notes");
+  if (evidenceType !== undefined) {
+    if (!EVIDENCE_TYPES.includes(evidenceType)) throw new RequestError(400, "invalid_request", `evidence_type must be one of ${EVIDENCE_TYPES.join(", ")}.`);
+    fields.evidence_type = evidenceType;
+  }
+  if (title !== undefined) {
+    fields.title = stringOrNull(String(title ?? "").trim());
+    if (!fields.title) throw new RequestError(400, "invalid_request", "title cannot be empty.");
+  }
+  if (issuer !== undefined) fields.issuer = stringOrNull(issuer);
+  if (referenceUrl !== undefined) fields.reference_url = stringOrNull(referenceUrl);
+  if (issuedAt !== undefined) fields.issued_at = normalizeDateOnly(issuedAt, "issued_at");
+  if (expiresAt !== undefined) fields.expires_at = normalizeDateOnly(expiresAt, "expires_at");
+  if (notes !== undefined) fields.notes = stringOrNull(notes);
+  const issued = fields.issued_at !== undefined ? fields.issued_at : existing?.issued_at;
+  const expires = fields.expires_at !== undefined ? fields.expires_at : existing?.expires_at;
+  if (issued && expires && expires < issued) throw new RequestError(400, "invalid_request", "expires_at cannot be before issued_at.");
+  return fields;
+}
+
+function hydrateVendorEvidence(evidence) {
+  const today = new Date().toISOString().slice(0, 10);
+  const daysUntilExpiry = evidence.expires_at ? Math.round((Date.parse(evidence.expires_at) - Date.parse(today)) / 86400000) : null;
+  let status = "no_expiry";
+  if (daysUntilExpiry != null) status = daysUntilExpiry < 0 ? "expired" : daysUntilExpiry <= EVIDENCE_EXPIRING_DAYS ? "expiring" : "current";
+  return { ...evidence, status, days_until_expiry: daysUntilExpiry };
+}
+
+// Questionnaires and evidence attach to vendors already in the inventory, active or not.
+async function findKnownVendor(db, hostname) {
+  const vendorPrimaryHostname = normalizeHostname(hostname);
+  if (!vendorPrimaryHostname) throw new RequestError(400, "invalid_request", "vendor_primary_hostname is required.");
+  const vendor = await db.prepare("SELECT vendor_primary_hostname FROM portfolio_vendors WHERE vendor_primary_hostname = ? LIMIT 1").bind(vendorPrimaryHostname).first();
+  if (!vendor) throw new RequestError(404, "vendor_not_found", `${vendorPrimaryHostname} is not in the vendor inventory.`);
+  return vendor.vendor_primary_hostname;
+}
+
+function normalizeDateOnly(value, name) {
+  const date = value == null || value === "" ? null : new Date(value);
+  if (date && Number.isNaN(date.getTime())) throw new RequestError(400, "invalid_request", `${name} must be a date such as 2025-06-30.`);
+  return date ? date.toISOString().slice(0, 10) : null;
+}
+
+async function getVendorPosture(db, vendorPrimaryHostname, outsideInScore) {
+  const assignments = await db.prepare(
+    `SELECT qa.*, qt.name AS template_name, qt.framework
+     FROM questionnaire_assignments qa
+     LEFT JOIN questionnaire_templates qt ON qt.id = qa.template_id
+     WHERE qa.vendor_primary_hostname = ?
+     ORDER BY qa.id DESC`
+  ).bind(vendorPrimaryHostname).all();
+  const evidence = await db.prepare(
+    "SELECT * FROM vendor_evidence WHERE vendor_primary_hostname = ? ORDER BY COALESCE(expires_at, '9999-12-31') ASC, id DESC"
+  ).bind(vendorPrimaryHostname).all();
+  const questionnaires = (assignments.results || []).map(hydrateQuestionnaireAssignment);
+  const documents = (evidence.results || []).map(hydrateVendorEvidence);
+  const criticality = await db.prepare("SELECT * FROM vendor_criticality WHERE vendor_primary_hostname = ?").bind(vendorPrimaryHostname).first();
+  // Only a reviewed questionnaire counts toward control strength; a submitted one is still unchecked.
+  const latestReviewed = questionnaires
+    .filter((assignment) => assignment.status === "reviewed")
+    .sort((a, b) => String(b.reviewed_at).localeCompare(String(a.reviewed_at)))[0];
+  const assessment = assessVendorRisk(criticality, { outsideInScore, questionnaireScore: latestReviewed?.score ?? null });
+  return {
+    criticality: criticality || null,
+    questionnaires,
+    evidence: documents,
+    posture: {
+      tier: assessment.tier,
+      rated: Boolean(criticality),
+      inherentRisk: assessment.inherentRisk,
+      controlStrength: assessment.controlStrength,
+      residualRisk: assessment.residualRisk,
+      outsideInScore: outsideInScore ?? null,
+      questionnaireScore: latestReviewed?.score ?? null,
+      questionnaireScoredAt: latestReviewed?.reviewed_at ?? null,
+      openQuestionnaireCount: questionnaires.filter((assignment) => ["sent", "in_progress"].includes(assignment.status)).length,
+      overdueQuestionnaireCount: questionnaires.filter((assignment) => assignment.overdue).length,
+      evidenceCount: documents.length,
+      expiringEvidenceCount: documents.filter((item) => item.status === "expiring").length,
+      expiredEvidenceCount: documents.filter((item) => item.status === "expired").length,
+    },
+  };
+}
+
+async function listAlertRules(env) {
+  assertDb(env);
+  await assertD1Schema(env, ["alert_rules"]);
+  const { results } = await env.DB.prepare("SELECT * FROM alert_rules ORDER BY active DESC, id ASC").all();
+  return { rules: (results || []).map(hydrateAlertRule) };
+}
+
+async function createAlertRule(env, body) {
+  assertDb(env);
+  await assertD1Schema(env, ["alert_rules", "alert_channels"]);
+  const fields = await normalizeAlertRuleFields(env.DB, body);
+  if (!fields.name) throw new RequestError(400, "invalid_request", "name is required.");
+  if (!fields.rule_type) throw new RequestError(400, "invalid_request", `rule_type is required (${ALERT_RULE_TYPES.join(", ")}).`);
+  const insert = await env.DB.prepare(
+    "INSERT INTO alert_rules (name, rule_type, params_json, channel_ids_json, active) VALUES (?, ?, ?, ?, ?)"
+  ).bind(
+    fields.name,
+    fields.rule_type,
+    fields.params_json,
+    fields.channel_ids_json ?? "[]",
+    fields.active ?? 1
+  ).run();
+  return { rule: await findAlertRule(env.DB, insert.meta?.last_row_id) };
+}
+
+async function updateAlertRule(env, id, body) {
+  assertDb(env);
+  await assertD1Schema(env, ["alert_rules", "alert_channels"]);
+  const existing = await findAlertRule(env.DB, id);
+  const fields = Object.entries(await normalizeAlertRuleFields(env.DB, body, existing));
+  if (!fields.length) throw new RequestError(400, "invalid_request", "Provide at least one of name, rule_type, params, channel_ids or active.");
+  await env.DB.prepare(
+    `UPDATE alert_rules
+     SET ${fields.map(([column]) => `${column} = ?`).join(", ")}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`
+  ).bind(...fields.map(([, value]) => value), existing.id).run();
+  return { rule: await findAlertRule(env.DB, existing.id) };
+}
+
+async function deleteAlertRule(env, id) {
+  assertDb(env);
+  await assertD1Schema(env, ["alert_rules"]);
+  const existing = await findAlertRule(env.DB, id);
+  await env.DB.prepare("DELETE FROM alert_rules WHERE id = ?").bind(existing.id).run();
+  return { deleted: true, rule: existing };
+}
+
+async function findAlertRule(db, id) {
+  const ruleId = Number(id);
+  const rule = Number.isInteger(ruleId) ? await db.prepare("SELECT * FROM alert_rules WHERE id = ?").bind(ruleId).first() : null;
+  if (!rule) throw new RequestError(404, "alert_rule_not_found", `Alert rule ${id} does not exist.`);
+  return hydrateAlertRule(rule);
+}
+
+async function normalizeAlertRuleFields(db, body, existing = null) {
+  const fields = {};
+  const name = pickBodyField(body, "name");
+  const ruleType = pickBodyField(body, "rule_type", "ruleType");
+  const params = pickBodyField(body, "params");
+  const channelIds = pickBodyField(body, "channel_ids", "channelIds");
+  const active = pickBodyField(body, "active");
+  if (name !== undefined) {
+    fields.name = stringOrNull(String(name ?? "").trim());
+    if (!fields.name) throw new RequestError(400, "invalid_request", "name cannot be empty.");
+  }
+  if (ruleType !== undefined) {
+    if (!ALERT_RULE_TYPES.includes(ruleType)) throw new RequestError(400, "invalid_request", `rule_type must be one of ${ALERT_RULE_TYPES.join(", ")}.`);
+    fields.rule_type = ruleType;
+  }
+  // Changing the rule type re-validates the stored params against the new type's defaults.
+  if (params !== undefined || (fields.rule_type && fields.rule_type !== existing?.rule_type)) {
+    if (params != null && (typeof params !== "object" || Array.isArray(params))) throw new RequestError(400, "invalid_request", "params must be an object.");
+    const type = fields.rule_type || existing?.rule_type;
+    if (type) fields.params_json = stringifyJson(normalizeAlertRuleParams(type, params ?? (fields.rule_type ? {} : existing.params)));
+  }
+  if (channelIds !== undefined) {
+    const ids = Array.isArray(channelIds) ? Array.from(new Set(channelIds.map(Number))) : [NaN];
+    if (ids.some((channelId) => !Number.isInteger(channelId))) throw new RequestError(400, "invalid_request", "channel_ids must be an array of channel ids.");
+    for (const channelId of ids) await findAlertChannel(db, channelId);
+    fields.channel_ids_json = stringifyJson(ids);
+  }
+  if (active !== undefined) {
+    fields.active = toBooleanInteger(active);
+    if (fields.active == null) throw new RequestError(400, "invalid_request", "active must be a boolean.");
+  }
+  return fields;
+}
+
+function normalizeAlertRuleParams(ruleType, params = {}) {
+  const lookbackHours = Number(params.lookbackHours ?? params.lookback_hours ?? DEFAULT_ALERT_LOOKBACK_HOURS);
+  if (!Number.isInteger(lookbackHours) || lookbackHours < 1 || lookbackHours > 24 * 30) throw new RequestError(400, "invalid_request", "params.lookbackHours must be a whole number of hours between 1 and 720.");
+  if (ruleType === "new_risk_event") {
+    const minSeverity = severityLevel(params.minSeverity ?? params.min_severity ?? 5);
+    if (minSeverity === undefined) throw new RequestError(400, "invalid_request", `params.minSeverity must be one of ${Object.values(SEVERITY_NAMES).join(", ")} or 1-5.`);
+    return { minSeverity, lookbackHours };
+  }
+  if (ruleType === "score_drop") {
+    const points = Number(params.points ?? 50);
+    if (!Number.isFinite(points) || points <= 0 || points > 950) throw new RequestError(400, "invalid_request", "params.points must be a number between 1 and 950.");
+    return { points, lookbackHours };
+  }
+  const category = stringOrNull(String(params.category ?? "").trim());
+  if (!category) throw new RequestError(400, "invalid_request", "params.category is required for category_failing rules.");
+  return { category, lookbackHours };
+}
+
+function hydrateAlertRule(rule) {
+  return { ...rule, params: parseJson(rule.params_json, {}), channel_ids: parseJson(rule.channel_ids_json, []), active: Boolean(rule.active) };
+}
+
+async function listAlertChannels(env) {
+  assertDb(env);
+  await assertD1Schema(env, ["alert_channels"]);
+  const { results } = await env.DB.prepare("SELECT * FROM alert_channels ORDER BY active DESC, id ASC").all();
+  return { channels: (results || []).map(hydrateAlertChannel) };
+}
+
+async function createAlertChannel(env, body) {
+  assertDb(env);
+  await assertD1Schema(env, ["alert_channels"]);
+  const fields = normalizeAlertChannelFields(body);
+  if (!fields.name) throw new RequestError(400, "invalid_request", "name is required.");
+  if (!fields.channel_type) throw new RequestError(400, "invalid_request", `channel_type is required (${ALERT_CHANNEL_TYPES.join(", ")}).`);
+  if (!fields.url) throw new RequestError(400, "invalid_request", "url is required.");
+  const config = parseJson(fields.config_json, {});
+  if (fields.channel_type === "email_relay" && !(config.recipients || []).length) throw new RequestError(400, "invalid_request", "config.recipients is required for email_relay channels.");
+  const insert = await env.DB.prepare(
+    "INSERT INTO alert_channels (name, channel_type, url, config_json, active) VALUES (?, ?, ?, ?, ?)"
+  ).bind(fields.name, fields.channel_type, fields.url, fields.config_json ?? "{}", fields.active ?? 1).run();
+  return { channel: hydrateAlertChannel(await findAlertChannel(env.DB, insert.meta?.last_row_id)) };
+}
+
+async function updateAlertChannel(env, id, body) {
+  assertDb(env);
+  await assertD1Schema(env, ["alert_channels"]);
+  const existing = await findAlertChannel(env.DB, id);
+  const fields = normalizeAlertChannelFields(body);
+  if (!Object.keys(fields).length) throw new RequestError(400, "invalid_request", "Provide at least one of name, channel_type, url, config or active.");
+  const channelType = fields.channel_type || existing.channel_type;
+  const config = parseJson(fields.config_json ?? existing.config_json, {});
+  if (channelType === "email_relay" && !(config.recipients || []).length) throw new RequestError(400, "invalid_request", "config.recipients is required for email_relay channels.");
+  const entries = Object.entries(fields);
+  await env.DB.prepare(
+    `UPDATE alert_channels
+     SET ${entries.map(([column]) => `${column} = ?`).join(", ")}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`
+  ).bind(...entries.map(([, value]) => value), existing.id).run();
+  return { channel: hydrateAlertChannel(await findAlertChannel(env.DB, existing.id)) };
+}
+
+async function deleteAlertChannel(env, id) {
+  assertDb(env);
+  await assertD1Schema(env, ["alert_channels", "alert_rules"]);
+  const existing = await findAlertChannel(env.DB, id);
+  const { results } = await env.DB.prepare("SELECT id, channel_ids_json FROM alert_rules").all();
+  const rules = (results || []).filter((rule) => parseJson(rule.channel_ids_json, []).includes(existing.id));
+  await env.DB.batch([
+    env.DB.prepare("DELETE FROM alert_channels WHERE id = ?").bind(existing.id),
+    ...rules.map((rule) => env.DB.prepare("UPDATE alert_rules SET channel_ids_json = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?")
+      .bind(stringifyJson(parseJson(rule.channel_ids_json, []).filter((channelId) => channelId !== existing.id)), rule.id)),
+  ]);
+  return { deleted: true, channel: hydrateAlertChannel(existing), detachedRuleIds: rules.map((rule) => rule.id) };
+}
+
+async function testAlertChannel(env, id) {
+  assertDb(env);
+  await assertD1Schema(env, ["alert_channels"]);
+  const channel = await findAlertChannel(env.DB, id);
+  const delivery = await sendAlertToChannel(channel, {
+    id: null,
+    ruleId: null,
+    ruleName: "Test alert",
+    ruleType: "test",
+    vendorPrimaryHostname: null,
+    hostname: null,
+    severity: null,
+    severityName: null,
+    title: "Test alert from the TPR dashboard",
+    message: `This is a test message for the "${channel.name}" alert channel.`,
+    details: {},
+    createdAt: new Date().toISOString(),
+  });
+  return { channel: hydrateAlertChannel(channel), delivery };
+}
+
+async function findAlertChannel(db, id) {
+  const channelId = Number(id);
+  const channel = Number.isInteger(channelId) ? await db.prepare("SELECT * FROM alert_channels WHERE id = ?").bind(channelId).first() : null;
+  if (!channel) throw new RequestError(404, "alert_channel_not_found", `Alert channel ${id} does not exist.`);
+  return channel;
+}
+
+function normalizeAlertChannelFields(body) {
+  const fields = {};
+  const name = pickBodyField(body, "name");
+  const channelType = pickBodyField(body, "channel_type", "channelType");
+  const url = pickBodyField(body, "url");
+  const config = pickBodyField(body, "config");
+  const active = pickBodyField(body, "active");
+  if (name !== undefined) {
+    fields.name = stringOrNull(String(name ?? "").trim());
+    if (!fields.name) throw new RequestError(400, "invalid_request", "name cannot be empty.");
+  }
+  if (channelType !== undefined) {
+    if (!ALERT_CHANNEL_TYPES.includes(channelType)) throw new RequestError(400, "invalid_request", `channel_type must be one of ${ALERT_CHANNEL_TYPES.join(", ")}.`);
+    fields.channel_type = channelType;
+  }
+  if (url !== undefined) fields.url = normalizeOutboundUrl(url);
+  if (config !== undefined) {
+    if (config != null && (typeof config !== "object" || Array.isArray(config))) throw new RequestError(400, "invalid_request", "config must be an object.");
+    const recipients = (typeof config?.recipients === "string" ? config.recipients.split(",") : asArray(config?.recipients)).map((recipient) => String(recipient).trim()).filter(Boolean);
+    if (recipients.some((recipient) => !/^[^@\s]+@[^@\s]+$/.test(recipient))) throw new RequestError(400, "invalid_request", "config.recipients must be email addresses.");
+    fields.config_json = stringifyJson({ ...(config || {}), ...(recipients.length ? { recipients } : {}) });
+  }
+  if (active !== undefined) {
+    fields.active = toBooleanInteger(active);
+    if (fields.active == null) throw new RequestError(400, "invalid_request", "active must be a boolean.");
+  }
+  return fields;
+}
+
+function normalizeOutboundUrl(value) {
+  let url;
+  try {
+    url = new URL(String(value ?? "").trim());
+  } catch (_error) {
+    throw new RequestError(400, "invalid_request", "url must be an absolute URL.");
+  }
+  // Plain http is only accepted for local relays and test stubs.
+  const isLocal = ["localhost", "127.0.0.1", "[::1]"].includes(url.hostname);
+  if (url.protocol !== "https:" && !(url.protocol === "http:" && isLocal)) throw new RequestError(400, "invalid_request", "url must use https.");
+  return url.toString();
+}
+
+function hydrateAlertChannel(channel) {
+  // Webhook URLs usually embed their credential, so only the origin is ever returned.
+  const { url, config_json: configJson, ...rest } = channel;
+  return { ...rest, url_preview: `${new URL(url).origin}/…`, config: parseJson(configJson, {}), active: Boolean(channel.active) };
+}
+
+async function listAlerts(env, url) {
+  assertDb(env);
+  await assertD1Schema(env, ["alerts", "alert_deliveries", "alert_rules", "portfolio_vendors"]);
+  const portfolio = getPortfolioScope(env, url);
+  const status = url.searchParams.get("status") || null;
+  if (status && !ALERT_STATUSES.includes(status)) throw new RequestError(400, "invalid_request", `status must be one of ${ALERT_STATUSES.join(", ")}.`);
+  const ruleId = toNullableInteger(url.searchParams.get("rule_id"));
+  const vendor = normalizeHostname(url.searchParams.get("vendor")) || null;
+  const limit = clamp(url.searchParams.get("limit") || 50, 1, 200);
+  const { results } = await env.DB.prepare(
+    `SELECT a.*, r.name AS rule_name
+     FROM alerts a
+     LEFT JOIN alert_rules r ON r.id = a.rule_id
+     WHERE (? IS NULL OR a.status = ?) AND (? IS NULL OR a.rule_id = ?) AND (? IS NULL OR a.vendor_primary_hostname = ?)
+       AND (a.vendor_primary_hostname IS NULL OR ${portfolioMembershipClause("a.vendor_primary_hostname")})
+     ORDER BY a.id DESC
+     LIMIT ?`
+  ).bind(status, status, ruleId, ruleId, vendor, vendor, portfolio, portfolio, limit).all();
+  const alerts = (results || []).map(hydrateAlert);
+  const deliveries = new Map();
+  for (const batch of chunk(alerts.map((alert) => alert.id), 50)) {
+    const rows = await env.DB.prepare(
+      `SELECT * FROM alert_deliveries WHERE alert_id IN (${batch.map(() => "?").join(", ")}) ORDER BY id ASC`
+    ).bind(...batch).all();
+    for (const row of rows.results || []) deliveries.set(row.alert_id, [...(deliveries.get(row.alert_id) || []), row]);
+  }
+  return {
+    portfolioName: portfolioLabel(portfolio),
+    alertCount: alerts.length,
+    alerts: alerts.map((alert) => ({ ...alert, deliveries: deliveries.get(alert.id) || [] })),
+  };
+}
+
+async function acknowledgeAlert(env, id, principal = null) {
+  assertDb(env);
+  await assertD1Schema(env, ["alerts"]);
+  const alertId = Number(id);
+  const alert = Number.isInteger(alertId) ? await env.DB.prepare("SELECT * FROM alerts WHERE id = ?").bind(alertId).first() : null;
+  if (!alert) throw new RequestError(404, "alert_not_found", `Alert ${id} does not exist.`);
+  if (alert.status === "acknowledged") throw new RequestError(409, "alert_already_acknowledged", `Alert #${alert.id} was already acknowledged.`);
+  await env.DB.prepare(
+    "UPDATE alerts SET status = 'acknowledged', acknowledged_at = ?, acknowledged_by = ? WHERE id = ?"
+  ).bind(new Date().toISOString(), principal?.identity?.email || null, alert.id).run();
+  return { alert: hydrateAlert(await env.DB.prepare("SELECT * FROM alerts WHERE id = ?").bind(alert.id).first()) };
+}
+
+function hydrateAlert(alert) {
+  const { details_json: detailsJson, ...rest } = alert;
+  return { ...rest, severity_name: SEVERITY_NAMES[alert.severity] ?? null, details: parseJson(detailsJson, {}) };
+}
+
+async function runAlertEvaluation(env, vendors) {
+  // Alerting never fails the ingestion run that triggered it; problems surface in the run result
+  // and in ingestion_errors.
+  try {
+    return await evaluateAlertRules(env, { vendors });
+  } catch (error) {
+    const errorMessage = `Alert evaluation failed: ${getErrorMessage(error)}`;
+    await logIngestionError(env.DB, { hostname: null, errorMessage, statusCode: null, responseBody: null }).catch(() => {});
+    return { error: errorMessage };
+  }
+}
+
+async function evaluateAlertRules(env, { vendors = null, now = new Date() } = {}) {
+  const db = env.DB;
+  const rules = ((await db.prepare("SELECT * FROM alert_rules WHERE active = 1 ORDER BY id ASC").all()).results || []).map(hydrateAlertRule);
+  const summary = { rulesEvaluated: 0, alertIds: [], deliveredCount: 0, failedDeliveryCount: 0 };
+  if (!rules.length || (vendors && !vendors.length)) return summary;
+  const channels = new Map(((await db.prepare("SELECT * FROM alert_channels WHERE active = 1").all()).results || []).map((channel) => [channel.id, channel]));
+  const createdAt = now.toISOString();
+
+  for (const rule of rules) {
+    summary.rulesEvaluated += 1;
+    const cutoff = new Date(now.getTime() - rule.params.lookbackHours * 60 * 60 * 1000).toISOString();
+    const candidates = [];
+    for (const batch of vendors ? chunk(vendors, 50) : [null]) candidates.push(...await findAlertCandidates(db, rule, batch, cutoff));
+    let created = 0;
+    // A noisy rule is capped per run; the remaining matches are picked up by the next evaluation.
+    for (const candidate of candidates) {
+      if (created >= MAX_ALERTS_PER_RULE) break;
+      const insert = await db.prepare(
+        `INSERT INTO alerts (rule_id, rule_type, dedupe_key, vendor_primary_hostname, hostname, severity, title, message, details_json, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT(dedupe_key) DO NOTHING`
+      ).bind(rule.id, rule.rule_type, candidate.dedupeKey, candidate.vendorPrimaryHostname, candidate.hostname ?? null, candidate.severity ?? null, candidate.title, candidate.message, stringifyJson(candidate.details), createdAt).run();
+      if (!insert.meta?.changes) continue;
+      created += 1;
+      const alertId = insert.meta.last_row_id;
+      summary.alertIds.push(alertId);
+      const deliveries = await deliverAlert(db, { ...candidate, id: alertId, createdAt }, rule, rule.channel_ids.map((channelId) => channels.get(channelId)).filter(Boolean));
+      summary.deliveredCount += deliveries.filter((delivery) => delivery.ok).length;
+      summary.failedDeliveryCount += deliveries.filter((delivery) => !delivery.ok).length;
+    }
+  }
+  return summary;
+}
+
+async function findAlertCandidates(db, rule, vendors, cutoff) {
+  const vendorClause = (column) => vendors ? `${column} IN (${vendors.map(() => "?").join(", ")})` : "1 = 1";
+  const vendorParams = vendors || [];
+
+  if (rule.rule_type === "new_risk_event") {
+    // captured_at is when ingestion first saw the event; overlapping diff windows keep it unchanged.
+    // The start day keeps a risk that is resolved and later reintroduced alerting again.
+    const { results } = await db.prepare(
+      `SELECT id, vendor_primary_hostname, title, finding, category, severity, severity_name, affected_hostnames_json, event_start, event_end
+       FROM vendor_risk_events
+       WHERE LOWER(COALESCE(event_type, '')) IN ('introduced', 'new') AND COALESCE(severity, 0) >= ?
+         AND datetime(captured_at) >= datetime(?) AND ${vendorClause("vendor_primary_hostname")}
+       ORDER BY severity DESC, id ASC`
+    ).bind(rule.params.minSeverity, cutoff, ...vendorParams).all();
+    return (results || []).map((event) => {
+      const hostnames = parseJson(event.affected_hostnames_json, []);
+      const title = event.title || event.finding || "Untitled risk";
+      return {
+        dedupeKey: ["new_risk_event", rule.id, event.vendor_primary_hostname, title, hostnames.join(","), String(event.event_start || "").slice(0, 10)].join("|"),
+        vendorPrimaryHostname: event.vendor_primary_hostname,
+        hostname: hostnames[0] || null,
+        severity: event.severity,
+        title: `New ${event.severity_name || SEVERITY_NAMES[event.severity] || "risk"} risk at ${event.vendor_primary_hostname}: ${title}`,
+        message: `${title} (${event.category || "Uncategorized"}) was introduced${hostnames.length ? ` on ${hostnames.join(", ")}` : ""}.`,
+        details: { eventId: event.id, category: event.category, affectedHostnames: hostnames, eventStart: event.event_start, eventEnd: event.event_end },
+      };
+    });
+  }
+
+  if (rule.rule_type === "score_drop") {
+    return (await listScoreChanges(db, vendors, cutoff))
+      .filter((snapshot) => snapshot.previous_score - snapshot.automated_score >= rule.params.points)
+      .map((snapshot) => ({
+        dedupeKey: ["score_drop", rule.id, snapshot.vendor_primary_hostname, snapshot.hostname, snapshot.id].join("|"),
+        vendorPrimaryHostname: snapshot.vendor_primary_hostname,
+        hostname: snapshot.hostname,
+        severity: null,
+        title: `${snapshot.hostname} score dropped ${snapshot.previous_score - snapshot.automated_score} points`,
+        message: `${snapshot.hostname} (${snapshot.vendor_primary_hostname}) fell from ${snapshot.previous_score} to ${snapshot.automated_score}.`,
+        details: { snapshotId: snapshot.id, previousScore: snapshot.previous_score, score: snapshot.automated_score, capturedAt: snapshot.captured_at },
+      }));
+  }
+
+  // category_failing: the vendor's oldest open finding in the category started inside the lookback
+  // window, and the vendor was scanned before that, so first-time ingestion does not alert.
+  const { results } = await db.prepare(
+    `SELECT vendor_primary_hostname, MIN(COALESCE(last_reopened_at, first_seen_at)) AS failing_since,
+            COUNT(*) AS finding_count, MAX(severity) AS max_severity
+     FROM risk_findings_history
+     WHERE status = 'open' AND LOWER(category) = LOWER(?) AND ${vendorClause("vendor_primary_hostname")}
+     GROUP BY vendor_primary_hostname
+     HAVING failing_since >= ?`
+  ).bind(rule.params.category, ...vendorParams, cutoff).all();
+  const candidates = [];
+  for (const row of results || []) {
+    const scannedBefore = await db.prepare(
+      "SELECT 1 FROM domain_score_snapshots WHERE vendor_primary_hostname = ? AND captured_at < ? LIMIT 1"
+    ).bind(row.vendor_primary_hostname, row.failing_since).first();
+    if (!scannedBefore) continue;
+    candidates.push({
+      dedupeKey: ["category_failing", rule.id, row.vendor_primary_hostname, row.failing_since].join("|"),
+      vendorPrimaryHostname: row.vendor_primary_hostname,
+      hostname: null,
+      severity: row.max_severity,
+      title: `${row.vendor_primary_hostname} is now failing ${rule.params.category}`,
+      message: `${row.finding_count} open ${rule.params.category} finding(s) at ${row.vendor_primary_hostname} since ${row.failing_since}.`,
+      details: { category: rule.params.category, failingSince: row.failing_since, findingCount: row.finding_count },
+    });
+  }
+  return candidates;
+}
+
+async function listScoreChanges(db, vendors, since) {
+  // Compares each domain's latest snapshot captured since `since` with the snapshot before it.
+  const vendorClause = vendors ? `vendor_primary_hostname IN (${vendors.map(() => "?").join(", ")})` : "1 = 1";
+  const { results } = await db.prepare(
+    `SELECT * FROM (
+       SELECT latest.id, latest.vendor_primary_hostname, latest.hostname, latest.automated_score, latest.captured_at,
+              (SELECT previous.automated_score FROM domain_score_snapshots previous
+               WHERE previous.vendor_primary_hostname = latest.vendor_primary_hostname AND previous.hostname = latest.hostname
+                 AND previous.id < latest.id AND previous.automated_score IS NOT NULL
+               ORDER BY previous.id DESC LIMIT 1) AS previous_score
+       FROM domain_score_snapshots latest
+       WHERE latest.id IN (SELECT MAX(id) FROM domain_score_snapshots WHERE ${vendorClause} GROUP BY vendor_primary_hostname, hostname)
+         AND latest.captured_at >= ? AND latest.automated_score IS NOT NULL
+     )
+     WHERE previous_score IS NOT NULL AND previous_score != automated_score
+     ORDER BY vendor_primary_hostname, hostname`
+  ).bind(...(vendors || []), since).all();
+  return results || [];
+}
+
+async function deliverAlert(db, candidate, rule, channels) {
+  const alert = {
+    id: candidate.id,
+    ruleId: rule.id,
+    ruleName: rule.name,
+    ruleType: rule.rule_type,
+    vendorPrimaryHostname: candidate.vendorPrimaryHostname,
+    hostname: candidate.hostname ?? null,
+    severity: candidate.severity ?? null,
+    severityName: SEVERITY_NAMES[candidate.severity] ?? null,
+    title: candidate.title,
+    message: candidate.message,
+    details: candidate.details,
+    createdAt: candidate.createdAt,
+  };
+  const deliveries = await Promise.all(channels.map((channel) => sendAlertToChannel(channel, alert)));
+  const deliveredCount = deliveries.filter((delivery) => delivery.ok).length;
+  const deliveryStatus = !channels.length ? "no_channels" : deliveredCount === channels.length ? "delivered" : deliveredCount ? "partial" : "failed";
+  await db.batch([
+    ...deliveries.map((delivery, index) => db.prepare(
+      `INSERT INTO alert_deliveries (alert_id, channel_id, status, response_status, error_message, attempted_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    ).bind(alert.id, channels[index].id, delivery.ok ? "delivered" : "failed", delivery.responseStatus, delivery.errorMessage, delivery.attemptedAt)),
+    db.prepare("UPDATE alerts SET delivery_status = ? WHERE id = ?").bind(deliveryStatus, alert.id),
+  ]);
+  return deliveries;
+}
+
+function buildAlertChannelPayload(channel, alert) {
+  if (channel.channel_type === "slack") {
+    return { text: `*${alert.title}*\n${alert.message}` };
+  }
+  if (channel.channel_type === "email_relay") {
+    const config = parseJson(channel.config_json, {});
+    return {
+      to: config.recipients || [],
+      subject: `[TPR alert] ${alert.title}`,
+      text: `${alert.message}\n\nRule: ${alert.ruleName}\nVendor: ${alert.vendorPrimaryHostname || "n/a"}\nRaised: ${alert.createdAt}`,
+    };
+  }
+  return { type: "tpr.alert", alert };
+}
+
+function sendAlertToChannel(channel, alert) {
+  return postOutboundJson(channel.url, JSON.stringify(buildAlertChannelPayload(channel, alert)));
+}
+
+async function postOutboundJson(url, body, headers = {}) {
+  const attemptedAt = new Date().toISOString();
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), OUTBOUND_REQUEST_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { method: "POST", headers: { "content-type": "application/json", ...headers }, body, signal: controller.signal });
+    return { ok: response.ok, responseStatus: response.status, errorMessage: response.ok ? null : `Receiver responded with HTTP ${response.status}.`, attemptedAt };
+  } catch (error) {
+    return { ok: false, responseStatus: null, errorMessage: error?.name === "AbortError" ? `Receiver did not respond within ${OUTBOUND_REQUEST_TIMEOUT_MS} ms.` : getErrorMessage(error), attemptedAt };
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+async function listWebhookSubscriptions(env) {
+  assertDb(env);
+  await assertD1Schema(env, ["webhook_subscriptions", "webhook_deliveries"]);
+  const { results } = await env.DB.prepare(
+    `SELECT s.*,
+            (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.subscription_id = s.id AND d.status = 'pending') AS pending_count,
+            (SELECT MAX(delivered_at) FROM webhook_deliveries d WHERE d.subscription_id = s.id) AS last_delivered_at
+     FROM webhook_subscriptions s
+     ORDER BY s.active DESC, s.id ASC`
+  ).all();
+  return { subscriptions: (results || []).map(hydrateWebhookSubscription) };
+}
+
+async function createWebhookSubscription(env, body) {
+  assertDb(env);
+  await assertD1Schema(env, ["webhook_subscriptions"]);
+  const fields = normalizeWebhookSubscriptionFields(body);
+  if (!fields.name) throw new RequestError(400, "invalid_request", "name is required.");
+  if (!fields.url) throw new RequestError(400, "invalid_request", "url is required.");
+  const secret = fields.secret ?? generateWebhookSecret();
+  const insert = await env.DB.prepare(
+    "INSERT INTO webhook_subscriptions (name, url, secret, event_types_json, active) VALUES (?, ?, ?, ?, ?)"
+  ).bind(fields.name, fields.url, secret, fields.event_types_json ?? stringifyJson(WEBHOOK_EVENT_TYPES), fields.active ?? 1).run();
+  // The secret is only ever returned here and when it is rotated.
+  return { subscription: hydrateWebhookSubscription(await findWebhookSubscription(env.DB, insert.meta?.last_row_id)), secret };
+}
+
+async function updateWebhookSubscription(env, id, body) {
+  assertDb(env);
+  await assertD1Schema(env, ["webhook_subscriptions"]);
+  const existing = await findWebhookSubscription(env.DB, id);
+  const fields = normalizeWebhookSubscriptionFields(body);
+  if (toBooleanInteger(pickBodyField(body, "rotate_secret", "rotateSecret")) === 1) fields.secret ??= generateWebhookSecret();
+  const entries = Object.entries(fields);
+  if (!entries.length) throw new RequestError(400, "invalid_request", "Provide at least one of name, url, event_types, secret, rotate_secret or active.");
+  await env.DB.prepare(
+    `UPDATE webhook_subscriptions
+     SET ${entries.map(([column]) => `${column} = ?`).join(", ")}, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`
+  ).bind(...entries.map(([, value]) => value), existing.id).run();
+  return {
+    subscription: hydrateWebhookSubscription(await findWebhookSubscription(env.DB, existing.id)),
+    ...(fields.secret ? { secret: fields.secret } : {}),
+  };
+}
+
+async function deleteWebhookSubscription(env, id) {
+  assertDb(env);
+  await assertD1Schema(env, ["webhook_subscriptions", "webhook_deliveries"]);
+  const existing = await findWebhookSubscription(env.DB, id);
+  await env.DB.batch([
+    env.DB.prepare("DELETE FROM webhook_deliveries WHERE subscription_id = ?").bind(existing.id),
+    env.DB.prepare("DELETE FROM webhook_subscriptions WHERE id = ?").bind(existing.id),
+  ]);
+  return { deleted: true, subscription: hydrateWebhookSubscription(existing) };
+}
+
+async function listWebhookDeliveries(env, id, url) {
+  assertDb(env);
+  await assertD1Schema(env, ["webhook_subscriptions", "webhook_deliveries"]);
+  const subscription = await findWebhookSubscription(env.DB, id);
+  const status = url.searchParams.get("status") || null;
+  const limit = clamp(url.searchParams.get("limit") || 50, 1, 200);
+  const { results } = await env.DB.prepare(
+    `SELECT * FROM webhook_deliveries
+     WHERE subscription_id = ? AND (? IS NULL OR status = ?)
+     ORDER BY id DESC
+     LIMIT ?`
+  ).bind(subscription.id, status, status, limit).all();
+  return {
+    subscription: hydrateWebhookSubscription(subscription),
+    deliveries: (results || []).map(({ payload_json: payloadJson, ...delivery }) => ({ ...delivery, payload: parseJson(payloadJson, {}) })),
+  };
+}
+
+async function testWebhookSubscription(env, id) {
+  assertDb(env);
+  await assertD1Schema(env, ["webhook_subscriptions", "webhook_deliveries"]);
+  const subscription = await findWebhookSubscription(env.DB, id);
+  const now = new Date().toISOString();
+  const event = buildWebhookEvent("webhook.test", { subscriptionId: subscription.id, message: `Test delivery for the "${subscription.name}" webhook.` }, now);
+  // Test deliveries are logged like any other but are not retried.
+  const insert = await env.DB.prepare(
+    `INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload_json, status, created_at)
+     VALUES (?, ?, ?, ?, 'pending', ?)`
+  ).bind(subscription.id, event.id, event.type, stringifyJson(event), now).run();
+  const [delivery] = await attemptWebhookDeliveries(env.DB, [{ ...subscription, ...await findWebhookDelivery(env.DB, insert.meta?.last_row_id) }], { retry: false });
+  return { subscription: hydrateWebhookSubscription(subscription), delivery };
+}
+
+async function findWebhookSubscription(db, id) {
+  const subscriptionId = Number(id);
+  const subscription = Number.isInteger(subscriptionId) ? await db.prepare("SELECT * FROM webhook_subscriptions WHERE id = ?").bind(subscriptionId).first() : null;
+  if (!subscription) throw new RequestError(404, "webhook_not_found", `Webhook subscription ${id} does not exist.`);
+  return subscription;
+}
+
+function findWebhookDelivery(db, id) {
+  return db.prepare("SELECT * FROM webhook_deliveries WHERE id = ?").bind(id).first();
+}
+
+function normalizeWebhookSubscriptionFields(body) {
+  const fields = {};
+  const name = pickBodyField(body, "name");
+  const url = pickBodyField(body, "url");
+  const eventTypes = pickBodyField(body, "event_types", "eventTypes");
+  const secret = pickBodyField(body, "secret");
+  const active = pickBodyField(body, "active");
+  if (name !== undefined) {
+    fields.name = stringOrNull(String(name ?? "").trim());
+    if (!fields.name) throw new RequestError(400, "invalid_request", "name cannot be empty.");
+  }
+  if (url !== undefined) fields.url = normalizeOutboundUrl(url);
+  if (eventTypes !== undefined) {
+    const types = Array.isArray(eventTypes) ? Array.from(new Set(eventTypes)) : [];
+    if (!types.length || types.some((type) => !WEBHOOK_EVENT_TYPES.includes(type))) throw new RequestError(400, "invalid_request", `event_types must be a non-empty array of ${WEBHOOK_EVENT_TYPES.join(", ")}.`);
+    fields.event_types_json = stringifyJson(types);
+  }
+  if (secret !== undefined) {
+    fields.secret = String(secret ?? "");
+    if (fields.secret.length < 16) throw new RequestError(400, "invalid_request", "secret must be at least 16 characters.");
+  }
+  if (active !== undefined) {
+    fields.active = toBooleanInteger(active);
+    if (fields.active == null) throw new RequestError(400, "invalid_request", "active must be a boolean.");
+  }
+  return fields;
+}
+
+function hydrateWebhookSubscription(subscription) {
+  const { secret, event_types_json: eventTypesJson, ...rest } = subscription;
+  return { ...rest, event_types: parseJson(eventTypesJson, []), secret_preview: `…${String(secret).slice(-4)}`, active: Boolean(subscription.active) };
+}
+
+function generateWebhookSecret() {
+  return `whsec_${bytesToHex(crypto.getRandomValues(new Uint8Array(24)))}`;
+}
+
+function buildWebhookEvent(type, data, createdAt = new Date().toISOString()) {
+  return { id: crypto.randomUUID(), type, createdAt, data };
+}
+
+async function publishWebhookEvents(env, buildEvents) {
+  // Webhook delivery never fails the ingestion run that produced the events; deliveries that
+  // are not sent now stay queued for the scheduled retry sweep.
+  try {
+    const { results } = await env.DB.prepare("SELECT * FROM webhook_subscriptions WHERE active = 1").all();
+    const subscriptions = results || [];
+    if (!subscriptions.length) return { eventCount: 0, queuedCount: 0, deliveredCount: 0, failedCount: 0 };
+    const now = new Date().toISOString();
+    const events = (await buildEvents()).map((event) => buildWebhookEvent(event.type, event.data, now));
+    const inserts = events.flatMap((event) => subscriptions
+      .filter((subscription) => parseJson(subscription.event_types_json, []).includes(event.type))
+      .map((subscription) => env.DB.prepare(
+        `INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload_json, status, next_attempt_at, created_at)
+         VALUES (?, ?, ?, ?, 'pending', ?, ?)`
+      ).bind(subscription.id, event.id, event.type, stringifyJson(event), now, now)));
+    for (const batch of chunk(inserts, 50)) await env.DB.batch(batch);
+    const deliveries = inserts.length ? await deliverPendingWebhooks(env.DB) : [];
+    return {
+      eventCount: events.length,
+      queuedCount: inserts.length,
+      deliveredCount: deliveries.filter((delivery) => delivery.status === "delivered").length,
+      failedCount: deliveries.filter((delivery) => delivery.status !== "delivered").length,
+    };
+  } catch (error) {
+    const errorMessage = `Webhook publishing failed: ${getErrorMessage(error)}`;
+    await logIngestionError(env.DB, { hostname: null, errorMessage, statusCode: null, responseBody: null }).catch(() => {});
+    return { error: errorMessage };
+  }
+}
+
+async function deliverPendingWebhooks(db, { now = new Date().toISOString(), limit = WEBHOOK_DELIVERY_BATCH_SIZE } = {}) {
+  const { results } = await db.prepare(
+    `SELECT d.*, s.url, s.secret
+     FROM webhook_deliveries d
+     JOIN webhook_subscriptions s ON s.id = d.subscription_id
+     WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND s.active = 1
+     ORDER BY d.next_attempt_at ASC, d.id ASC
+     LIMIT ?`
+  ).bind(now, limit).all();
+  // Each row is claimed by pushing its next attempt past the send timeout before it is sent, so a
+  // concurrent sweep skips it and a sweep that dies mid-send leaves it due again afterwards.
+  const claimedUntil = new Date(Date.parse(now) + WEBHOOK_CLAIM_MS).toISOString();
+  const claimed = [];
+  for (const delivery of results || []) {
+    const claim = await db.prepare(
+      `UPDATE webhook_deliveries SET next_attempt_at = ?
+       WHERE id = ? AND status = 'pending' AND attempt_count = ? AND next_attempt_at <= ?`
+    ).bind(claimedUntil, delivery.id, delivery.attempt_count, now).run();
+    if (claim.meta?.changes) claimed.push(delivery);
+  }
+  return attemptWebhookDeliveries(db, claimed);
+}
+
+async function retryWebhookDeliveries(env) {
+  assertDb(env);
+  await assertD1Schema(env, ["webhook_subscriptions", "webhook_deliveries"]);
+  const deliveries = await deliverPendingWebhooks(env.DB);
+  return { attemptedCount: deliveries.length, deliveredCount: deliveries.filter((delivery) => delivery.status === "delivered").length };
+}
+
+async function attemptWebhookDeliveries(db, deliveries, { retry = true } = {}) {
+  const attempts = await Promise.all(deliveries.map(async (delivery) => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const body = delivery.payload_json;
+    const result = await postOutboundJson(delivery.url, body, {
+      "x-tpr-event": delivery.event_type,
+      "x-tpr-delivery": String(delivery.id),
+      "x-tpr-timestamp": String(timestamp),
+      "x-tpr-signature": `sha256=${await signWebhookPayload(delivery.secret, timestamp, body)}`,
+    });
+    const attemptCount = delivery.attempt_count + 1;
+    const retryDelay = retry ? WEBHOOK_RETRY_DELAYS_MINUTES[attemptCount - 1] : null;
+    const status = result.ok ? "delivered" : retryDelay == null ? "failed" : "pending";
+    const nextAttemptAt = status === "pending" ? new Date(Date.parse(result.attemptedAt) + retryDelay * 60 * 1000).toISOString() : null;
+    return { id: delivery.id, eventType: delivery.event_type, status, attemptCount, responseStatus: result.responseStatus, errorMessage: result.errorMessage, attemptedAt: result.attemptedAt, nextAttemptAt };
+  }));
+  for (const batch of chunk(attempts.map((attempt) => db.prepare(
+    `UPDATE webhook_deliveries
+     SET status = ?, attempt_count = ?, response_status = ?, error_message = ?, last_attempt_at = ?, next_attempt_at = ?,
+         delivered_at = CASE WHEN ? = 'delivered' THEN ? ELSE delivered_at END
+     WHERE id = ? AND attempt_count = ?`
+  ).bind(attempt.status, attempt.attemptCount, attempt.responseStatus, attempt.errorMessage, attempt.attemptedAt, attempt.nextAttemptAt, attempt.status, attempt.attemptedAt, attempt.id, attempt.attemptCount - 1)), 50)) {
+    await db.batch(batch);
+  }
+  return attempts;
 }
 
-async function getDashboardChanges(env) {
-  assertDb(env);
-  await assertD1Schema(env, ["vendor_risk_events"]);
-  const { results } = await env.DB.prepare(
-    `SELECT vendor_primary_hostname, event_type, title, finding, category, risk_type, risk_subtype, severity,
-            severity_name, affected_hostnames_json, sources_json, event_start, event_end, captured_at
-     FROM vendor_risk_events
-     ORDER BY captured_at DESC, severity DESC
-     LIMIT 200`
-  ).all();
-  const changes = (results || []).map(hydrateStoredRiskEvent);
-  return { portfolioName: PORTFOLIO_NAME, changes };
+async function signWebhookPayload(secret, timestamp, body) {
+  // Receivers recompute HMAC-SHA256 over "<x-tpr-timestamp>.<raw body>" with the shared secret.
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey("raw", encoder.encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  return bytesToHex(new Uint8Array(await crypto.subtle.sign("HMAC", key, encoder.encode(`${timestamp}.${body}`))));
 }
 
-async function getRemediationCampaigns(env) {
-  assertDb(env);
-  await assertD1Schema(env, ["portfolio_common_risks", "portfolio_risk_profile_snapshots", "vendor_active_risks"]);
-  const profile = await getLatestPortfolioRiskProfile(env);
-  const active = await env.DB.prepare(
-    `SELECT title, finding, category, risk_type, risk_subtype, severity, severity_name,
-            COUNT(DISTINCT vendor_primary_hostname) AS affected_vendor_count,
-            COUNT(*) AS affected_domain_count
-     FROM vendor_active_risks
-     GROUP BY title, finding, category, risk_type, risk_subtype, severity, severity_name
-     ORDER BY severity DESC, affected_vendor_count DESC
-     LIMIT 200`
-  ).all();
-  const combined = [...(profile.risks || []), ...(active.results || [])];
-  const campaigns = buildRemediationCampaigns(combined);
-  return { portfolioName: PORTFOLIO_NAME, campaigns };
+async function listIngestionWebhookEvents(db, run, vendors) {
+  const events = [{
+    type: run.status === "failed" ? "ingestion.failed" : "ingestion.completed",
+    data: { ...run },
+  }];
+  for (const batch of chunk(vendors, 50)) {
+    for (const change of await listScoreChanges(db, batch, run.startedAt)) {
+      events.push({
+        type: "score.changed",
+        data: { vendorPrimaryHostname: change.vendor_primary_hostname, hostname: change.hostname, previousScore: change.previous_score, score: change.automated_score, capturedAt: change.captured_at },
+      });
+    }
+    const { results } = await db.prepare(
+      `SELECT finding_key, vendor_primary_hostname, hostname, check_id, title, category, severity, severity_name, first_seen_at, resolved_at
+       FROM risk_findings_history
+       WHERE status = 'resolved' AND resolved_at >= ? AND vendor_primary_hostname IN (${batch.map(() => "?").join(", ")})
+       ORDER BY id ASC`
+    ).bind(run.startedAt, ...batch).all();
+    for (const finding of results || []) {
+      events.push({
+        type: "finding.resolved",
+        data: { findingKey: finding.finding_key, vendorPrimaryHostname: finding.vendor_primary_hostname, hostname: finding.hostname, checkId: finding.check_id, title: finding.title, category: finding.category, severity: finding.severity, severityName: finding.severity_name, firstSeenAt: finding.first_seen_at, resolvedAt: finding.resolved_at },
+      });
+    }
+  }
+  return events;
 }
 
-async function getDebugUpGuardRiskProfile(env) {
+function riskEventWebhookEvent(event) {
+  return {
+    type: event.eventType === "resolved" ? "risk.resolved" : "risk.introduced",
+    data: {
+      eventKey: event.eventKey,
+      vendorPrimaryHostname: event.vendorPrimaryHostname,
+      title: event.title,
+      category: event.category,
+      riskType: event.riskType,
+      severity: event.severity,
+      severityName: event.severityName ?? SEVERITY_NAMES[event.severity] ?? null,
+      affectedHostnames: parseJson(event.affectedHostnamesJson, []),
+      eventStart: event.eventStart,
+      eventEnd: event.eventEnd,
+    },
+  };
+}
+
+async function getDebugUpGuardRiskProfile(env, url) {
   assertApiKey(env);
-  const response = await fetchPortfolioRiskProfileResponse(env);
+  const portfolio = getPortfolioScope(env, url, { allowAll: false });
+  if (!portfolio) assertPortfolioId(env);
+  const response = await fetchPortfolioRiskProfileResponse(env, portfolio);
   return summarizeDebugResponse(response);
 }
 
@@ -1355,7 +5863,7 @@ async function getDebugUpGuardVendorRisks(env, url) {
   const summary = await summarizeVendorRisksDebugResponse(response);
   return {
     requestedVendorPrimaryHostname,
-    upstreamEndpoint: UPGUARD_VENDOR_RISKS_ENDPOINT,
+    upstreamEndpoint: buildUpGuardUrl(env, UPGUARD_VENDOR_RISKS_PATH).toString(),
     upstreamParams: {
       vendor_primary_hostname: requestedVendorPrimaryHostname,
     },
@@ -1372,7 +5880,7 @@ async function getDebugUpGuardRiskDiff(env, url) {
     throw new Error("vendor_primary_hostname or hostname is required for UpGuard risk diff debug.");
   }
   const range = buildRiskDiffRange({ days: url.searchParams.get("days") || 30 });
-  const upstreamUrl = buildRiskDiffUrl(requestedVendorPrimaryHostname, range.startDate, range.endDate, true);
+  const upstreamUrl = buildRiskDiffUrl(env, requestedVendorPrimaryHostname, range.startDate, range.endDate, true);
   const response = await fetchUpGuard(env, upstreamUrl);
   const summary = await summarizeRiskDiffDebugResponse(response);
   return {
@@ -1474,12 +5982,36 @@ function insertVendorRiskStatement(db, risk) {
 }
 
 function insertRiskEventStatement(db, event) {
+  // Re-ingesting an overlapping window refreshes the stored event but keeps its first captured_at.
   return db.prepare(
     `INSERT INTO vendor_risk_events (
-      vendor_primary_hostname, event_type, title, finding, category, risk_type, risk_subtype, severity,
+      event_key, vendor_primary_hostname, event_type, title, finding, category, risk_type, risk_subtype, severity,
       severity_name, affected_hostnames_json, sources_json, event_start, event_end, raw_json
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
-  ).bind(event.vendorPrimaryHostname, event.eventType, event.title, event.finding, event.category, event.riskType, event.riskSubtype, event.severity, event.severityName, event.affectedHostnamesJson, event.sourcesJson, event.eventStart, event.eventEnd, event.rawJson);
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT(event_key) DO UPDATE SET
+      title = excluded.title,
+      category = excluded.category,
+      severity = excluded.severity,
+      severity_name = excluded.severity_name,
+      sources_json = excluded.sources_json,
+      raw_json = excluded.raw_json`
+  ).bind(event.eventKey, event.vendorPrimaryHostname, event.eventType, event.title, event.finding, event.category, event.riskType, event.riskSubtype, event.severity, event.severityName, event.affectedHostnamesJson, event.sourcesJson, event.eventStart, event.eventEnd, event.rawJson);
+}
+
+function buildRiskEventKey(event) {
+  // Mirrors the SQL expression in migrations/0012_vendor_risk_event_keys.sql, including its
+  // COALESCE semantics. eventStart and eventEnd must be the dates UpGuard reported for the event,
+  // never the requested window, so resumed and shifted windows resolve to the same event.
+  return [
+    event.vendorPrimaryHostname,
+    event.eventType ?? "",
+    event.riskType ?? "",
+    event.riskSubtype ?? "",
+    event.finding ?? event.title ?? "",
+    event.affectedHostnamesJson ?? "[]",
+    (event.eventStart ?? "").slice(0, 10),
+    (event.eventEnd ?? "").slice(0, 10),
+  ].join("|");
 }
 
 function normalizeCommonRisk(risk) {
@@ -1531,7 +6063,9 @@ function normalizeRiskDiffEvents(vendorPrimaryHostname, data, range) {
 
 function normalizeRiskDiffEvent(vendorPrimaryHostname, eventType, risk, range = {}) {
   const affectedSources = firstDefined(risk?.hostnames, risk?.domains, risk?.sources, risk?.ips, risk?.ip_addresses, risk?.ports, []);
-  return {
+  const reportedStart = stringOrNull(firstDefined(risk?.event_start, risk?.eventStart, risk?.start_date, risk?.startDate));
+  const reportedEnd = stringOrNull(firstDefined(risk?.event_end, risk?.eventEnd, risk?.end_date, risk?.endDate));
+  const event = {
     vendorPrimaryHostname,
     eventType,
     title: stringOrNull(firstDefined(risk?.title, risk?.finding, risk?.risk, risk?.name)),
@@ -1543,10 +6077,11 @@ function normalizeRiskDiffEvent(vendorPrimaryHostname, eventType, risk, range =
     severityName: stringOrNull(firstDefined(risk?.severityName, risk?.severity_name)),
     affectedHostnamesJson: stringifyJson(Array.isArray(affectedSources) ? affectedSources : []),
     sourcesJson: stringifyJson(Array.isArray(risk?.sources) ? risk.sources : []),
-    eventStart: stringOrNull(firstDefined(risk?.event_start, risk?.eventStart, risk?.start_date, risk?.startDate, range.startDate)),
-    eventEnd: stringOrNull(firstDefined(risk?.event_end, risk?.eventEnd, risk?.end_date, risk?.endDate, range.endDate)),
+    eventStart: reportedStart ?? stringOrNull(range.startDate),
+    eventEnd: reportedEnd ?? stringOrNull(range.endDate),
     rawJson: stringifyJson(risk),
   };
+  return { ...event, eventKey: buildRiskEventKey({ ...event, eventStart: reportedStart, eventEnd: reportedEnd }) };
 }
 
 function normalizeRiskFields(risk) {
@@ -1597,30 +6132,45 @@ function countBySeverity(risks) {
   }, {});
 }
 
-function buildRemediationCampaigns(risks) {
+function buildRemediationCampaigns(risks, definitions) {
   const groups = new Map();
+  const vendorCount = (risk) => Number(risk.affected_vendor_count ?? risk.affectedVendorCount ?? 0);
   for (const risk of risks) {
-    const campaign = classifyCampaign(risk);
-    const current = groups.get(campaign) || { campaign, riskCount: 0, affectedVendorCount: 0, affectedDomainCount: 0, maxSeverity: null, risks: [] };
-    current.riskCount += 1;
-    current.affectedVendorCount += Number(risk.affected_vendor_count ?? risk.affectedVendorCount ?? 0);
-    current.affectedDomainCount += Number(risk.affected_domain_count ?? risk.affectedDomainCount ?? 0);
-    current.maxSeverity = Math.max(current.maxSeverity || 0, Number(risk.severity || 0));
-    if (current.risks.length < 8) current.risks.push(risk);
-    groups.set(campaign, current);
+    const definition = matchCampaignDefinition(risk, definitions);
+    const campaign = definition?.name ?? FALLBACK_CAMPAIGN;
+    const group = groups.get(campaign) || { campaign, owner: definition?.owner ?? null, risksByTitle: new Map() };
+    // The portfolio profile and the vendors' active risks often report the same risk; each title
+    // counts once per campaign, as whichever report reaches more vendors.
+    const title = String(risk.title ?? "").trim().toLowerCase();
+    const current = group.risksByTitle.get(title);
+    if (!current || vendorCount(risk) > vendorCount(current)) group.risksByTitle.set(title, risk);
+    groups.set(campaign, group);
   }
-  return [...groups.values()].sort((a, b) => b.maxSeverity - a.maxSeverity || b.affectedVendorCount - a.affectedVendorCount);
+  return [...groups.values()]
+    .map(({ campaign, owner, risksByTitle }) => {
+      const campaignRisks = [...risksByTitle.values()];
+      return {
+        campaign,
+        owner,
+        riskCount: campaignRisks.length,
+        affectedVendorCount: campaignRisks.reduce((total, risk) => total + vendorCount(risk), 0),
+        affectedDomainCount: campaignRisks.reduce((total, risk) => total + Number(risk.affected_domain_count ?? risk.affectedDomainCount ?? 0), 0),
+        maxSeverity: Math.max(0, ...campaignRisks.map((risk) => Number(risk.severity || 0))),
+        tierWeightedExposure: campaignRisks.reduce((total, risk) => total + Number(risk.tier_weighted_exposure ?? 0), 0),
+        risks: campaignRisks.slice(0, 8),
+      };
+    })
+    .sort((a, b) => b.maxSeverity - a.maxSeverity || b.affectedVendorCount - a.affectedVendorCount);
+}
+
+function classifyCampaign(risk, definitions) {
+  return matchCampaignDefinition(risk, definitions)?.name ?? FALLBACK_CAMPAIGN;
 }
 
-function classifyCampaign(risk) {
-  const text = [risk.title, risk.finding, risk.category, risk.risk_type, risk.riskType, risk.risk_subtype, risk.riskSubtype].filter(Boolean).join(" ").toLowerCase();
-  if (/dmarc|spf|dkim|email/.test(text)) return "DMARC/SPF/DKIM/email authentication";
-  if (/tls|ssl|certificate|cert/.test(text)) return "TLS/certificates";
-  if (/header|hsts|csp|x-frame|x-content/.test(text)) return "security headers";
-  if (/port|service|rdp|ssh|ftp|exposed/.test(text)) return "exposed services";
-  if (/cve|vulnerab|patch|exploit/.test(text)) return "verified vulnerabilities / CVEs";
-  if (/malware|phishing|reputation|blacklist/.test(text)) return "malware/phishing/reputation";
-  return "other remediation";
+// The first definition (in priority order) with any rule pattern matching its field claims the risk.
+function matchCampaignDefinition(risk, definitions) {
+  return definitions.find((definition) => definition.rules.some(([field, patterns]) => CAMPAIGN_MATCH_FIELDS[field](risk)
+    .some((value) => value != null && value !== "" && patterns.some((pattern) => pattern.test(String(value)))))) || null;
 }
 
 function hydrateStoredRisk(risk) {
@@ -1727,17 +6277,35 @@ async function getTableCounts(db, tableNames, includeMissing) {
   return tables;
 }
 
-function getDebugConfig(env) {
+async function getDebugConfig(env) {
   const apiKey = String(env.UPGUARD_API_KEY || "");
+  const hasVendorInventory = Boolean(env.DB) && await d1TableExists(env.DB, "portfolio_vendors");
+  // This endpoint exists to diagnose misconfiguration, so an invalid transport is reported
+  // rather than thrown.
+  let upguardTransport;
+  let upguardTransportError = null;
+  try {
+    upguardTransport = getUpGuardTransportMode(env);
+  } catch (error) {
+    upguardTransport = String(env.UPGUARD_TRANSPORT);
+    upguardTransportError = getErrorMessage(error);
+  }
   return {
     hasDb: Boolean(env.DB),
     hasUpGuardApiKey: Boolean(apiKey.trim()),
     apiKeyLength: apiKey.length,
+    upguardBaseUrl: getUpGuardBaseUrl(env),
+    upguardTransport,
+    upguardTransportError,
     hasUpGuardPortfolioId: Boolean(getPortfolioId(env)),
     portfolioIdLength: getPortfolioId(env).length,
-    portfolioName: PORTFOLIO_NAME,
-    configuredVendorCount: PORTFOLIO_VENDORS.length,
+    portfolios: getPortfolios(env),
+    configuredVendorCount: hasVendorInventory ? await countActivePortfolioVendors(env.DB) : null,
     databaseBindingNameExpected: "DB",
+    accessRequired: isAccessRequired(env),
+    hasAccessTeamDomain: Boolean(normalizeAccessTeamDomain(env.ACCESS_TEAM_DOMAIN)),
+    hasAccessAudience: Boolean(String(env.ACCESS_AUD || "").trim()),
+    hasAccessJwks: Boolean(env.ACCESS_JWKS),
   };
 }
 
@@ -1800,11 +6368,283 @@ class SchemaNotInitializedError extends Error {
   }
 }
 
+class RequestError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.name = "RequestError";
+    this.status = status;
+    this.code = code;
+  }
+
+  toResponseBody() {
+    return {
+      error: this.code,
+      message: this.message,
+    };
+  }
+}
+
+async function readJsonBody(request) {
+  const body = await request.json().catch(() => null);
+  if (!body || typeof body !== "object" || Array.isArray(body)) throw new RequestError(400, "invalid_json", "Request body must be a JSON object.");
+  return body;
+}
+
+function pickBodyField(body, ...keys) {
+  const key = keys.find((candidate) => Object.prototype.hasOwnProperty.call(body, candidate));
+  return key === undefined ? undefined : body[key];
+}
+
+class AuthenticationError extends Error {
+  constructor(code, message, status = 401) {
+    super(message);
+    this.name = "AuthenticationError";
+    this.code = code;
+    this.status = status;
+  }
+
+  toResponseBody() {
+    return {
+      error: this.code,
+      message: this.message,
+    };
+  }
+}
+
+function isAccessRequired(env) {
+  return ["1", "true"].includes(String(env.REQUIRE_ACCESS || "").trim().toLowerCase());
+}
+
+async function authenticateRequest(request, env) {
+  if (!isAccessRequired(env)) return null;
+  const config = getAccessConfig(env);
+  const token = getAccessToken(request);
+  if (!token) throw new AuthenticationError("access_token_missing", "A Cf-Access-Jwt-Assertion header or CF_Authorization cookie is required.");
+  const claims = await verifyAccessJwt(token, config);
+  return buildAccessIdentity(claims);
+}
+
+function getAccessConfig(env) {
+  const teamDomain = normalizeAccessTeamDomain(env.ACCESS_TEAM_DOMAIN);
+  const audience = String(env.ACCESS_AUD || "").trim();
+  if (!teamDomain || !audience) {
+    throw new AuthenticationError("access_not_configured", "REQUIRE_ACCESS is enabled but ACCESS_TEAM_DOMAIN and ACCESS_AUD are not both configured.");
+  }
+  return { teamDomain, audience, jwks: env.ACCESS_JWKS || null };
+}
+
+function normalizeAccessTeamDomain(value) {
+  const raw = String(value || "").trim().replace(/\/+$/, "");
+  if (!raw) return "";
+  return /^https?:\/\//i.test(raw) ? raw.toLowerCase() : `https://${raw.toLowerCase()}`;
+}
+
+function getAccessToken(request) {
+  const header = request.headers.get("cf-access-jwt-assertion");
+  if (header) return header.trim();
+  const cookies = request.headers.get("cookie") || "";
+  for (const part of cookies.split(";")) {
+    const [name, ...value] = part.trim().split("=");
+    if (name === "CF_Authorization") return value.join("=").trim();
+  }
+  return "";
+}
+
+async function verifyAccessJwt(token, { teamDomain, audience, jwks }) {
+  const segments = String(token).split(".");
+  if (segments.length !== 3) throw new AuthenticationError("access_token_invalid", "Access token is not a valid JWT.");
+  const header = decodeJwtSegment(segments[0]);
+  const claims = decodeJwtSegment(segments[1]);
+  if (!header || !claims) throw new AuthenticationError("access_token_invalid", "Access token header or payload could not be decoded.");
+  if (header.alg !== "RS256") throw new AuthenticationError("access_token_invalid", `Access token algorithm ${header.alg || "unknown"} is not supported.`);
+
+  let keys = await getAccessSigningKeys(teamDomain, jwks);
+  let jwk = keys.find((key) => key.kid === header.kid);
+  // An unknown kid usually means Access rotated its keys since they were cached: refetch once,
+  // unless the cached keys are fresher than ACCESS_KEY_MIN_REFRESH_MS, so forged kids cannot turn
+  // unauthenticated traffic into cert fetches.
+  if (!jwk && !jwks && isAccessKeyCacheStale(teamDomain)) {
+    keys = await getAccessSigningKeys(teamDomain, jwks, { refresh: true });
+    jwk = keys.find((key) => key.kid === header.kid);
+  }
+  if (!jwk) throw new AuthenticationError("access_token_invalid", "Access token was signed with an unknown key.");
+
+  let verified;
+  try {
+    const key = await crypto.subtle.importKey("jwk", jwk, { name: "RSASSA-PKCS1-v1_5", hash: "SHA-256" }, false, ["verify"]);
+    verified = await crypto.subtle.verify(
+      "RSASSA-PKCS1-v1_5",
+      key,
+      base64UrlToBytes(segments[2]),
+      new TextEncoder().encode(`${segments[0]}.${segments[1]}`)
+    );
+  } catch (error) {
+    throw new AuthenticationError("access_token_invalid", `Access token signature could not be verified: ${error.message}`);
+  }
+  if (!verified) throw new AuthenticationError("access_token_invalid", "Access token signature is invalid.");
+
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (normalizeAccessTeamDomain(claims.iss) !== teamDomain) throw new AuthenticationError("access_token_invalid", "Access token issuer does not match ACCESS_TEAM_DOMAIN.");
+  if (!audiences.includes(audience)) throw new AuthenticationError("access_token_invalid", "Access token audience does not match ACCESS_AUD.");
+  if (!Number.isFinite(Number(claims.exp)) || Number(claims.exp) + ACCESS_CLOCK_SKEW_SECONDS < now) throw new AuthenticationError("access_token_expired", "Access token has expired.");
+  if (claims.nbf != null && Number(claims.nbf) - ACCESS_CLOCK_SKEW_SECONDS > now) throw new AuthenticationError("access_token_invalid", "Access token is not valid yet.");
+  return claims;
+}
+
+async function getAccessSigningKeys(teamDomain, jwks, { refresh = false } = {}) {
+  // ACCESS_JWKS lets tests and air-gapped environments pin the signing keys; otherwise the
+  // team's public certs are fetched and cached for the lifetime of the isolate.
+  if (jwks) {
+    const parsed = typeof jwks === "string" ? parseJson(jwks, null) : jwks;
+    const keys = Array.isArray(parsed?.keys) ? parsed.keys : Array.isArray(parsed) ? parsed : null;
+    if (!keys) throw new AuthenticationError("access_not_configured", "ACCESS_JWKS must be a JSON Web Key Set.");
+    return keys;
+  }
+  const cached = accessKeyCache.get(teamDomain);
+  if (cached && cached.expiresAt > Date.now() && !refresh) return cached.keys;
+  // The certs endpoint being down or garbled is an upstream outage, not a bad token.
+  let data;
+  try {
+    const response = await fetch(`${teamDomain}/cdn-cgi/access/certs`, { headers: { "Accept": "application/json" } });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    data = await response.json();
+  } catch (error) {
+    throw new AuthenticationError("access_keys_unavailable", `Access signing keys could not be loaded: ${getErrorMessage(error)}`, 503);
+  }
+  const keys = Array.isArray(data?.keys) ? data.keys : [];
+  accessKeyCache.set(teamDomain, { keys, fetchedAt: Date.now(), expiresAt: Date.now() + ACCESS_KEY_CACHE_MS });
+  return keys;
+}
+
+function isAccessKeyCacheStale(teamDomain) {
+  const cached = accessKeyCache.get(teamDomain);
+  return !cached || Date.now() - cached.fetchedAt >= ACCESS_KEY_MIN_REFRESH_MS;
+}
+
+function buildAccessIdentity(claims) {
+  return {
+    email: claims.email ? String(claims.email).toLowerCase() : null,
+    subject: stringOrNull(claims.sub),
+    groups: asArray(claims.groups).map((group) => typeof group === "string" ? group : firstDefined(group?.name, group?.id, group?.email)).filter(Boolean),
+    issuer: stringOrNull(claims.iss),
+    issuedAt: claims.iat ? new Date(Number(claims.iat) * 1000).toISOString() : null,
+    expiresAt: claims.exp ? new Date(Number(claims.exp) * 1000).toISOString() : null,
+  };
+}
+
+function getAuthIdentity(env, principal) {
+  return { accessRequired: isAccessRequired(env), authenticated: Boolean(principal.identity), role: principal.role, identity: principal.identity };
+}
+
+class AuthorizationError extends Error {
+  constructor(requiredRole, role) {
+    super(`This route requires the ${requiredRole} role.`);
+    this.name = "AuthorizationError";
+    this.requiredRole = requiredRole;
+    this.role = role;
+  }
+
+  toResponseBody() {
+    return {
+      error: "forbidden",
+      message: this.message,
+      requiredRole: this.requiredRole,
+      role: this.role,
+    };
+  }
+}
+
+function resolvePrincipal(env, identity) {
+  // Without Access enforcement the Worker is only reachable from trusted networks, so the
+  // anonymous caller keeps the full access it had before roles existed.
+  if (!identity) return { identity: null, role: isAccessRequired(env) ? null : "admin" };
+  const rules = getAccessRoleRules(env);
+  const email = identity.email || "";
+  const emailDomain = email.includes("@") ? email.split("@").pop() : "";
+  const groups = new Set((identity.groups || []).map((group) => String(group).toLowerCase()));
+  const matchedRoles = rules
+    .filter((rule) => (rule.match === "email" && rule.value === email) ||
+      (rule.match === "email_domain" && rule.value === emailDomain) ||
+      (rule.match === "group" && groups.has(rule.value)))
+    .map((rule) => rule.role);
+  const defaultRole = normalizeAccessRole(env.ACCESS_DEFAULT_ROLE ?? "viewer");
+  const role = highestAccessRole(matchedRoles.length ? matchedRoles : [defaultRole]);
+  return { identity, role };
+}
+
+function getAccessRoleRules(env) {
+  const parsed = typeof env.ACCESS_ROLE_MAP === "string" ? parseJson(env.ACCESS_ROLE_MAP, []) : env.ACCESS_ROLE_MAP;
+  return (Array.isArray(parsed) ? parsed : [])
+    .map((rule) => ({
+      match: String(rule?.match || "").trim().toLowerCase(),
+      value: String(rule?.value || "").trim().toLowerCase(),
+      role: normalizeAccessRole(rule?.role),
+    }))
+    .filter((rule) => ["email", "email_domain", "group"].includes(rule.match) && rule.value && rule.role);
+}
+
+function normalizeAccessRole(role) {
+  const clean = String(role || "").trim().toLowerCase();
+  return ACCESS_ROLES.includes(clean) ? clean : null;
+}
+
+function highestAccessRole(roles) {
+  return roles.filter(Boolean).sort((a, b) => ACCESS_ROLES.indexOf(b) - ACCESS_ROLES.indexOf(a))[0] || null;
+}
+
+function hasAccessRole(principal, requiredRole) {
+  return Boolean(principal?.role) && ACCESS_ROLES.indexOf(principal.role) >= ACCESS_ROLES.indexOf(requiredRole);
+}
+
+function getRequiredRole(method, pathname) {
+  if (pathname.startsWith("/api/debug/")) return "admin";
+  if (method === "POST" && (pathname === "/api/ingest" || pathname.startsWith("/api/ingest/"))) return "admin";
+  if (method !== "GET" && (pathname === "/api/portfolio/vendors" || pathname.startsWith("/api/portfolio/vendors/"))) return "admin";
+  if (method !== "GET" && (pathname === "/api/sla/policies" || pathname.startsWith("/api/sla/policies/"))) return "admin";
+  if (method !== "GET" && pathname.startsWith("/api/scoring/")) return "admin";
+  if (method !== "GET" && pathname.startsWith("/api/campaigns/")) return "admin";
+  if (method !== "GET" && (pathname.startsWith("/api/alerts/rules") || pathname.startsWith("/api/alerts/channels"))) return "admin";
+  if (pathname === "/api/webhooks" || pathname.startsWith("/api/webhooks/")) return "admin";
+  if (method !== "GET" && pathname.startsWith("/api/alerts/")) return "analyst";
+  if (method !== "GET" && pathname.startsWith("/api/questionnaires/templates")) return "admin";
+  if (method !== "GET" && /^\/api\/vendor\/[^/]+\/criticality$/.test(pathname)) return "admin";
+  if (method !== "GET" && (pathname.startsWith("/api/questionnaires/") || pathname === "/api/evidence" || pathname.startsWith("/api/evidence/"))) return "analyst";
+  if (method !== "GET" && (pathname === "/api/risk-acceptances" || pathname.startsWith("/api/risk-acceptances/"))) return "analyst";
+  if (method !== "GET" && (pathname === "/api/remediation" || pathname.startsWith("/api/remediation/"))) return "analyst";
+  return "viewer";
+}
+
+function authorizeRequest(method, pathname, principal) {
+  const requiredRole = getRequiredRole(method, pathname);
+  if (!hasAccessRole(principal, requiredRole)) throw new AuthorizationError(requiredRole, principal?.role || null);
+}
+
+function decodeJwtSegment(segment) {
+  try {
+    return JSON.parse(new TextDecoder().decode(base64UrlToBytes(segment)));
+  } catch (_error) {
+    return null;
+  }
+}
+
+function bytesToHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+function base64UrlToBytes(value) {
+  const base64 = String(value).replace(/-/g, "+").replace(/_/g, "/");
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, "="));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
 function assertDb(env) {
   if (!env.DB) throw new Error("D1 binding DB is not configured. Bind the tprisk database as DB.");
 }
 
 function assertApiKey(env) {
+  // Replayed fixtures and injected transports never reach UpGuard, so they run without a key.
+  if (["replay", "custom"].includes(getUpGuardTransportMode(env))) return;
   if (!String(env.UPGUARD_API_KEY || "").trim()) throw new Error("UPGUARD_API_KEY is not configured.");
 }
 
@@ -1819,6 +6659,221 @@ function html(markup) {
   return new Response(markup, { headers: { "content-type": "text/html; charset=utf-8" } });
 }
 
+function getExportFormat(url) {
+  const format = url.searchParams.get("format");
+  if (!format || format === "json") return null;
+  if (!EXPORT_CONTENT_TYPES[format]) throw new RequestError(400, "invalid_request", `format must be one of json, ${Object.keys(EXPORT_CONTENT_TYPES).join(", ")}.`);
+  return format;
+}
+
+// Responds with JSON unless ?format=csv or ?format=xlsx asks for the same data as a spreadsheet.
+// Routes whose rows are read from D1 page by page pass those pages, which are pulled as the
+// response is read; the others export the rows of the data they already built.
+function exportable(url, name, data, pages = null) {
+  const format = getExportFormat(url);
+  if (!format || data.error) return json(data);
+  const label = data.vendor?.vendor_primary_hostname || data.portfolioName;
+  const filename = [`tpr-${name}`, label, new Date().toISOString().slice(0, 10)]
+    .filter(Boolean)
+    .join("-")
+    .replace(/[^a-z0-9._-]+/gi, "_");
+  const columns = EXPORT_COLUMNS[name];
+  const batches = pages || chunk(exportRows(name, data), EXPORT_BATCH_ROWS);
+  return new Response(streamChunks(format === "xlsx" ? xlsxChunks(name, columns, batches) : csvChunks(columns, batches)), {
+    headers: {
+      "content-type": EXPORT_CONTENT_TYPES[format],
+      "content-disposition": `attachment; filename="${filename}.${format}"`,
+      "cache-control": "no-store",
+      ...corsHeaders(),
+    },
+  });
+}
+
+function exportRows(name, data) {
+  if (name === "vendors") return data.vendors;
+  if (name === "common-risks") return data.risks;
+  if (name === "changes") return data.changes;
+  if (name === "remediation-campaigns") return data.campaigns.map((campaign) => ({ ...campaign, risks: campaign.risks.map((risk) => risk.title) }));
+  const check = (recordType) => (row) => ({ ...row, record_type: recordType, finding: row.description, status: row.passed == null ? null : row.passed ? "passed" : "failed", observed_at: row.checked_at });
+  const risk = (recordType) => (row) => ({ ...row, record_type: recordType, status: row.event_type ?? "active", affected_hostnames: row.affectedHostnames, observed_at: row.captured_at });
+  return [
+    ...data.checkResults.map(check("check_result")),
+    ...data.waivedCheckResults.map(check("waived_check")),
+    ...data.activeRisks.map(risk("active_risk")),
+    ...data.recentChanges.map(risk("recent_change")),
+  ];
+}
+
+function exportCellValue(value) {
+  if (Array.isArray(value)) return value.map((item) => item && typeof item === "object" ? JSON.stringify(item) : String(item ?? "")).join("; ");
+  if (value && typeof value === "object") return JSON.stringify(value);
+  return value ?? null;
+}
+
+// Text that a spreadsheet would evaluate as a formula is prefixed with a quote before quoting.
+function csvCell(value) {
+  if (value == null) return "";
+  const text = typeof value === "string" && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function* csvChunks(columns, batches) {
+  // The byte order mark makes Excel read the file as UTF-8.
+  yield `\uFEFF${columns.map(csvCell).join(",")}\r\n`;
+  for await (const batch of batches) {
+    yield batch.map((row) => `${columns.map((column) => csvCell(exportCellValue(row[column]))).join(",")}\r\n`).join("");
+  }
+}
+
+async function* xlsxChunks(sheetName, columns, batches) {
+  const xml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+  const relationships = "http://schemas.openxmlformats.org/officeDocument/2006/relationships";
+  yield* zipChunks([
+    {
+      name: "[Content_Types].xml",
+      chunks: [`${xml}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/></Types>`],
+    },
+    {
+      name: "_rels/.rels",
+      chunks: [`${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${relationships}/officeDocument" Target="xl/workbook.xml"/></Relationships>`],
+    },
+    {
+      name: "xl/workbook.xml",
+      chunks: [`${xml}<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${relationships}"><sheets><sheet name="${escapeHtml(sheetName.slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets></workbook>`],
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      chunks: [`${xml}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${relationships}/worksheet" Target="worksheets/sheet1.xml"/></Relationships>`],
+    },
+    { name: "xl/worksheets/sheet1.xml", chunks: xlsxSheetChunks(columns, batches) },
+  ]);
+}
+
+async function* xlsxSheetChunks(columns, batches) {
+  yield '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>';
+  yield xlsxRow(1, columns);
+  let rowNumber = 1;
+  for await (const batch of batches) {
+    yield batch.map((row) => xlsxRow(++rowNumber, columns.map((column) => exportCellValue(row[column])))).join("");
+  }
+  yield "</sheetData></worksheet>";
+}
+
+function xlsxRow(rowNumber, values) {
+  const cells = values.map((value, index) => {
+    if (value == null || value === "") return "";
+    let column = "";
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) column = String.fromCharCode(65 + ((n - 1) % 26)) + column;
+    const ref = `${column}${rowNumber}`;
+    if (typeof value === "number" && Number.isFinite(value)) return `<c r="${ref}"><v>${value}</v></c>`;
+    // Inline strings are never evaluated as formulas; characters XML cannot carry are dropped.
+    const text = String(value).replace(/[^\t\n\r\u0020-\uD7FF\uE000-\uFFFD\u{10000}-\u{10FFFF}]/gu, "").slice(0, XLSX_MAX_CELL_LENGTH);
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeHtml(text)}</t></is></c>`;
+  });
+  return `<row r="${rowNumber}">${cells.join("")}</row>`;
+}
+
+// Writes an uncompressed ZIP archive as it goes: each entry's CRC and size follow its data in
+// a data descriptor, so no file has to be held in memory to be measured first.
+async function* zipChunks(files) {
+  const encoder = new TextEncoder();
+  const now = new Date();
+  const dosTime = (now.getUTCHours() << 11) | (now.getUTCMinutes() << 5) | (now.getUTCSeconds() >> 1);
+  const dosDate = ((now.getUTCFullYear() - 1980) << 9) | ((now.getUTCMonth() + 1) << 5) | now.getUTCDate();
+  const record = (size, write) => {
+    const bytes = new Uint8Array(size);
+    write(new DataView(bytes.buffer));
+    return bytes;
+  };
+  const entries = [];
+  let offset = 0;
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const entry = { name, offset, crc: 0, size: 0 };
+    const header = record(30, (view) => {
+      view.setUint32(0, 0x04034b50, true);
+      view.setUint16(4, 20, true);
+      view.setUint16(6, 0x0808, true);
+      view.setUint16(10, dosTime, true);
+      view.setUint16(12, dosDate, true);
+      view.setUint16(26, name.length, true);
+    });
+    yield header;
+    yield name;
+    offset += header.length + name.length;
+    for await (const text of file.chunks) {
+      const bytes = encoder.encode(text);
+      entry.crc = crc32(bytes, entry.crc);
+      entry.size += bytes.length;
+      yield bytes;
+    }
+    const descriptor = record(16, (view) => {
+      view.setUint32(0, 0x08074b50, true);
+      view.setUint32(4, entry.crc, true);
+      view.setUint32(8, entry.size, true);
+      view.setUint32(12, entry.size, true);
+    });
+    yield descriptor;
+    offset += entry.size + descriptor.length;
+    entries.push(entry);
+  }
+  let directorySize = 0;
+  for (const entry of entries) {
+    const header = record(46, (view) => {
+      view.setUint32(0, 0x02014b50, true);
+      view.setUint16(4, 20, true);
+      view.setUint16(6, 20, true);
+      view.setUint16(8, 0x0808, true);
+      view.setUint16(12, dosTime, true);
+      view.setUint16(14, dosDate, true);
+      view.setUint32(16, entry.crc, true);
+      view.setUint32(20, entry.size, true);
+      view.setUint32(24, entry.size, true);
+      view.setUint16(28, entry.name.length, true);
+      view.setUint32(42, entry.offset, true);
+    });
+    yield header;
+    yield entry.name;
+    directorySize += header.length + entry.name.length;
+  }
+  yield record(22, (view) => {
+    view.setUint32(0, 0x06054b50, true);
+    view.setUint16(8, entries.length, true);
+    view.setUint16(10, entries.length, true);
+    view.setUint32(12, directorySize, true);
+    view.setUint32(16, offset, true);
+  });
+}
+
+function crc32(bytes, crc = 0) {
+  let value = ~crc;
+  for (const byte of bytes) {
+    value ^= byte;
+    for (let bit = 0; bit < 8; bit += 1) value = (value >>> 1) ^ (0xedb88320 & -(value & 1));
+  }
+  return ~value >>> 0;
+}
+
+function streamChunks(chunks) {
+  const encoder = new TextEncoder();
+  return new ReadableStream({
+    async pull(controller) {
+      const { value, done } = await chunks.next();
+      if (done) controller.close();
+      else controller.enqueue(typeof value === "string" ? encoder.encode(value) : value);
+    },
+  });
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
 function optionsResponse() {
   return new Response(null, { status: 204, headers: corsHeaders() });
 }
@@ -1826,8 +6881,8 @@ function optionsResponse() {
 function corsHeaders() {
   return {
     "access-control-allow-origin": "*",
-    "access-control-allow-methods": "GET,POST,OPTIONS",
-    "access-control-allow-headers": "content-type,authorization",
+    "access-control-allow-methods": "GET,POST,PATCH,DELETE,OPTIONS",
+    "access-control-allow-headers": "content-type,authorization,cf-access-jwt-assertion",
   };
 }
 
@@ -1844,6 +6899,7 @@ function clamp(value, min, max) {
 }
 
 function toNullableInteger(value) {
+  if (value == null || value === "") return null;
   const number = Number(value);
   return Number.isFinite(number) ? Math.trunc(number) : null;
 }
@@ -1872,13 +6928,114 @@ function getErrorMessage(error) {
   return error && error.message ? error.message : String(error);
 }
 
-function renderDashboardShell() {
+function renderExecutiveReport(report) {
+  const metric = (label, value) => `<div class="metric"><span>${escapeHtml(label)}</span><strong>${escapeHtml(value ?? "—")}</strong></div>`;
+  const table = (headings, rows, empty) => rows.length
+    ? `<table><thead><tr>${headings.map((heading) => `<th>${escapeHtml(heading)}</th>`).join("")}</tr></thead><tbody>${rows.map((cells) => `<tr>${cells.map((cell) => `<td>${escapeHtml(cell)}</td>`).join("")}</tr>`).join("")}</tbody></table>`
+    : `<p class="muted">${escapeHtml(empty)}</p>`;
+  const moverRows = (rows) => rows.slice(0, 5).map((row) => [row.hostname, row.start_score, row.end_score, row.delta > 0 ? `+${row.delta}` : row.delta]);
+  const { counts, sla } = report;
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1" />
+  <title>${escapeHtml(`${report.portfolioName} executive report · ${report.periodLabel}`)}</title>
+  <style>
+    @page { size: A4; margin: 14mm; }
+    * { box-sizing: border-box; }
+    body { margin: 0 auto; max-width: 960px; padding: 32px; font-family: Inter, ui-sans-serif, system-ui, -apple-system, "Segoe UI", sans-serif; color: #0f172a; background: #fff; font-size: 13px; }
+    header { border-bottom: 2px solid #0f172a; padding-bottom: 12px; margin-bottom: 20px; }
+    h1 { margin: 0 0 4px; font-size: 26px; letter-spacing: -.02em; }
+    h2 { margin: 0 0 10px; font-size: 16px; }
+    section { margin-bottom: 22px; break-inside: avoid; }
+    .muted { color: #64748b; }
+    .summary li { margin-bottom: 4px; }
+    .metrics { display: grid; grid-template-columns: repeat(4, 1fr); gap: 10px; }
+    .metric { border: 1px solid #cbd5e1; border-radius: 8px; padding: 10px; }
+    .metric span { display: block; color: #64748b; font-size: 11px; text-transform: uppercase; letter-spacing: .06em; }
+    .metric strong { font-size: 22px; }
+    .split { display: grid; grid-template-columns: 1fr 1fr; gap: 18px; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { padding: 6px 8px; text-align: left; border-bottom: 1px solid #e2e8f0; }
+    th { font-size: 11px; text-transform: uppercase; letter-spacing: .06em; color: #475569; }
+    .legend { display: flex; gap: 12px; font-size: 11px; margin-bottom: 4px; }
+    .swatch { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 4px; }
+    svg { width: 100%; height: auto; }
+    .print { float: right; }
+    @media print { body { padding: 0; } .print { display: none; } }
+  </style>
+</head>
+<body>
+  <header>
+    <button type="button" class="print" onclick="window.print()">Print / save as PDF</button>
+    <h1>Third-party risk executive report</h1>
+    <div class="muted">${escapeHtml(report.portfolioName)} · ${escapeHtml(report.periodLabel)} · generated ${escapeHtml(report.generatedAt.slice(0, 10))}</div>
+  </header>
+  <section>
+    <h2>Summary</h2>
+    <ul class="summary">${report.summary.map((sentence) => `<li>${escapeHtml(sentence)}</li>`).join("")}</ul>
+  </section>
+  <section class="metrics">
+    ${metric("New vendor risks", counts.risksIntroduced)}${metric("Resolved vendor risks", counts.risksResolved)}${metric("Findings opened", counts.findingsOpened)}${metric("Findings resolved", counts.findingsResolved)}
+  </section>
+  <section class="split">
+    <div><h2>Average domain score</h2>${renderReportLineChart(report.score, [{ key: "average_score", label: "Average score", color: "#2563eb" }])}</div>
+    <div><h2>Failed checks by severity</h2>${renderReportLineChart(report.severity, [
+      { key: "critical_count", label: "Critical", color: "#dc2626" },
+      { key: "high_count", label: "High", color: "#ea580c" },
+      { key: "medium_count", label: "Medium", color: "#ca8a04" },
+      { key: "low_count", label: "Low", color: "#16a34a" },
+    ])}</div>
+  </section>
+  <section class="split">
+    <div><h2>Top improvers</h2>${table(["Domain", "Start", "End", "Change"], moverRows(report.movers.improved), "No domain improved this month.")}</div>
+    <div><h2>Top decliners</h2>${table(["Domain", "Start", "End", "Change"], moverRows(report.movers.declined), "No domain declined this month.")}</div>
+  </section>
+  <section>
+    <h2>Remediation SLAs</h2>
+    <div class="metrics">${metric("On time", sla.onTime)}${metric("At risk", sla.atRisk)}${metric("Breached", sla.breached)}${metric("Deadlines met", sla.complianceRate == null ? "—" : `${sla.complianceRate}%`)}</div>
+    <p class="muted">Open findings are shown as of the report date; deadlines met counts the ${escapeHtml(sla.dueCount)} SLA deadlines that fell in ${escapeHtml(report.periodLabel)}.</p>
+  </section>
+  <section>
+    <h2>Top remediation campaigns</h2>
+    ${table(["Campaign", "Risks", "Vendors", "Domains", "Max severity"], report.campaigns.map((campaign) => [campaign.campaign, campaign.riskCount, campaign.affectedVendorCount, campaign.affectedDomainCount, SEVERITY_NAMES[campaign.maxSeverity] ?? "—"]), "No open risks are grouped into campaigns.")}
+  </section>
+</body>
+</html>`;
+}
+
+function renderReportLineChart(rows, series) {
+  // Server-side twin of the dashboard's lineChart, in print colors, so reports need no scripts.
+  if (!rows.length) return '<p class="muted">No snapshots in this period.</p>';
+  const width = 640, height = 220, pad = 28;
+  const values = rows.flatMap((row) => series.map((line) => Number(row[line.key] || 0))).filter(Number.isFinite);
+  const max = Math.max(1, ...values), min = Math.min(0, ...values);
+  const x = (index) => pad + (rows.length === 1 ? (width - pad * 2) / 2 : index * (width - pad * 2) / (rows.length - 1));
+  const y = (value) => height - pad - ((Number(value || 0) - min) * (height - pad * 2) / (max - min || 1));
+  const lines = series.map((line) => {
+    const points = rows.map((row, index) => `${x(index).toFixed(1)},${y(row[line.key]).toFixed(1)}`).join(" ");
+    const circles = rows.map((row, index) => `<circle cx="${x(index).toFixed(1)}" cy="${y(row[line.key]).toFixed(1)}" r="2.5" fill="${line.color}"><title>${escapeHtml(`${row.date} ${line.label}: ${row[line.key] ?? 0}`)}</title></circle>`).join("");
+    return `<polyline points="${points}" fill="none" stroke="${line.color}" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round" />${circles}`;
+  }).join("");
+  const legend = `<div class="legend">${series.map((line) => `<span><i class="swatch" style="background:${line.color}"></i>${escapeHtml(line.label)}</span>`).join("")}</div>`;
+  const labels = `<text x="${pad}" y="214" fill="#64748b" font-size="11">${escapeHtml(rows[0].date)}</text><text x="${width - pad}" y="214" fill="#64748b" font-size="11" text-anchor="end">${escapeHtml(rows[rows.length - 1].date)}</text>`
+    + `<text x="${pad - 4}" y="${pad}" fill="#64748b" font-size="11" text-anchor="end">${escapeHtml(max)}</text>`;
+  return `${legend}<svg viewBox="0 0 ${width} ${height}" role="img"><line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" stroke="#94a3b8" /><line x1="${pad}" y1="${pad}" x2="${pad}" y2="${height - pad}" stroke="#94a3b8" />${lines}${labels}</svg>`;
+}
+
+function renderDashboardShell(principal = { role: "admin" }, portfolios = []) {
+  const canIngest = hasAccessRole(principal, "admin");
+  const canEdit = hasAccessRole(principal, "analyst");
+  const portfolioOptions = [...portfolios, ALL_PORTFOLIOS]
+    .map((portfolio) => `<option value="${escapeHtml(portfolio)}">${escapeHtml(portfolio === ALL_PORTFOLIOS ? portfolioLabel(null) : portfolio)}</option>`)
+    .join("");
   return `<!doctype html>
 <html lang="en">
 <head>
   <meta charset="utf-8" />
   <meta name="viewport" content="width=device-width, initial-scale=1" />
-  <title>${PORTFOLIO_NAME} | Third-Party Risk Intelligence</title>
+  <title>Third-Party Risk Intelligence</title>
   <style>
     :root { color-scheme: dark; font-family: Inter, ui-sans-serif, system-ui, -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; background: #08111f; color: #e5eefb; }
     * { box-sizing: border-box; }
@@ -1891,6 +7048,7 @@ function renderDashboardShell() {
     .tabs, .actions { display: flex; flex-wrap: wrap; gap: 10px; }
     button, .tab { border: 0; border-radius: 999px; background: #15243a; color: #dbeafe; padding: 10px 15px; cursor: pointer; font-weight: 700; }
     button:hover, .tab.active { background: #2f6fed; color: white; }
+    a.tab { text-decoration: none; } a.tab:hover { background: #2f6fed; color: white; }
     .grid { display: grid; grid-template-columns: repeat(4, minmax(0, 1fr)); gap: 16px; }
     .card { background: rgba(15, 23, 42, .82); border: 1px solid rgba(148,163,184,.18); border-radius: 22px; padding: 20px; box-shadow: 0 20px 60px rgba(0,0,0,.25); }
     .error-card { border-color: rgba(248,113,113,.55); background: rgba(127, 29, 29, .35); }
@@ -1915,6 +7073,12 @@ function renderDashboardShell() {
     .muted { color: #94a3b8; } .link { color: #93c5fd; cursor: pointer; font-weight: 800; }
     .vendor-link { appearance: none; background: transparent; border: 0; border-radius: 0; padding: 0; color: #93c5fd; } .vendor-link:hover { background: transparent; color: #bfdbfe; text-decoration: underline; }
     .hidden { display: none; }
+    .domain-checks { border-top: 1px solid rgba(148,163,184,.14); padding: 10px 0; } .domain-checks summary { cursor: pointer; font-weight: 700; color: #dbeafe; }
+    .portfolio-picker { display: inline-flex; align-items: center; gap: 10px; margin: 0 0 16px; color: #9fb0ca; font-weight: 700; }
+    .actions + .actions { margin-top: 12px; }
+    .actions select, .actions input { border: 1px solid rgba(148,163,184,.3); border-radius: 999px; background: #15243a; color: #dbeafe; padding: 8px 12px; font-weight: 700; }
+    .actions label { display: inline-flex; align-items: center; gap: 8px; color: #9fb0ca; font-weight: 700; }
+    .portfolio-picker select { border: 1px solid rgba(148,163,184,.3); border-radius: 999px; background: #15243a; color: #dbeafe; padding: 8px 12px; font-weight: 700; }
     pre { white-space: pre-wrap; overflow: auto; background: #020617; border-radius: 14px; padding: 14px; color: #cbd5e1; max-height: 360px; }
     @media (max-width: 980px) { .grid, .split { grid-template-columns: 1fr; } }
   </style>
@@ -1922,24 +7086,29 @@ function renderDashboardShell() {
 <body>
   <header>
     <h1>Third-Party Risk Intelligence</h1>
-    <p>${PORTFOLIO_NAME} · UpGuard domain, portfolio risk, active risk, and change-feed ingestion persisted in Cloudflare D1.</p>
+    <p>UpGuard domain, portfolio risk, active risk, and change-feed ingestion persisted in Cloudflare D1.</p>
+    <label class="portfolio-picker">Portfolio <select id="portfolio-select">${portfolioOptions}</select></label>
+    <label class="portfolio-picker"><input type="checkbox" id="include-accepted" /> Include accepted risks</label>
+    <label class="portfolio-picker"><input type="checkbox" id="sort-exposure" /> Prioritize by vendor tier</label>
     <div class="tabs">
       <button data-view="overview">Portfolio Overview</button>
       <button data-view="vendors">Vendors</button>
       <button data-view="common-risks">Common Risks</button>
       <button data-view="changes">Changes Feed</button>
-      <button data-view="campaigns">Remediation Campaigns</button>
+      <button data-view="findings">Findings</button>
+      <button data-view="campaigns">Remediation</button>
       <button data-view="severity">Severity Breakdown</button>
       <button data-view="trends">Trends</button>
     </div>
   </header>
-  <main>
+  <main${canEdit ? " data-can-edit" : ""}>
     <section id="status" class="card muted">Loading dashboard data…</section>
-    <section class="card"><h2>Ingestion Controls</h2><div class="actions"><button data-ingest="domains">Ingest Domain Details</button><button data-ingest="portfolio">Ingest Portfolio Risk Profile</button><button data-ingest="vendorRisks">Ingest Active Risks</button><button data-ingest="riskDiff">Ingest 30-Day Risk Diff</button></div><pre id="ingest-log" class="muted">Idle. Manual ingestion jobs use limit=5, batchSize=2, and offset pagination.</pre></section>
+    ${canIngest ? `<section class="card"><h2>Ingestion Controls</h2><div class="actions"><button data-ingest="domains">Ingest Domain Details</button><button data-ingest="portfolio">Ingest Portfolio Risk Profile</button><button data-ingest="vendorRisks">Ingest Active Risks</button><button data-ingest="riskDiff">Ingest 30-Day Risk Diff</button><button data-ingest="portfolioVendors">Sync Portfolio Vendors</button></div><div class="actions"><label>Backfill since <input type="date" id="backfill-since" /></label><button data-ingest="riskDiffBackfill">Backfill Risk Diff History</button></div><pre id="ingest-log" class="muted">Idle. Manual ingestion jobs use limit=5, batchSize=2, and offset pagination.</pre></section>` : ""}
     <section id="overview" class="view"></section>
     <section id="vendors" class="view hidden"></section>
     <section id="common-risks" class="view hidden"></section>
     <section id="changes" class="view hidden"></section>
+    <section id="findings" class="view hidden"></section>
     <section id="campaigns" class="view hidden"></section>
     <section id="severity" class="view hidden"></section>
     <section id="trends" class="view hidden"></section>
@@ -1947,7 +7116,9 @@ function renderDashboardShell() {
   </main>
 <script>
 const EMPTY_MESSAGE = 'No cached risk data found. Run manual ingestion to populate the dashboard.';
-const state = { overview: null, vendors: [], risks: [], severities: [], categories: [], changes: [], campaigns: [], trends: {}, ingestStatus: null, errors: {}, endpointDiagnostics: [] };
+const REMEDIATION_NEXT = { open: ['in_progress'], in_progress: ['vendor_responded', 'open'], vendor_responded: ['verified', 'in_progress'], verified: ['closed', 'in_progress'], closed: ['open'] };
+const SCORE_AGGREGATIONS = { weighted_mean: 'Vendor weighted mean', worst_domain: 'Vendor worst domain', upguard: 'UpGuard vendor score', domain: 'Per-domain mean' };
+const state = { portfolio: new URLSearchParams(location.search).get('portfolio') || '', aggregation: new URLSearchParams(location.search).get('aggregation') || 'weighted_mean', includeAccepted: new URLSearchParams(location.search).get('include_accepted') === '1', sortExposure: new URLSearchParams(location.search).get('sort') === 'exposure', overview: null, vendors: [], vendorSummary: [], findings: { rows: [], total: 0, nextCursor: null, filters: { status: 'open', severity: '', vendor: '', category: '' } }, risks: [], severities: [], categories: [], changes: [], campaigns: [], tickets: [], sla: null, slaBreaches: [], acceptances: [], trends: {}, ingestStatus: null, errors: {}, endpointDiagnostics: [] };
 const $ = id => document.getElementById(id);
 const esc = (value) => String(value ?? "").replace(/[&<>"']/g, (char) => ({
   "&": "&amp;",
@@ -1992,36 +7163,60 @@ async function api(path, options = {}, timeoutMs = 8000) {
     clearTimeout(timer);
   }
 }
+function withAccepted(path) {
+  return state.includeAccepted ? path + (path.includes('?') ? '&' : '?') + 'include_accepted=1' : path;
+}
+function withSort(path) {
+  return state.sortExposure ? path + (path.includes('?') ? '&' : '?') + 'sort=exposure' : path;
+}
+function scoped(path) {
+  if (!state.portfolio || path.startsWith('/api/ingest/')) return path;
+  return path + (path.includes('?') ? '&' : '?') + 'portfolio=' + encodeURIComponent(state.portfolio);
+}
 async function load() {
   state.errors = {};
   state.endpointDiagnostics = [];
   state.overview = null;
   state.vendors = [];
+  state.vendorSummary = [];
+  state.findings = { rows: [], total: 0, nextCursor: null, filters: state.findings.filters };
   state.risks = [];
   state.severities = [];
   state.categories = [];
   state.changes = [];
   state.campaigns = [];
+  state.tickets = [];
+  state.sla = null;
+  state.slaBreaches = [];
+  state.acceptances = [];
+  state.alerts = [];
   state.trends = {};
   state.ingestStatus = null;
   const endpoints = [
-    ['overview', '/api/dashboard/overview', d => state.overview = d, d => Boolean(d && (Number(d.totalDomains || 0) || Number(d.totalVendors || 0) || d.hasCachedData))],
-    ['vendors', '/api/vendors', d => state.vendors = Array.isArray(d.vendors) ? d.vendors : [], d => Boolean(d && Array.isArray(d.vendors) && d.vendors.length)],
-    ['risks', '/api/dashboard/common-risks', d => state.risks = Array.isArray(d.risks) ? d.risks : [], d => Boolean(d && Array.isArray(d.risks) && d.risks.length)],
-    ['severities', '/api/dashboard/severity-breakdown', d => state.severities = Array.isArray(d.severities) ? d.severities : [], d => Boolean(d && Array.isArray(d.severities) && d.severities.length)],
-    ['categories', '/api/dashboard/categories', d => state.categories = Array.isArray(d.categories) ? d.categories : [], d => Boolean(d && Array.isArray(d.categories) && d.categories.length)],
+    ['overview', withAccepted('/api/dashboard/overview?aggregation=' + encodeURIComponent(state.aggregation)), d => state.overview = d, d => Boolean(d && (Number(d.totalDomains || 0) || Number(d.totalVendors || 0) || d.hasCachedData))],
+    ['vendors', withSort('/api/vendors'), d => state.vendors = Array.isArray(d.vendors) ? d.vendors : [], d => Boolean(d && Array.isArray(d.vendors) && d.vendors.length)],
+    ['vendorSummary', withSort('/api/vendors/summary?aggregation=' + encodeURIComponent(state.aggregation === 'domain' ? 'weighted_mean' : state.aggregation)), d => state.vendorSummary = Array.isArray(d.vendors) ? d.vendors : [], d => Boolean(d && Array.isArray(d.vendors) && d.vendors.some(v => v.domainCount))],
+    ['risks', withSort(withAccepted('/api/dashboard/common-risks')), d => state.risks = Array.isArray(d.risks) ? d.risks : [], d => Boolean(d && Array.isArray(d.risks) && d.risks.length)],
+    ['severities', withAccepted('/api/dashboard/severity-breakdown'), d => state.severities = Array.isArray(d.severities) ? d.severities : [], d => Boolean(d && Array.isArray(d.severities) && d.severities.length)],
+    ['categories', withAccepted('/api/dashboard/categories'), d => state.categories = Array.isArray(d.categories) ? d.categories : [], d => Boolean(d && Array.isArray(d.categories) && d.categories.length)],
     ['ingestStatus', '/api/ingest/status', d => state.ingestStatus = d, d => Boolean(d && (d.hasCachedData || d.latestRun || d.latestRuns || d.lastIngestionTimestamps))],
     ['changes', '/api/dashboard/changes', d => state.changes = Array.isArray(d.changes) ? d.changes : (Array.isArray(d.events) ? d.events : []), d => Boolean(d && ((Array.isArray(d.changes) && d.changes.length) || (Array.isArray(d.events) && d.events.length)))],
-    ['campaigns', '/api/dashboard/remediation-campaigns', d => state.campaigns = Array.isArray(d.campaigns) ? d.campaigns : [], d => Boolean(d && Array.isArray(d.campaigns) && d.campaigns.length)],
+    ['findings', findingsPath(), d => Object.assign(state.findings, { rows: d.findings || [], total: d.total || 0, nextCursor: d.nextCursor || null }), d => Boolean(d && (d.findings || []).length)],
+    ['campaigns', withSort(withAccepted('/api/dashboard/remediation-campaigns')), d => state.campaigns = Array.isArray(d.campaigns) ? d.campaigns : [], d => Boolean(d && Array.isArray(d.campaigns) && d.campaigns.length)],
+    ['sla', '/api/sla/compliance?days=90', d => state.sla = d, d => Boolean(d && (d.onTime || d.atRisk || d.breached || d.dueCount))],
+    ['slaBreaches', '/api/sla/breaches?limit=10', d => state.slaBreaches = Array.isArray(d.findings) ? d.findings : [], d => Boolean(d && Array.isArray(d.findings) && d.findings.length)],
+    ['acceptances', '/api/risk-acceptances?status=active', d => state.acceptances = Array.isArray(d.acceptances) ? d.acceptances : [], d => Boolean(d && Array.isArray(d.acceptances) && d.acceptances.length)],
+    ['alerts', '/api/alerts?status=open&limit=20', d => state.alerts = Array.isArray(d.alerts) ? d.alerts : [], d => Boolean(d && Array.isArray(d.alerts) && d.alerts.length)],
+    ['tickets', '/api/remediation', d => state.tickets = Array.isArray(d.tickets) ? d.tickets : [], d => Boolean(d && Array.isArray(d.tickets) && d.tickets.length)],
     ['trendScore', '/api/trends/score?days=90', d => state.trends.score = Array.isArray(d) ? d : [], d => Array.isArray(d) && d.length],
     ['trendSeverity', '/api/trends/severity?days=90', d => state.trends.severity = Array.isArray(d) ? d : [], d => Array.isArray(d) && d.length],
     ['trendCategories', '/api/trends/categories?days=90', d => state.trends.categories = Array.isArray(d) ? d : [], d => Array.isArray(d) && d.length],
     ['trendMovers', '/api/trends/vendor-movers?days=30', d => state.trends.movers = d || { improved: [], declined: [] }, d => Boolean(d && ((d.improved || []).length || (d.declined || []).length))],
     ['trendEvents', '/api/trends/risk-events?days=30', d => state.trends.events = Array.isArray(d) ? d : [], d => Array.isArray(d) && d.length],
     ['trendAging', '/api/trends/risk-aging', d => state.trends.aging = d || { buckets: [] }, d => Boolean(d && Array.isArray(d.buckets) && d.buckets.some(b => Number(b.total || 0)))],
-    ['trendHealth', '/api/trends/ingestion-health?days=30', d => state.trends.health = d || {}, d => Boolean(d && ((d.runsByDay || []).length || (d.errorsByStatusCode || []).length || (d.topFailingHostnames || []).length))]
+    ['trendHealth', '/api/trends/ingestion-health?days=30', d => state.trends.health = d || {}, d => Boolean(d && ((d.runsByDay || []).length || (d.errorsByStatusCode || []).length || (d.topFailingHostnames || []).length || (d.retriesByDay || []).length))]
   ];
-  const results = await Promise.allSettled(endpoints.map(([, path, assign, hasRows]) => api(path).then(data => {
+  const results = await Promise.allSettled(endpoints.map(([, path, assign, hasRows]) => api(scoped(path)).then(data => {
     assign(data);
     return hasRows(data) ? 'loaded' : 'empty';
   })));
@@ -2037,20 +7232,34 @@ async function load() {
     state.errors[key] = { label: key, message };
   });
   if (!state.overview && (state.vendors || []).length) state.overview = fallbackOverviewFromVendors(state.vendors);
-  const failedRequiredEndpoints = state.endpointDiagnostics.filter(item => item.status === 'failed' && !['/api/dashboard/changes', '/api/dashboard/remediation-campaigns', '/api/ingest/status'].includes(item.path) && !item.path.startsWith('/api/trends/'));
+  const failedRequiredEndpoints = state.endpointDiagnostics.filter(item => item.status === 'failed' && !['/api/dashboard/changes', withSort('/api/dashboard/remediation-campaigns'), '/api/remediation', '/api/risk-acceptances?status=active', '/api/alerts?status=open&limit=20', '/api/ingest/status'].includes(item.path) && !item.path.startsWith('/api/sla/') && !item.path.startsWith('/api/trends/'));
   const failedEndpoints = state.endpointDiagnostics.filter(item => item.status === 'failed');
   const hasCachedData = Boolean((state.vendors || []).length || (state.overview && state.overview.hasCachedData) || (state.ingestStatus && state.ingestStatus.hasCachedData));
   const statusMessage = hasCachedData
     ? (failedEndpoints.length ? 'Loaded partial dashboard data. Some optional sections failed.' : 'Loaded cached D1 data.')
     : EMPTY_MESSAGE;
-  $('status').innerHTML = '<p>' + esc(statusMessage) + '</p>' + (failedRequiredEndpoints.length ? '<p class="muted">One or more primary dashboard sections failed; loaded sections remain available.</p>' : '') + endpointDiagnostics();
-  renderOverview(); renderVendors(); renderRisks(); renderChanges(); renderCampaigns(); renderSeverity(); renderTrends();
+  $('status').innerHTML = '<p>' + esc(statusMessage) + '</p>' + pipelineSummary() + backfillSummary() + (failedRequiredEndpoints.length ? '<p class="muted">One or more primary dashboard sections failed; loaded sections remain available.</p>' : '') + endpointDiagnostics();
+  renderOverview(); renderVendors(); renderRisks(); renderChanges(); renderFindings(); renderCampaigns(); renderSeverity(); renderTrends();
 }
 function fallbackOverviewFromVendors(vendors) {
   const scores = (vendors || []).map(v => Number(v.score ?? v.automated_score)).filter(Number.isFinite);
   const averageScore = scores.length ? Math.round((scores.reduce((sum, score) => sum + score, 0) / scores.length) * 100) / 100 : null;
   return { totalDomains: vendors.length, totalVendors: vendors.length, averageScore, hasCachedData: vendors.length > 0, lastIngestionTimestamps: {}, topCommonRisks: [], _fallback: true };
 }
+function pipelineSummary() {
+  const job = state.ingestStatus && state.ingestStatus.pipeline && state.ingestStatus.pipeline.job;
+  if (!job) return '<p class="muted">Scheduled ingestion has not run yet.</p>';
+  if (job.status === 'running') return '<p class="muted">Scheduled ingestion #' + esc(job.id) + ' is ' + esc(job.progress) + '% complete · phase <strong>' + esc(job.phase) + '</strong>, vendor ' + esc(job.cursor) + ' of ' + esc(job.vendor_count) + ' · updated ' + esc(job.updated_at) + '</p>';
+  return '<p class="muted">Last scheduled ingestion #' + esc(job.id) + ' ' + esc(String(job.status).replace(/_/g, ' ')) + ' at ' + esc(job.completed_at || job.updated_at) + '.</p>';
+}
+function backfillSummary() {
+  const backfill = state.ingestStatus && state.ingestStatus.riskDiffBackfill;
+  if (!backfill) return '';
+  const windows = esc(backfill.completedWindows) + ' of ' + esc(backfill.window_count) + ' vendor windows' + (backfill.failedWindows ? ', ' + esc(backfill.failedWindows) + ' failed' : '');
+  const range = esc(String(backfill.since).slice(0, 10)) + ' to ' + esc(String(backfill.until).slice(0, 10));
+  if (backfill.status === 'running') return '<p class="muted">Risk diff backfill #' + esc(backfill.id) + ' (' + range + ') is ' + esc(backfill.progress) + '% complete · ' + windows + ' · ' + esc(backfill.eventCount) + ' events. Resume it from Ingestion Controls.</p>';
+  return '<p class="muted">Risk diff backfill #' + esc(backfill.id) + ' (' + range + ') ' + esc(String(backfill.status).replace(/_/g, ' ')) + ' · ' + windows + ' · ' + esc(backfill.eventCount) + ' events.</p>';
+}
 function endpointDiagnostics() {
   const rows = state.endpointDiagnostics || [];
   if (!rows.length) return '';
@@ -2059,26 +7268,170 @@ function endpointDiagnostics() {
 function renderOverview() {
   const o = state.overview || {}; const times = o.lastIngestionTimestamps || {};
   $('overview').innerHTML = (o._fallback ? '' : errorCard('overview')) + (Number(o.totalDomains || o.totalVendors || 0) === 0 ? emptyCard() : '') + '<div class="grid">' +
-    metric('Total vendors', o.totalVendors) + metric('Total domains', o.totalDomains) + metric('Average score', o.averageScore ?? '—') + metric('Critical/high active risks', (o.criticalActiveRiskCount || 0) + '/' + (o.highActiveRiskCount || 0)) +
-    metric('New risks in 30 days', o.newRiskCount30Days) + metric('Resolved in 30 days', o.resolvedRiskCount30Days) + metric('Last portfolio profile', times.last_portfolio_risk_profile_ingestion_at || '—') + metric('Last risk diff', times.last_risk_diff_ingestion_at || '—') +
-    '</div><div class="split"><div class="card"><h2>Top common UpGuard risks</h2>' + riskTable(o.topCommonRisks || []) + '</div><div class="card"><h2>Last ingestion timestamps</h2>' + keyValueTable(times) + '</div></div>';
+    metric('Total vendors', o.totalVendors) + metric('Total domains', o.totalDomains) + metric('Average score · ' + (SCORE_AGGREGATIONS[o.scoreAggregation] || 'per-domain mean'), o.averageScore ?? '—') + metric('Critical/high active risks', (o.criticalActiveRiskCount || 0) + '/' + (o.highActiveRiskCount || 0)) +
+    metric('New risks in 30 days', o.newRiskCount30Days) + metric('Resolved in 30 days', o.resolvedRiskCount30Days) + metric('Last portfolio profile', times.last_portfolio_risk_profile_ingestion_at || '—') + metric('Last risk diff', times.last_risk_diff_ingestion_at || '—') + metric(o.includeAccepted ? 'Accepted risks (included above)' : 'Accepted risks (excluded above)', o.acceptedRiskCount) +
+    '</div>' + scoreAggregationCard(o) + slaCard() + '<div class="split"><div class="card"><h2>Top common UpGuard risks</h2>' + riskTable(o.topCommonRisks || []) + '</div><div class="card"><h2>Last ingestion timestamps</h2>' + keyValueTable(times) + '</div></div>';
+  if ($('aggregation-select')) $('aggregation-select').addEventListener('change', event => {
+    state.aggregation = event.target.value;
+    const params = new URLSearchParams(location.search);
+    params.set('aggregation', state.aggregation);
+    history.replaceState(null, '', location.pathname + '?' + params.toString());
+    load();
+  });
+}
+function scoreAggregationCard(o) {
+  if (!o.averageScores) return '';
+  const options = Object.entries(SCORE_AGGREGATIONS).map(([key, label]) => '<option value="' + esc(key) + '"' + (key === state.aggregation ? ' selected' : '') + '>' + esc(label) + '</option>').join('');
+  return '<div class="card"><h2>Portfolio average score</h2><div class="actions"><label>Aggregation <select id="aggregation-select">' + options + '</select></label></div><table><tbody>' + Object.entries(SCORE_AGGREGATIONS).map(([key, label]) => '<tr><td>' + esc(label) + '</td><td>' + esc(o.averageScores[key] ?? '—') + '</td></tr>').join('') + '</tbody></table><p class="muted">Vendor aggregations count each vendor once. Weighted mean weights each domain by its number of checks; worst domain uses the lowest domain score per vendor.</p></div>';
 }
 function renderVendors() {
+  const summary = state.vendorSummary || [];
+  const summaryBody = summary.length ? summary.map(v => '<tr><td><button type="button" class="vendor-link link" data-hostname="' + esc(v.vendorPrimaryHostname) + '">' + esc(v.displayName || v.vendorPrimaryHostname) + '</button></td><td>' + badge(v.tier) + '</td><td>' + esc(v.domainCount) + '</td><td><strong>' + esc(v.score ?? '—') + '</strong></td><td>' + esc(v.compositeScore ?? '—') + '</td><td>' + esc(v.scores.worst_domain ?? '—') + '</td><td>' + esc(v.scores.weighted_mean ?? '—') + '</td><td>' + esc(v.scores.upguard ?? '—') + '</td><td>' + esc(v.failedChecks) + ' of ' + esc(v.totalChecks) + '</td><td>' + (v.highestOpenSeverityName ? badge(v.highestOpenSeverityName) : '—') + '</td><td>' + esc(v.openRiskCount) + '</td><td>' + esc(v.inherentRisk ?? '—') + ' / ' + esc(v.residualRisk ?? '—') + '</td><td>' + esc(v.tierWeightedExposure ?? 0) + '</td></tr>').join('') : '<tr><td colspan="13">' + EMPTY_MESSAGE + '</td></tr>';
   const rows = state.vendors || [];
   const body = rows.length ? rows.map(v => { const hostname = v.hostname || v.vendor_primary_hostname || ''; return '<tr><td><button type="button" class="vendor-link link" data-hostname="' + esc(hostname) + '">' + esc(hostname) + '</button></td><td>' + esc(v.vendor_primary_hostname || hostname) + '</td><td>' + esc(v.score ?? v.automated_score ?? '—') + '</td><td>' + esc(v.scanned_at || '—') + '</td><td>' + esc(v.total_checks ?? 0) + '</td><td>' + esc(v.failed_checks ?? 0) + '</td><td>' + esc(v.waived_checks ?? 0) + '</td></tr>'; }).join('') : '<tr><td colspan="7">' + EMPTY_MESSAGE + '</td></tr>';
-  $('vendors').innerHTML = errorCard('vendors') + '<div class="card"><h2>Vendor Domain Table</h2><table><thead><tr><th>Hostname</th><th>Vendor primary hostname</th><th>Automated score</th><th>Scanned</th><th>Total checks</th><th>Failed</th><th>Waived</th></tr></thead><tbody>' + body + '</tbody></table></div>';
+  $('vendors').innerHTML = errorCard('vendorSummary') + errorCard('vendors') + '<div class="card"><h2>Vendor Roll-up</h2><p class="muted">' + (state.sortExposure ? 'Sorted by tier-weighted exposure, highest first.' : 'Sorted by ' + esc(SCORE_AGGREGATIONS[state.aggregation === 'domain' ? 'weighted_mean' : state.aggregation]) + ', lowest first.') + '</p><table><thead><tr><th>Vendor</th><th>Tier</th><th>Domains</th><th>Vendor score</th><th>Composite</th><th>Worst domain</th><th>Weighted mean</th><th>UpGuard score</th><th>Failed checks</th><th>Highest open severity</th><th>Open risks</th><th>Inherent / residual risk</th><th>Exposure</th></tr></thead><tbody>' + summaryBody + '</tbody></table></div><div class="card"><h2>Vendor Domain Table</h2>' + exportLinks(scoped(withSort('/api/vendors'))) + '<table><thead><tr><th>Hostname</th><th>Vendor primary hostname</th><th>Automated score</th><th>Scanned</th><th>Total checks</th><th>Failed</th><th>Waived</th></tr></thead><tbody>' + body + '</tbody></table></div>';
   bindVendorLinks();
 }
-function renderRisks() { $('common-risks').innerHTML = errorCard('risks') + '<div class="card"><h2>Common Risks</h2>' + riskTable(state.risks || [], true) + '</div>'; }
+function renderRisks() { $('common-risks').innerHTML = errorCard('risks') + '<div class="card"><h2>Common Risks</h2>' + exportLinks(scoped(withSort(withAccepted('/api/dashboard/common-risks')))) + riskTable(state.risks || [], true) + '</div>'; }
 function renderChanges() {
   const rows = state.changes || [];
-  const body = rows.length ? rows.map(e => '<tr><td>' + esc(e.vendor_primary_hostname) + '</td><td>' + esc(e.event_type || 'changed') + '</td><td>' + esc(e.title || e.finding || 'Untitled') + '</td><td>' + badge(e.severity_name || e.severity) + '</td><td>' + esc((e.affected_hostnames || e.affectedHostnames || []).join(', ')) + '</td><td>' + esc(e.captured_at || '—') + '</td></tr>').join('') : '<tr><td colspan="6">No risk diff events are available.</td></tr>';
-  $('changes').innerHTML = '<div class="card"><h2>Changes Feed</h2><table><thead><tr><th>Vendor</th><th>Event</th><th>Risk/finding</th><th>Severity</th><th>Affected hostnames</th><th>Captured</th></tr></thead><tbody>' + body + '</tbody></table></div>';
+  const body = rows.length ? rows.map(e => '<tr><td>' + esc(e.vendor_primary_hostname) + '</td><td>' + esc(e.event_type || 'changed') + '</td><td>' + esc(e.title || e.finding || 'Untitled') + '</td><td>' + (String(e.event_type || '').startsWith('vendor_') ? badge('membership') : badge(e.severity_name || e.severity)) + '</td><td>' + esc((e.affected_hostnames || e.affectedHostnames || []).join(', ')) + '</td><td>' + esc(e.captured_at || '—') + '</td></tr>').join('') : '<tr><td colspan="6">No risk diff or portfolio membership events are available.</td></tr>';
+  $('changes').innerHTML = errorCard('alerts') + alertsCard() + '<div class="card"><h2>Changes Feed</h2>' + exportLinks(scoped('/api/dashboard/changes')) + '<table><thead><tr><th>Vendor</th><th>Event</th><th>Risk/finding</th><th>Severity</th><th>Affected hostnames</th><th>Captured</th></tr></thead><tbody>' + body + '</tbody></table></div>';
+  document.querySelectorAll('[data-acknowledge]').forEach(btn => btn.addEventListener('click', async () => {
+    try {
+      await api('/api/alerts/' + btn.dataset.acknowledge + '/acknowledge', { method: 'POST' });
+      state.alerts = state.alerts.filter(a => String(a.id) !== btn.dataset.acknowledge);
+      delete state.errors.alerts;
+    } catch (error) {
+      state.errors.alerts = { label: 'alerts', message: error.message };
+    }
+    renderChanges();
+  }));
+}
+function alertsCard() {
+  const rows = state.alerts || [];
+  if (!rows.length) return '';
+  const body = rows.map(a => '<tr><td>' + esc(a.title) + '<div class="muted">' + esc(a.message) + '</div></td><td>' + esc(a.rule_name || a.rule_type) + '</td><td>' + badge(a.delivery_status.replace('_', ' ')) + '</td><td>' + esc(a.created_at) + '</td><td>' + (canEdit() ? '<button type="button" data-acknowledge="' + esc(a.id) + '">Acknowledge</button>' : '') + '</td></tr>').join('');
+  return '<div class="card"><h2>Open Alerts</h2><table><thead><tr><th>Alert</th><th>Rule</th><th>Delivery</th><th>Raised</th><th></th></tr></thead><tbody>' + body + '</tbody></table></div>';
+}
+function findingsPath(cursor) {
+  const params = new URLSearchParams({ limit: '50' });
+  Object.entries(state.findings.filters).forEach(([key, value]) => { if (value) params.set(key, value); });
+  if (cursor) params.set('cursor', cursor);
+  return '/api/findings?' + params.toString();
+}
+function renderFindings() {
+  const f = state.findings, filters = f.filters;
+  const select = (name, options) => '<select name="' + name + '">' + options.map(([value, label]) => '<option value="' + esc(value) + '"' + (filters[name] === value ? ' selected' : '') + '>' + esc(label) + '</option>').join('') + '</select>';
+  const form = '<form id="findings-filters" class="actions"><label>Status ' + select('status', [['', 'Any'], ['open', 'Open'], ['reopened', 'Reopened'], ['resolved', 'Resolved'], ['domain_removed', 'Domain removed']]) + '</label><label>Severity ' + select('severity', [['', 'Any'], ['critical', 'Critical'], ['high', 'High'], ['medium', 'Medium'], ['low', 'Low'], ['critical,high', 'Critical + high']]) + '</label><label>Vendor <input name="vendor" value="' + esc(filters.vendor) + '" placeholder="adobe.com" /></label><label>Category <input name="category" value="' + esc(filters.category) + '" /></label><button type="submit">Apply</button></form>';
+  const rows = f.rows.length ? '<table><thead><tr><th>Finding</th><th>Vendor / domain</th><th>Severity</th><th>Status</th><th>First seen</th><th>Last seen</th><th>Resolved</th><th>SLA due</th></tr></thead><tbody>' + f.rows.map(r => '<tr><td><button type="button" class="vendor-link link" data-finding="' + esc(r.finding_key) + '">' + esc(r.title || r.check_id || 'Untitled') + '</button><div class="muted">' + esc(r.category || 'Uncategorized') + '</div></td><td>' + esc(r.vendor_primary_hostname) + (r.hostname !== r.vendor_primary_hostname ? '<div class="muted">' + esc(r.hostname) + '</div>' : '') + '</td><td>' + badge(r.severity_name || r.severity) + '</td><td>' + esc(r.status) + (r.reopened ? ' ' + badge('reopened ×' + r.reopen_count) : '') + '</td><td>' + esc(r.first_seen_at || '—') + '</td><td>' + esc(r.last_seen_at || '—') + '</td><td>' + esc(r.resolved_at || '—') + '</td><td>' + (r.sla ? esc(r.sla.dueAt.slice(0, 10)) + ' ' + badge(r.sla.status.replace('_', ' ')) : '—') + '</td></tr>').join('') + '</tbody></table>' : '<p class="muted">No findings match these filters.</p>';
+  $('findings').innerHTML = errorCard('findings') + '<div class="card"><h2>Findings</h2>' + form + '<p class="muted">' + esc(f.rows.length) + ' of ' + esc(f.total) + ' findings shown.</p>' + rows + (f.nextCursor ? '<div class="actions"><button type="button" id="findings-more">Load more</button></div>' : '') + '</div><div id="finding-detail"></div>' + errorCard('acceptances') + acceptancesCard();
+  document.querySelectorAll('[data-revoke]').forEach(btn => btn.addEventListener('click', () => {
+    const reason = prompt('Reason for revoking this risk acceptance');
+    if (reason) saveAcceptance('/api/risk-acceptances/' + btn.dataset.revoke + '/revoke', { reason });
+  }));
+  $('findings-filters').addEventListener('submit', event => {
+    event.preventDefault();
+    state.findings.filters = Object.fromEntries(new FormData(event.target).entries());
+    loadFindings(false);
+  });
+  if ($('findings-more')) $('findings-more').addEventListener('click', () => loadFindings(true));
+  document.querySelectorAll('[data-finding]').forEach(btn => btn.addEventListener('click', () => showFinding(btn.dataset.finding)));
+}
+async function loadFindings(append) {
+  try {
+    const data = await api(scoped(findingsPath(append ? state.findings.nextCursor : null)));
+    state.findings.rows = append ? state.findings.rows.concat(data.findings || []) : (data.findings || []);
+    state.findings.total = data.total || 0;
+    state.findings.nextCursor = data.nextCursor || null;
+    delete state.errors.findings;
+  } catch (error) {
+    state.errors.findings = { label: 'findings', message: error.message };
+  }
+  renderFindings();
+}
+async function showFinding(key) {
+  $('finding-detail').innerHTML = '<div class="card">Loading finding…</div>';
+  try {
+    const data = await api('/api/findings/' + encodeURIComponent(key));
+    const finding = data.finding || {};
+    const timeline = (data.transitions || []).map(t => '<tr><td>' + esc(t.occurred_at) + '</td><td>' + badge(t.transition) + '</td><td>' + esc(t.from_status || '—') + ' → ' + esc(t.to_status) + '</td></tr>').join('');
+    $('finding-detail').innerHTML = '<div class="card"><h2>' + esc(finding.title || finding.check_id || 'Finding') + '</h2><p>' + esc(finding.vendor_primary_hostname) + ' · ' + esc(finding.hostname) + ' · ' + badge(finding.severity_name || finding.severity) + ' · ' + esc(finding.status) + (finding.reopened ? ', reopened ' + esc(finding.reopen_count) + ' time(s), last on ' + esc(finding.last_reopened_at) : '') + '</p>' + (data.acceptance ? '<p>' + badge('accepted') + ' by ' + esc(data.acceptance.approver) + ' until ' + esc(data.acceptance.expires_at.slice(0, 10)) + ': ' + esc(data.acceptance.rationale) + '</p>' : '') + (canEdit() ? '<div class="actions"><button type="button" id="finding-ticket">Open remediation ticket</button></div>' + (data.acceptance ? '' : '<form id="accept-form" class="actions"><input name="approver" placeholder="Approver" required /><input name="rationale" placeholder="Rationale" required /><input name="compensating_controls" placeholder="Compensating controls" /><label>Expires <input type="date" name="expires_at" required /></label><button type="submit">Accept risk</button></form>') : '') + '<div class="split"><div><h2>Lifecycle</h2>' + (timeline ? '<table><thead><tr><th>When</th><th>Transition</th><th>Status</th></tr></thead><tbody>' + timeline + '</tbody></table>' : '<p class="muted">No transitions recorded.</p>') + '</div><div><h2>Raw check</h2><pre>' + esc(JSON.stringify(finding.raw || {}, null, 2)) + '</pre></div></div></div>';
+    if ($('finding-ticket')) $('finding-ticket').addEventListener('click', async () => {
+      await saveTicket('/api/remediation', 'POST', { title: finding.title || finding.check_id || 'Remediate finding', finding_keys: [finding.finding_key] });
+      show('campaigns');
+    });
+    if ($('accept-form')) $('accept-form').addEventListener('submit', event => {
+      event.preventDefault();
+      saveAcceptance('/api/risk-acceptances', { ...Object.fromEntries(new FormData(event.target).entries()), finding_key: finding.finding_key });
+    });
+  } catch (error) {
+    $('finding-detail').innerHTML = renderError('Finding failed to load', error.message);
+  }
+}
+function slaCard() {
+  const s = state.sla;
+  if (!s) return errorCard('sla');
+  const rate = s.complianceRate == null ? '—' : s.complianceRate + '%';
+  const breaches = (state.slaBreaches || []).length ? '<table><thead><tr><th>Finding</th><th>Vendor</th><th>Severity</th><th>Due</th><th>Days overdue</th></tr></thead><tbody>' + state.slaBreaches.map(f => '<tr><td>' + esc(f.title || f.check_id) + '</td><td>' + esc(f.vendor_primary_hostname) + '</td><td>' + badge(f.severity_name || f.severity) + '</td><td>' + esc(f.sla.dueAt.slice(0, 10)) + '</td><td>' + esc(-f.sla.daysRemaining) + '</td></tr>').join('') + '</tbody></table>' : '<p class="muted">No open findings are past their SLA.</p>';
+  return errorCard('slaBreaches') + '<div class="card"><h2>SLA Compliance</h2><div class="grid">' + metric('On time', s.onTime) + metric('At risk', s.atRisk) + metric('Breached', s.breached) + metric('Compliance rate · ' + s.days + ' days', rate) + '</div><div class="split"><div><h2>Deadlines met per week</h2>' + lineChart((s.trend || []).filter(w => w.due_count), [{ key: 'compliance_rate', label: 'Compliance rate %', color: '#34d399' }]) + '</div><div><h2>Oldest breaches</h2>' + breaches + '</div></div>' + (s.noSla ? '<p class="muted">' + esc(s.noSla) + ' open findings match no SLA policy.</p>' : '') + '</div>';
+}
+function acceptancesCard() {
+  const rows = state.acceptances || [];
+  const body = rows.length ? rows.map(a => '<tr><td>' + esc(a.title || a.finding_key || a.risk_key) + '<div class="muted">' + esc(a.rationale) + (a.compensating_controls ? ' · Controls: ' + esc(a.compensating_controls) : '') + '</div></td><td>' + esc(a.vendor_primary_hostname) + '</td><td>' + esc(a.approver) + '</td><td>' + esc(a.expires_at.slice(0, 10)) + '</td><td>' + (canEdit() ? '<button type="button" data-revoke="' + esc(a.id) + '">Revoke</button>' : '') + '</td></tr>').join('') : '<tr><td colspan="5">No active risk acceptances.</td></tr>';
+  return '<div class="card"><h2>Accepted Risks</h2><p class="muted">Accepted risks are left out of the overview, common-risk and severity counts until they expire or are revoked.</p><table><thead><tr><th>Risk</th><th>Vendor</th><th>Approver</th><th>Expires</th><th></th></tr></thead><tbody>' + body + '</tbody></table></div>';
+}
+async function saveAcceptance(path, body) {
+  try {
+    await api(path, { method: 'POST', headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) });
+    await load();
+    show('findings');
+  } catch (error) {
+    state.errors.acceptances = { label: 'risk acceptances', message: error.message };
+    renderFindings();
+  }
 }
 function renderCampaigns() {
   const rows = state.campaigns || [];
-  const body = rows.length ? rows.map(c => '<tr><td>' + esc(c.campaign) + '</td><td>' + esc(c.riskCount) + '</td><td>' + esc(c.affectedVendorCount) + '</td><td>' + esc(c.affectedDomainCount) + '</td><td>' + badge(c.maxSeverity) + '</td></tr>').join('') : '<tr><td colspan="5">No campaign data is available.</td></tr>';
-  $('campaigns').innerHTML = '<div class="card"><h2>Remediation Campaigns</h2><table><thead><tr><th>Campaign</th><th>Risk count</th><th>Affected vendors</th><th>Affected domains</th><th>Max severity</th></tr></thead><tbody>' + body + '</tbody></table></div>';
+  const body = rows.length ? rows.map(c => '<tr><td>' + esc(c.campaign) + '</td><td>' + esc(c.owner || '—') + '</td><td>' + esc(c.riskCount) + '</td><td>' + esc(c.affectedVendorCount) + '</td><td>' + esc(c.affectedDomainCount) + '</td><td>' + badge(c.maxSeverity) + '</td><td>' + esc(c.tierWeightedExposure ?? 0) + '</td></tr>').join('') : '<tr><td colspan="7">No campaign data is available.</td></tr>';
+  $('campaigns').innerHTML = '<div class="card"><h2>Remediation Campaigns</h2>' + exportLinks(scoped(withSort('/api/dashboard/remediation-campaigns'))) + '<table><thead><tr><th>Campaign</th><th>Owner</th><th>Risk count</th><th>Affected vendors</th><th>Affected domains</th><th>Max severity</th><th>Tier-weighted exposure</th></tr></thead><tbody>' + body + '</tbody></table></div>' + errorCard('tickets') + ticketsCard();
+  if ($('ticket-form')) $('ticket-form').addEventListener('submit', event => {
+    event.preventDefault();
+    const fields = Object.fromEntries(new FormData(event.target).entries());
+    saveTicket('/api/remediation', 'POST', { title: fields.title, campaigns: [fields.campaign].filter(Boolean), vendor_primary_hostname: fields.vendor_primary_hostname || undefined, portfolio: state.portfolio || undefined, assignee: fields.assignee, due_date: fields.due_date });
+  });
+  document.querySelectorAll('[data-ticket]').forEach(select => select.addEventListener('change', () => {
+    if (select.value) saveTicket('/api/remediation/' + select.dataset.ticket, 'PATCH', { status: select.value });
+  }));
+}
+function exportLinks(path) {
+  const href = format => esc(path + (path.includes('?') ? '&' : '?') + 'format=' + format);
+  return '<div class="actions"><a class="tab" href="' + href('csv') + '" download>Export CSV</a><a class="tab" href="' + href('xlsx') + '" download>Export XLSX</a></div>';
+}
+function canEdit() { return document.querySelector('main').hasAttribute('data-can-edit'); }
+function ticketsCard() {
+  const editable = canEdit();
+  const rows = state.tickets || [];
+  const linkLabel = l => esc(l.type === 'finding' ? (l.title || l.key) : l.key) + ' (' + esc(l.status) + ')';
+  const statusCell = t => badge(t.status) + (editable ? ' <select data-ticket="' + esc(t.id) + '"><option value="">Move to…</option>' + (REMEDIATION_NEXT[t.status] || []).map(s => '<option value="' + esc(s) + '">' + esc(s.replace('_', ' ')) + '</option>').join('') + '</select>' : '');
+  const body = rows.length ? rows.map(t => '<tr><td>#' + esc(t.id) + ' ' + esc(t.title) + '<div class="muted">' + (t.links || []).map(linkLabel).join(', ') + '</div>' + (t.notes ? '<div class="muted">' + esc(t.notes) + '</div>' : '') + '</td><td>' + esc(t.vendor_primary_hostname || 'All vendors') + '</td><td>' + esc(t.assignee || 'Unassigned') + '</td><td>' + esc(t.due_date || '—') + (t.overdue ? ' ' + badge('overdue') : '') + '</td><td>' + statusCell(t) + '</td><td>' + esc(t.resolvedLinkCount) + ' / ' + esc((t.links || []).length) + '</td></tr>').join('') : '<tr><td colspan="6">No remediation tickets yet.</td></tr>';
+  const form = editable ? '<form id="ticket-form" class="actions"><input name="title" placeholder="Ticket title" required /><label>Campaign <select name="campaign">' + (state.campaigns || []).map(c => '<option>' + esc(c.campaign) + '</option>').join('') + '</select></label><input name="vendor_primary_hostname" placeholder="Vendor (optional)" /><input name="assignee" placeholder="Assignee" /><input type="date" name="due_date" /><button type="submit">Open ticket</button></form>' : '';
+  return '<div class="card"><h2>Remediation Tickets</h2><p class="muted">Tickets move to verified automatically once ingestion sees every linked finding or campaign resolved.</p>' + form + '<table><thead><tr><th>Ticket</th><th>Vendor</th><th>Assignee</th><th>Due</th><th>Status</th><th>Resolved links</th></tr></thead><tbody>' + body + '</tbody></table></div>';
+}
+async function saveTicket(path, method, body) {
+  try {
+    await api(path, { method, headers: { 'content-type': 'application/json' }, body: JSON.stringify(body) });
+    delete state.errors.tickets;
+  } catch (error) {
+    state.errors.tickets = { label: 'remediation tickets', message: error.message };
+  }
+  try {
+    const data = await api(scoped('/api/remediation'));
+    state.tickets = data.tickets || [];
+  } catch (error) {
+    state.errors.tickets = { label: 'remediation tickets', message: error.message };
+  }
+  renderCampaigns();
 }
 function renderSeverity() { $('severity').innerHTML = errorCard('severities') + errorCard('categories') + '<div class="split"><div class="card"><h2>Severity Breakdown</h2>' + list(state.severities, 'severity_name') + '</div><div class="card"><h2>Category Grouping</h2>' + list(state.categories, 'category') + '</div></div>'; }
 
@@ -2091,7 +7444,8 @@ function renderTrends() {
     : scoreDays.size === 1
       ? '<div class="card empty"><h2>Only one snapshot day</h2><p>Showing the current point. Directional trends require multiple ingestion runs on different days.</p></div>'
       : '';
-  $('trends').innerHTML = errorCard('trendScore') + errorCard('trendSeverity') + errorCard('trendCategories') + errorCard('trendMovers') + errorCard('trendEvents') + errorCard('trendAging') + errorCard('trendHealth') + snapshotMessage +
+  const lastMonth = new Date(Date.UTC(new Date().getUTCFullYear(), new Date().getUTCMonth() - 1, 1)).toISOString().slice(0, 7);
+  $('trends').innerHTML = '<form id="report-form" class="card actions"><label>Executive report for <input type="month" name="period" value="' + lastMonth + '" required /></label><button type="submit">Open printable report</button></form>' + errorCard('trendScore') + errorCard('trendSeverity') + errorCard('trendCategories') + errorCard('trendMovers') + errorCard('trendEvents') + errorCard('trendAging') + errorCard('trendHealth') + snapshotMessage +
     '<div class="split"><div class="card"><h2>Portfolio average score over time</h2>' + lineChart(t.score || [], [{ key: 'average_score', label: 'Average score', color: '#60a5fa' }]) + '</div>' +
     '<div class="card"><h2>Critical/high/medium/low findings over time</h2>' + lineChart(t.severity || [], [
       { key: 'critical_count', label: 'Critical', color: '#f87171' },
@@ -2108,6 +7462,10 @@ function renderTrends() {
     '<div class="split"><div class="card"><h2>Vendor movers</h2>' + vendorMoversTable(t.movers || { improved: [], declined: [] }) + '</div>' +
     '<div class="card"><h2>Risk aging buckets</h2>' + riskAgingTable((t.aging && t.aging.buckets) || []) + '</div></div>' +
     '<div class="card"><h2>Ingestion health</h2>' + ingestionHealth(t.health || {}) + '</div>';
+  $('report-form').addEventListener('submit', event => {
+    event.preventDefault();
+    window.open(scoped('/api/reports/executive?period=' + encodeURIComponent(new FormData(event.target).get('period'))), '_blank');
+  });
 }
 function lineChart(rows, series) {
   if (!rows.length) return '<p class="muted">No trend data available yet.</p>';
@@ -2142,14 +7500,37 @@ function categoryChart(rows) {
 function categoryTrendTable(rows) { if (!rows.length) return '<p class="muted">No category snapshots yet.</p>'; return '<table><thead><tr><th>Date</th><th>Category</th><th>Failed checks</th><th>Affected vendors</th></tr></thead><tbody>' + rows.slice(-80).map(r => '<tr><td>' + esc(r.date) + '</td><td>' + esc(r.category) + '</td><td>' + esc(r.failed_check_count || 0) + '</td><td>' + esc(r.affected_vendor_count || 0) + '</td></tr>').join('') + '</tbody></table>'; }
 function vendorMoversTable(movers) { const rows = [ ...((movers.improved || []).map(r => ({ ...r, direction: 'Improved' }))), ...((movers.declined || []).map(r => ({ ...r, direction: 'Declined' }))) ]; if (!rows.length) return '<p class="muted">No vendor score changes in this range.</p>'; return '<table><thead><tr><th>Direction</th><th>Hostname</th><th>Start</th><th>End</th><th>Delta</th></tr></thead><tbody>' + rows.map(r => '<tr><td>' + esc(r.direction) + '</td><td>' + esc(r.hostname) + '</td><td>' + esc(r.start_score) + '</td><td>' + esc(r.end_score) + '</td><td>' + esc(r.delta) + '</td></tr>').join('') + '</tbody></table>'; }
 function riskAgingTable(rows) { if (!rows.length) return '<p class="muted">No open risk findings have been observed yet.</p>'; return '<table><thead><tr><th>Bucket</th><th>Critical</th><th>High</th><th>Medium</th><th>Low</th><th>Total</th></tr></thead><tbody>' + rows.map(r => '<tr><td>' + esc(r.bucket) + '</td><td>' + esc(r.critical || 0) + '</td><td>' + esc(r.high || 0) + '</td><td>' + esc(r.medium || 0) + '</td><td>' + esc(r.low || 0) + '</td><td>' + esc(r.total || 0) + '</td></tr>').join('') + '</tbody></table>'; }
-function ingestionHealth(health) { const runs = health.runsByDay || [], codes = health.errorsByStatusCode || [], hosts = health.topFailingHostnames || []; if (!runs.length && !codes.length && !hosts.length) return '<p class="muted">No ingestion health data is available yet.</p>'; return '<div class="split"><div><h2>Runs by day</h2>' + (runs.length ? '<table><thead><tr><th>Date</th><th>Runs</th><th>Vendor successes</th><th>Vendor failures</th><th>Avg ms</th></tr></thead><tbody>' + runs.map(r => '<tr><td>' + esc(r.date) + '</td><td>' + esc(r.run_count || 0) + '</td><td>' + esc(r.success_count || 0) + '</td><td>' + esc(r.failure_count || 0) + '</td><td>' + esc(r.average_elapsed_ms || '—') + '</td></tr>').join('') + '</tbody></table>' : '<p class="muted">No runs in range.</p>') + '</div><div><h2>Errors</h2>' + simpleCountTable(codes, 'status_code', 'Status code') + '<h2>Top failing hostnames</h2>' + simpleCountTable(hosts, 'hostname', 'Hostname') + '</div></div>'; }
+function ingestionHealth(health) { const runs = health.runsByDay || [], codes = health.errorsByStatusCode || [], hosts = health.topFailingHostnames || []; if (!runs.length && !codes.length && !hosts.length && !(health.retriesByDay || []).length) return '<p class="muted">No ingestion health data is available yet.</p>'; return '<div class="split"><div><h2>Runs by day</h2>' + (runs.length ? '<table><thead><tr><th>Date</th><th>Runs</th><th>Vendor successes</th><th>Vendor failures</th><th>Avg ms</th></tr></thead><tbody>' + runs.map(r => '<tr><td>' + esc(r.date) + '</td><td>' + esc(r.run_count || 0) + '</td><td>' + esc(r.success_count || 0) + '</td><td>' + esc(r.failure_count || 0) + '</td><td>' + esc(r.average_elapsed_ms || '—') + '</td></tr>').join('') + '</tbody></table>' : '<p class="muted">No runs in range.</p>') + '</div><div><h2>Errors</h2>' + simpleCountTable(codes, 'status_code', 'Status code') + '<h2>Top failing hostnames</h2>' + simpleCountTable(hosts, 'hostname', 'Hostname') + '</div></div>' + upguardRetryHealth(health); }
+function upguardRetryHealth(health) { const rows = health.retriesByDay || []; if (!rows.length) return ''; return '<h2>UpGuard request retries</h2><p class="muted">Retry rate: <strong>' + esc(health.retryRate == null ? '—' : (health.retryRate * 100).toFixed(1) + '%') + '</strong> of ' + esc(health.requestCount || 0) + ' requests · ' + esc(health.retryCount || 0) + ' retry attempts</p><div class="split"><div><table><thead><tr><th>Date</th><th>Requests</th><th>Retried</th><th>Retries</th><th>Throttled</th></tr></thead><tbody>' + rows.map(r => '<tr><td>' + esc(r.date) + '</td><td>' + esc(r.request_count || 0) + '</td><td>' + esc(r.retried_request_count || 0) + '</td><td>' + esc(r.retry_count || 0) + '</td><td>' + esc(r.throttled_count || 0) + '</td></tr>').join('') + '</tbody></table></div><div>' + simpleCountTable(health.requestOutcomes || [], 'outcome', 'Final outcome') + '</div></div>'; }
 function simpleCountTable(rows, key, label) { return rows.length ? '<table><thead><tr><th>' + esc(label) + '</th><th>Count</th></tr></thead><tbody>' + rows.map(r => '<tr><td>' + esc(r[key]) + '</td><td>' + esc(r.count || 0) + '</td></tr>').join('') + '</tbody></table>' : '<p class="muted">No rows.</p>'; }
 
 async function showVendor(hostname) {
   show('vendor-detail'); $('vendor-detail').innerHTML = '<div class="card">Loading ' + esc(hostname) + '…</div>';
-  try { const data = await api('/api/vendor/' + encodeURIComponent(hostname)); const vendor = data.vendor || {}; $('vendor-detail').innerHTML = '<div class="card"><h2>' + esc(vendor.hostname || vendor.vendor_primary_hostname || hostname) + '</h2><p>Vendor primary hostname: <strong>' + esc(vendor.vendor_primary_hostname || vendor.hostname || '—') + '</strong></p><p>Score: <strong>' + esc(vendor.score ?? vendor.automated_score ?? '—') + '</strong> · Scanned: ' + esc(vendor.scanned_at || '—') + '</p></div>' + '<div class="card"><h2>Domain scan checks</h2>' + checkTable(data.checkResults || []) + '</div><div class="split"><div class="card"><h2>Active Risks</h2>' + riskTable(data.activeRisks || []) + '</div><div class="card"><h2>Recent Changes</h2>' + eventMiniTable(data.recentChanges || []) + '</div></div><div class="card"><h2>Waived Checks</h2>' + checkTable(data.waivedCheckResults || []) + '</div>'; } catch (error) { $('vendor-detail').innerHTML = renderError('Vendor failed to load', error.message); }
+  try { const data = await api('/api/vendor/' + encodeURIComponent(hostname)); const explanation = await api('/api/vendor/' + encodeURIComponent(hostname) + '/score-explanation').catch(error => ({ error })); const vendor = data.vendor || {}; $('vendor-detail').innerHTML = '<div class="card"><h2>' + esc(vendor.hostname || vendor.vendor_primary_hostname || hostname) + '</h2><p>Vendor primary hostname: <strong>' + esc(vendor.vendor_primary_hostname || vendor.hostname || '—') + '</strong></p><p>Score: <strong>' + esc(vendor.score ?? vendor.automated_score ?? '—') + '</strong> · Scanned: ' + esc(vendor.scanned_at || '—') + '</p>' + exportLinks('/api/vendor/' + encodeURIComponent(hostname)) + '</div>' + postureSection(data) + compositeSection(explanation) + domainSections(data.domains || []) + '<div class="split"><div class="card"><h2>Active Risks</h2>' + riskTable(data.activeRisks || []) + '</div><div class="card"><h2>Recent Changes</h2>' + eventMiniTable(data.recentChanges || []) + '</div></div><div class="card"><h2>Waived Checks</h2>' + checkTable(data.waivedCheckResults || []) + '</div>'; } catch (error) { $('vendor-detail').innerHTML = renderError('Vendor failed to load', error.message); }
+}
+function postureSection(data) {
+  const p = data.posture;
+  if (!p) return '';
+  const questionnaires = (data.questionnaires || []).length ? '<table><thead><tr><th>Questionnaire</th><th>Status</th><th>Answered</th><th>Score</th><th>Due</th></tr></thead><tbody>' + data.questionnaires.map(q => '<tr><td>' + esc(q.template_name || 'Template #' + q.template_id) + (q.framework ? ' <span class="muted">' + esc(q.framework) + '</span>' : '') + '</td><td>' + badge(q.overdue ? 'overdue' : q.status.replace('_', ' ')) + '</td><td>' + esc(q.answered_count) + '/' + esc(q.question_count) + '</td><td>' + esc(q.score ?? '—') + '</td><td>' + esc(q.due_date || '—') + '</td></tr>').join('') + '</tbody></table>' : '<p class="muted">No questionnaires have been sent to this vendor.</p>';
+  const evidence = (data.evidence || []).length ? '<table><thead><tr><th>Evidence</th><th>Type</th><th>Issuer</th><th>Expires</th><th>Status</th></tr></thead><tbody>' + data.evidence.map(e => '<tr><td>' + esc(e.title) + '</td><td>' + esc(e.evidence_type.replace(/_/g, ' ')) + '</td><td>' + esc(e.issuer || '—') + '</td><td>' + esc(e.expires_at || '—') + '</td><td>' + badge(e.status.replace('_', ' ')) + '</td></tr>').join('') + '</tbody></table>' : '<p class="muted">No evidence on file.</p>';
+  return '<div class="grid">' + metric('Criticality tier' + (p.rated ? '' : ' (unrated)'), p.tier) + metric('Inherent risk', p.inherentRisk) + metric('Residual risk', p.residualRisk) + metric('Outside-in score', p.outsideInScore ?? '—') + metric('Questionnaire score', p.questionnaireScore ?? '—') + metric('Open/overdue questionnaires', p.openQuestionnaireCount + '/' + p.overdueQuestionnaireCount) + metric('Expiring/expired evidence', p.expiringEvidenceCount + '/' + p.expiredEvidenceCount) + '</div>' +
+    '<div class="split"><div class="card"><h2>Questionnaires</h2>' + questionnaires + '</div><div class="card"><h2>Evidence</h2>' + evidence + '</div></div>';
+}
+function compositeSection(e) {
+  if (e.error) return renderError('Composite score unavailable', e.error.message);
+  const rows = e.components.map(c => '<tr><td>' + esc(c.label) + '</td><td>' + esc(c.detail) + '</td><td>' + esc(c.score ?? '—') + '</td><td>' + esc(c.available ? Math.round(c.effectiveWeight * 100) + '%' : 'excluded') + '</td><td>' + esc(c.contribution) + '</td></tr>').join('');
+  const history = e.history.length > 1 ? '<p class="muted">Last ' + esc(e.historyDays) + ' days: ' + e.history.slice(-12).map(h => esc(h.score ?? '—')).join(' → ') + '</p>' : '';
+  const stale = e.activeModelVersion != null && e.activeModelVersion !== e.modelVersion ? ' · active model is v' + esc(e.activeModelVersion) : '';
+  return '<div class="card"><h2>Composite score: ' + esc(e.score ?? '—') + '</h2><p class="muted">Model v' + esc(e.modelVersion) + ' (' + esc(e.model.name) + ')' + (e.persisted ? ' · computed ' + esc(e.computedAt) : ' · preview, not yet saved by a scoring run') + stale + '</p><table><thead><tr><th>Component</th><th>Input</th><th>Score</th><th>Weight</th><th>Points</th></tr></thead><tbody>' + rows + '</tbody></table>' + history + '</div>';
 }
-function riskTable(rows, includeAction) { if (!rows.length) return '<p class="muted">No risk rows available.</p>'; return '<table><thead><tr><th>Risk/finding</th><th>Severity</th><th>Category</th><th>Type/subtype</th><th>Vendors</th><th>Domains</th>' + (includeAction ? '<th>Recommended action</th>' : '') + '</tr></thead><tbody>' + rows.map(r => '<tr><td>' + esc(r.title || r.finding || 'Untitled') + '</td><td>' + badge(r.severity_name || r.severity) + '</td><td>' + esc(r.category || 'Uncategorized') + '</td><td>' + esc([r.risk_type, r.risk_subtype].filter(Boolean).join(' / ') || 'Unknown') + '</td><td>' + esc(r.affected_vendor_count ?? 0) + '</td><td>' + esc(r.affected_domain_count ?? 0) + '</td>' + (includeAction ? '<td>' + esc(r.recommended_action || 'Review and remediate.') + '</td>' : '') + '</tr>').join('') + '</tbody></table>'; }
+function domainSections(domains) {
+  if (!domains.length) return '<div class="card"><h2>Domains</h2><p class="muted">No domains have been ingested for this vendor yet.</p></div>';
+  const active = domains.filter(d => d.active).length;
+  const summary = '<table><thead><tr><th>Domain</th><th>Status</th><th>Score</th><th>Failed checks</th><th>Scanned</th></tr></thead><tbody>' + domains.map(d => '<tr><td>' + esc(d.hostname) + (d.hostname === d.vendor_primary_hostname ? ' <span class="muted">(primary)</span>' : '') + '</td><td>' + (d.active ? badge('active') : badge('inactive') + ' <span class="muted">since ' + esc(d.inactive_at || '—') + '</span>') + '</td><td>' + esc(d.score ?? '—') + '</td><td>' + esc(d.failedChecks) + ' of ' + esc(d.totalChecks) + '</td><td>' + esc(d.scanned_at || '—') + '</td></tr>').join('') + '</tbody></table>';
+  const details = domains.filter(d => d.active).map(d => '<details class="domain-checks"><summary>' + esc(d.hostname) + ' · score ' + esc(d.score ?? '—') + ' · ' + esc(d.failedChecks) + ' failed checks</summary>' + checkTable(d.checkResults || []) + '</details>').join('');
+  return '<div class="card"><h2>Domains</h2><p class="muted">' + esc(active) + ' active of ' + esc(domains.length) + ' known domains.</p>' + summary + '</div><div class="card"><h2>Domain scan checks</h2>' + (details || '<p class="muted">No active domains.</p>') + '</div>';
+}
+function riskTable(rows, includeAction) { if (!rows.length) return '<p class="muted">No risk rows available.</p>'; return '<table><thead><tr><th>Risk/finding</th><th>Severity</th><th>Category</th><th>Type/subtype</th><th>Vendors</th><th>Domains</th>' + (includeAction ? '<th>Exposure</th><th>Recommended action</th>' : '') + '</tr></thead><tbody>' + rows.map(r => '<tr><td>' + esc(r.title || r.finding || 'Untitled') + '</td><td>' + badge(r.severity_name || r.severity) + '</td><td>' + esc(r.category || 'Uncategorized') + '</td><td>' + esc([r.risk_type, r.risk_subtype].filter(Boolean).join(' / ') || 'Unknown') + '</td><td>' + esc(r.affected_vendor_count ?? 0) + '</td><td>' + esc(r.affected_domain_count ?? 0) + '</td>' + (includeAction ? '<td>' + esc(r.tier_weighted_exposure ?? '—') + (r.critical_vendor_count ? ' <span class="muted">' + esc(r.critical_vendor_count) + ' critical</span>' : '') + '</td><td>' + esc(r.recommended_action || 'Review and remediate.') + '</td>' : '') + '</tr>').join('') + '</tbody></table>'; }
 function eventMiniTable(rows) { if (!rows.length) return '<p class="muted">No recent changes.</p>'; return '<table><thead><tr><th>Event</th><th>Risk</th><th>Severity</th><th>Captured</th></tr></thead><tbody>' + rows.map(e => '<tr><td>' + esc(e.event_type || 'changed') + '</td><td>' + esc(e.title || e.finding || 'Untitled') + '</td><td>' + badge(e.severity_name || e.severity) + '</td><td>' + esc(e.captured_at || '—') + '</td></tr>').join('') + '</tbody></table>'; }
 function checkTable(rows) { if (!rows.length) return '<p class="muted">No check rows available.</p>'; return '<table><thead><tr><th>Title</th><th>Category</th><th>Severity</th><th>Passed</th></tr></thead><tbody>' + rows.map(c => '<tr><td>' + esc(c.title || c.check_id || 'Untitled') + '</td><td>' + esc(c.category || 'Uncategorized') + '</td><td>' + badge(c.severity_name || c.severity) + '</td><td>' + (c.passed === null ? 'Unknown' : c.passed ? 'Yes' : 'No') + '</td></tr>').join('') + '</tbody></table>'; }
 function keyValueTable(obj) { const rows = Object.entries(obj || {}); return rows.length ? '<table><tbody>' + rows.map(([k,v]) => '<tr><td>' + esc(k) + '</td><td>' + esc(v || '—') + '</td></tr>').join('') + '</tbody></table>' : '<p class="muted">No ingestion timestamps yet.</p>'; }
@@ -2201,15 +7582,74 @@ async function runChunked(path, label, options = {}) {
   log.textContent = label + ': complete. Refreshing dashboard from D1…\\n' + log.textContent;
   await load();
 }
+async function runBackfill() {
+  const log = $('ingest-log');
+  const since = $('backfill-since').value;
+  let path = '/api/ingest/risk-diff/backfill?limit=10&batchSize=2' + (since ? '&since=' + encodeURIComponent(since) : '');
+  for (;;) {
+    const result = await api(path, { method: 'POST' }, 120000);
+    const backfill = result.backfill || {};
+    log.textContent = 'Risk diff backfill #' + backfill.id + ': ' + backfill.progress + '% · ' + backfill.completedWindows + ' of ' + backfill.window_count + ' vendor windows complete, ' + backfill.failedWindows + ' failed, ' + backfill.eventCount + ' events.\\n' + JSON.stringify(result, null, 2);
+    if (result.skipped) {
+      log.textContent = (result.reason === 'backfill_locked' ? 'Risk diff backfill is already running in another session.' : 'Risk diff backfill has already finished.') + '\\n' + log.textContent;
+      break;
+    }
+    if (!result.hasMore) break;
+    if (!result.windowsProcessed) {
+      log.textContent = 'Risk diff backfill paused because UpGuard stopped accepting requests. Progress is saved; run it again later to resume.\\n' + log.textContent;
+      break;
+    }
+    path = '/api/ingest/risk-diff/backfill?limit=10&batchSize=2&backfill_id=' + encodeURIComponent(backfill.id);
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  log.textContent = 'Risk diff backfill: refreshing dashboard from D1…\\n' + log.textContent;
+  await load();
+}
+async function runPortfolioSync() {
+  const log = $('ingest-log');
+  log.textContent = 'Portfolio vendor membership sync: running…\\n' + log.textContent;
+  const result = await api('/api/ingest/portfolio-vendors', { method: 'POST' }, 120000);
+  const failures = (result.failures || []).map(failure => 'Failed: ' + failure.errorMessage).join('\\n');
+  log.textContent = 'Portfolio vendor membership sync: ' + result.successCount + ' portfolio(s) synced, ' + result.failureCount + ' failed, ' + result.addedCount + ' vendor(s) added, ' + result.removedCount + ' removed.\\n' + (failures ? failures + '\\n' : '') + JSON.stringify(result, null, 2);
+  if (result.successCount) await load();
+}
 document.querySelectorAll('[data-view]').forEach(btn => btn.addEventListener('click', () => show(btn.dataset.view)));
+if ($('backfill-since')) $('backfill-since').value = new Date(Date.now() - 365 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+if (state.portfolio) $('portfolio-select').value = state.portfolio;
+state.portfolio = $('portfolio-select').value;
+$('include-accepted').checked = state.includeAccepted;
+$('sort-exposure').checked = state.sortExposure;
+$('sort-exposure').addEventListener('change', event => {
+  state.sortExposure = event.target.checked;
+  const params = new URLSearchParams(location.search);
+  if (state.sortExposure) params.set('sort', 'exposure'); else params.delete('sort');
+  history.replaceState(null, '', location.pathname + '?' + params.toString());
+  load();
+});
+$('include-accepted').addEventListener('change', event => {
+  state.includeAccepted = event.target.checked;
+  const params = new URLSearchParams(location.search);
+  if (state.includeAccepted) params.set('include_accepted', '1'); else params.delete('include_accepted');
+  history.replaceState(null, '', location.pathname + '?' + params.toString());
+  load();
+});
+$('portfolio-select').addEventListener('change', event => {
+  state.portfolio = event.target.value;
+  const params = new URLSearchParams(location.search);
+  params.set('portfolio', state.portfolio);
+  history.replaceState(null, '', location.pathname + '?' + params.toString());
+  load();
+});
 document.querySelectorAll('[data-ingest]').forEach(btn => btn.addEventListener('click', async () => {
   btn.disabled = true;
   try {
     const job = btn.dataset.ingest;
     if (job === 'domains') await runChunked('/api/ingest/chunk', 'Domain details ingestion');
     if (job === 'portfolio') await runChunked('/api/ingest/portfolio-risk-profile', 'Portfolio risk profile ingestion');
-    if (job === 'vendorRisks') await runChunked('/api/ingest/vendor-risks', 'Active risks ingestion', { activeRisks: true, totalVendors: 80, limit: 5, batchSize: 2 });
+    if (job === 'vendorRisks') await runChunked('/api/ingest/vendor-risks', 'Active risks ingestion', { activeRisks: true, totalVendors: (state.ingestStatus && state.ingestStatus.vendorCount) || null, limit: 5, batchSize: 2 });
     if (job === 'riskDiff') await runChunked('/api/ingest/risk-diff?days=30', '30-day risk diff ingestion');
+    if (job === 'riskDiffBackfill') await runBackfill();
+    if (job === 'portfolioVendors') await runPortfolioSync();
   } catch (e) {
     $('ingest-log').textContent = 'Ingestion failed: ' + e.message;
   } finally {
@@ -2222,3 +7662,19 @@ show('overview'); load();
 </html>`;
 }
 
+
+// Normalization and persistence helpers exercised directly by the test suite.
+export {
+  acceptedRiskFilter,
+  buildFindingKey,
+  buildRiskDiffBackfillWindows,
+  buildRiskDiffRange,
+  buildRiskEventKey,
+  classifyCampaign,
+  loadCampaignDefinitions,
+  markResolvedFindings,
+  normalizeRiskDiffEvent,
+  normalizeRiskDiffEvents,
+  normalizeVendorResponse,
+  rollUpVendor,
+};
@@ -0,0 +1,201 @@
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import { createEnv, request } from "./helpers/worker.js";
+
+const TEAM_DOMAIN = "tprisk.cloudflareaccess.com";
+const AUDIENCE = "test-audience";
+
+function base64Url(value) {
+  return Buffer.from(typeof value === "string" ? value : JSON.stringify(value)).toString("base64url");
+}
+
+async function createSigner(kid = "test-key") {
+  const { privateKey, publicKey } = await crypto.subtle.generateKey(
+    { name: "RSASSA-PKCS1-v1_5", modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: "SHA-256" },
+    true,
+    ["sign", "verify"]
+  );
+  const jwk = { ...(await crypto.subtle.exportKey("jwk", publicKey)), kid };
+  const sign = async (claims) => {
+    const now = Math.floor(Date.now() / 1000);
+    const unsigned = `${base64Url({ alg: "RS256", kid })}.${base64Url({ iss: `https://${TEAM_DOMAIN}`, aud: [AUDIENCE], iat: now, exp: now + 300, ...claims })}`;
+    const signature = await crypto.subtle.sign("RSASSA-PKCS1-v1_5", privateKey, new TextEncoder().encode(unsigned));
+    return `${unsigned}.${Buffer.from(signature).toString("base64url")}`;
+  };
+  return { jwk, jwks: JSON.stringify({ keys: [jwk] }), sign };
+}
+
+describe("Cloudflare Access enforcement", () => {
+  let env;
+  let signer;
+
+  before(async () => {
+    signer = await createSigner();
+    env = await createEnv({
+      REQUIRE_ACCESS: "1",
+      ACCESS_TEAM_DOMAIN: TEAM_DOMAIN,
+      ACCESS_AUD: AUDIENCE,
+      ACCESS_JWKS: signer.jwks,
+      ACCESS_ROLE_MAP: JSON.stringify([
+        { match: "email_domain", value: "admins.example", role: "admin" },
+        { match: "email", value: "analyst@example.gov", role: "analyst" },
+      ]),
+    });
+  });
+
+  it("rejects requests without an Access token", async () => {
+    const response = await request(env, "GET", "/api/vendors");
+    assert.equal(response.status, 401);
+    assert.equal(response.body.error, "access_token_missing");
+  });
+
+  it("rejects tokens for another audience", async () => {
+    const token = await signer.sign({ email: "viewer@example.gov", aud: ["other"] });
+    const response = await request(env, "GET", "/api/vendors", { headers: { "cf-access-jwt-assertion": token } });
+    assert.equal(response.status, 401);
+  });
+
+  it("answers 401 rather than 500 for malformed signatures and keys", async () => {
+    const token = await signer.sign({ email: "viewer@example.gov" });
+    const badSignature = `${token.split(".").slice(0, 2).join(".")}.@@not-base64@@`;
+    const response = await request(env, "GET", "/api/vendors", { headers: { "cf-access-jwt-assertion": badSignature } });
+    assert.deepEqual([response.status, response.body.error], [401, "access_token_invalid"]);
+
+    const brokenKeyEnv = await createEnv({
+      REQUIRE_ACCESS: "1",
+      ACCESS_TEAM_DOMAIN: TEAM_DOMAIN,
+      ACCESS_AUD: AUDIENCE,
+      ACCESS_JWKS: JSON.stringify({ keys: [{ kty: "RSA", kid: "test-key", n: "AQAB", e: "" }] }),
+    });
+    const broken = await request(brokenKeyEnv, "GET", "/api/vendors", { headers: { "cf-access-jwt-assertion": token } });
+    assert.deepEqual([broken.status, broken.body.error], [401, "access_token_invalid"]);
+  });
+
+  it("refetches the Access certs once when a token names an unknown key, at most once a minute", async () => {
+    const original = await createSigner("original-key");
+    const rotated = await createSigner("rotated-key");
+    const served = [[original.jwk], [original.jwk, rotated.jwk]];
+    const certRequests = [];
+    const realFetch = globalThis.fetch;
+    const realNow = Date.now;
+    globalThis.fetch = async (url) => {
+      certRequests.push(String(url));
+      const keys = served[Math.min(certRequests.length - 1, served.length - 1)];
+      return new Response(JSON.stringify({ keys }), { headers: { "content-type": "application/json" } });
+    };
+    try {
+      const rotationEnv = await createEnv({ REQUIRE_ACCESS: "1", ACCESS_TEAM_DOMAIN: TEAM_DOMAIN, ACCESS_AUD: AUDIENCE });
+      const rotatedToken = await rotated.sign({ email: "viewer@example.gov" });
+      const before = await request(rotationEnv, "GET", "/api/vendors", { headers: { "cf-access-jwt-assertion": await original.sign({ email: "viewer@example.gov" }) } });
+      assert.equal(before.status, 200);
+      const tooSoon = await request(rotationEnv, "GET", "/api/vendors", { headers: { "cf-access-jwt-assertion": rotatedToken } });
+      assert.deepEqual([tooSoon.status, tooSoon.body.error, certRequests.length], [401, "access_token_invalid", 1]);
+
+      Date.now = () => realNow() + 61 * 1000;
+      const after = await request(rotationEnv, "GET", "/api/vendors", { headers: { "cf-access-jwt-assertion": rotatedToken } });
+      assert.equal(after.status, 200);
+      assert.deepEqual(certRequests, [`https://${TEAM_DOMAIN}/cdn-cgi/access/certs`, `https://${TEAM_DOMAIN}/cdn-cgi/access/certs`]);
+    } finally {
+      globalThis.fetch = realFetch;
+      Date.now = realNow;
+    }
+  });
+
+  it("answers 503 when the Access certs cannot be loaded", async () => {
+    const token = await signer.sign({ email: "viewer@example.gov" });
+    const realFetch = globalThis.fetch;
+    const outages = {
+      "network.cloudflareaccess.com": async () => { throw new TypeError("fetch failed"); },
+      "garbled.cloudflareaccess.com": async () => new Response("<html>maintenance</html>"),
+      "down.cloudflareaccess.com": async () => new Response("unavailable", { status: 502 }),
+    };
+    try {
+      for (const [teamDomain, respond] of Object.entries(outages)) {
+        globalThis.fetch = respond;
+        const outageEnv = await createEnv({ REQUIRE_ACCESS: "1", ACCESS_TEAM_DOMAIN: teamDomain, ACCESS_AUD: AUDIENCE });
+        const response = await request(outageEnv, "GET", "/api/vendors", { headers: { "cf-access-jwt-assertion": token } });
+        assert.deepEqual([response.status, response.body.error], [503, "access_keys_unavailable"], teamDomain);
+      }
+    } finally {
+      globalThis.fetch = realFetch;
+    }
+  });
+
+  it("lets viewers read but not ingest", async () => {
+    const token = await signer.sign({ email: "viewer@example.gov" });
+    const me = await request(env, "GET", "/api/auth/me", { headers: { cookie: `CF_Authorization=${token}` } });
+    assert.equal(me.body.role, "viewer");
+    assert.equal(me.body.identity.email, "viewer@example.gov");
+
+    const read = await request(env, "GET", "/api/vendors", { headers: { "cf-access-jwt-assertion": token } });
+    assert.equal(read.status, 200);
+
+    const ingest = await request(env, "POST", "/api/ingest", { headers: { "cf-access-jwt-assertion": token } });
+    assert.equal(ingest.status, 403);
+    assert.deepEqual([ingest.body.error, ingest.body.requiredRole, ingest.body.role], ["forbidden", "admin", "viewer"]);
+
+    const shell = await request(env, "GET", "/", { headers: { "cf-access-jwt-assertion": token } });
+    assert.doesNotMatch(shell.text, /data-ingest=/);
+  });
+
+  it("maps identities to admin through ACCESS_ROLE_MAP", async () => {
+    const token = await signer.sign({ email: "ops@admins.example" });
+    const response = await request(env, "GET", "/api/debug/config", { headers: { "cf-access-jwt-assertion": token } });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.accessRequired, true);
+  });
+
+  it("lets analysts but not viewers edit remediation tickets", async () => {
+    const body = { title: "Email authentication", campaigns: ["DMARC/SPF/DKIM/email authentication"] };
+    const viewer = await signer.sign({ email: "viewer@example.gov" });
+    const denied = await request(env, "POST", "/api/remediation", { body, headers: { "cf-access-jwt-assertion": viewer } });
+    assert.deepEqual([denied.status, denied.body.requiredRole], [403, "analyst"]);
+
+    const analyst = await signer.sign({ email: "analyst@example.gov" });
+    const created = await request(env, "POST", "/api/remediation", { body, headers: { "cf-access-jwt-assertion": analyst } });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.ticket.created_by, "analyst@example.gov");
+    assert.equal((await request(env, "POST", "/api/ingest", { headers: { "cf-access-jwt-assertion": analyst } })).status, 403);
+  });
+
+  it("keeps alert rules, channels and webhooks admin-only while analysts acknowledge alerts", async () => {
+    const analyst = await signer.sign({ email: "analyst@example.gov" });
+    const rule = await request(env, "POST", "/api/alerts/rules", { body: { name: "Drops", rule_type: "score_drop" }, headers: { "cf-access-jwt-assertion": analyst } });
+    assert.deepEqual([rule.status, rule.body.requiredRole], [403, "admin"]);
+    assert.equal((await request(env, "GET", "/api/alerts/rules", { headers: { "cf-access-jwt-assertion": analyst } })).status, 200);
+    const acknowledge = await request(env, "POST", "/api/alerts/1/acknowledge", { headers: { "cf-access-jwt-assertion": analyst } });
+    assert.deepEqual([acknowledge.status, acknowledge.body.error], [404, "alert_not_found"]);
+    assert.equal((await request(env, "GET", "/api/webhooks", { headers: { "cf-access-jwt-assertion": analyst } })).status, 403);
+  });
+
+  it("keeps questionnaire templates and vendor tiers admin-only while analysts record evidence", async () => {
+    const analyst = await signer.sign({ email: "analyst@example.gov" });
+    const template = await request(env, "POST", "/api/questionnaires/templates", { body: { name: "HECVAT", questions: ["Is MFA enforced?"] }, headers: { "cf-access-jwt-assertion": analyst } });
+    assert.deepEqual([template.status, template.body.requiredRole], [403, "admin"]);
+    const tier = await request(env, "PATCH", "/api/vendor/adobe.com/criticality", { body: { tier: "critical" }, headers: { "cf-access-jwt-assertion": analyst } });
+    assert.deepEqual([tier.status, tier.body.requiredRole], [403, "admin"]);
+    const evidence = await request(env, "POST", "/api/evidence", {
+      body: { vendor_primary_hostname: "adobe.com", evidence_type: "iso27001", title: "ISO 27001 certificate" },
+      headers: { "cf-access-jwt-assertion": analyst },
+    });
+    assert.equal(evidence.status, 201);
+    assert.equal(evidence.body.evidence.created_by, "analyst@example.gov");
+  });
+
+  it("keeps score models and recomputation admin-only", async () => {
+    const analyst = await signer.sign({ email: "analyst@example.gov" });
+    const model = await request(env, "POST", "/api/scoring/models", { body: { name: "Tier heavy", weights: { vendor_tier: 1 } }, headers: { "cf-access-jwt-assertion": analyst } });
+    assert.deepEqual([model.status, model.body.requiredRole], [403, "admin"]);
+    assert.equal((await request(env, "POST", "/api/scoring/recompute", { headers: { "cf-access-jwt-assertion": analyst } })).status, 403);
+    assert.equal((await request(env, "GET", "/api/scoring/models", { headers: { "cf-access-jwt-assertion": analyst } })).status, 200);
+  });
+
+  it("keeps campaign definitions and their preview admin-only", async () => {
+    const analyst = await signer.sign({ email: "analyst@example.gov" });
+    const body = { name: "Email hygiene", match_rules: { category: "email" } };
+    const preview = await request(env, "POST", "/api/campaigns/definitions/preview", { body, headers: { "cf-access-jwt-assertion": analyst } });
+    assert.deepEqual([preview.status, preview.body.requiredRole], [403, "admin"]);
+    assert.equal((await request(env, "DELETE", "/api/campaigns/definitions/1", { headers: { "cf-access-jwt-assertion": analyst } })).status, 403);
+    assert.equal((await request(env, "GET", "/api/campaigns/definitions", { headers: { "cf-access-jwt-assertion": analyst } })).status, 200);
+  });
+});
@@ -0,0 +1,101 @@
+// In-memory D1 stand-in backed by sql.js, with the repository migrations applied in order.
+
+import { readFileSync, readdirSync } from "node:fs";
+import initSqlJs from "sql.js";
+
+const MIGRATIONS_DIR = new URL("../../migrations/", import.meta.url);
+
+let sqlPromise = null;
+
+// `migrate` may be a predicate over migration file names to stop short of later migrations.
+export async function createD1({ migrate = true } = {}) {
+  sqlPromise ??= initSqlJs();
+  const SQL = await sqlPromise;
+  const database = new D1Database(new SQL.Database());
+  if (migrate) {
+    for (const file of listMigrations().filter((name) => migrate === true || migrate(name))) applyMigration(database, file);
+  }
+  return database;
+}
+
+export function listMigrations() {
+  return readdirSync(MIGRATIONS_DIR).filter((name) => name.endsWith(".sql")).sort();
+}
+
+export function applyMigration(database, file) {
+  database.exec(readFileSync(new URL(file, MIGRATIONS_DIR), "utf8"));
+}
+
+class D1Database {
+  constructor(db) {
+    this.db = db;
+  }
+
+  prepare(sql) {
+    return new D1PreparedStatement(this, sql, []);
+  }
+
+  async batch(statements) {
+    this.db.exec("BEGIN");
+    try {
+      const results = statements.map((statement) => statement.execute());
+      this.db.exec("COMMIT");
+      return results;
+    } catch (error) {
+      this.db.exec("ROLLBACK");
+      throw error;
+    }
+  }
+
+  // Test-only helpers for seeding and asserting on rows directly.
+  exec(sql) {
+    this.db.exec(sql);
+  }
+
+  rows(sql, params = []) {
+    return this.prepare(sql).bind(...params).execute().results;
+  }
+}
+
+class D1PreparedStatement {
+  constructor(database, sql, params) {
+    this.database = database;
+    this.sql = sql;
+    this.params = params;
+  }
+
+  bind(...params) {
+    // D1 rejects undefined bindings; mirror that so missing values fail the same way.
+    const index = params.findIndex((value) => value === undefined);
+    if (index !== -1) throw new Error(`D1_TYPE_ERROR: Type 'undefined' not supported for value at index ${index}`);
+    return new D1PreparedStatement(this.database, this.sql, params.map((value) => typeof value === "boolean" ? Number(value) : value));
+  }
+
+  execute() {
+    const { db } = this.database;
+    const statement = db.prepare(this.sql);
+    try {
+      statement.bind(this.params);
+      const results = [];
+      while (statement.step()) results.push(statement.getAsObject());
+      const changes = db.getRowsModified();
+      const lastRowId = db.exec("SELECT last_insert_rowid() AS id")[0]?.values[0][0] ?? null;
+      return { success: true, results, meta: { changes, last_row_id: lastRowId } };
+    } finally {
+      statement.free();
+    }
+  }
+
+  async all() {
+    return this.execute();
+  }
+
+  async first(column) {
+    const row = this.execute().results[0] ?? null;
+    return column && row ? row[column] : row;
+  }
+
+  async run() {
+    return this.execute();
+  }
+}
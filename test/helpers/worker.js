@@ -0,0 +1,92 @@
+// Helpers for driving the Worker's fetch handler against the D1 stand-in and a stubbed
+// UpGuard transport.
+
+import worker from "../../src/index.js";
+import { createD1 } from "./d1.js";
+
+export const DEFAULT_PORTFOLIO = "Commonwealth Common Vendors";
+
+export async function createEnv({ vendors = ["adobe.com", "apple.com"], upguard = {}, migrate = true, ...overrides } = {}) {
+  const DB = await createD1({ migrate });
+  if (migrate && vendors) {
+    // Keep ingestion runs small: only the listed seed vendors stay active.
+    DB.exec("UPDATE portfolio_vendors SET active = 0");
+    for (const hostname of vendors) {
+      DB.exec(`INSERT INTO portfolio_vendors (portfolio, vendor_primary_hostname, active) VALUES ('${DEFAULT_PORTFOLIO}', '${hostname}', 1)
+               ON CONFLICT(portfolio, vendor_primary_hostname) DO UPDATE SET active = 1`);
+    }
+  }
+  const transport = createUpGuardTransport(upguard);
+  return {
+    DB,
+    UPGUARD_PORTFOLIO_ID: DEFAULT_PORTFOLIO,
+    UPGUARD_TRANSPORT: transport,
+    UPGUARD_MAX_RETRIES: "0",
+    upguardCalls: transport.calls,
+    ...overrides,
+  };
+}
+
+// Routes UpGuard requests by endpoint path (relative to the public API base) to handlers
+// that return a JSON body, or { status, body } for error responses.
+export function createUpGuardTransport(handlers = {}) {
+  const calls = [];
+  const transport = async (url) => {
+    const target = new URL(url.toString());
+    const endpoint = target.pathname.replace(/^\/api\/public/, "");
+    calls.push({ endpoint, params: Object.fromEntries(target.searchParams) });
+    const handler = handlers[endpoint];
+    if (!handler) return jsonResponse({ error: "not_stubbed", endpoint }, 404);
+    const result = await handler(Object.fromEntries(target.searchParams));
+    if (result && result.status) return jsonResponse(result.body ?? {}, result.status);
+    return jsonResponse(result ?? {});
+  };
+  transport.calls = calls;
+  return transport;
+}
+
+export async function request(env, method, path, { body, headers = {} } = {}) {
+  const response = await worker.fetch(new Request(`https://tprisk.test${path}`, {
+    method,
+    headers: body === undefined ? headers : { "content-type": "application/json", ...headers },
+    body: body === undefined ? undefined : typeof body === "string" ? body : JSON.stringify(body),
+  }), env);
+  const text = await response.text();
+  const contentType = response.headers.get("content-type") || "";
+  return {
+    status: response.status,
+    headers: response.headers,
+    text,
+    body: contentType.includes("application/json") && text ? JSON.parse(text) : null,
+  };
+}
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { "content-type": "application/json" } });
+}
+
+// Starts a local HTTP server that records every request it receives, for outbound channels
+// (alert webhooks) that the Worker reaches through fetch. Paths listed in `statuses` answer
+// with that status code; everything else gets 200.
+export async function startHttpStub({ statuses = {} } = {}) {
+  const { createServer } = await import("node:http");
+  const requests = [];
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (data) => { body += data; });
+    req.on("end", () => {
+      requests.push({ method: req.method, path: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+      res.writeHead(statuses[req.url] ?? 200, { "content-type": "application/json" });
+      res.end("{}");
+    });
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise((resolve) => {
+      server.close(resolve);
+      server.closeAllConnections();
+    }),
+  };
+}
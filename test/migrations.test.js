@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { buildRiskEventKey, normalizeRiskDiffEvent } from "../src/index.js";
+import { applyMigration, createD1 } from "./helpers/d1.js";
+
+describe("0012_vendor_risk_event_keys", () => {
+  it("backfills natural keys that match buildRiskEventKey and removes duplicates", async () => {
+    const db = await createD1({ migrate: (file) => file < "0012" });
+    const insert = (id, overrides = {}) => {
+      const row = {
+        vendor_primary_hostname: "adobe.com",
+        event_type: "introduced",
+        title: "SPF record missing",
+        finding: "spf",
+        risk_type: "email",
+        risk_subtype: null,
+        affected_hostnames_json: '["adobe.com"]',
+        event_start: "2025-01-01T08:00:00.000Z",
+        event_end: "2025-01-31T08:00:00.000Z",
+        ...overrides,
+      };
+      const rawJson = JSON.stringify({ event_start: row.event_start, event_end: row.event_end });
+      db.rows(
+        `INSERT INTO vendor_risk_events (id, vendor_primary_hostname, event_type, title, finding, risk_type, risk_subtype, affected_hostnames_json, event_start, event_end, raw_json)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [id, row.vendor_primary_hostname, row.event_type, row.title, row.finding, row.risk_type, row.risk_subtype, row.affected_hostnames_json, row.event_start, row.event_end, rawJson]
+      );
+    };
+    insert(1);
+    insert(2, { event_start: "2025-01-01T17:30:00.000Z", event_end: "2025-01-31T17:30:00.000Z" });
+    insert(3, { event_type: "resolved" });
+    insert(4, { affected_hostnames_json: '["www.adobe.com"]' });
+
+    applyMigration(db, "0012_vendor_risk_event_keys.sql");
+
+    const rows = db.rows("SELECT id, event_key FROM vendor_risk_events ORDER BY id");
+    assert.deepEqual(rows.map((row) => row.id), [1, 3, 4]);
+    assert.equal(rows[0].event_key, buildRiskEventKey({
+      vendorPrimaryHostname: "adobe.com",
+      eventType: "introduced",
+      title: "SPF record missing",
+      finding: "spf",
+      riskType: "email",
+      riskSubtype: null,
+      affectedHostnamesJson: '["adobe.com"]',
+      eventStart: "2025-01-01T00:00:00.000Z",
+      eventEnd: "2025-01-31T00:00:00.000Z",
+    }));
+    assert.throws(
+      () => db.rows("INSERT INTO vendor_risk_events (vendor_primary_hostname, event_key) VALUES (?, ?)", ["adobe.com", rows[0].event_key]),
+      /UNIQUE constraint failed/
+    );
+  });
+
+  it("builds keys without window dates, matching normalizeRiskDiffEvent, and removes duplicates", async () => {
+    const db = await createD1({ migrate: (file) => file < "0012" });
+    const dated = { title: "Open RDP", finding: "rdp", risk_type: "ports", hostnames: ["adobe.com"], eventStart: "2025-01-05T10:00:00Z" };
+    const undated = { title: "SPF record missing", finding: "spf", risk_type: "email", hostnames: ["adobe.com"] };
+    const insert = (id, risk, window) => db.rows(
+      `INSERT INTO vendor_risk_events (id, vendor_primary_hostname, event_type, title, finding, risk_type, affected_hostnames_json, event_start, event_end, raw_json)
+       VALUES (?, 'adobe.com', 'introduced', ?, ?, ?, '["adobe.com"]', ?, ?, ?)`,
+      [id, risk.title, risk.finding, risk.risk_type, risk.eventStart ?? window.startDate, window.endDate, JSON.stringify(risk)]
+    );
+    const firstWindow = { startDate: "2025-01-01T00:00:00.000Z", endDate: "2025-01-31T00:00:00.000Z" };
+    const nextDay = { startDate: "2025-01-02T00:00:00.000Z", endDate: "2025-02-01T00:00:00.000Z" };
+    insert(1, undated, firstWindow);
+    insert(2, undated, nextDay);
+    insert(3, dated, firstWindow);
+
+    applyMigration(db, "0012_vendor_risk_event_keys.sql");
+
+    const rows = db.rows("SELECT id, event_key FROM vendor_risk_events ORDER BY id");
+    assert.deepEqual(rows.map((row) => row.id), [1, 3]);
+    assert.equal(rows[0].event_key, normalizeRiskDiffEvent("adobe.com", "introduced", undated, nextDay).eventKey);
+    assert.equal(rows[1].event_key, normalizeRiskDiffEvent("adobe.com", "introduced", dated, nextDay).eventKey);
+  });
+});
@@ -0,0 +1,293 @@
+import assert from "node:assert/strict";
+import { before, describe, it } from "node:test";
+import {
+  acceptedRiskFilter,
+  buildFindingKey,
+  buildRiskDiffBackfillWindows,
+  buildRiskDiffRange,
+  classifyCampaign,
+  loadCampaignDefinitions,
+  markResolvedFindings,
+  normalizeRiskDiffEvent,
+  normalizeRiskDiffEvents,
+  normalizeVendorResponse,
+  rollUpVendor,
+} from "../src/index.js";
+import { createD1 } from "./helpers/d1.js";
+
+describe("normalizeVendorResponse", () => {
+  it("prefers hostnames from the payload and lower-cases them", () => {
+    const vendor = normalizeVendorResponse({ vendor_primary_hostname: "Adobe.COM", hostname: " WWW.Adobe.com " }, "ignored.com", "ignored.com");
+    assert.equal(vendor.vendorPrimaryHostname, "adobe.com");
+    assert.equal(vendor.hostname, "www.adobe.com");
+  });
+
+  it("falls back to the requested hostnames and empty collections", () => {
+    const vendor = normalizeVendorResponse({}, "adobe.com", "adobe.com");
+    assert.equal(vendor.vendorPrimaryHostname, "adobe.com");
+    assert.equal(vendor.hostname, "adobe.com");
+    assert.equal(vendor.automatedScore, null);
+    assert.equal(vendor.scannedAt, null);
+    assert.equal(vendor.labelsJson, "[]");
+    assert.equal(vendor.aRecordsJson, "[]");
+    assert.deepEqual(vendor.checkResults, []);
+    assert.deepEqual(vendor.waivedCheckResults, []);
+  });
+
+  it("accepts camelCase and snake_case check fields and the pass/passed flag", () => {
+    const vendor = normalizeVendorResponse({
+      automated_score: "812",
+      check_results: [
+        { id: 42, title: "SPF", riskType: "email", riskSubtype: "spf", severity: "3", severityName: "medium", pass: false, checkedAt: "2025-01-01" },
+        { title: "HSTS", risk_type: "web", risk_subtype: "hsts", severity_name: "low", passed: true, checked_at: "2025-01-02" },
+      ],
+      waived_check_results: [{ id: "w1", passed: "false" }],
+    }, "adobe.com", "adobe.com");
+    assert.equal(vendor.automatedScore, 812);
+    const [spf, hsts] = vendor.checkResults;
+    assert.equal(spf.checkId, "42");
+    assert.equal(spf.riskType, "email");
+    assert.equal(spf.riskSubtype, "spf");
+    assert.equal(spf.severity, 3);
+    assert.equal(spf.severityName, "medium");
+    assert.equal(spf.passed, 0);
+    assert.equal(spf.checkedAt, "2025-01-01");
+    assert.equal(hsts.checkId, null);
+    assert.equal(hsts.riskType, "web");
+    assert.equal(hsts.passed, 1);
+    assert.equal(hsts.checkedAt, "2025-01-02");
+    assert.equal(vendor.waivedCheckResults[0].checkId, "w1");
+  });
+
+  it("ignores non-array collections", () => {
+    const vendor = normalizeVendorResponse({ check_results: { id: 1 }, labels: "x", a_records: null }, "adobe.com", "adobe.com");
+    assert.deepEqual(vendor.checkResults, []);
+    assert.equal(vendor.labelsJson, "[]");
+    assert.equal(vendor.aRecordsJson, "[]");
+  });
+});
+
+describe("normalizeRiskDiffEvent", () => {
+  const range = { startDate: "2025-01-01T00:00:00.000Z", endDate: "2025-01-31T00:00:00.000Z" };
+
+  it("falls back between title, finding, risk and name", () => {
+    assert.equal(normalizeRiskDiffEvent("adobe.com", "introduced", { finding: "Weak TLS" }).title, "Weak TLS");
+    assert.equal(normalizeRiskDiffEvent("adobe.com", "introduced", { title: "Open RDP" }).finding, "Open RDP");
+    assert.equal(normalizeRiskDiffEvent("adobe.com", "introduced", { name: "Named" }).title, "Named");
+    assert.equal(normalizeRiskDiffEvent("adobe.com", "introduced", { risk: "Risky" }).finding, "Risky");
+  });
+
+  it("reads affected sources from the first populated field", () => {
+    assert.equal(normalizeRiskDiffEvent("adobe.com", "introduced", { domains: ["a.adobe.com"] }).affectedHostnamesJson, '["a.adobe.com"]');
+    assert.equal(normalizeRiskDiffEvent("adobe.com", "introduced", { ips: ["10.0.0.1"] }).affectedHostnamesJson, '["10.0.0.1"]');
+    assert.equal(normalizeRiskDiffEvent("adobe.com", "introduced", { hostnames: "not-a-list" }).affectedHostnamesJson, "[]");
+  });
+
+  it("uses event dates from the risk before the requested range", () => {
+    const explicit = normalizeRiskDiffEvent("adobe.com", "resolved", { eventStart: "2025-01-10", end_date: "2025-01-12" }, range);
+    assert.equal(explicit.eventStart, "2025-01-10");
+    assert.equal(explicit.eventEnd, "2025-01-12");
+    const fallback = normalizeRiskDiffEvent("adobe.com", "resolved", {}, range);
+    assert.equal(fallback.eventStart, range.startDate);
+    assert.equal(fallback.eventEnd, range.endDate);
+  });
+
+  it("tolerates missing risks and camelCase severities", () => {
+    const event = normalizeRiskDiffEvent("adobe.com", "introduced", undefined);
+    assert.equal(event.title, null);
+    assert.equal(event.severity, null);
+    assert.equal(normalizeRiskDiffEvent("adobe.com", "introduced", { severity: "4", severityName: "critical", riskType: "t" }).severity, 4);
+  });
+
+  it("derives a natural key that ignores the requested window", () => {
+    const risk = { title: "SPF", riskType: "email", hostnames: ["adobe.com"] };
+    const first = normalizeRiskDiffEvent("adobe.com", "introduced", risk, range);
+    const nextDay = normalizeRiskDiffEvent("adobe.com", "introduced", risk, { startDate: "2025-01-02T18:00:00.000Z", endDate: "2025-02-01T18:00:00.000Z" });
+    assert.equal(first.eventKey, 'adobe.com|introduced|email||SPF|["adobe.com"]||');
+    assert.equal(nextDay.eventKey, first.eventKey);
+    assert.notEqual(normalizeRiskDiffEvent("adobe.com", "resolved", risk, range).eventKey, first.eventKey);
+  });
+
+  it("keys events by the dates UpGuard reports for them, compared by day", () => {
+    const morning = normalizeRiskDiffEvent("adobe.com", "introduced", { title: "SPF", eventStart: "2025-01-10T08:00:00Z", eventEnd: "2025-01-12T08:00:00Z" }, range);
+    const evening = normalizeRiskDiffEvent("adobe.com", "introduced", { title: "SPF", eventStart: "2025-01-10T18:00:00Z", eventEnd: "2025-01-12T18:00:00Z" }, range);
+    assert.equal(morning.eventKey, "adobe.com|introduced|||SPF|[]|2025-01-10|2025-01-12");
+    assert.equal(evening.eventKey, morning.eventKey);
+    const reintroduced = normalizeRiskDiffEvent("adobe.com", "introduced", { title: "SPF", eventStart: "2025-03-01T08:00:00Z" }, range);
+    assert.notEqual(reintroduced.eventKey, morning.eventKey);
+  });
+
+  it("splits introduced and resolved risk lists", () => {
+    const events = normalizeRiskDiffEvents("adobe.com", { risksIntroduced: [{ title: "A" }], risksResolved: [{ title: "B" }, { title: "C" }] }, range);
+    assert.deepEqual(events.map((event) => [event.eventType, event.title]), [["introduced", "A"], ["resolved", "B"], ["resolved", "C"]]);
+    assert.deepEqual(normalizeRiskDiffEvents("adobe.com", null, range), []);
+  });
+});
+
+describe("buildRiskDiffBackfillWindows", () => {
+  const now = new Date("2025-06-30T00:00:00.000Z");
+
+  it("splits the range into consecutive windows of at most 30 days", () => {
+    const plan = buildRiskDiffBackfillWindows({ since: "2025-04-01", until: "2025-06-15", now });
+    assert.equal(plan.clamped, false);
+    assert.deepEqual(plan.windows, [
+      { startDate: "2025-04-01T00:00:00.000Z", endDate: "2025-05-01T00:00:00.000Z" },
+      { startDate: "2025-05-01T00:00:00.000Z", endDate: "2025-05-31T00:00:00.000Z" },
+      { startDate: "2025-05-31T00:00:00.000Z", endDate: "2025-06-15T00:00:00.000Z" },
+    ]);
+  });
+
+  it("clamps to the two-year history floor and the current time", () => {
+    const plan = buildRiskDiffBackfillWindows({ since: "2020-01-01", until: "2030-01-01", now });
+    assert.equal(plan.clamped, true);
+    assert.equal(plan.since, "2023-07-01T00:00:00.000Z");
+    assert.equal(plan.until, now.toISOString());
+    assert.equal(plan.windows.length, 25);
+  });
+
+  it("rejects invalid or empty ranges", () => {
+    assert.throws(() => buildRiskDiffBackfillWindows({ since: "last year", now }), /since must be a valid date/);
+    assert.throws(() => buildRiskDiffBackfillWindows({ since: "2025-06-30", now }), /since must be earlier than until/);
+  });
+});
+
+describe("buildRiskDiffRange", () => {
+  const DAY = 24 * 60 * 60 * 1000;
+
+  it("defaults to the last 30 days ending now", () => {
+    const range = buildRiskDiffRange();
+    assert.equal(range.days, 30);
+    assert.ok(Math.abs(Date.parse(range.endDate) - Date.now()) < 5000);
+    assert.equal(Date.parse(range.endDate) - Date.parse(range.startDate), 30 * DAY);
+  });
+
+  it("clamps days into the 1-30 range", () => {
+    assert.equal(buildRiskDiffRange({ days: 90 }).days, 30);
+    assert.equal(buildRiskDiffRange({ days: 0 }).days, 1);
+  });
+
+  it("limits explicit start dates to 30 days before the end date", () => {
+    const endDate = new Date(Date.now() - 10 * DAY).toISOString();
+    const range = buildRiskDiffRange({ startDate: new Date(Date.now() - 200 * DAY).toISOString(), endDate });
+    assert.equal(Date.parse(range.endDate) - Date.parse(range.startDate), 30 * DAY);
+  });
+
+  it("keeps explicit start dates inside the window", () => {
+    const endDate = new Date(Date.now() - DAY).toISOString();
+    const startDate = new Date(Date.now() - 5 * DAY).toISOString();
+    assert.equal(buildRiskDiffRange({ startDate, endDate }).startDate, startDate);
+  });
+
+  it("rejects invalid dates", () => {
+    assert.throws(() => buildRiskDiffRange({ endDate: "not-a-date" }), /end_date must be a valid RFC3339 date/);
+    assert.throws(() => buildRiskDiffRange({ startDate: "nope" }), /start_date must be a valid RFC3339 date/);
+  });
+});
+
+describe("classifyCampaign", () => {
+  let definitions;
+
+  before(async () => {
+    definitions = await loadCampaignDefinitions(await createD1());
+  });
+
+  it("groups risks by the seeded rules across title, finding, category and type fields", () => {
+    assert.equal(classifyCampaign({ title: "DMARC policy not enforced" }, definitions), "DMARC/SPF/DKIM/email authentication");
+    assert.equal(classifyCampaign({ finding: "Certificate expires soon" }, definitions), "TLS/certificates");
+    assert.equal(classifyCampaign({ risk_type: "hsts_missing" }, definitions), "security headers");
+    assert.equal(classifyCampaign({ riskSubtype: "RDP service exposed" }, definitions), "exposed services");
+    assert.equal(classifyCampaign({ category: "Vulnerability management" }, definitions), "verified vulnerabilities / CVEs");
+    assert.equal(classifyCampaign({ title: "Domain on phishing blacklist" }, definitions), "malware/phishing/reputation");
+  });
+
+  it("applies the first matching campaign and falls back to other remediation", () => {
+    assert.equal(classifyCampaign({ title: "SPF record allows TLS downgrade" }, definitions), "DMARC/SPF/DKIM/email authentication");
+    assert.equal(classifyCampaign({ title: "Unknown" }, definitions), "other remediation");
+    assert.equal(classifyCampaign({}, definitions), "other remediation");
+  });
+});
+
+describe("buildFindingKey", () => {
+  it("uses the check id when present", () => {
+    assert.equal(buildFindingKey("adobe.com", "www.adobe.com", { checkId: "42", title: "ignored" }), "adobe.com|www.adobe.com|42");
+  });
+
+  it("falls back to descriptive fields with blanks for missing values", () => {
+    assert.equal(
+      buildFindingKey("adobe.com", "adobe.com", { title: "SPF", category: "Email", riskType: null, riskSubtype: "spf" }),
+      "adobe.com|adobe.com|SPF|Email||spf"
+    );
+  });
+});
+
+describe("acceptedRiskFilter", () => {
+  it("matches check rows by the same key buildFindingKey produces", async () => {
+    const db = await createD1();
+    const checks = [
+      { hostname: "adobe.com", checkId: "42", title: "With id", category: "Email", riskType: "spf", riskSubtype: null },
+      { hostname: "adobe.com", checkId: "", title: "Blank id", category: "Email", riskType: "dmarc", riskSubtype: "policy" },
+      { hostname: "www.adobe.com", checkId: null, title: "Sparse", category: null, riskType: null, riskSubtype: "hsts" },
+      { hostname: "www.adobe.com", checkId: "7", title: "Not accepted", category: "Web", riskType: null, riskSubtype: null },
+    ];
+    for (const check of checks) {
+      await db.prepare(
+        `INSERT INTO domain_check_results (vendor_primary_hostname, hostname, check_id, title, category, risk_type, risk_subtype, passed)
+         VALUES ('adobe.com', ?, ?, ?, ?, ?, ?, 0)`
+      ).bind(check.hostname, check.checkId, check.title, check.category, check.riskType, check.riskSubtype).run();
+    }
+    for (const check of checks.slice(0, 3)) {
+      await db.prepare(
+        `INSERT INTO risk_acceptances (finding_key, vendor_primary_hostname, approver, rationale, expires_at, created_at)
+         VALUES (?, 'adobe.com', 'ciso', 'Accepted', '2999-01-01T00:00:00.000Z', '2025-01-01T00:00:00.000Z')`
+      ).bind(buildFindingKey("adobe.com", check.hostname, check)).run();
+    }
+    const remaining = db.rows(`SELECT title FROM domain_check_results WHERE 1 = 1${acceptedRiskFilter("domain_check_results")}`);
+    assert.deepEqual(remaining, [{ title: "Not accepted" }]);
+    assert.equal(db.rows(`SELECT title FROM domain_check_results WHERE 1 = 1${acceptedRiskFilter("domain_check_results", true)}`).length, 4);
+  });
+});
+
+describe("markResolvedFindings", () => {
+  it("resolves open findings that were not seen in the latest scan", async () => {
+    const db = await createD1();
+    db.exec(`INSERT INTO risk_findings_history (finding_key, vendor_primary_hostname, hostname, title, status, first_seen_at, last_seen_at) VALUES
+      ('adobe.com|adobe.com|1', 'adobe.com', 'adobe.com', 'Kept', 'open', '2025-01-01', '2025-01-01'),
+      ('adobe.com|adobe.com|2', 'adobe.com', 'adobe.com', 'Gone', 'open', '2025-01-01', '2025-01-01'),
+      ('adobe.com|www.adobe.com|3', 'adobe.com', 'www.adobe.com', 'Other host', 'open', '2025-01-01', '2025-01-01')`);
+    await markResolvedFindings(db, "adobe.com", "adobe.com", ["adobe.com|adobe.com|1"], "2025-02-01T00:00:00.000Z");
+    const rows = db.rows("SELECT finding_key, status, resolved_at FROM risk_findings_history ORDER BY finding_key");
+    assert.deepEqual(rows, [
+      { finding_key: "adobe.com|adobe.com|1", status: "open", resolved_at: null },
+      { finding_key: "adobe.com|adobe.com|2", status: "resolved", resolved_at: "2025-02-01T00:00:00.000Z" },
+      { finding_key: "adobe.com|www.adobe.com|3", status: "open", resolved_at: null },
+    ]);
+  });
+});
+
+describe("rollUpVendor", () => {
+  it("weights domains by their check count and tracks the worst domain", () => {
+    const vendor = rollUpVendor({
+      vendorPrimaryHostname: "adobe.com",
+      domains: [
+        { hostname: "adobe.com", automated_score: 800, total_checks: 30, failed_checks: 2, max_failed_severity: 3 },
+        { hostname: "parked.adobe.com", automated_score: 400, total_checks: 10, failed_checks: 1, max_failed_severity: 2 },
+        { hostname: "new.adobe.com", automated_score: null, total_checks: 0, failed_checks: 0, max_failed_severity: null },
+      ],
+      activeRisks: { open_risk_count: 4, max_severity: 4 },
+      upguardScore: { score: 710, captured_at: "2025-01-01T00:00:00.000Z" },
+    });
+    assert.deepEqual(vendor.scores, { weighted_mean: 700, worst_domain: 400, upguard: 710 });
+    assert.equal(vendor.domainCount, 3);
+    assert.equal(vendor.scoredDomainCount, 2);
+    assert.equal(vendor.totalChecks, 40);
+    assert.equal(vendor.failedChecks, 3);
+    assert.equal(vendor.openRiskCount, 4);
+    assert.equal(vendor.highestOpenSeverityName, "high");
+  });
+
+  it("returns null scores for vendors without scored domains", () => {
+    const vendor = rollUpVendor({ vendorPrimaryHostname: "newco.com" });
+    assert.deepEqual(vendor.scores, { weighted_mean: null, worst_domain: null, upguard: null });
+    assert.equal(vendor.highestOpenSeverity, null);
+  });
+});
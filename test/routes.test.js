@@ -0,0 +1,1515 @@
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { before, describe, it } from "node:test";
+import { DEFAULT_PORTFOLIO, createEnv, request, startHttpStub } from "./helpers/worker.js";
+
+const SCANNED_AT = "2025-01-15T00:00:00Z";
+
+function upguardStub({ failingHostnames = [] } = {}) {
+  const fail = (hostname) => failingHostnames.includes(hostname) ? { status: 422, body: { error: "domain not found" } } : null;
+  return {
+    "/vendor/domain": ({ hostname }) => fail(hostname) ?? {
+      hostname,
+      automated_score: 720,
+      scanned_at: SCANNED_AT,
+      labels: ["primary"],
+      check_results: [
+        { id: "spf", title: "SPF record missing", category: "Email security", riskType: "email", severity: 3, severityName: "medium", pass: false },
+        { id: "hsts", title: "HSTS enabled", category: "Website security", severity: 1, severityName: "low", pass: true },
+      ],
+      waived_check_results: [{ id: "waived", title: "Waived check", pass: false }],
+    },
+    "/risks/vendors": ({ vendor_primary_hostname: hostname }) => fail(hostname) ?? {
+      risks: [{ title: "SPF record missing", finding: "spf", category: "Email security", risk_type: "email", severity: 3, severity_name: "medium", hostnames: [hostname] }],
+    },
+    "/risks/vendors/diff": ({ vendor_primary_hostname: hostname }) => fail(hostname) ?? {
+      risksIntroduced: [{ title: "SPF record missing", severity: 3, hostnames: [hostname] }],
+      risksResolved: [{ title: "Expired certificate", severity: 4 }],
+    },
+    "/risks/vendors/all": () => ({
+      total_vendors: 2,
+      risks: [{ title: "SPF record missing", category: "Email security", severity: 3, affected_vendor_count: 2, affected_domain_count: 2 }],
+    }),
+    "/vendors": () => ({ vendors: [{ name: "Adobe", primary_hostname: "adobe.com" }, { name: "New Co", primary_hostname: "newco.com" }] }),
+  };
+}
+
+describe("worker routes", () => {
+  let env;
+
+  before(async () => {
+    env = await createEnv({ upguard: upguardStub() });
+  });
+
+  it("answers CORS preflight requests", async () => {
+    const response = await request(env, "OPTIONS", "/api/vendors");
+    assert.equal(response.status, 204);
+    assert.match(response.headers.get("access-control-allow-methods"), /PATCH/);
+  });
+
+  it("serves the dashboard shell at / and /vendor", async () => {
+    for (const path of ["/", "/vendor"]) {
+      const response = await request(env, "GET", path);
+      assert.equal(response.status, 200);
+      assert.match(response.headers.get("content-type"), /text\/html/);
+      assert.match(response.text, /Third-Party Risk Intelligence/);
+      assert.match(response.text, /data-ingest="domains"/);
+    }
+  });
+
+  it("returns 404 for unknown routes", async () => {
+    const response = await request(env, "GET", "/api/nope");
+    assert.equal(response.status, 404);
+    assert.equal(response.body.error, "not_found");
+  });
+
+  it("reports identity, health and debug configuration", async () => {
+    const me = await request(env, "GET", "/api/auth/me");
+    assert.deepEqual(me.body, { accessRequired: false, authenticated: false, role: "admin", identity: null });
+
+    const health = await request(env, "GET", "/api/health");
+    assert.equal(health.body.ok, true);
+    assert.equal(health.body.vendorCount, 2);
+    assert.deepEqual(health.body.portfolios, [DEFAULT_PORTFOLIO]);
+
+    const db = await request(env, "GET", "/api/debug/db");
+    assert.deepEqual(db.body.missingCurrentTables, []);
+
+    const config = await request(env, "GET", "/api/debug/config");
+    assert.equal(config.body.upguardTransport, "custom");
+    assert.equal(config.body.configuredVendorCount, 2);
+
+    const misconfigured = await request({ ...env, UPGUARD_TRANSPORT: "carrier-pigeon" }, "GET", "/api/debug/config");
+    assert.equal(misconfigured.status, 200);
+    assert.equal(misconfigured.body.upguardTransport, "carrier-pigeon");
+    assert.match(misconfigured.body.upguardTransportError, /^UPGUARD_TRANSPORT must be one of live, record, replay/);
+
+    const secret = await request(env, "GET", "/api/debug/secret");
+    assert.deepEqual(secret.body, { hasUpGuardApiKey: false, apiKeyLength: 0 });
+  });
+
+  it("proxies the UpGuard debug endpoints", async () => {
+    for (const path of ["/api/debug/upguard-domain?hostname=adobe.com", "/api/debug/upguard?hostname=adobe.com"]) {
+      const response = await request(env, "GET", path);
+      assert.equal(response.status, 200);
+      assert.equal(response.body.hostname, "adobe.com");
+      assert.equal(response.body.automated_score, 720);
+    }
+    const profile = await request(env, "GET", "/api/debug/upguard-risk-profile");
+    assert.equal(profile.status, 200);
+    const risks = await request(env, "GET", "/api/debug/upguard-vendor-risks?hostname=adobe.com");
+    assert.equal(risks.body.requestedVendorPrimaryHostname, "adobe.com");
+    const diff = await request(env, "GET", "/api/debug/upguard-risk-diff?hostname=adobe.com");
+    assert.equal(diff.body.requestedVendorPrimaryHostname, "adobe.com");
+    assert.equal(diff.body.upstreamParams.include_sources, true);
+  });
+
+  it("stores and lists UpGuard fixtures", async () => {
+    const saved = await request(env, "POST", "/api/debug/upguard-fixtures", {
+      body: { endpoint: "/risks/vendors", params: { vendor_primary_hostname: "adobe.com" }, body: { risks: [] } },
+    });
+    assert.equal(saved.body.savedCount, 1);
+    const listed = await request(env, "GET", "/api/debug/upguard-fixtures?include_body=1");
+    assert.deepEqual(listed.body.fixtures.map((fixture) => [fixture.endpoint, fixture.request_key, fixture.body]), [
+      ["/risks/vendors", "vendor_primary_hostname=adobe.com", { risks: [] }],
+    ]);
+    const invalid = await request(env, "POST", "/api/debug/upguard-fixtures", { body: { endpoint: "risks" } });
+    assert.equal(invalid.status, 400);
+  });
+
+  describe("ingestion", () => {
+    it("ingests domain details with POST /api/ingest and /api/ingest/chunk", async () => {
+      for (const path of ["/api/ingest", "/api/ingest/chunk"]) {
+        const response = await request(env, "POST", path);
+        assert.equal(response.status, 200);
+        assert.equal(response.body.successCount, 2);
+        assert.equal(response.body.status, "completed");
+      }
+      assert.deepEqual(env.DB.rows("SELECT hostname, automated_score FROM vendor_domains ORDER BY hostname"), [
+        { hostname: "adobe.com", automated_score: 720 },
+        { hostname: "apple.com", automated_score: 720 },
+      ]);
+    });
+
+    it("ingests active risks and the risk diff", async () => {
+      const risks = await request(env, "POST", "/api/ingest/vendor-risks");
+      assert.equal(risks.status, 200);
+      assert.equal(risks.body.successCount, 2);
+      assert.equal(risks.body.hasMore, false);
+
+      const diff = await request(env, "POST", "/api/ingest/risk-diff?days=7");
+      assert.equal(diff.status, 200);
+      assert.equal(diff.body.days, 7);
+      assert.equal(env.DB.rows("SELECT COUNT(*) AS count FROM vendor_risk_events")[0].count, 4);
+
+      const rerun = await request(env, "POST", "/api/ingest/risk-diff?days=7");
+      assert.equal(rerun.status, 200);
+      assert.equal(env.DB.rows("SELECT COUNT(*) AS count FROM vendor_risk_events")[0].count, 4);
+
+      // The next day's window overlaps this one; events without their own dates must not be stored again.
+      const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+      const nextDay = await request(env, "POST", `/api/ingest/risk-diff?days=7&end_date=${tomorrow}`);
+      assert.equal(nextDay.status, 200);
+      assert.equal(env.DB.rows("SELECT COUNT(*) AS count FROM vendor_risk_events")[0].count, 4);
+    });
+
+    it("ingests the portfolio risk profile", async () => {
+      const response = await request(env, "POST", "/api/ingest/portfolio-risk-profile");
+      assert.equal(response.status, 200);
+      assert.equal(response.body.riskCount, 1);
+      assert.equal(response.body.portfolios[0].totalVendors, 2);
+    });
+
+    it("syncs portfolio membership, with a dry run that writes nothing", async () => {
+      const dryRun = await request(env, "POST", "/api/ingest/portfolio-vendors?dry_run=1");
+      assert.equal(dryRun.status, 200);
+      assert.equal(dryRun.body.dryRun, true);
+      assert.equal(env.DB.rows("SELECT COUNT(*) AS count FROM portfolio_membership_events")[0].count, 0);
+
+      const sync = await request(env, "POST", "/api/ingest/portfolio-vendors");
+      assert.equal(sync.body.addedCount, 1);
+      assert.deepEqual(
+        env.DB.rows("SELECT vendor_primary_hostname, event_type FROM portfolio_membership_events ORDER BY id"),
+        [{ vendor_primary_hostname: "newco.com", event_type: "vendor_added" }, { vendor_primary_hostname: "apple.com", event_type: "vendor_removed" }]
+      );
+      // Restore the two-vendor inventory for the remaining route checks.
+      env.DB.exec("UPDATE portfolio_vendors SET active = CASE WHEN vendor_primary_hostname IN ('adobe.com', 'apple.com') THEN 1 ELSE 0 END");
+    });
+
+    it("runs the ingestion pipeline and reports it in /api/ingest/status", async () => {
+      const run = await request(env, "POST", "/api/ingest/pipeline");
+      assert.equal(run.status, 200);
+      assert.equal(run.body.skipped, false);
+      assert.equal(run.body.job.status, "completed");
+      assert.deepEqual(run.body.steps.map((step) => step.phase), ["domains", "vendorRisks", "riskDiff", "portfolioRiskProfile"]);
+
+      const again = await request(env, "POST", "/api/ingest/pipeline");
+      assert.equal(again.body.skipped, true);
+      assert.equal(again.body.reason, "not_due");
+
+      const status = await request(env, "GET", "/api/ingest/status");
+      assert.equal(status.status, 200);
+      assert.equal(status.body.vendorCount, 2);
+      assert.equal(status.body.hasCachedData, true);
+      assert.equal(status.body.pipeline.job.progress, 100);
+    });
+  });
+
+  describe("reads", () => {
+    it("lists portfolios and vendors", async () => {
+      const portfolios = await request(env, "GET", "/api/portfolios");
+      assert.equal(portfolios.body.defaultPortfolio, DEFAULT_PORTFOLIO);
+      assert.equal(portfolios.body.portfolios[0].activeVendorCount, 2);
+
+      const vendors = await request(env, "GET", "/api/vendors");
+      assert.deepEqual(vendors.body.vendors.map((vendor) => vendor.hostname).sort(), ["adobe.com", "apple.com"]);
+
+      const unknown = await request(env, "GET", "/api/vendors?portfolio=Elsewhere");
+      assert.equal(unknown.status, 400);
+      assert.equal(unknown.body.error, "unknown_portfolio");
+    });
+
+    it("returns vendor detail and vendor risks", async () => {
+      const detail = await request(env, "GET", "/api/vendor/adobe.com");
+      assert.equal(detail.status, 200);
+      assert.equal(detail.body.vendor.hostname, "adobe.com");
+      assert.deepEqual(detail.body.portfolios, [DEFAULT_PORTFOLIO]);
+      assert.equal(detail.body.checkResults.length, 2);
+      assert.equal(detail.body.waivedCheckResults.length, 1);
+      assert.equal(detail.body.activeRisks.length, 1);
+
+      const missing = await request(env, "GET", "/api/vendor/unknown.example");
+      assert.equal(missing.body.error, "vendor_not_found");
+
+      const risks = await request(env, "GET", "/api/vendor/adobe.com/risks");
+      assert.equal(risks.body.risks[0].title, "SPF record missing");
+    });
+
+    it("serves the dashboard aggregates", async () => {
+      const overview = await request(env, "GET", "/api/dashboard/overview");
+      assert.equal(overview.body.totalVendors, 2);
+      assert.equal(overview.body.averageScore, 720);
+
+      const commonRisks = await request(env, "GET", "/api/dashboard/common-risks");
+      assert.equal(commonRisks.status, 200);
+      assert.ok(commonRisks.body.risks.length > 0);
+
+      const severities = await request(env, "GET", "/api/dashboard/severity-breakdown");
+      assert.ok(severities.body.severities.length > 0);
+
+      const categories = await request(env, "GET", "/api/dashboard/categories");
+      assert.ok(categories.body.categories.some((category) => category.category === "Email security"));
+
+      const changes = await request(env, "GET", "/api/dashboard/changes");
+      assert.ok(changes.body.changes.some((change) => change.event_type === "introduced"));
+
+      const campaigns = await request(env, "GET", "/api/dashboard/remediation-campaigns");
+      assert.equal(campaigns.body.campaigns[0].campaign, "DMARC/SPF/DKIM/email authentication");
+
+      const profile = await request(env, "GET", "/api/portfolio/risk-profile/latest");
+      assert.equal(profile.body.snapshot.total_vendors, 2);
+      assert.equal(profile.body.risks.length, 1);
+    });
+
+    it("exports the dashboard tables as CSV and XLSX", async () => {
+      const vendors = await request(env, "GET", "/api/vendors?format=csv");
+      assert.equal(vendors.status, 200);
+      assert.equal(vendors.headers.get("content-type"), "text/csv; charset=utf-8");
+      assert.match(vendors.headers.get("content-disposition"), /^attachment; filename="tpr-vendors-.+\.csv"$/);
+      const lines = vendors.text.replace(/^\uFEFF/, "").trim().split("\r\n");
+      assert.equal(lines[0], "vendor_primary_hostname,hostname,score,scanned_at,total_checks,failed_checks,waived_checks,tier,tier_weighted_exposure");
+      assert.equal(lines.length, 3);
+
+      const changes = await request(env, "GET", "/api/dashboard/changes?format=csv");
+      assert.match(changes.text, /introduced,SPF record missing,.*,(adobe|apple)\.com,/);
+
+      const detail = await request(env, "GET", "/api/vendor/adobe.com?format=csv");
+      assert.match(detail.text, /^check_result,adobe\.com,adobe\.com,SPF record missing,/m);
+      assert.match(detail.text, /^active_risk,adobe\.com,,SPF record missing,spf,Email security,email,,3,medium,active,adobe\.com,/m);
+
+      const campaigns = await request(env, "GET", "/api/dashboard/remediation-campaigns?format=xlsx");
+      assert.equal(campaigns.headers.get("content-type"), "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+      assert.ok(campaigns.text.startsWith("PK\u0003\u0004"));
+      for (const part of ["[Content_Types].xml", "xl/workbook.xml", "xl/worksheets/sheet1.xml"]) assert.ok(campaigns.text.includes(part), part);
+      assert.match(campaigns.text, /<c r="A2" t="inlineStr"><is><t xml:space="preserve">DMARC\/SPF\/DKIM\/email authentication<\/t><\/is><\/c>/);
+
+      assert.equal((await request(env, "GET", "/api/dashboard/common-risks?format=json")).body.source, "upguard_portfolio_risk_profile");
+      assert.equal((await request(env, "GET", "/api/dashboard/common-risks?format=pdf")).status, 400);
+    });
+
+    it("serves every trend series", async () => {
+      const paths = ["score", "severity", "categories", "vendor-movers", "risk-events", "risk-aging", "ingestion-health"];
+      for (const path of paths) {
+        const response = await request(env, "GET", `/api/trends/${path}?days=30`);
+        assert.equal(response.status, 200, path);
+      }
+      const score = await request(env, "GET", "/api/trends/score");
+      assert.equal(score.body[0].average_score, 720);
+      const aging = await request(env, "GET", "/api/trends/risk-aging");
+      assert.equal(aging.body.buckets[0].total, 2);
+      const health = await request(env, "GET", "/api/trends/ingestion-health");
+      assert.ok(health.body.requestCount > 0);
+      assert.equal(health.body.retryRate, 0);
+    });
+  });
+
+  describe("portfolio vendor inventory", () => {
+    it("creates, reads, updates and deletes inventory entries", async () => {
+      const created = await request(env, "POST", "/api/portfolio/vendors", { body: { vendor_primary_hostname: "Example.com", display_name: "Example" } });
+      assert.equal(created.status, 201);
+      assert.equal(created.body.vendor.vendor_primary_hostname, "example.com");
+
+      const duplicate = await request(env, "POST", "/api/portfolio/vendors", { body: { vendor_primary_hostname: "example.com" } });
+      assert.equal(duplicate.status, 409);
+
+      const fetched = await request(env, "GET", "/api/portfolio/vendors/example.com");
+      assert.equal(fetched.body.vendor.display_name, "Example");
+
+      const updated = await request(env, "PATCH", "/api/portfolio/vendors/example.com", { body: { active: false, business_owner: "IT" } });
+      assert.equal(updated.body.vendor.active, false);
+      assert.equal(updated.body.vendor.business_owner, "IT");
+
+      const listed = await request(env, "GET", "/api/portfolio/vendors?active=0");
+      assert.ok(listed.body.vendors.some((vendor) => vendor.vendor_primary_hostname === "example.com"));
+
+      const deleted = await request(env, "DELETE", "/api/portfolio/vendors/example.com");
+      assert.equal(deleted.body.deleted, true);
+      const gone = await request(env, "GET", "/api/portfolio/vendors/example.com");
+      assert.equal(gone.status, 404);
+    });
+
+    it("rejects invalid bodies", async () => {
+      const invalidJson = await request(env, "POST", "/api/portfolio/vendors", { body: "{" });
+      assert.equal(invalidJson.status, 400);
+      assert.equal(invalidJson.body.error, "invalid_json");
+
+      const missingHostname = await request(env, "POST", "/api/portfolio/vendors", { body: {} });
+      assert.equal(missingHostname.status, 400);
+
+      const emptyPatch = await request(env, "PATCH", "/api/portfolio/vendors/adobe.com", { body: {} });
+      assert.equal(emptyPatch.status, 400);
+    });
+  });
+});
+
+describe("partial ingestion failures", () => {
+  it("returns 207 when some vendors fail and logs the failures", async () => {
+    const env = await createEnv({ upguard: upguardStub({ failingHostnames: ["apple.com"] }) });
+    for (const path of ["/api/ingest", "/api/ingest/chunk", "/api/ingest/vendor-risks", "/api/ingest/risk-diff"]) {
+      const response = await request(env, "POST", path);
+      assert.equal(response.status, 207, path);
+      assert.equal(response.body.successCount, 1, path);
+      assert.equal(response.body.failureCount, 1, path);
+      assert.equal(response.body.failures[0].statusCode, 422, path);
+    }
+    assert.equal(env.DB.rows("SELECT COUNT(*) AS count FROM ingestion_errors WHERE hostname = 'apple.com'")[0].count, 4);
+    const run = env.DB.rows("SELECT status FROM ingestion_runs ORDER BY id DESC LIMIT 1")[0];
+    assert.equal(run.status, "completed_with_errors");
+  });
+
+  it("keeps vendors ingested when the UpGuard request log cannot be written", async () => {
+    const base = await createEnv({ upguard: upguardStub() });
+    const env = {
+      ...base,
+      DB: Object.assign(Object.create(base.DB), {
+        prepare(sql) {
+          if (/INSERT INTO upguard_requests/.test(sql)) throw new Error("D1 write failed");
+          return base.DB.prepare(sql);
+        },
+      }),
+    };
+    const response = await request(env, "POST", "/api/ingest");
+    assert.deepEqual([response.status, response.body.successCount, response.body.failureCount], [200, 2, 0]);
+    assert.equal(base.DB.rows("SELECT COUNT(*) AS count FROM upguard_requests")[0].count, 0);
+  });
+
+  it("scopes ingestion health errors by vendor, keeping unattributed errors in the unscoped view", async () => {
+    const env = await createEnv({ upguard: upguardStub() });
+    env.DB.exec(`INSERT INTO ingestion_errors (hostname, vendor_primary_hostname, error_message, status_code) VALUES
+      ('www.adobe.com', 'adobe.com', 'Domain lookup failed', 422),
+      (NULL, NULL, 'Scheduled ingestion pipeline failed: D1 write failed', NULL)`);
+    const unscoped = await request(env, "GET", "/api/trends/ingestion-health");
+    assert.deepEqual(unscoped.body.topFailingHostnames.map((row) => row.hostname).sort(), ["unknown", "www.adobe.com"]);
+    assert.deepEqual(unscoped.body.errorsByStatusCode.map((row) => row.status_code).sort(), ["422", "unknown"]);
+
+    const scoped = await request(env, "GET", `/api/trends/ingestion-health?portfolio=${encodeURIComponent(DEFAULT_PORTFOLIO)}`);
+    assert.deepEqual(scoped.body.topFailingHostnames.map((row) => row.hostname), ["www.adobe.com"]);
+  });
+
+  it("reports portfolio membership sync failures per portfolio", async () => {
+    const stub = upguardStub();
+    const env = await createEnv({
+      UPGUARD_PORTFOLIOS: "Empty portfolio",
+      upguard: { ...stub, "/vendors": (params) => params.portfolios === DEFAULT_PORTFOLIO ? stub["/vendors"]() : { vendors: [] } },
+    });
+    const response = await request(env, "POST", "/api/ingest/portfolio-vendors");
+    assert.equal(response.status, 207);
+    assert.deepEqual([response.body.successCount, response.body.failureCount, response.body.addedCount], [1, 1, 1]);
+    assert.equal(response.body.failures[0].portfolioName, "Empty portfolio");
+    assert.match(env.DB.rows("SELECT error_message FROM ingestion_errors")[0].error_message, /^Portfolio Empty portfolio: /);
+  });
+});
+
+describe("ingestion pipeline recovery", () => {
+  // Wraps the D1 stand-in so statements matching `pattern` throw while `shouldThrow()` is true.
+  function failingDb(db, pattern, shouldThrow) {
+    return Object.assign(Object.create(db), {
+      prepare(sql) {
+        if (pattern.test(sql) && shouldThrow()) throw new Error("D1 write failed");
+        return db.prepare(sql);
+      },
+    });
+  }
+
+  it("counts failed steps and marks a job failed after repeated attempts", async () => {
+    const base = await createEnv({ upguard: upguardStub() });
+    const env = { ...base, DB: failingDb(base.DB, /INSERT INTO ingestion_runs/, () => true) };
+    for (const attempt of [1, 2, 3]) {
+      const run = await request(env, "POST", "/api/ingest/pipeline");
+      assert.equal(run.status, 200);
+      assert.equal(run.body.job.attempt_count, attempt);
+      assert.match(run.body.job.last_error, /^Pipeline domains step at cursor 0 failed: D1 write failed/);
+      assert.equal(run.body.job.status, attempt < 3 ? "running" : "failed");
+    }
+    const status = await request(env, "GET", "/api/ingest/status");
+    assert.equal(status.body.pipeline.job.status, "failed");
+    assert.equal(status.body.recentErrors.length, 3);
+
+    const fresh = await request(base, "POST", "/api/ingest/pipeline?force=1");
+    assert.equal(fresh.body.job.status, "completed");
+    assert.notEqual(fresh.body.job.id, status.body.pipeline.job.id);
+  });
+
+  it("keeps the vendor list a job started with when the inventory changes mid-job", async () => {
+    const base = await createEnv({ upguard: upguardStub(), PIPELINE_CHUNK_SIZE: "1" });
+    let runs = 0;
+    const env = { ...base, DB: failingDb(base.DB, /INSERT INTO ingestion_runs/, () => ++runs === 2) };
+    const first = await request(env, "POST", "/api/ingest/pipeline");
+    assert.deepEqual([first.body.job.phase, first.body.job.cursor, first.body.job.attempt_count], ["domains", 1, 1]);
+
+    base.DB.exec("UPDATE portfolio_vendors SET active = 0 WHERE vendor_primary_hostname = 'adobe.com'");
+    const resumed = await request(env, "POST", "/api/ingest/pipeline");
+    assert.equal(resumed.body.job.status, "completed");
+    assert.equal(resumed.body.job.attempt_count, 0);
+    assert.equal(resumed.body.job.phases.domains.vendorsProcessed, 2);
+    assert.deepEqual(base.DB.rows("SELECT hostname FROM vendor_domains ORDER BY hostname").map((row) => row.hostname), ["adobe.com", "apple.com"]);
+  });
+});
+
+describe("vendor domain discovery", () => {
+  it("ingests every listed domain and marks domains that disappear as inactive", async () => {
+    let adobeDomains = [{ hostname: "adobe.com", active: true }, { hostname: "www.adobe.com", active: true }, { hostname: "old.adobe.com" }, { hostname: "parked.adobe.com", active: false }];
+    const env = await createEnv({
+      upguard: {
+        ...upguardStub(),
+        "/vendor/domains": ({ vendor_primary_hostname: hostname }) => hostname === "adobe.com" ? { domains: adobeDomains } : { status: 403, body: { error: "forbidden" } },
+      },
+    });
+
+    const first = await request(env, "POST", "/api/ingest");
+    assert.equal(first.status, 200);
+    assert.deepEqual(first.body.domains, { discovered: 4, ingested: 4, failed: 0, deferred: 0, deactivated: [] });
+    assert.deepEqual(env.DB.rows("SELECT hostname FROM vendor_domains WHERE active = 1 ORDER BY hostname").map((row) => row.hostname), ["adobe.com", "apple.com", "old.adobe.com", "www.adobe.com"]);
+
+    const oldFinding = env.DB.rows("SELECT finding_key FROM risk_findings_history WHERE hostname = 'old.adobe.com' LIMIT 1")[0].finding_key;
+    const ticket = await request(env, "POST", "/api/remediation", { body: { title: "Old domain", finding_keys: [oldFinding] } });
+    adobeDomains = adobeDomains.filter((domain) => domain.hostname !== "old.adobe.com");
+    const second = await request(env, "POST", "/api/ingest");
+    assert.deepEqual(second.body.domains.deactivated, [{ vendorPrimaryHostname: "adobe.com", hostname: "old.adobe.com" }]);
+    assert.equal(env.DB.rows("SELECT COUNT(*) AS count FROM domain_check_results WHERE hostname = 'old.adobe.com'")[0].count, 0);
+    // Nothing on the removed domain was fixed, so its findings close as domain_removed rather than resolved.
+    assert.deepEqual(env.DB.rows("SELECT DISTINCT status, resolved_at FROM risk_findings_history WHERE hostname = 'old.adobe.com'"), [{ status: "domain_removed", resolved_at: null }]);
+    assert.deepEqual(env.DB.rows("SELECT DISTINCT t.transition FROM risk_finding_transitions t JOIN risk_findings_history f ON f.finding_key = t.finding_key WHERE f.hostname = 'old.adobe.com' AND t.transition <> 'opened'"), [{ transition: "domain_removed" }]);
+    const removed = await request(env, "GET", "/api/findings?status=domain_removed");
+    assert.ok(removed.body.findings.length > 0);
+    assert.ok(removed.body.findings.every((finding) => finding.hostname === "old.adobe.com"));
+    const unverified = (await request(env, "GET", `/api/remediation/${ticket.body.ticket.id}`)).body.ticket;
+    assert.deepEqual([unverified.status, unverified.links[0].status], ["open", "domain_removed"]);
+
+    const vendors = await request(env, "GET", "/api/vendors");
+    assert.equal(vendors.body.vendors.some((vendor) => vendor.hostname === "old.adobe.com"), false);
+    assert.equal((await request(env, "GET", "/api/dashboard/overview")).body.totalDomains, 3);
+
+    const detail = await request(env, "GET", "/api/vendor/adobe.com");
+    assert.deepEqual(detail.body.domains.map((domain) => [domain.hostname, domain.active, domain.totalChecks]), [
+      ["adobe.com", true, 2],
+      ["www.adobe.com", true, 2],
+      ["old.adobe.com", false, 0],
+    ]);
+
+    // A domain that comes back is reactivated on its next ingest.
+    adobeDomains.push({ hostname: "old.adobe.com" });
+    await request(env, "POST", "/api/ingest");
+    assert.equal(env.DB.rows("SELECT active, inactive_at FROM vendor_domains WHERE hostname = 'old.adobe.com'")[0].active, 1);
+    assert.deepEqual(env.DB.rows("SELECT DISTINCT status, reopen_count FROM risk_findings_history WHERE hostname = 'old.adobe.com'"), [{ status: "open", reopen_count: 0 }]);
+    assert.ok(env.DB.rows("SELECT transition FROM risk_finding_transitions WHERE transition = 'domain_restored'").length > 0);
+  });
+
+  it("defers domains beyond VENDOR_DOMAIN_LIMIT to later runs, least recently ingested first", async () => {
+    const env = await createEnv({
+      vendors: ["adobe.com"],
+      VENDOR_DOMAIN_LIMIT: "2",
+      upguard: { ...upguardStub(), "/vendor/domains": () => ({ domains: ["a.adobe.com", "adobe.com", "b.adobe.com"] }) },
+    });
+    const first = await request(env, "POST", "/api/ingest");
+    assert.equal(first.body.domains.ingested, 2);
+    assert.equal(first.body.domains.deferred, 1);
+    const ingested = () => env.upguardCalls.filter((call) => call.endpoint === "/vendor/domain").map((call) => call.params.hostname);
+    assert.deepEqual(ingested(), ["adobe.com", "a.adobe.com"]);
+
+    await request(env, "POST", "/api/ingest");
+    assert.deepEqual(ingested().slice(2), ["adobe.com", "b.adobe.com"]);
+  });
+});
+
+describe("vendor roll-up scoring", () => {
+  it("rolls domain scores up per vendor and lets the overview pick the aggregation", async () => {
+    const stub = upguardStub();
+    const scores = { "adobe.com": 800, "www.adobe.com": 500, "apple.com": 700 };
+    const env = await createEnv({
+      upguard: {
+        ...stub,
+        "/vendor/domains": ({ vendor_primary_hostname: hostname }) => ({ domains: hostname === "adobe.com" ? ["adobe.com", "www.adobe.com"] : [hostname] }),
+        "/vendor/domain": (params) => ({ ...stub["/vendor/domain"](params), automated_score: scores[params.hostname] }),
+        "/vendors": () => ({ vendors: [{ name: "Adobe", primary_hostname: "adobe.com", score: 750 }, { name: "Apple", primary_hostname: "apple.com", score: 690 }] }),
+      },
+    });
+    await request(env, "POST", "/api/ingest");
+    await request(env, "POST", "/api/ingest/vendor-risks");
+    await request(env, "POST", "/api/ingest/portfolio-vendors");
+
+    const summary = await request(env, "GET", "/api/vendors/summary?aggregation=worst_domain");
+    assert.equal(summary.status, 200);
+    assert.deepEqual(summary.body.vendors.map((vendor) => [vendor.vendorPrimaryHostname, vendor.score]), [["adobe.com", 500], ["apple.com", 700]]);
+    const adobe = summary.body.vendors[0];
+    assert.deepEqual(adobe.scores, { weighted_mean: 650, worst_domain: 500, upguard: 750 });
+    assert.equal(adobe.domainCount, 2);
+    assert.equal(adobe.failedChecks, 2);
+    assert.equal(adobe.highestOpenSeverityName, "medium");
+
+    const byUpGuard = await request(env, "GET", "/api/vendors/summary?aggregation=upguard");
+    assert.deepEqual(byUpGuard.body.vendors.map((vendor) => vendor.vendorPrimaryHostname), ["apple.com", "adobe.com"]);
+
+    const overview = await request(env, "GET", "/api/dashboard/overview");
+    assert.equal(overview.body.scoreAggregation, "weighted_mean");
+    assert.equal(overview.body.averageScore, 675);
+    assert.deepEqual(overview.body.averageScores, { domain: 666.67, weighted_mean: 675, worst_domain: 600, upguard: 720 });
+    assert.equal((await request(env, "GET", "/api/dashboard/overview?aggregation=domain")).body.averageScore, 666.67);
+
+    const invalid = await request(env, "GET", "/api/vendors/summary?aggregation=domain");
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.error, "invalid_request");
+  });
+});
+
+describe("spreadsheet exports", () => {
+  it("pages the vendor domain export out of D1 in the requested order", async () => {
+    const env = await createEnv({ upguard: upguardStub() });
+    const domains = Array.from({ length: 250 }, (_, index) => `('adobe.com', 'd${index}.adobe.com', ${700 + (index % 50)})`);
+    env.DB.exec(`INSERT INTO vendor_domains (vendor_primary_hostname, hostname, automated_score) VALUES ${domains.join(", ")}, ('apple.com', 'apple.com', 800)`);
+    env.DB.exec(`INSERT INTO domain_check_results (vendor_primary_hostname, hostname, check_id, severity, passed) VALUES
+      ('adobe.com', 'd7.adobe.com', 'rce', 5, 0), ('apple.com', 'apple.com', 'spf', 3, 0)`);
+    await request(env, "PATCH", "/api/vendor/apple.com/criticality", { body: { tier: "critical" } });
+
+    for (const query of ["", "&sort=exposure"]) {
+      const listed = (await request(env, "GET", `/api/vendors?${query}`)).body.vendors;
+      const exported = await request(env, "GET", `/api/vendors?format=csv${query}`);
+      const rows = exported.text.replace(/^\uFEFF/, "").trim().split("\r\n").slice(1).map((line) => line.split(","));
+      assert.equal(rows.length, 251);
+      assert.deepEqual(rows.map((row) => row[1]), listed.map((vendor) => vendor.hostname));
+    }
+    const exposure = (await request(env, "GET", "/api/vendors?format=csv&sort=exposure")).text.split("\r\n").slice(1, 3);
+    assert.deepEqual(exposure.map((line) => line.split(",").slice(7).join(",")), ["critical,12", "moderate,10"]);
+  });
+});
+
+describe("vendor criticality", () => {
+  it("rates vendors by tier and weights vendors, common risks and campaigns by exposure", async () => {
+    const env = await createEnv({ upguard: upguardStub() });
+    await request(env, "POST", "/api/ingest");
+    await request(env, "POST", "/api/ingest/vendor-risks");
+    await request(env, "POST", "/api/ingest/portfolio-risk-profile");
+
+    assert.equal((await request(env, "PATCH", "/api/vendor/apple.com/criticality", { body: { data_sensitivity: "restricted" } })).status, 400);
+    assert.equal((await request(env, "PATCH", "/api/vendor/apple.com/criticality", { body: { tier: "essential" } })).status, 400);
+    assert.equal((await request(env, "PATCH", "/api/vendor/unknown.example/criticality", { body: { tier: "low" } })).status, 404);
+    const rated = await request(env, "PATCH", "/api/vendor/apple.com/criticality", {
+      body: { tier: "critical", data_sensitivity: "restricted", service_dependency: "critical", rationale: "Payroll processing" },
+    });
+    assert.equal(rated.status, 200);
+    assert.deepEqual([rated.body.criticality.tier, rated.body.criticality.tierWeight, rated.body.criticality.inherentRisk], ["critical", 4, 100]);
+
+    const criticality = await request(env, "GET", "/api/vendors/criticality");
+    assert.equal(criticality.body.tierCounts.critical, 1);
+    assert.equal(criticality.body.unratedCount, 1);
+
+    const domains = await request(env, "GET", "/api/vendors?sort=exposure");
+    assert.deepEqual(domains.body.vendors.map((vendor) => [vendor.hostname, vendor.tier, vendor.tier_weighted_exposure]), [["apple.com", "critical", 12], ["adobe.com", "moderate", 6]]);
+    assert.equal((await request(env, "GET", "/api/vendors")).body.vendors[0].hostname, "adobe.com");
+
+    const summary = await request(env, "GET", "/api/vendors/summary?sort=exposure");
+    assert.deepEqual(summary.body.vendors.map((vendor) => [vendor.vendorPrimaryHostname, vendor.inherentRisk, vendor.residualRisk, vendor.tierWeightedExposure]), [
+      ["apple.com", 100, 39.37, 24],
+      ["adobe.com", 50, 19.68, 12],
+    ]);
+
+    const risks = await request(env, "GET", "/api/dashboard/common-risks?sort=exposure");
+    assert.deepEqual([risks.body.risks[0].critical_vendor_count, risks.body.risks[0].tier_weighted_exposure], [1, 18]);
+    const campaigns = await request(env, "GET", "/api/dashboard/remediation-campaigns?sort=exposure");
+    assert.deepEqual([campaigns.body.campaigns[0].riskCount, campaigns.body.campaigns[0].tierWeightedExposure], [1, 18]);
+
+    const appleFinding = (await request(env, "GET", "/api/findings")).body.findings.find((finding) => finding.vendor_primary_hostname === "apple.com");
+    const nextYear = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    await request(env, "POST", "/api/risk-acceptances", { body: { finding_key: appleFinding.finding_key, approver: "ciso@example.gov", rationale: "Compensated", expires_at: nextYear } });
+    const acceptedRisks = await request(env, "GET", "/api/dashboard/common-risks?sort=exposure");
+    assert.deepEqual([acceptedRisks.body.risks[0].critical_vendor_count, acceptedRisks.body.risks[0].tier_weighted_exposure], [0, 6]);
+    assert.equal((await request(env, "GET", "/api/dashboard/common-risks?include_accepted=1")).body.risks[0].tier_weighted_exposure, 18);
+    assert.equal((await request(env, "GET", "/api/dashboard/remediation-campaigns")).body.campaigns[0].tierWeightedExposure, 6);
+    assert.equal((await request(env, "GET", "/api/dashboard/remediation-campaigns?include_accepted=1")).body.campaigns[0].tierWeightedExposure, 18);
+    assert.equal((await request(env, "GET", "/api/dashboard/remediation-campaigns?sort=tier")).status, 400);
+
+    const detail = await request(env, "GET", "/api/vendor/apple.com");
+    assert.equal(detail.body.criticality.rationale, "Payroll processing");
+    assert.deepEqual([detail.body.posture.tier, detail.body.posture.inherentRisk, detail.body.posture.residualRisk], ["critical", 100, 39.37]);
+
+    assert.equal((await request(env, "DELETE", "/api/vendor/apple.com/criticality")).body.deleted, true);
+    assert.equal((await request(env, "GET", "/api/vendors/criticality")).body.unratedCount, 2);
+  });
+});
+
+describe("composite scores", () => {
+  it("scores vendors after ingestion and explains each score by component and model version", async () => {
+    const env = await createEnv({ upguard: upguardStub() });
+    const ingest = await request(env, "POST", "/api/ingest");
+    assert.deepEqual([ingest.body.compositeScores.modelVersion, ingest.body.compositeScores.scoredCount], [1, 2]);
+
+    const models = await request(env, "GET", "/api/scoring/models");
+    assert.equal(models.body.activeVersion, 1);
+    assert.equal(models.body.models[0].weights.upguard_score, 40);
+
+    const explanation = await request(env, "GET", "/api/vendor/adobe.com/score-explanation");
+    assert.equal(explanation.status, 200);
+    assert.deepEqual([explanation.body.score, explanation.body.modelVersion, explanation.body.persisted], [88.32, 1, true]);
+    assert.deepEqual(explanation.body.components.map((component) => [component.component, component.score, component.effectiveWeight]), [
+      ["upguard_score", 75.79, 0.4],
+      ["open_critical_high", 100, 0.2],
+      ["finding_age", 100, 0.15],
+      ["sla_breaches", 100, 0.15],
+      ["vendor_tier", 80, 0.1],
+    ]);
+    assert.equal(explanation.body.components[0].detail, "720 of 950");
+
+    assert.equal((await request(env, "POST", "/api/scoring/models", { body: { name: "Bad", weights: { popularity: 1 } } })).status, 400);
+    assert.equal((await request(env, "POST", "/api/scoring/models", { body: { name: "Empty", weights: { upguard_score: 0 } } })).status, 400);
+    assert.equal((await request(env, "POST", "/api/scoring/models", { body: { name: "Bad", weights: { finding_age: 1 }, params: { max_finding_age_days: 0 } } })).status, 400);
+
+    env.DB.exec(`UPDATE risk_findings_history SET first_seen_at = '${new Date(Date.now() - 90 * 24 * 60 * 60 * 1000).toISOString()}'`);
+    const created = await request(env, "POST", "/api/scoring/models", { body: { name: "Age only", weights: { finding_age: 1 } } });
+    assert.equal(created.status, 201);
+    assert.deepEqual([created.body.model.version, created.body.model.active, created.body.recomputed.scoredCount], [2, true, 2]);
+    const aged = await request(env, "GET", "/api/vendor/adobe.com/score-explanation");
+    assert.deepEqual([aged.body.score, aged.body.modelVersion, aged.body.components[2].detail], [50, 2, "1 open findings, 90 days old on average"]);
+    assert.deepEqual(aged.body.history.map((row) => [row.score, row.model_version]), [[88.32, 1], [50, 2]]);
+
+    const reactivated = await request(env, "POST", "/api/scoring/models/1/activate");
+    assert.deepEqual([reactivated.body.model.active, reactivated.body.recomputed.modelVersion], [true, 1]);
+    assert.equal((await request(env, "GET", "/api/scoring/models")).body.models.filter((model) => model.active).length, 1);
+    const summary = await request(env, "GET", "/api/vendors/summary");
+    assert.deepEqual(summary.body.vendors.map((vendor) => vendor.compositeScore), [80.82, 80.82]);
+
+    assert.equal((await request(env, "POST", "/api/scoring/models/9/activate")).body.error, "score_model_not_found");
+    assert.equal((await request(env, "GET", "/api/vendor/unknown.example/score-explanation")).status, 404);
+  });
+
+  it("scores once per pipeline job and only records scores that changed", async () => {
+    const env = await createEnv({ upguard: upguardStub(), PIPELINE_CHUNK_SIZE: "1" });
+    const job = await request(env, "POST", "/api/ingest/pipeline");
+    assert.equal(job.body.job.status, "completed");
+    assert.deepEqual([job.body.finalized.compositeScores.scoredCount, job.body.finalized.compositeScores.changedCount], [2, 2]);
+    assert.deepEqual(env.DB.rows("SELECT DISTINCT trigger, computed_at FROM vendor_composite_scores").map((row) => row.trigger), ["api_pipeline"]);
+    const rerun = await request(env, "POST", "/api/ingest/pipeline?force=1");
+    assert.deepEqual([rerun.body.finalized.compositeScores.scoredCount, rerun.body.finalized.compositeScores.changedCount], [2, 0]);
+    assert.equal(env.DB.rows("SELECT COUNT(*) AS count FROM vendor_composite_scores")[0].count, 2);
+
+    env.DB.exec("INSERT INTO vendor_domains (vendor_primary_hostname, hostname, automated_score) VALUES ('adobe.com', 'www.adobe.com', 700)");
+    const explanation = await request(env, "GET", "/api/vendor/www.adobe.com/score-explanation");
+    assert.deepEqual([explanation.status, explanation.body.vendorPrimaryHostname], [200, "adobe.com"]);
+  });
+
+  it("records composite scoring failures without failing the ingestion run", async () => {
+    const env = await createEnv({ upguard: upguardStub() });
+    const db = env.DB;
+    env.DB = Object.assign(Object.create(db), {
+      prepare(sql) {
+        if (/INSERT INTO vendor_composite_scores/.test(sql)) throw new Error("vendor_composite_scores unavailable");
+        return db.prepare(sql);
+      },
+    });
+    const run = await request(env, "POST", "/api/ingest");
+    assert.equal(run.status, 200);
+    assert.equal(run.body.compositeScores.error, "Composite scoring failed: vendor_composite_scores unavailable");
+    env.DB = db;
+    const status = await request(env, "GET", "/api/ingest/status");
+    assert.ok(status.body.recentErrors.some((error) => error.error_message === "Composite scoring failed: vendor_composite_scores unavailable"));
+  });
+});
+
+describe("findings lifecycle", () => {
+  const spf = { id: "spf", title: "SPF record missing", category: "Email security", severity: 3, severityName: "medium", pass: false };
+  const dkim = { id: "dkim", title: "DKIM missing", category: "Email security", severity: 4, severityName: "high", pass: false };
+  const tls = { id: "tls", title: "Weak TLS", category: "Website security", severity: 2, severityName: "low", pass: false };
+
+  async function ingestScans(scans) {
+    let checks = [];
+    const stub = upguardStub();
+    const env = await createEnv({
+      vendors: ["adobe.com"],
+      upguard: { ...stub, "/vendor/domain": (params) => ({ ...stub["/vendor/domain"](params), check_results: checks }) },
+    });
+    for (const scan of scans) {
+      checks = scan;
+      await request(env, "POST", "/api/ingest");
+    }
+    return env;
+  }
+
+  it("filters, sorts and pages findings with a cursor", async () => {
+    const env = await ingestScans([[spf, dkim, tls]]);
+    const all = await request(env, "GET", "/api/findings?sort=severity&order=desc");
+    assert.equal(all.status, 200);
+    assert.equal(all.body.total, 3);
+    assert.deepEqual(all.body.findings.map((finding) => finding.check_id), ["dkim", "spf", "tls"]);
+
+    const seen = [];
+    let cursor = null;
+    do {
+      const page = await request(env, "GET", `/api/findings?sort=severity&order=desc&limit=2${cursor ? `&cursor=${cursor}` : ""}`);
+      seen.push(...page.body.findings.map((finding) => finding.check_id));
+      cursor = page.body.nextCursor;
+    } while (cursor);
+    assert.deepEqual(seen, ["dkim", "spf", "tls"]);
+
+    assert.deepEqual((await request(env, "GET", "/api/findings?severity=high,low")).body.findings.map((finding) => finding.check_id).sort(), ["dkim", "tls"]);
+    assert.equal((await request(env, "GET", "/api/findings?category=website%20security")).body.total, 1);
+    assert.equal((await request(env, "GET", "/api/findings?vendor=apple.com")).body.total, 0);
+    assert.equal((await request(env, "GET", "/api/findings?first_seen_after=2000-01-01&first_seen_before=2000-02-01")).body.total, 0);
+
+    const firstPage = await request(env, "GET", "/api/findings?limit=1");
+    assert.equal((await request(env, "GET", `/api/findings?sort=title&cursor=${firstPage.body.nextCursor}`)).body.error, "invalid_cursor");
+    assert.equal((await request(env, "GET", "/api/findings?cursor=garbage")).status, 400);
+    const withoutValue = Buffer.from(JSON.stringify({ sort: "last_seen_at", order: "desc", id: 1 })).toString("base64url");
+    const missingValue = await request(env, "GET", `/api/findings?cursor=${withoutValue}`);
+    assert.deepEqual([missingValue.status, missingValue.body.error], [400, "invalid_cursor"]);
+    assert.equal((await request(env, "GET", "/api/findings?sort=raw_json")).status, 400);
+    assert.equal((await request(env, "GET", "/api/findings?severity=urgent")).status, 400);
+  });
+
+  it("records reopened findings as their own transitions", async () => {
+    const env = await ingestScans([[spf, dkim], [dkim], [spf, dkim]]);
+    const reopened = await request(env, "GET", "/api/findings?status=reopened");
+    assert.deepEqual(reopened.body.findings.map((finding) => [finding.check_id, finding.status, finding.reopen_count, finding.reopened]), [["spf", "open", 1, true]]);
+    assert.equal((await request(env, "GET", "/api/findings?status=open")).body.total, 2);
+
+    const key = reopened.body.findings[0].finding_key;
+    const detail = await request(env, "GET", `/api/findings/${encodeURIComponent(key)}`);
+    assert.equal(detail.status, 200);
+    assert.deepEqual(detail.body.transitions.map((transition) => [transition.transition, transition.from_status, transition.to_status]), [
+      ["opened", null, "open"],
+      ["resolved", "open", "resolved"],
+      ["reopened", "resolved", "open"],
+    ]);
+    assert.equal(detail.body.finding.raw.title, "SPF record missing");
+    assert.equal(detail.body.finding.resolved_at, null);
+
+    const missing = await request(env, "GET", "/api/findings/unknown");
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error, "finding_not_found");
+  });
+});
+
+describe("remediation tickets", () => {
+  const spf = { id: "spf", title: "SPF record missing", category: "Email security", severity: 3, severityName: "medium", pass: false };
+  const dkim = { id: "dkim", title: "DKIM missing", category: "Email security", severity: 4, severityName: "high", pass: false };
+  const tls = { id: "tls", title: "Weak TLS", category: "Website security", severity: 2, severityName: "low", pass: false };
+
+  it("tracks tickets through the workflow and verifies them when ingestion sees the findings resolved", async () => {
+    let checks = [spf, dkim, tls];
+    const stub = upguardStub();
+    const env = await createEnv({
+      vendors: ["adobe.com"],
+      upguard: { ...stub, "/vendor/domain": (params) => ({ ...stub["/vendor/domain"](params), check_results: checks }) },
+    });
+    await request(env, "POST", "/api/ingest");
+    const spfKey = (await request(env, "GET", "/api/findings?severity=medium")).body.findings[0].finding_key;
+
+    const findingTicket = await request(env, "POST", "/api/remediation", { body: { title: "Publish SPF", finding_keys: [spfKey], assignee: "sam@example.gov", due_date: "2025-01-31" } });
+    assert.equal(findingTicket.status, 201);
+    assert.deepEqual([findingTicket.body.ticket.status, findingTicket.body.ticket.vendor_primary_hostname, findingTicket.body.ticket.due_date, findingTicket.body.ticket.overdue], ["open", "adobe.com", "2025-01-31", true]);
+    assert.deepEqual(findingTicket.body.ticket.links.map((link) => [link.type, link.status, link.title]), [["finding", "open", "SPF record missing"]]);
+
+    const campaignTicket = await request(env, "POST", "/api/remediation", { body: { title: "Email authentication", campaigns: ["DMARC/SPF/DKIM/email authentication"], vendor_primary_hostname: "adobe.com" } });
+    assert.equal(campaignTicket.status, 201);
+    assert.deepEqual(campaignTicket.body.ticket.links.map((link) => [link.status, link.openCount]), [["open", 2]]);
+
+    assert.equal((await request(env, "POST", "/api/remediation", { body: { title: "No links" } })).status, 400);
+    assert.equal((await request(env, "POST", "/api/remediation", { body: { title: "Bad link", finding_keys: ["missing"] } })).status, 400);
+
+    const id = findingTicket.body.ticket.id;
+    const skipped = await request(env, "PATCH", `/api/remediation/${id}`, { body: { status: "verified" } });
+    assert.equal(skipped.status, 409);
+    assert.equal(skipped.body.error, "invalid_transition");
+    const started = await request(env, "PATCH", `/api/remediation/${id}`, { body: { status: "in_progress", notes: "Vendor contacted" } });
+    assert.deepEqual([started.status, started.body.ticket.status, started.body.ticket.notes], [200, "in_progress", "Vendor contacted"]);
+
+    checks = [tls];
+    const ingest = await request(env, "POST", "/api/ingest");
+    assert.deepEqual(ingest.body.remediation.verifiedTicketIds.sort(), [id, campaignTicket.body.ticket.id].sort());
+
+    const verified = await request(env, "GET", `/api/remediation/${id}`);
+    assert.equal(verified.body.ticket.status, "verified");
+    assert.ok(verified.body.ticket.verified_at);
+    assert.deepEqual(verified.body.events.map((event) => [event.event_type, event.from_status, event.to_status]), [
+      ["created", null, "open"],
+      ["status_changed", "open", "in_progress"],
+      ["auto_verified", "in_progress", "verified"],
+    ]);
+    assert.equal((await request(env, "GET", "/api/remediation?status=verified")).body.ticketCount, 2);
+
+    const closed = await request(env, "PATCH", `/api/remediation/${id}`, { body: { status: "closed" } });
+    assert.ok(closed.body.ticket.closed_at);
+    assert.equal((await request(env, "DELETE", `/api/remediation/${id}`)).status, 200);
+    const missing = await request(env, "GET", `/api/remediation/${id}`);
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error, "ticket_not_found");
+  });
+});
+
+describe("remediation verification in the pipeline", () => {
+  const spf = { id: "spf", title: "SPF record missing", category: "Email security", severity: 3, severityName: "medium", pass: false };
+  const dkim = { id: "dkim", title: "DKIM missing", category: "Email security", severity: 4, severityName: "high", pass: false };
+
+  it("verifies once per job, scopes vendor-less campaign tickets to their portfolio and leaves empty campaigns open", async () => {
+    const checks = { "adobe.com": [spf], "apple.com": [dkim] };
+    const stub = upguardStub();
+    const env = await createEnv({
+      vendors: ["adobe.com"],
+      UPGUARD_PORTFOLIOS: "Second portfolio",
+      PIPELINE_CHUNK_SIZE: "1",
+      upguard: { ...stub, "/vendor/domain": (params) => ({ ...stub["/vendor/domain"](params), check_results: checks[params.hostname] }) },
+    });
+    env.DB.exec("INSERT INTO portfolio_vendors (portfolio, vendor_primary_hostname, active) VALUES ('Second portfolio', 'apple.com', 1)");
+    const first = await request(env, "POST", "/api/ingest/pipeline");
+    assert.equal(first.body.job.status, "completed");
+    assert.deepEqual(first.body.finalized.remediation.verifiedTicketIds, []);
+
+    const email = "DMARC/SPF/DKIM/email authentication";
+    const scoped = await request(env, "POST", "/api/remediation", { body: { title: "Email in the default portfolio", campaigns: [email] } });
+    const everywhere = await request(env, "POST", "/api/remediation", { body: { title: "Email everywhere", campaigns: [email], portfolio: "all" } });
+    const empty = await request(env, "POST", "/api/remediation", { body: { title: "Headers", campaigns: ["security headers"] } });
+    const unknown = await request(env, "POST", "/api/remediation", { body: { title: "Typo", campaigns: ["secuirty headers"] } });
+    assert.deepEqual([scoped.body.ticket.portfolio, everywhere.body.ticket.portfolio], [DEFAULT_PORTFOLIO, null]);
+    assert.deepEqual([scoped.body.ticket.links[0].openCount, everywhere.body.ticket.links[0].openCount], [1, 2]);
+    assert.deepEqual([empty.body.ticket.links[0].status, unknown.body.ticket.links[0].status], ["empty", "unknown"]);
+    const second = await request(env, "GET", "/api/remediation?portfolio=Second%20portfolio");
+    assert.deepEqual(second.body.tickets.map((ticket) => ticket.title), ["Email everywhere"]);
+
+    checks["adobe.com"] = [];
+    const rerun = await request(env, "POST", "/api/ingest/pipeline?force=1");
+    assert.equal(rerun.body.job.status, "completed");
+    assert.ok(rerun.body.steps.every((step) => step.remediation === undefined));
+    assert.deepEqual(rerun.body.finalized.remediation.verifiedTicketIds, [scoped.body.ticket.id]);
+    assert.equal((await request(env, "GET", `/api/remediation/${everywhere.body.ticket.id}`)).body.ticket.status, "open");
+    for (const ticket of [empty, unknown]) {
+      assert.equal((await request(env, "GET", `/api/remediation/${ticket.body.ticket.id}`)).body.ticket.status, "open");
+    }
+  });
+
+  it("finalizes the ingestion run before verification and keeps a verification failure out of it", async () => {
+    const base = await createEnv({ upguard: upguardStub() });
+    const env = {
+      ...base,
+      DB: Object.assign(Object.create(base.DB), {
+        prepare(sql) {
+          if (/FROM remediation_tickets WHERE status IN/.test(sql)) throw new Error("D1 read failed");
+          return base.DB.prepare(sql);
+        },
+      }),
+    };
+    const run = await request(env, "POST", "/api/ingest");
+    assert.equal(run.status, 200);
+    assert.deepEqual(run.body.remediation, { verifiedTicketIds: [], error: "Remediation verification failed: D1 read failed" });
+    assert.equal(base.DB.rows("SELECT status FROM ingestion_runs ORDER BY id DESC LIMIT 1")[0].status, "completed");
+    assert.equal(base.DB.rows("SELECT error_message FROM ingestion_errors")[0].error_message, "Remediation verification failed: D1 read failed");
+  });
+});
+
+describe("campaign definitions", () => {
+  it("classifies risks by stored rules and previews a rule change before it is saved", async () => {
+    const env = await createEnv({ upguard: upguardStub() });
+    await request(env, "POST", "/api/ingest");
+    await request(env, "POST", "/api/ingest/vendor-risks");
+    await request(env, "POST", "/api/ingest/portfolio-risk-profile");
+    assert.equal((await request(env, "GET", "/api/campaigns/definitions")).body.definitions.length, 6);
+
+    const proposal = { name: "Email hygiene", priority: 5, match_rules: { category: "email security" }, owner: "Messaging team", recommended_action: "{owner}: fix {title} ({unknown})" };
+    const preview = await request(env, "POST", "/api/campaigns/definitions/preview", { body: proposal });
+    assert.equal(preview.status, 200);
+    assert.deepEqual([preview.body.riskCount, preview.body.movedCount], [2, 2]);
+    assert.deepEqual(preview.body.campaigns.map((campaign) => [campaign.campaign, campaign.before, campaign.after]), [
+      ["DMARC/SPF/DKIM/email authentication", 2, 0],
+      ["Email hygiene", 0, 2],
+    ]);
+    assert.deepEqual([preview.body.moved[0].from, preview.body.moved[0].to], ["DMARC/SPF/DKIM/email authentication", "Email hygiene"]);
+    assert.equal((await request(env, "GET", "/api/dashboard/remediation-campaigns")).body.campaigns[0].campaign, "DMARC/SPF/DKIM/email authentication");
+
+    for (const body of [{ ...proposal, match_rules: { title: "(" } }, { ...proposal, match_rules: { title: "(a+)+$" } }, { ...proposal, match_rules: { title: "(a|ab)*$" } }, { ...proposal, match_rules: { title: "(?:(\\w+\\s?)*)" } }, { ...proposal, match_rules: { color: "red" } }, { ...proposal, match_rules: {} }, { ...proposal, name: "Other Remediation" }]) {
+      assert.equal((await request(env, "POST", "/api/campaigns/definitions", { body })).status, 400);
+    }
+    assert.equal((await request(env, "POST", "/api/campaigns/definitions", { body: { ...proposal, name: "tls/certificates" } })).body.error, "campaign_exists");
+
+    const created = await request(env, "POST", "/api/campaigns/definitions", { body: proposal });
+    assert.equal(created.status, 201);
+    const campaigns = await request(env, "GET", "/api/dashboard/remediation-campaigns");
+    assert.deepEqual([campaigns.body.campaigns[0].campaign, campaigns.body.campaigns[0].owner], ["Email hygiene", "Messaging team"]);
+    const risk = (await request(env, "GET", "/api/dashboard/common-risks")).body.risks[0];
+    assert.deepEqual([risk.campaign, risk.recommended_action], ["Email hygiene", "Messaging team: fix SPF record missing ({unknown})"]);
+
+    const id = created.body.definition.id;
+    const ticket = await request(env, "POST", "/api/remediation", { body: { title: "Email", campaigns: ["Email hygiene"] } });
+    assert.equal((await request(env, "PATCH", `/api/campaigns/definitions/${id}`, { body: { name: "Email posture" } })).body.definition.name, "Email posture");
+    assert.deepEqual((await request(env, "GET", `/api/remediation/${ticket.body.ticket.id}`)).body.ticket.links.map((link) => link.key), ["Email posture"]);
+
+    const removal = await request(env, "POST", "/api/campaigns/definitions/preview", { body: { id, delete: true } });
+    assert.deepEqual([removal.body.movedCount, removal.body.moved[0].to], [2, "DMARC/SPF/DKIM/email authentication"]);
+    const inUse = await request(env, "DELETE", `/api/campaigns/definitions/${id}`);
+    assert.deepEqual([inUse.status, inUse.body.error], [409, "campaign_in_use"]);
+    assert.equal((await request(env, "DELETE", `/api/remediation/${ticket.body.ticket.id}`)).status, 200);
+    assert.equal((await request(env, "DELETE", `/api/campaigns/definitions/${id}`)).body.deleted, true);
+    assert.equal((await request(env, "DELETE", `/api/campaigns/definitions/${id}`)).body.error, "campaign_definition_not_found");
+  });
+});
+
+describe("remediation SLAs", () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const daysAgo = (days) => new Date(Date.now() - days * DAY_MS).toISOString();
+
+  it("computes due dates from the most specific policy and reports breaches and compliance", async () => {
+    const stub = upguardStub();
+    const env = await createEnv({
+      vendors: ["adobe.com"],
+      upguard: {
+        ...stub,
+        "/vendor/domain": (params) => ({
+          ...stub["/vendor/domain"](params),
+          check_results: [
+            { id: "rce", title: "Remote code execution", category: "Vulnerabilities", severity: 5, severityName: "critical", pass: false },
+            { id: "rdp", title: "RDP exposed", category: "Network security", severity: 5, severityName: "critical", pass: false },
+            { id: "dkim", title: "DKIM missing", category: "Email security", severity: 4, severityName: "high", pass: false },
+            { id: "spf", title: "SPF record missing", category: "Email security", severity: 3, severityName: "medium", pass: false },
+            { id: "tls", title: "Weak TLS", category: "Website security", severity: 2, severityName: "low", pass: false },
+          ],
+        }),
+      },
+    });
+    await request(env, "POST", "/api/ingest");
+    env.DB.exec(`UPDATE risk_findings_history SET first_seen_at = '${daysAgo(20)}' WHERE check_id = 'rce'`);
+    env.DB.exec(`UPDATE risk_findings_history SET first_seen_at = '${daysAgo(30)}', status = 'resolved', resolved_at = '${daysAgo(20)}' WHERE check_id = 'rdp'`);
+    env.DB.exec(`UPDATE risk_findings_history SET first_seen_at = '${daysAgo(25)}' WHERE check_id = 'dkim'`);
+    await request(env, "PATCH", "/api/vendor/adobe.com/criticality", { body: { tier: "critical" } });
+
+    assert.equal((await request(env, "POST", "/api/sla/policies", { body: { name: "Contract tier", vendor_tier: "tier 1", remediation_days: 10 } })).status, 400);
+    const created = await request(env, "POST", "/api/sla/policies", { body: { name: "Critical vendor email", severity: "medium", category: "email security", vendor_tier: "Critical", remediation_days: 10 } });
+    assert.equal(created.status, 201);
+    assert.deepEqual([created.body.policy.severity, created.body.policy.severity_name, created.body.policy.at_risk_days], [3, "medium", 7]);
+    assert.equal((await request(env, "POST", "/api/sla/policies", { body: { name: "Broken", remediation_days: 0 } })).status, 400);
+    assert.equal((await request(env, "GET", "/api/sla/policies")).body.policies.length, 3);
+
+    const breaches = await request(env, "GET", "/api/sla/breaches");
+    assert.equal(breaches.status, 200);
+    assert.deepEqual(breaches.body.findings.map((finding) => [finding.check_id, finding.sla.policyName, finding.sla.daysRemaining]), [["rce", "Critical findings", -5]]);
+    const atRisk = await request(env, "GET", "/api/sla/breaches?status=at_risk");
+    assert.deepEqual(atRisk.body.findings.map((finding) => [finding.check_id, finding.sla.daysRemaining]), [["dkim", 5]]);
+
+    const compliance = await request(env, "GET", "/api/sla/compliance?days=30");
+    assert.deepEqual([compliance.body.onTime, compliance.body.atRisk, compliance.body.breached, compliance.body.noSla], [1, 1, 1, 1]);
+    assert.deepEqual([compliance.body.dueCount, compliance.body.metCount, compliance.body.complianceRate], [2, 1, 50]);
+    assert.equal(compliance.body.trend.filter((week) => week.due_count).length, 2);
+
+    const spf = (await request(env, "GET", "/api/findings?severity=medium")).body.findings[0];
+    assert.deepEqual([spf.sla.policyName, spf.sla.remediationDays, spf.sla.status], ["Critical vendor email", 10, "on_time"]);
+
+    const id = created.body.policy.id;
+    assert.equal((await request(env, "PATCH", `/api/sla/policies/${id}`, { body: { active: false } })).body.policy.active, false);
+    assert.equal((await request(env, "GET", "/api/sla/compliance?days=30")).body.noSla, 2);
+    assert.equal((await request(env, "DELETE", `/api/sla/policies/${id}`)).status, 200);
+    assert.equal((await request(env, "DELETE", `/api/sla/policies/${id}`)).body.error, "sla_policy_not_found");
+  });
+});
+
+describe("risk acceptances", () => {
+  it("hides accepted risks from dashboard counts until they are revoked or expire", async () => {
+    const stub = upguardStub();
+    const env = await createEnv({
+      vendors: ["adobe.com"],
+      upguard: {
+        ...stub,
+        "/vendor/domain": (params) => ({
+          ...stub["/vendor/domain"](params),
+          check_results: [
+            { id: "spf", title: "SPF record missing", category: "Email security", severity: 3, severityName: "medium", pass: false },
+            { id: "dkim", title: "DKIM missing", category: "Email security", severity: 4, severityName: "high", pass: false },
+          ],
+        }),
+        "/risks/vendors": () => ({ risks: [{ id: "weak-cipher", title: "Weak cipher suites", category: "Website security", severity: 4, severity_name: "high" }] }),
+      },
+    });
+    await request(env, "POST", "/api/ingest");
+    await request(env, "POST", "/api/ingest/vendor-risks");
+    await request(env, "POST", "/api/ingest/portfolio-risk-profile");
+    const severityNames = async (query = "") => (await request(env, "GET", `/api/dashboard/severity-breakdown${query}`)).body.severities.map((row) => row.severity_name);
+    assert.deepEqual(await severityNames(), ["high", "medium"]);
+    const spfKey = (await request(env, "GET", "/api/findings?severity=medium")).body.findings[0].finding_key;
+    const nextYear = new Date(Date.now() + 365 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const acceptance = { approver: "ciso@example.gov", rationale: "Mail is relayed through a hardened gateway", compensating_controls: "Gateway DMARC enforcement", expires_at: nextYear };
+
+    const created = await request(env, "POST", "/api/risk-acceptances", { body: { ...acceptance, finding_key: spfKey } });
+    assert.equal(created.status, 201);
+    assert.deepEqual([created.body.acceptance.status, created.body.acceptance.vendor_primary_hostname, created.body.acceptance.title], ["active", "adobe.com", "SPF record missing"]);
+    assert.equal((await request(env, "POST", "/api/risk-acceptances", { body: { ...acceptance, finding_key: spfKey } })).body.error, "acceptance_exists");
+    assert.equal((await request(env, "POST", "/api/risk-acceptances", { body: { ...acceptance, finding_key: spfKey, risk_key: "weak-cipher" } })).status, 400);
+    assert.equal((await request(env, "POST", "/api/risk-acceptances", { body: { ...acceptance, finding_key: spfKey, expires_at: "2020-01-01" } })).status, 400);
+
+    assert.deepEqual(await severityNames(), ["high"]);
+    assert.deepEqual(await severityNames("?include_accepted=1"), ["high", "medium"]);
+    env.DB.exec(`UPDATE risk_findings_history SET first_seen_at = '2020-01-01T00:00:00.000Z'`);
+    await request(env, "POST", "/api/sla/policies", { body: { name: "Medium findings", severity: "medium", remediation_days: 60 } });
+    const breachedKeys = async (query = "") => (await request(env, "GET", `/api/sla/breaches${query}`)).body.findings.map((finding) => finding.check_id).sort();
+    assert.deepEqual(await breachedKeys(), ["dkim"]);
+    assert.deepEqual(await breachedKeys("?include_accepted=1"), ["dkim", "spf"]);
+    assert.equal((await request(env, "GET", "/api/sla/compliance")).body.breached, 1);
+    assert.equal((await request(env, "GET", "/api/sla/compliance?include_accepted=1")).body.breached, 2);
+    const commonRisks = await request(env, "GET", "/api/dashboard/common-risks");
+    assert.deepEqual(commonRisks.body.risks.map((risk) => [risk.title, risk.affected_vendor_count, risk.accepted_vendor_count]), [["SPF record missing", 1, 1]]);
+
+    const vendorRisk = await request(env, "POST", "/api/risk-acceptances", { body: { ...acceptance, risk_key: "weak-cipher", vendor_primary_hostname: "adobe.com" } });
+    assert.equal(vendorRisk.status, 201);
+    const overview = await request(env, "GET", "/api/dashboard/overview");
+    assert.deepEqual([overview.body.highActiveRiskCount, overview.body.acceptedRiskCount], [0, 2]);
+    assert.equal((await request(env, "GET", "/api/dashboard/overview?include_accepted=1")).body.highActiveRiskCount, 1);
+
+    const revoked = await request(env, "POST", `/api/risk-acceptances/${vendorRisk.body.acceptance.id}/revoke`, { body: { reason: "Vendor rotated ciphers back" } });
+    assert.deepEqual([revoked.status, revoked.body.acceptance.status, revoked.body.acceptance.revocation_reason], [200, "revoked", "Vendor rotated ciphers back"]);
+    assert.equal((await request(env, "POST", `/api/risk-acceptances/${vendorRisk.body.acceptance.id}/revoke`, { body: { reason: "again" } })).status, 409);
+    assert.equal((await request(env, "GET", "/api/dashboard/overview")).body.highActiveRiskCount, 1);
+
+    env.DB.exec(`UPDATE risk_acceptances SET expires_at = '2020-01-01T00:00:00.000Z' WHERE id = ${created.body.acceptance.id}`);
+    assert.deepEqual(await severityNames(), ["high", "medium"]);
+    const listed = await request(env, "GET", "/api/risk-acceptances");
+    assert.deepEqual(listed.body.acceptances.map((row) => [row.id, row.status]).sort(), [[created.body.acceptance.id, "expired"], [vendorRisk.body.acceptance.id, "revoked"]]);
+    const detail = await request(env, "GET", `/api/findings/${encodeURIComponent(spfKey)}`);
+    assert.equal(detail.body.acceptance, null);
+    assert.deepEqual(detail.body.transitions.map((transition) => transition.transition), ["opened", "accepted", "acceptance_expired"]);
+  });
+});
+
+describe("questionnaires and evidence", () => {
+  it("scores questionnaire answers and shows them with evidence on the vendor detail", async () => {
+    const env = await createEnv({ vendors: ["adobe.com"], upguard: upguardStub() });
+    await request(env, "POST", "/api/ingest");
+
+    const template = await request(env, "POST", "/api/questionnaires/templates", {
+      body: { name: "SIG Lite", framework: "SIG", questions: [{ id: "mfa", text: "Is MFA enforced?", weight: 2 }, "Do you encrypt backups?", { text: "Do you run a bug bounty?" }] },
+    });
+    assert.equal(template.status, 201);
+    assert.deepEqual(template.body.template.questions.map((question) => [question.id, question.weight]), [["mfa", 2], ["q2", 1], ["q3", 1]]);
+    assert.equal((await request(env, "POST", "/api/questionnaires/templates", { body: { name: "Empty", questions: [] } })).status, 400);
+
+    const unknownVendor = await request(env, "POST", "/api/questionnaires/assignments", { body: { template_id: template.body.template.id, vendor_primary_hostname: "unknown.example" } });
+    assert.equal(unknownVendor.status, 404);
+    const created = await request(env, "POST", "/api/questionnaires/assignments", {
+      body: { template_id: template.body.template.id, vendor_primary_hostname: "adobe.com", due_date: "2020-01-31" },
+    });
+    assert.equal(created.status, 201);
+    const id = created.body.assignment.id;
+    assert.equal(created.body.assignment.status, "sent");
+    assert.equal(created.body.assignment.overdue, true);
+
+    const answered = await request(env, "POST", `/api/questionnaires/assignments/${id}/answers`, {
+      body: { answers: [{ question_id: "mfa", answer: "yes" }, { question_id: "q2", answer: "partial", comment: "Offsite copies only" }] },
+    });
+    assert.equal(answered.body.assignment.status, "in_progress");
+    assert.equal(answered.body.assignment.score, 83.33);
+    assert.equal(answered.body.questions[1].comment, "Offsite copies only");
+    const incomplete = await request(env, "PATCH", `/api/questionnaires/assignments/${id}`, { body: { status: "submitted" } });
+    assert.equal(incomplete.status, 409);
+    assert.equal(incomplete.body.error, "questionnaire_incomplete");
+
+    await request(env, "POST", `/api/questionnaires/assignments/${id}/answers`, { body: { answers: [{ question_id: "q3", answer: "not_applicable" }, { question_id: "q2", answer: "no" }] } });
+    const submitted = await request(env, "PATCH", `/api/questionnaires/assignments/${id}`, { body: { status: "submitted" } });
+    assert.equal(submitted.body.assignment.score, 66.67);
+    assert.equal(submitted.body.assignment.answered_count, 3);
+    const locked = await request(env, "POST", `/api/questionnaires/assignments/${id}/answers`, { body: { answers: [{ question_id: "q2", answer: "yes" }] } });
+    assert.equal(locked.body.error, "questionnaire_locked");
+    assert.equal((await request(env, "GET", "/api/vendor/adobe.com")).body.posture.questionnaireScore, null);
+    const reviewed = await request(env, "PATCH", `/api/questionnaires/assignments/${id}`, { body: { status: "reviewed" } });
+    assert.equal(reviewed.body.assignment.status, "reviewed");
+    assert.equal((await request(env, "DELETE", `/api/questionnaires/templates/${template.body.template.id}`)).body.error, "template_in_use");
+
+    const inAWeek = new Date(Date.now() + 7 * 86400000).toISOString().slice(0, 10);
+    const soc2 = await request(env, "POST", "/api/evidence", {
+      body: { vendor_primary_hostname: "adobe.com", evidence_type: "soc2_type2", title: "SOC 2 Type II 2024", issuer: "Audit LLP", issued_at: "2024-01-01", expires_at: inAWeek },
+    });
+    assert.equal(soc2.status, 201);
+    assert.equal(soc2.body.evidence.status, "expiring");
+    await request(env, "POST", "/api/evidence", { body: { vendor_primary_hostname: "adobe.com", evidence_type: "cyber_insurance", title: "Cyber policy", expires_at: "2021-06-30" } });
+    assert.equal((await request(env, "POST", "/api/evidence", { body: { vendor_primary_hostname: "adobe.com", evidence_type: "fax", title: "Fax" } })).status, 400);
+    assert.deepEqual((await request(env, "GET", "/api/evidence?status=expired")).body.evidence.map((item) => item.title), ["Cyber policy"]);
+
+    const detail = await request(env, "GET", "/api/vendor/adobe.com");
+    assert.deepEqual(detail.body.posture, {
+      tier: "moderate",
+      rated: false,
+      inherentRisk: 50,
+      controlStrength: 0.71,
+      residualRisk: 21.51,
+      outsideInScore: 720,
+      questionnaireScore: 66.67,
+      questionnaireScoredAt: reviewed.body.assignment.reviewed_at,
+      openQuestionnaireCount: 0,
+      overdueQuestionnaireCount: 0,
+      evidenceCount: 2,
+      expiringEvidenceCount: 1,
+      expiredEvidenceCount: 1,
+    });
+    assert.equal(detail.body.questionnaires[0].template_name, "SIG Lite");
+    assert.deepEqual(detail.body.evidence.map((item) => item.evidence_type), ["cyber_insurance", "soc2_type2"]);
+
+    const reopened = await request(env, "PATCH", `/api/questionnaires/assignments/${id}`, { body: { status: "in_progress" } });
+    assert.deepEqual([reopened.body.assignment.status, reopened.body.assignment.reviewed_at, reopened.body.assignment.reviewed_by], ["in_progress", null, null]);
+    assert.equal((await request(env, "GET", "/api/vendor/adobe.com")).body.posture.questionnaireScore, null);
+  });
+});
+
+describe("alerting", () => {
+  it("raises each alert once after ingestion and delivers it to the rule's channels", async (t) => {
+    const stub = upguardStub();
+    const relay = await startHttpStub({ statuses: { "/broken": 500 } });
+    t.after(() => relay.close());
+    let scan = { automated_score: 720, check_results: [{ id: "spf", title: "SPF record missing", category: "Email security", severity: 3, severityName: "medium", pass: false }] };
+    const env = await createEnv({
+      vendors: ["adobe.com"],
+      upguard: {
+        ...stub,
+        "/vendor/domain": (params) => ({ ...stub["/vendor/domain"](params), ...scan }),
+        "/risks/vendors/diff": ({ vendor_primary_hostname: hostname }) => ({ risksIntroduced: [{ title: "Exposed admin panel", category: "Website security", severity: 5, hostnames: [hostname] }] }),
+      },
+    });
+
+    const channel = async (body) => (await request(env, "POST", "/api/alerts/channels", { body })).body.channel;
+    assert.equal((await request(env, "POST", "/api/alerts/channels", { body: { name: "Plain http", channel_type: "webhook", url: "http://alerts.example.gov/hook" } })).status, 400);
+    assert.equal((await request(env, "POST", "/api/alerts/channels", { body: { name: "Mail", channel_type: "email_relay", url: `${relay.url}/mail` } })).status, 400);
+    const webhook = await channel({ name: "SOC webhook", channel_type: "webhook", url: `${relay.url}/hook` });
+    const slack = await channel({ name: "Slack", channel_type: "slack", url: `${relay.url}/slack?token=secret` });
+    const mail = await channel({ name: "Mail", channel_type: "email_relay", url: `${relay.url}/mail`, config: { recipients: "tpr@example.gov, soc@example.gov" } });
+    const broken = await channel({ name: "Broken", channel_type: "webhook", url: `${relay.url}/broken` });
+    assert.equal(slack.url, undefined);
+    assert.equal(slack.url_preview, `${relay.url}/…`);
+    assert.deepEqual(mail.config.recipients, ["tpr@example.gov", "soc@example.gov"]);
+
+    const rule = (body) => request(env, "POST", "/api/alerts/rules", { body });
+    assert.equal((await rule({ name: "Category", rule_type: "category_failing" })).status, 400);
+    assert.equal((await rule({ name: "Unknown channel", rule_type: "score_drop", channel_ids: [999] })).body.error, "alert_channel_not_found");
+    const critical = await rule({ name: "New critical risks", rule_type: "new_risk_event", params: { minSeverity: "critical" }, channel_ids: [webhook.id, slack.id, mail.id] });
+    assert.equal(critical.status, 201);
+    assert.deepEqual(critical.body.rule.params, { minSeverity: 5, lookbackHours: 24 });
+    await rule({ name: "Score drops", rule_type: "score_drop", params: { points: 100 }, channel_ids: [webhook.id, broken.id] });
+    await rule({ name: "Website security", rule_type: "category_failing", params: { category: "website security" } });
+
+    await request(env, "POST", "/api/ingest");
+    const diff = await request(env, "POST", "/api/ingest/risk-diff");
+    assert.equal(diff.body.alerts.alertIds.length, 1);
+    assert.equal(diff.body.alerts.deliveredCount, 3);
+    assert.equal((await request(env, "POST", "/api/ingest/risk-diff")).body.alerts.alertIds.length, 0);
+
+    scan = { automated_score: 560, check_results: [{ id: "tls", title: "Weak TLS", category: "Website security", severity: 4, severityName: "high", pass: false }] };
+    const second = await request(env, "POST", "/api/ingest");
+    assert.equal(second.body.alerts.alertIds.length, 2);
+    assert.equal(second.body.alerts.failedDeliveryCount, 1);
+    assert.equal((await request(env, "POST", "/api/ingest")).body.alerts.alertIds.length, 0);
+
+    const alerts = (await request(env, "GET", "/api/alerts")).body.alerts;
+    assert.deepEqual(alerts.map((alert) => [alert.rule_type, alert.title, alert.delivery_status]), [
+      ["category_failing", "adobe.com is now failing website security", "no_channels"],
+      ["score_drop", "adobe.com score dropped 160 points", "partial"],
+      ["new_risk_event", "New critical risk at adobe.com: Exposed admin panel", "delivered"],
+    ]);
+    assert.deepEqual(alerts[1].deliveries.map((delivery) => [delivery.channel_id, delivery.status, delivery.response_status]), [[webhook.id, "delivered", 200], [broken.id, "failed", 500]]);
+
+    const received = (path) => relay.requests.filter((entry) => entry.path === path).map((entry) => entry.body);
+    assert.deepEqual(received("/hook").map((body) => [body.type, body.alert.ruleName]), [["tpr.alert", "New critical risks"], ["tpr.alert", "Score drops"]]);
+    assert.match(received("/slack?token=secret")[0].text, /^\*New critical risk at adobe\.com: Exposed admin panel\*\n/);
+    assert.deepEqual(received("/mail")[0].to, ["tpr@example.gov", "soc@example.gov"]);
+    assert.equal(received("/mail")[0].subject, "[TPR alert] New critical risk at adobe.com: Exposed admin panel");
+
+    const test = await request(env, "POST", `/api/alerts/channels/${slack.id}/test`);
+    assert.deepEqual([test.status, test.body.delivery.ok, test.body.delivery.responseStatus], [200, true, 200]);
+    assert.equal((await request(env, "POST", `/api/alerts/channels/${broken.id}/test`)).body.delivery.ok, false);
+
+    const acknowledged = await request(env, "POST", `/api/alerts/${alerts[0].id}/acknowledge`);
+    assert.equal(acknowledged.body.alert.status, "acknowledged");
+    assert.equal((await request(env, "POST", `/api/alerts/${alerts[0].id}/acknowledge`)).status, 409);
+    assert.equal((await request(env, "GET", "/api/alerts?status=open")).body.alertCount, 2);
+
+    const removed = await request(env, "DELETE", `/api/alerts/channels/${broken.id}`);
+    assert.equal(removed.body.detachedRuleIds.length, 1);
+    assert.deepEqual((await request(env, "GET", "/api/alerts/rules")).body.rules[1].channel_ids, [webhook.id]);
+  });
+
+  it("alerts again when a resolved risk is reintroduced on a later date", async () => {
+    const stub = upguardStub();
+    let introducedOn = "2025-03-01";
+    const env = await createEnv({
+      vendors: ["adobe.com"],
+      upguard: {
+        ...stub,
+        "/risks/vendors/diff": ({ vendor_primary_hostname: hostname }) => ({
+          risksIntroduced: [{ title: "Exposed admin panel", category: "Website security", severity: 5, hostnames: [hostname], event_start: introducedOn }],
+        }),
+      },
+    });
+    await request(env, "POST", "/api/alerts/rules", { body: { name: "New critical risks", rule_type: "new_risk_event", params: { minSeverity: "critical" } } });
+    await request(env, "POST", "/api/ingest");
+
+    assert.equal((await request(env, "POST", "/api/ingest/risk-diff")).body.alerts.alertIds.length, 1);
+    assert.equal((await request(env, "POST", "/api/ingest/risk-diff")).body.alerts.alertIds.length, 0);
+    introducedOn = "2025-04-10";
+    assert.equal((await request(env, "POST", "/api/ingest/risk-diff")).body.alerts.alertIds.length, 1);
+    const alerts = (await request(env, "GET", "/api/alerts")).body.alerts;
+    assert.deepEqual(alerts.map((alert) => alert.details.eventStart).sort(), ["2025-03-01", "2025-04-10"]);
+  });
+
+  it("records alert evaluation failures without failing the ingestion run", async () => {
+    const env = await createEnv({ vendors: ["adobe.com"], upguard: upguardStub() });
+    await request(env, "POST", "/api/alerts/rules", { body: { name: "Score drops", rule_type: "score_drop", params: { points: 10 } } });
+    const db = env.DB;
+    env.DB = Object.assign(Object.create(db), {
+      prepare(sql) {
+        if (/FROM alert_rules WHERE active = 1/.test(sql)) throw new Error("alert_rules unavailable");
+        return db.prepare(sql);
+      },
+    });
+    const run = await request(env, "POST", "/api/ingest");
+    assert.equal(run.status, 200);
+    assert.equal(run.body.alerts.error, "Alert evaluation failed: alert_rules unavailable");
+    env.DB = db;
+    const status = await request(env, "GET", "/api/ingest/status");
+    assert.ok(status.body.recentErrors.some((error) => error.error_message === "Alert evaluation failed: alert_rules unavailable"));
+  });
+});
+
+describe("webhook subscriptions", () => {
+  it("delivers signed events to matching subscriptions and retries failed deliveries", async (t) => {
+    const stub = upguardStub();
+    const receiver = await startHttpStub({ statuses: { "/down": 503 } });
+    t.after(() => receiver.close());
+    let scan = { automated_score: 720, check_results: [{ id: "spf", title: "SPF record missing", category: "Email security", severity: 3, severityName: "medium", pass: false }] };
+    const env = await createEnv({
+      vendors: ["adobe.com"],
+      upguard: { ...stub, "/vendor/domain": (params) => ({ ...stub["/vendor/domain"](params), ...scan }) },
+    });
+
+    assert.equal((await request(env, "POST", "/api/webhooks", { body: { name: "SIEM", url: `${receiver.url}/siem`, event_types: ["risk.changed"] } })).status, 400);
+    const siem = await request(env, "POST", "/api/webhooks", { body: { name: "SIEM", url: `${receiver.url}/siem` } });
+    assert.equal(siem.status, 201);
+    assert.match(siem.body.secret, /^whsec_[0-9a-f]{48}$/);
+    assert.equal(siem.body.subscription.secret, undefined);
+    assert.deepEqual(siem.body.subscription.event_types, ["ingestion.completed", "ingestion.failed", "risk.introduced", "risk.resolved", "score.changed", "finding.resolved"]);
+    const tickets = await request(env, "POST", "/api/webhooks", { body: { name: "Ticketing", url: `${receiver.url}/down`, event_types: ["finding.resolved"], secret: "ticketing-shared-secret" } });
+
+    await request(env, "POST", "/api/ingest");
+    await request(env, "POST", "/api/ingest/risk-diff");
+    assert.equal((await request(env, "POST", "/api/ingest/risk-diff")).body.webhooks.eventCount, 0);
+    scan = { automated_score: 650, check_results: [] };
+    const second = await request(env, "POST", "/api/ingest");
+    assert.deepEqual([second.body.webhooks.eventCount, second.body.webhooks.queuedCount, second.body.webhooks.failedCount], [3, 4, 1]);
+
+    const siemEvents = receiver.requests.filter((entry) => entry.path === "/siem");
+    assert.deepEqual(siemEvents.map((entry) => entry.body.type), ["ingestion.completed", "risk.introduced", "risk.resolved", "ingestion.completed", "score.changed", "finding.resolved"]);
+    assert.deepEqual(siemEvents[4].body.data, { vendorPrimaryHostname: "adobe.com", hostname: "adobe.com", previousScore: 720, score: 650, capturedAt: siemEvents[4].body.data.capturedAt });
+    const [delivered] = siemEvents;
+    const rawBody = JSON.stringify(delivered.body);
+    const expected = createHmac("sha256", siem.body.secret).update(`${delivered.headers["x-tpr-timestamp"]}.${rawBody}`).digest("hex");
+    assert.equal(delivered.headers["x-tpr-signature"], `sha256=${expected}`);
+    assert.equal(delivered.headers["x-tpr-event"], "ingestion.completed");
+
+    const failed = await request(env, "GET", `/api/webhooks/${tickets.body.subscription.id}/deliveries`);
+    assert.deepEqual(failed.body.deliveries.map((delivery) => [delivery.event_type, delivery.status, delivery.attempt_count, delivery.response_status]), [["finding.resolved", "pending", 1, 503]]);
+    assert.ok(failed.body.deliveries[0].next_attempt_at > failed.body.deliveries[0].last_attempt_at);
+    assert.equal(failed.body.deliveries[0].payload.data.title, "SPF record missing");
+    assert.equal((await request(env, "POST", "/api/webhooks/retry")).body.attemptedCount, 0);
+    env.DB.exec("UPDATE webhook_deliveries SET next_attempt_at = '2020-01-01T00:00:00.000Z' WHERE status = 'pending'");
+    await request(env, "PATCH", `/api/webhooks/${tickets.body.subscription.id}`, { body: { url: `${receiver.url}/tickets` } });
+    assert.deepEqual((await request(env, "POST", "/api/webhooks/retry")).body, { attemptedCount: 1, deliveredCount: 1 });
+
+    const test = await request(env, "POST", `/api/webhooks/${siem.body.subscription.id}/test`);
+    assert.deepEqual([test.status, test.body.delivery.status, test.body.delivery.eventType], [200, "delivered", "webhook.test"]);
+    const rotated = await request(env, "PATCH", `/api/webhooks/${siem.body.subscription.id}`, { body: { rotate_secret: true } });
+    assert.notEqual(rotated.body.secret, siem.body.secret);
+    assert.equal(rotated.body.subscription.secret_preview, `…${rotated.body.secret.slice(-4)}`);
+    assert.equal((await request(env, "DELETE", `/api/webhooks/${siem.body.subscription.id}`)).body.deleted, true);
+    assert.equal(env.DB.rows("SELECT COUNT(*) AS count FROM webhook_deliveries WHERE subscription_id = ?", [siem.body.subscription.id])[0].count, 0);
+  });
+
+  it("publishes one ingestion event per pipeline job, including failed jobs", async (t) => {
+    const receiver = await startHttpStub();
+    t.after(() => receiver.close());
+    const base = await createEnv({ upguard: upguardStub(), PIPELINE_CHUNK_SIZE: "1" });
+    await request(base, "POST", "/api/webhooks", { body: { name: "SIEM", url: `${receiver.url}/siem`, event_types: ["ingestion.completed", "ingestion.failed"] } });
+    const completed = await request(base, "POST", "/api/ingest/pipeline");
+    assert.equal(completed.body.job.status, "completed");
+    assert.ok(completed.body.steps.every((step) => step.webhooks === undefined));
+    assert.equal(completed.body.finalized.webhooks.eventCount, 1);
+
+    let failing = true;
+    const db = base.DB;
+    const env = {
+      ...base,
+      DB: Object.assign(Object.create(db), {
+        prepare(sql) {
+          if (failing && /INSERT INTO ingestion_runs/.test(sql)) throw new Error("D1 write failed");
+          return db.prepare(sql);
+        },
+      }),
+    };
+    for (let attempt = 0; attempt < 3; attempt += 1) await request(env, "POST", "/api/ingest/pipeline?force=1");
+    failing = false;
+    const events = receiver.requests.map((entry) => entry.body);
+    assert.deepEqual(events.map((event) => [event.type, event.data.jobId, event.data.status]), [
+      ["ingestion.completed", completed.body.job.id, "completed"],
+      ["ingestion.failed", completed.body.job.id + 1, "failed"],
+    ]);
+    assert.equal(events[0].data.failureCount, 0);
+  });
+
+  it("claims each pending delivery once across concurrent retry sweeps", async (t) => {
+    const receiver = await startHttpStub();
+    t.after(() => receiver.close());
+    const env = await createEnv({ vendors: ["adobe.com"], upguard: upguardStub() });
+    const subscription = await request(env, "POST", "/api/webhooks", { body: { name: "SIEM", url: `${receiver.url}/siem` } });
+    env.DB.exec(`INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload_json, status, next_attempt_at, created_at)
+                 VALUES (${subscription.body.subscription.id}, 'evt-1', 'ingestion.completed', '{}', 'pending', '2020-01-01T00:00:00.000Z', '2020-01-01T00:00:00.000Z')`);
+    const sweeps = await Promise.all([request(env, "POST", "/api/webhooks/retry"), request(env, "POST", "/api/webhooks/retry")]);
+    assert.deepEqual(sweeps.map((sweep) => sweep.body.attemptedCount).sort(), [0, 1]);
+    assert.equal(receiver.requests.length, 1);
+    assert.deepEqual(env.DB.rows("SELECT status, attempt_count FROM webhook_deliveries"), [{ status: "delivered", attempt_count: 1 }]);
+  });
+
+  it("records webhook publishing failures without failing the ingestion run", async (t) => {
+    const receiver = await startHttpStub();
+    t.after(() => receiver.close());
+    const env = await createEnv({ vendors: ["adobe.com"], upguard: upguardStub() });
+    await request(env, "POST", "/api/webhooks", { body: { name: "SIEM", url: `${receiver.url}/siem` } });
+    const db = env.DB;
+    env.DB = Object.assign(Object.create(db), {
+      prepare(sql) {
+        if (/INSERT INTO webhook_deliveries/.test(sql)) throw new Error("webhook_deliveries unavailable");
+        return db.prepare(sql);
+      },
+    });
+    const run = await request(env, "POST", "/api/ingest");
+    assert.equal(run.status, 200);
+    assert.equal(run.body.webhooks.error, "Webhook publishing failed: webhook_deliveries unavailable");
+    env.DB = db;
+    const status = await request(env, "GET", "/api/ingest/status");
+    assert.ok(status.body.recentErrors.some((error) => error.error_message === "Webhook publishing failed: webhook_deliveries unavailable"));
+  });
+});
+
+describe("executive report", () => {
+  it("renders a self-contained monthly report with charts, movers, counts and a summary", async () => {
+    const stub = upguardStub();
+    let score = 720;
+    const env = await createEnv({
+      vendors: ["adobe.com"],
+      upguard: { ...stub, "/vendor/domain": (params) => ({ ...stub["/vendor/domain"](params), automated_score: score }) },
+    });
+    const period = new Date().toISOString().slice(0, 7);
+    await request(env, "POST", "/api/ingest");
+    await request(env, "POST", `/api/ingest/risk-diff?start_date=${period}-01T00:00:00Z`);
+    score = 610;
+    await request(env, "POST", "/api/ingest");
+
+    const data = await request(env, "GET", `/api/reports/executive?period=${period}&format=json`);
+    assert.equal(data.status, 200);
+    assert.equal(data.body.period, period);
+    assert.deepEqual(data.body.movers.declined.map((row) => [row.hostname, row.start_score, row.end_score]), [["adobe.com", 720, 610]]);
+    assert.deepEqual(data.body.counts, { risksIntroduced: 1, risksResolved: 1, findingsOpened: 1, findingsResolved: 0 });
+    assert.match(data.body.summary[0], /^The average domain score for .+ was 665 in .+, from a single day of scans\.$/);
+    assert.ok(data.body.summary.some((sentence) => sentence.startsWith("The largest score decline was adobe.com (720 to 610).")));
+
+    const page = await request(env, "GET", `/api/reports/executive?period=${period}`);
+    assert.match(page.headers.get("content-type"), /text\/html/);
+    assert.match(page.text, /<svg viewBox="0 0 640 220"/);
+    assert.match(page.text, /@page/);
+    assert.doesNotMatch(page.text, /<script|<link|src="http/);
+
+    const empty = await request(env, "GET", "/api/reports/executive?period=2020-01&format=json");
+    assert.deepEqual([empty.body.score, empty.body.counts.findingsOpened], [[], 0]);
+    assert.match(empty.body.summary[0], /^No domain scores were captured .+ in January 2020\.$/);
+    assert.equal((await request(env, "GET", "/api/reports/executive?period=2020-13")).status, 400);
+    assert.equal((await request(env, "GET", "/api/trends/score?period=2020-01")).body.length, 0);
+  });
+});
+
+describe("risk diff backfill", () => {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const since = new Date(Date.now() - 75 * DAY_MS).toISOString().slice(0, 10);
+
+  it("splits the range into 30-day windows per vendor and resumes where it stopped", async () => {
+    const env = await createEnv({ upguard: upguardStub() });
+    assert.equal((await request(env, "POST", "/api/ingest/risk-diff/backfill")).status, 400);
+
+    const first = await request(env, "POST", `/api/ingest/risk-diff/backfill?since=${since}&limit=4`);
+    assert.equal(first.status, 200);
+    assert.equal(first.body.windowsProcessed, 4);
+    assert.equal(first.body.hasMore, true);
+    assert.equal(first.body.backfill.vendor_count, 2);
+    assert.equal(first.body.backfill.window_count, 6);
+    assert.equal(first.body.backfill.completedWindows, 4);
+
+    const conflict = await request(env, "POST", "/api/ingest/risk-diff/backfill?since=2025-01-01");
+    assert.equal(conflict.status, 409);
+    assert.equal(conflict.body.error, "backfill_in_progress");
+
+    const resumed = await request(env, "POST", "/api/ingest/risk-diff/backfill?limit=4");
+    assert.equal(resumed.body.windowsProcessed, 2);
+    assert.equal(resumed.body.hasMore, false);
+    assert.equal(resumed.body.backfill.status, "completed");
+    assert.equal(resumed.body.backfill.progress, 100);
+
+    const diffCalls = env.upguardCalls.filter((call) => call.endpoint === "/risks/vendors/diff");
+    assert.equal(diffCalls.length, 6);
+    assert.equal(new Set(diffCalls.map((call) => `${call.params.vendor_primary_hostname}|${call.params.start_date}`)).size, 6);
+    for (const call of diffCalls) assert.ok(new Date(call.params.end_date) - new Date(call.params.start_date) <= 30 * DAY_MS);
+
+    const status = await request(env, "GET", "/api/ingest/risk-diff/backfill");
+    assert.equal(status.body.backfill.id, first.body.backfill.id);
+    assert.deepEqual(status.body.vendors.map((vendor) => [vendor.vendor_primary_hostname, vendor.completed_windows]), [["adobe.com", 3], ["apple.com", 3]]);
+    assert.equal((await request(env, "GET", "/api/ingest/status")).body.riskDiffBackfill.status, "completed");
+  });
+
+  it("resumes a clamped backfill on a later day and keeps each portfolio's backfill apart", async () => {
+    const env = await createEnv({ vendors: ["adobe.com"], UPGUARD_PORTFOLIOS: "Second portfolio", upguard: upguardStub() });
+    env.DB.exec("INSERT INTO portfolio_vendors (portfolio, vendor_primary_hostname, active) VALUES ('Second portfolio', 'apple.com', 1)");
+    const first = await request(env, "POST", "/api/ingest/risk-diff/backfill?since=2000-01-01&limit=1");
+    assert.deepEqual([first.body.hasMore, first.body.backfill.requested_since.slice(0, 10)], [true, "2000-01-01"]);
+    // As if the backfill had been started a day earlier, when the two-year floor was a day earlier too.
+    env.DB.exec(`UPDATE risk_diff_backfills SET since = '${new Date(Date.now() - 731 * DAY_MS).toISOString()}'`);
+    const resumed = await request(env, "POST", "/api/ingest/risk-diff/backfill?since=2000-01-01&limit=1");
+    assert.deepEqual([resumed.status, resumed.body.backfill.id], [200, first.body.backfill.id]);
+
+    const other = await request(env, "POST", "/api/ingest/risk-diff/backfill?since=2000-01-01&limit=1&portfolio=Second%20portfolio");
+    assert.notEqual(other.body.backfill.id, first.body.backfill.id);
+    assert.deepEqual([other.body.backfill.portfolio_name, other.body.backfill.vendor_count], ["Second portfolio", 1]);
+    const conflict = await request(env, "POST", `/api/ingest/risk-diff/backfill?since=${since}&portfolio=Second%20portfolio`);
+    assert.deepEqual([conflict.status, conflict.body.error], [409, "backfill_in_progress"]);
+    assert.match(conflict.body.message, /Second portfolio since 2000-01-01/);
+  });
+
+  it("retries failed windows a bounded number of times", async () => {
+    const env = await createEnv({ upguard: upguardStub({ failingHostnames: ["apple.com"] }) });
+    const first = await request(env, "POST", `/api/ingest/risk-diff/backfill?since=${since}&limit=50`);
+    assert.equal(first.status, 207);
+    assert.equal(first.body.failureCount, 3);
+    assert.equal(first.body.hasMore, true);
+
+    let result = first;
+    while (result.body.hasMore) result = await request(env, "POST", `/api/ingest/risk-diff/backfill?backfill_id=${first.body.backfill.id}&limit=50`);
+    assert.equal(result.body.backfill.status, "completed_with_errors");
+    assert.equal(result.body.backfill.failedWindows, 3);
+    assert.equal(env.upguardCalls.filter((call) => call.params.vendor_primary_hostname === "apple.com").length, 9);
+  });
+});
+
+describe("uninitialized schema", () => {
+  it("returns 503 with the missing tables for D1-backed routes", async () => {
+    const env = await createEnv({ migrate: false });
+    const paths = [
+      ["GET", "/api/health"],
+      ["GET", "/api/vendors"],
+      ["GET", "/api/vendors/summary"],
+      ["GET", "/api/vendor/adobe.com"],
+      ["GET", "/api/findings"],
+      ["GET", "/api/remediation"],
+      ["GET", "/api/sla/breaches"],
+      ["GET", "/api/risk-acceptances"],
+      ["GET", "/api/alerts"],
+      ["GET", "/api/webhooks"],
+      ["GET", "/api/questionnaires/assignments"],
+      ["GET", "/api/evidence"],
+      ["GET", "/api/vendors/criticality"],
+      ["GET", "/api/scoring/models"],
+      ["GET", "/api/campaigns/definitions"],
+      ["GET", "/api/reports/executive"],
+      ["GET", "/api/ingest/risk-diff/backfill"],
+      ["GET", "/api/dashboard/overview"],
+      ["GET", "/api/trends/score"],
+      ["GET", "/api/ingest/status"],
+      ["GET", "/api/portfolio/vendors"],
+      ["POST", "/api/ingest"],
+    ];
+    for (const [method, path] of paths) {
+      const response = await request(env, method, path);
+      assert.equal(response.status, 503, path);
+      assert.equal(response.body.error, "schema_not_initialized", path);
+      assert.ok(response.body.missingTables.length > 0, path);
+    }
+  });
+
+  it("still serves the debug schema report", async () => {
+    const env = await createEnv({ migrate: false });
+    const response = await request(env, "GET", "/api/debug/db");
+    assert.equal(response.status, 200);
+    assert.ok(response.body.missingCurrentTables.includes("vendor_domains"));
+  });
+});